@@ -0,0 +1,144 @@
+// Build data/subway-graph.json from an MTA GTFS static feed (the subway
+// google_transit.zip, unzipped). Usage:
+//   node scripts/build-subway-graph.js path/to/gtfs [out.json]
+//
+// Stations are GTFS parent stations. Each route contributes its longest
+// weekday pattern (direction 0) with per-hop run times, and a headway from
+// the number of weekday trips starting 6–10pm. transfers.txt supplies walking
+// transfers between different parent stations; src/transit.js adds the rest.
+// The feed's date (feed_info.txt, else the earliest calendar start) goes in
+// _feed_date — src/transit.js treats a graph without one as rough.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const [gtfsDir, outFile = path.join(__dirname, '../data/subway-graph.json')] = process.argv.slice(2);
+if (!gtfsDir) {
+  console.error('Usage: node scripts/build-subway-graph.js <gtfs-dir> [out.json]');
+  process.exit(1);
+}
+
+function parseCsvLine(line) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { out.push(cur); cur = ''; }
+    else cur += c;
+  }
+  out.push(cur);
+  return out;
+}
+
+async function eachRow(file, fn) {
+  const full = path.join(gtfsDir, file);
+  if (!fs.existsSync(full)) return false;
+  const rl = readline.createInterface({ input: fs.createReadStream(full), crlfDelay: Infinity });
+  let header = null;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const cells = parseCsvLine(line);
+    if (!header) { header = cells.map(h => h.replace(/^\uFEFF/, '').trim()); continue; }
+    const row = {};
+    header.forEach((h, i) => { row[h] = cells[i]; });
+    fn(row);
+  }
+  return true;
+}
+
+function toMinutes(hms) {
+  const [h, m, s] = (hms || '').split(':').map(Number);
+  return h * 60 + m + (s || 0) / 60;
+}
+
+async function main() {
+  // Stations: parent stations, with platforms mapped up to them
+  const stations = {};
+  const parentOf = {};
+  await eachRow('stops.txt', r => {
+    if (r.location_type === '1' || !r.parent_station) {
+      stations[r.stop_id] = [r.stop_name, +(+r.stop_lat).toFixed(4), +(+r.stop_lon).toFixed(4)];
+    }
+    parentOf[r.stop_id] = r.parent_station || r.stop_id;
+  });
+
+  const weekdayServices = new Set();
+  let calendarStart = null;
+  const hasCalendar = await eachRow('calendar.txt', r => {
+    if (r.wednesday === '1') weekdayServices.add(r.service_id);
+    if (r.start_date && (!calendarStart || r.start_date < calendarStart)) calendarStart = r.start_date;
+  });
+  let feedStart = null;
+  await eachRow('feed_info.txt', r => { feedStart = feedStart || r.feed_start_date || null; });
+  const feedDate = (feedStart || calendarStart || '').replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3') || null;
+
+  const routeLabel = {};
+  await eachRow('routes.txt', r => { routeLabel[r.route_id] = r.route_short_name || r.route_id; });
+
+  const tripInfo = {};
+  await eachRow('trips.txt', r => {
+    if (hasCalendar && !weekdayServices.has(r.service_id)) return;
+    tripInfo[r.trip_id] = { route: r.route_id, direction: r.direction_id || '0' };
+  });
+
+  // stop_times is large and grouped by trip — keep only the best pattern per route
+  const best = {};       // route → [[stationId, departureMin]]
+  const eveningTrips = {}; // route → count of direction-0 trips starting 18:00–22:00
+  let tripId = null;
+  let stops = [];
+  const flush = () => {
+    const info = tripInfo[tripId];
+    if (!info || info.direction !== '0' || stops.length < 2) return;
+    stops.sort((a, b) => a.seq - b.seq);
+    const start = stops[0].dep;
+    if (start >= 18 * 60 && start < 22 * 60) eveningTrips[info.route] = (eveningTrips[info.route] || 0) + 1;
+    if (!best[info.route] || stops.length > best[info.route].length) {
+      best[info.route] = stops.map(s => [parentOf[s.stop] || s.stop, s.dep]);
+    }
+  };
+  await eachRow('stop_times.txt', r => {
+    if (r.trip_id !== tripId) {
+      flush();
+      tripId = r.trip_id;
+      stops = [];
+    }
+    stops.push({ stop: r.stop_id, seq: +r.stop_sequence, dep: toMinutes(r.departure_time || r.arrival_time) });
+  });
+  flush();
+
+  const lines = Object.entries(best).map(([route, pattern]) => ({
+    id: route,
+    label: routeLabel[route] || route,
+    headway_min: eveningTrips[route] ? Math.max(2, Math.round(240 / eveningTrips[route])) : 10,
+    stops: pattern.map(([station, dep], i) => [station, i === 0 ? 0 : +(dep - pattern[i - 1][1]).toFixed(1)]),
+  }));
+
+  const transfers = [];
+  await eachRow('transfers.txt', r => {
+    const a = parentOf[r.from_stop_id] || r.from_stop_id;
+    const b = parentOf[r.to_stop_id] || r.to_stop_id;
+    if (a !== b && a < b) transfers.push([a, b, Math.max(1, Math.round((+r.min_transfer_time || 180) / 60))]);
+  });
+
+  const used = new Set(lines.flatMap(l => l.stops.map(s => s[0])));
+  const graph = {
+    _source: `Built from MTA GTFS static (${path.basename(path.resolve(gtfsDir))}, feed dated ${feedDate || 'unknown'}) by scripts/build-subway-graph.js on ${new Date().toISOString().slice(0, 10)}.`,
+    _feed_date: feedDate,
+    stations: Object.fromEntries(Object.entries(stations).filter(([id]) => used.has(id))),
+    lines,
+    transfers: transfers.filter(([a, b]) => used.has(a) && used.has(b)),
+  };
+  fs.writeFileSync(outFile, JSON.stringify(graph, null, 1) + '\n');
+  console.log(`Wrote ${outFile}: ${Object.keys(graph.stations).length} stations, ${lines.length} lines, ${graph.transfers.length} transfers`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
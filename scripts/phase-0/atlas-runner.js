@@ -22,7 +22,7 @@
 const fs = require('fs');
 const path = require('path');
 
-const { buildIndex, hybridRetrieve } = require('./hybrid-retrieve');
+const { buildIndex, hybridRetrieve } = require('../../src/hybrid-retrieve');
 const { embedQuery } = require('./embed-query');
 const { callAgent } = require('./agent-caller');
 
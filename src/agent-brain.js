@@ -1,14 +1,47 @@
 /**
- * Agent Brain — Mechanical pre-check (help + TCPA).
+ * Agent Brain — Mechanical pre-check (help + group plans + nudge/MMS keywords + TCPA).
  * The agent loop in agent-loop.js handles everything else.
  */
 
 const { OPT_OUT_KEYWORDS } = require('./request-guard');
 const { executeMore, executeDetails } = require('./brain-execute');
+const { captureConsent } = require('./nudges');
+const { parsePlanCommand, matchPlanReply } = require('./group-plans');
+const { captureMmsSetting } = require('./pick-cards');
 
 function checkMechanical(message, session, phone) {
   const lower = message.toLowerCase().trim();
-  if (/^(help|\?)$/i.test(lower)) return { intent: 'help' };
+  if (/^(help|info|\?)$/i.test(lower)) return { intent: 'help' };
+
+  // Group plan: "plan with 917-555-1234, ..." — invites go out mechanically
+  const plan = parsePlanCommand(message);
+  if (plan) return { intent: 'group_plan', invitees: plan.phones, invalid: plan.invalid };
+
+  // Nudge consent: NUDGE ME / STOP NUDGES — $0, never reaches the brain
+  if (phone) {
+    try {
+      const nudge = captureConsent(phone, message);
+      if (nudge.handled) return { intent: nudge.intent, reply: nudge.reply };
+    } catch (err) {
+      console.warn('nudge consent check failed:', err.message);
+    }
+
+    // Picture card setting: TEXT ONLY / PICS ON
+    try {
+      const mms = captureMmsSetting(phone, message);
+      if (mms.handled) return { intent: mms.intent, reply: mms.reply };
+    } catch (err) {
+      console.warn('MMS setting check failed:', err.message);
+    }
+
+    // Invitee replying to an open group plan (YES / NO / vote number)
+    try {
+      const planReply = matchPlanReply(phone, message);
+      if (planReply) return planReply;
+    } catch (err) {
+      console.warn('group plan reply check failed:', err.message);
+    }
+  }
 
   if (OPT_OUT_KEYWORDS.test(lower)) return null;
   return null;
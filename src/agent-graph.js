@@ -24,12 +24,18 @@
 const { runAgentLoop } = require('./llm');
 const { MODELS } = require('./model-config');
 const { BRAIN_TOOLS, buildBrainSystemPrompt, buildNativeHistory } = require('./brain-llm');
-const { sendSMS, maskPhone } = require('./twilio');
+const { maskPhone } = require('./twilio');
+const { channelForAddress } = require('./channels');
 const { recordAICost } = require('./traces');
 const { getSession, setSession, addToHistory } = require('./session');
 const { trackAICost } = require('./request-guard');
 const { smartTruncate } = require('./formatters');
 const { sendRuntimeAlert } = require('./alerts');
+const { trackRecurringDetail } = require('./nudges');
+const { executeDetails } = require('./brain-execute');
+const { buildCardUrl } = require('./pick-cards');
+const { pickPageUrl } = require('./pick-pages');
+const { planLongReply, summarizeMessages } = require('./sms-segments');
 const {
   executeTool,
   sanitizeForLLM,
@@ -40,7 +46,6 @@ const {
   deriveIntent,
   rewriteIfTooLong,
   stripMarkdown,
-  SMS_CHAR_LIMIT,
 } = require('./agent-loop');
 
 const STATES = {
@@ -65,6 +70,62 @@ const STATES = {
 // Pure helpers lifted from handleAgentRequest's inline body
 // ---------------------------------------------------------------------------
 
+/**
+ * Count a details request against the referenced recurring event (if any).
+ * Returns the consent prompt to send, or null. Never throws.
+ */
+function trackNudgeInterest(phone, reference, session) {
+  try {
+    const res = executeDetails(reference, session);
+    if (!res?.found || !res.event?.is_recurring) return null;
+    return trackRecurringDetail(phone, res.event);
+  } catch (err) {
+    console.warn('nudge tracking failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * MMS pick card for the outgoing reply: the event for a details request, or
+ * the saved pick list for discover/more. Null when MMS is off for this phone
+ * or the channel can't carry media.
+ */
+function buildPickCard(phone, intent, toolCalls, session, channel) {
+  if (!channel.supportsMedia) return null;
+  try {
+    if (intent === 'details') {
+      const detailsCall = toolCalls.find(tc => tc.name === 'search' && tc.params?.intent === 'details');
+      const res = detailsCall ? executeDetails(detailsCall.params?.reference, session) : null;
+      return res?.found ? buildCardUrl(phone, { event: res.event }) : null;
+    }
+    if (intent === 'events' || intent === 'more' || intent === 'welcome') {
+      const saved = getSession(phone);
+      if (!saved?.lastResponseHadPicks) return null;
+      const events = (saved.lastPicks || []).map(p => saved.lastEvents?.[p.event_id]).filter(Boolean);
+      return buildCardUrl(phone, { events });
+    }
+  } catch (err) {
+    console.warn('pick card failed:', err.message);
+  }
+  return null;
+}
+
+/**
+ * Add the pick page link (/p/:responseId) to a pick-list reply: on the last
+ * part when it fits the channel's limit, else as its own message. Parts
+ * unchanged when the response saved no page or PULSE_PUBLIC_URL isn't set.
+ */
+function attachPickPageLink(phone, intent, parts, maxChars) {
+  if (intent !== 'events' && intent !== 'more' && intent !== 'welcome') return parts;
+  const saved = getSession(phone);
+  const url = saved?.lastResponseHadPicks ? pickPageUrl(saved.lastResponseId) : null;
+  if (!url) return parts;
+  const last = parts[parts.length - 1];
+  const line = `All picks + links: ${url}`;
+  if (last.length + 2 + line.length <= maxChars) return [...parts.slice(0, -1), `${last}\n\n${line}`];
+  return [...parts, url];
+}
+
 function bridgeClarification(session, message) {
   const pending = session.pendingClarification;
   if (!pending) return session;
@@ -152,7 +213,7 @@ const nodes = {
   },
 
   [STATES.URL_RESEND]: async (ctx) => {
-    await sendSMS(ctx.phone, ctx.session.lastSentUrl);
+    await ctx.channel.send(ctx.phone, ctx.session.lastSentUrl);
     addToHistory(ctx.phone, 'assistant', ctx.session.lastSentUrl);
     ctx.smsText = ctx.session.lastSentUrl;
     ctx.intent = 'url_resend';
@@ -185,7 +246,7 @@ const nodes = {
         if (copy) {
           preemptSent = true;
           ctx.trace.preempt = { fired: true, copy, tool: toolName };
-          sendSMS(ctx.phone, copy)
+          ctx.channel.send(ctx.phone, copy)
             .then(msg => { ctx.trace.preempt.delivered = true; if (msg?.sid) ctx.trace.preempt.sid = msg.sid; })
             .catch(err => { ctx.trace.preempt.delivered = false; ctx.trace.preempt.error = err.message; });
         }
@@ -224,14 +285,27 @@ const nodes = {
   },
 
   [STATES.ENFORCE_LENGTH]: async (ctx) => {
-    if (ctx.smsText.length > SMS_CHAR_LIMIT) {
-      ctx.smsText = await rewriteIfTooLong(ctx.smsText, ctx.trace);
+    const { maxChars, segmentBilled } = ctx.channel;
+    if (ctx.smsText.length > maxChars) {
+      // Splitting at pick boundaries keeps every pick; on SMS only when that's cheaper than a rewrite
+      const plan = planLongReply(stripMarkdown(ctx.smsText), { maxChars });
+      ctx.trace.composition.send_plan = { strategy: plan.strategy, split: plan.split, rewrite: plan.rewrite };
+      if (plan.strategy === 'split' || (!segmentBilled && plan.messages.length > 1)) {
+        ctx.smsParts = plan.messages;
+      } else {
+        ctx.smsText = await rewriteIfTooLong(ctx.smsText, ctx.trace, { maxChars });
+      }
     }
     return { next: STATES.SANITIZE, ctx };
   },
 
   [STATES.SANITIZE]: async (ctx) => {
-    ctx.smsText = smartTruncate(stripMarkdown(ctx.smsText));
+    if (ctx.smsParts) {
+      ctx.smsParts = ctx.smsParts.map(part => smartTruncate(stripMarkdown(part), ctx.channel.maxChars));
+      ctx.smsText = ctx.smsParts.join('\n\n');
+    } else {
+      ctx.smsText = smartTruncate(stripMarkdown(ctx.smsText), ctx.channel.maxChars);
+    }
     return { next: STATES.SAVE, ctx };
   },
 
@@ -243,7 +317,16 @@ const nodes = {
 
   [STATES.SEND]: async (ctx) => {
     ctx.intent = deriveIntent(ctx.toolCalls);
-    await sendSMS(ctx.phone, ctx.smsText);
+    const mediaUrl = buildPickCard(ctx.phone, ctx.intent, ctx.toolCalls, ctx.session, ctx.channel);
+    if (mediaUrl) ctx.trace.composition.mms_card = true;
+    const replyParts = ctx.smsParts || [ctx.smsText];
+    const parts = attachPickPageLink(ctx.phone, ctx.intent, replyParts, ctx.channel.maxChars);
+    if (parts !== replyParts) ctx.trace.composition.pick_page = true;
+    if (ctx.channel.segmentBilled) ctx.trace.composition.sms_segments = summarizeMessages(parts);
+    for (let i = 0; i < parts.length; i++) {
+      // Card rides on the first part only; parts go out in order
+      await ctx.channel.send(ctx.phone, parts[i], { mediaUrl: i === 0 ? mediaUrl : null });
+    }
     ctx.smsSent = true;
     if (ctx.intent === 'details') return { next: STATES.DETAIL_URL, ctx };
     return { next: STATES.FINALIZE, ctx };
@@ -255,7 +338,7 @@ const nodes = {
     const detailsCall = ctx.toolCalls.find(tc => tc.name === 'search' && tc.params?.intent === 'details');
     const eventUrl = detailsCall ? resolveDetailUrl(detailsCall.params?.reference, ctx.session) : null;
     if (eventUrl) {
-      await sendSMS(ctx.phone, eventUrl);
+      await ctx.channel.send(ctx.phone, eventUrl);
       setSession(ctx.phone, { lastSentUrl: eventUrl });
       urlSent = true;
     }
@@ -266,7 +349,7 @@ const nodes = {
       if (placePicks.length > 0) {
         const place = ctx.session.lastPlaceMap[placePicks[0].place_id];
         if (place?.google_maps_url) {
-          await sendSMS(ctx.phone, place.google_maps_url);
+          await ctx.channel.send(ctx.phone, place.google_maps_url);
           setSession(ctx.phone, { lastSentUrl: place.google_maps_url });
           urlSent = true;
         }
@@ -276,11 +359,20 @@ const nodes = {
     if (!urlSent) {
       const lookupCall = ctx.toolCalls.find(tc => tc.name === 'lookup_venue' && tc.result?.google_maps_url);
       if (lookupCall) {
-        await sendSMS(ctx.phone, lookupCall.result.google_maps_url);
+        await ctx.channel.send(ctx.phone, lookupCall.result.google_maps_url);
         setSession(ctx.phone, { lastSentUrl: lookupCall.result.google_maps_url });
       }
     }
 
+    // Recurring-event interest: one-time nudge consent prompt, sent after the details reply
+    if (detailsCall) {
+      const consentPrompt = trackNudgeInterest(ctx.phone, detailsCall.params?.reference, ctx.session);
+      if (consentPrompt) {
+        await ctx.channel.send(ctx.phone, consentPrompt);
+        ctx.trace.nudge_consent_asked = true;
+      }
+    }
+
     return { next: STATES.FINALIZE, ctx };
   },
 
@@ -300,9 +392,9 @@ const nodes = {
       ctx.trace.brain_iterations = [...(ctx.trace.brain_iterations || []), ...(fallbackResult.iterations || [])];
 
       ctx.toolCalls = fallbackResult.toolCalls;
-      ctx.smsText = smartTruncate(fallbackResult.text || "Tell me what you're in the mood for!");
+      ctx.smsText = smartTruncate(fallbackResult.text || "Tell me what you're in the mood for!", ctx.channel.maxChars);
       ctx.intent = deriveIntent(fallbackResult.toolCalls);
-      await sendSMS(ctx.phone, ctx.smsText);
+      await ctx.channel.send(ctx.phone, ctx.smsText);
       ctx.smsSent = true;
       return { next: STATES.FINALIZE, ctx };
     } catch (err) {
@@ -314,7 +406,7 @@ const nodes = {
 
   [STATES.ERROR_SMS]: async (ctx) => {
     const sms = "Pulse hit a snag -- try again in a sec!";
-    await sendSMS(ctx.phone, sms);
+    await ctx.channel.send(ctx.phone, sms);
     ctx.smsText = sms;
     ctx.intent = 'error';
     sendRuntimeAlert('agent_loop_error', {
@@ -346,6 +438,7 @@ async function run(initialCtx) {
     loopResult: null,
     ...initialCtx,
   };
+  if (!ctx.channel) ctx.channel = channelForAddress(ctx.phone);
   ctx.trace.stateHistory = [];
 
   while (state !== STATES.DONE) {
@@ -381,8 +474,8 @@ async function run(initialCtx) {
 // Public entrypoint — drop-in replacement for handleAgentRequest
 // ---------------------------------------------------------------------------
 
-async function handleAgentRequestGraph(phone, message, session, trace, finalizeTrace) {
-  await run({ phone, message, session, trace, finalizeTrace });
+async function handleAgentRequestGraph(phone, message, session, trace, finalizeTrace, { channel } = {}) {
+  await run({ phone, message, session, trace, finalizeTrace, channel });
   return trace.id;
 }
 
@@ -26,6 +26,11 @@ const { smartTruncate } = require('./formatters');
 const { lookupVenueProfile } = require('./venues');
 const { sendRuntimeAlert } = require('./alerts');
 const { getAdjacentNeighborhoods, getNycDateString } = require('./geo');
+const { saveEventReminder } = require('./reminders');
+const { calendarUrl } = require('./calendar');
+const { SMS_CHAR_LIMIT } = require('./channels');
+const { resolveLocation } = require('./location');
+const { buildItinerary } = require('./itinerary');
 
 // ---------------------------------------------------------------------------
 // Strip markdown from SMS — models sometimes ignore "plain text only" instruction
@@ -45,28 +50,27 @@ function stripMarkdown(text) {
 // SMS length enforcement — agentic rewrite loop
 // ---------------------------------------------------------------------------
 
-const SMS_CHAR_LIMIT = 480;
-
 /**
- * If smsText exceeds 480 chars, ask the model to shorten it (1 attempt).
+ * If smsText exceeds maxChars (the channel's limit, SMS_CHAR_LIMIT by default),
+ * ask the model to shorten it (1 attempt).
  * Returns the original text if already within limit, or the shortened version.
  * Falls through to smartTruncate if the rewrite still exceeds the limit.
  */
-async function rewriteIfTooLong(smsText, trace) {
-  if (!smsText || smsText.length <= SMS_CHAR_LIMIT) return smsText;
+async function rewriteIfTooLong(smsText, trace, { maxChars = SMS_CHAR_LIMIT } = {}) {
+  if (!smsText || smsText.length <= maxChars) return smsText;
 
-  const overBy = smsText.length - SMS_CHAR_LIMIT;
+  const overBy = smsText.length - maxChars;
   console.log(`[agent-loop] SMS is ${smsText.length} chars (${overBy} over limit), requesting rewrite`);
 
   try {
     const result = await generate(MODELS.brain,
-      'You are an SMS editor. Shorten the following SMS to under 480 characters. Keep the same events, tone, and style. Do not add anything new. Return ONLY the shortened SMS text, nothing else.',
-      `This SMS is ${smsText.length} characters but must be under 480. Shorten it:\n\n${smsText}`,
+      `You are an SMS editor. Shorten the following SMS to under ${maxChars} characters. Keep the same events, tone, and style. Do not add anything new. Return ONLY the shortened SMS text, nothing else.`,
+      `This SMS is ${smsText.length} characters but must be under ${maxChars}. Shorten it:\n\n${smsText}`,
       { maxTokens: 512, temperature: 0, timeout: 5000 }
     );
 
     const rewritten = (result.text || '').trim();
-    if (rewritten && rewritten.length <= SMS_CHAR_LIMIT && rewritten.length > 50) {
+    if (rewritten && rewritten.length <= maxChars && rewritten.length > 50) {
       console.log(`[agent-loop] Rewrite succeeded: ${smsText.length} → ${rewritten.length} chars`);
       if (trace) trace.composition.rewrite = { from: smsText.length, to: rewritten.length };
       return rewritten;
@@ -89,9 +93,13 @@ function buildPreemptCopy(toolName, params) {
   if (toolName === 'lookup_venue') {
     return params?.venue_name ? `Checking ${params.venue_name}…` : 'Looking up the venue…';
   }
+  if (toolName === 'itinerary') {
+    return params?.reference ? `Planning a night around ${params.reference}…` : 'Planning your night…';
+  }
   if (toolName === 'search') {
     const intent = params?.intent;
     if (intent === 'more') return 'Finding more picks…';
+    if (intent === 'save') return null; // single DB write — fast, skip pre-empt
     if (intent === 'details') {
       const ref = params?.reference;
       return ref ? `Pulling details on ${ref}…` : 'Pulling details…';
@@ -224,10 +232,14 @@ function deriveIntent(toolCalls) {
   // Clarify intent wins — it's a terminal action
   if (toolCalls.some(tc => tc.name === 'clarify')) return 'clarify';
 
+  if (toolCalls.some(tc => tc.name === 'itinerary')) return 'itinerary';
+
   // Details intent wins if ANY search used it (agent may do a follow-up search after details)
   const hasDetails = toolCalls.some(tc => tc.name === 'search' && tc.params?.intent === 'details');
   if (hasDetails) return 'details';
 
+  if (toolCalls.some(tc => tc.name === 'search' && tc.params?.intent === 'save')) return 'save';
+
   const lastSearch = [...toolCalls].reverse().find(tc => tc.name === 'search');
   if (lastSearch) {
     const intent = lastSearch.params?.intent;
@@ -319,6 +331,9 @@ async function executeTool(toolName, params, session, phone, trace) {
           editorial_note: e.editorial_note || undefined,
           recurring: e.is_recurring ? e.recurrence_label : undefined,
           venue_profile: lookupVenueProfile(e.venue_name) || undefined,
+          accessibility: e.accessibility?.length ? e.accessibility : undefined,
+          age_policy: e.age_policy ? (e.age_policy_source === 'venue' ? `${e.age_policy} (venue's usual policy)` : e.age_policy) : 'unknown',
+          calendar_url: calendarUrl(e) || undefined,
         };
       }).filter(Boolean);
 
@@ -329,6 +344,39 @@ async function executeTool(toolName, params, session, phone, trace) {
       };
     }
 
+    // --- Save intent (reminder before a pick starts) ---
+    if (intent === 'save') {
+      const resolved = executeDetails(reference, session);
+      if (!resolved.found) {
+        return {
+          not_found: true,
+          message: resolved.stalePicks || resolved.noPicks
+            ? "I don't have a pick list up right now -- ask the user which event they want saved."
+            : `Couldn't tell which pick "${reference || ''}" means. Ask the user which one to save.`,
+        };
+      }
+      const evt = resolved.event;
+      const saveResult = saveEventReminder(phone, evt);
+      if (trace?.composition) trace.composition.reminder = { event_id: evt.id, ...saveResult };
+      if (!saveResult.saved) {
+        return {
+          saved: false,
+          event: { name: cleanEventName(evt.name || ''), venue_name: evt.venue_name },
+          message: saveResult.reason === 'already_started'
+            ? 'That event has already started, so a reminder is pointless. Tell the user it is on now if they want to head over.'
+            : "This event has no set start time, so you can't schedule a reminder. Tell the user that honestly and share what you know about timing.",
+        };
+      }
+      return {
+        saved: true,
+        event: { name: cleanEventName(evt.name || ''), venue_name: evt.venue_name, start_time_local: evt.start_time_local },
+        remind_label: saveResult.immediate
+          ? 'It starts soon, so the reminder goes out within a few minutes.'
+          : `You'll get a text about ${formatLeadTime(saveResult.leadMinutes)} before it starts.`,
+        _saveResult: saveResult,
+      };
+    }
+
     // --- More intent ---
     if (intent === 'more') {
       // Place more
@@ -425,7 +473,7 @@ async function executeTool(toolName, params, session, phone, trace) {
     const wantsPlaces = searchTypes.includes('bars') || searchTypes.includes('restaurants');
 
     // Welcome case: no neighborhood, no types, returning user
-    if (!neighborhood && !wantsPlaces && !filters && session?.conversationHistory?.length) {
+    if (!neighborhood && !params.near && !wantsPlaces && !filters && session?.conversationHistory?.length) {
       const result = await executeWelcome();
       const events = (result.topEvents || []).map(e => ({
         type: 'event',
@@ -461,9 +509,20 @@ async function executeTool(toolName, params, session, phone, trace) {
         if (filters.categories?.length === 1) eventParams.category = filters.categories[0];
         else if (filters.categories?.length > 1) eventParams.categories = filters.categories;
         if (filters.free_only) eventParams.free_only = true;
+        if (filters.max_price != null) eventParams.max_price = filters.max_price;
+        if (filters.youngest_age != null) eventParams.youngest_age = filters.youngest_age;
+        if (filters.accessibility?.length) eventParams.accessibility = filters.accessibility;
+        if (filters.exclude_categories) eventParams.exclude_categories = filters.exclude_categories;
+        if (filters.exclude_venues) eventParams.exclude_venues = filters.exclude_venues;
+        if (filters.include_venues) eventParams.include_venues = filters.include_venues;
+        if (filters.exclude_boroughs) eventParams.exclude_boroughs = filters.exclude_boroughs;
         if (filters.time_after) eventParams.time_after = filters.time_after;
+        if (filters.time_before) eventParams.time_before = filters.time_before;
         if (filters.date_range) eventParams.date_range = filters.date_range;
       }
+      if (params.query) eventParams.query = params.query;
+      if (params.origin) eventParams.origin = params.origin;
+      if (params.near) eventParams.near = params.near;
       promises.push(
         buildSearchPool(eventParams, session, phone, trace)
           .then(r => { results.eventPool = r; })
@@ -471,7 +530,8 @@ async function executeTool(toolName, params, session, phone, trace) {
     }
 
     if (wantsPlaces) {
-      const hood = neighborhood || session?.lastNeighborhood;
+      const nearHood = !neighborhood && params.near ? (await resolveLocation(params.near))?.neighborhood : null;
+      const hood = neighborhood || nearHood || session?.lastNeighborhood;
       const placeType = searchTypes.includes('restaurants') ? 'restaurant' : 'bar';
       if (hood) {
         promises.push(
@@ -494,6 +554,14 @@ async function executeTool(toolName, params, session, phone, trace) {
 
     await Promise.all(promises);
 
+    // A date_range the resolver couldn't read — ask rather than guess a day
+    if (results.eventPool?.unresolvedDate) {
+      return {
+        unresolved_date: true,
+        message: `Couldn't tell which day "${results.eventPool.unresolvedDate}" means. Ask the user which day they mean, or search again with date_range as a day ("friday", "oct 24", "this_weekend") and the time in time_after.`,
+      };
+    }
+
     // Handle zero-match for events-only search
     if (wantsEvents && !wantsPlaces && results.eventPool?.zeroMatch) {
       return {
@@ -518,6 +586,8 @@ async function executeTool(toolName, params, session, phone, trace) {
         nearby_hoods: eventSerialized.nearby_hoods,
         suggested_neighborhood: eventSerialized.suggested_neighborhood,
         nearby_highlight: eventSerialized.nearby_highlight,
+        transit_from: eventSerialized.transit_from,
+        near: eventSerialized.near,
       };
       for (const e of (eventSerialized.events || [])) {
         items.push({ type: 'event', ...e });
@@ -577,6 +647,34 @@ async function executeTool(toolName, params, session, phone, trace) {
     return result;
   }
 
+  if (toolName === 'itinerary') {
+    const resolved = executeDetails(params.reference, session);
+    if (!resolved.found) {
+      return {
+        not_found: true,
+        message: "Couldn't tell which pick they want to plan around. Ask them which one (by number).",
+      };
+    }
+    const slots = Array.isArray(params.include) && params.include.length > 0 ? params.include : ['dinner', 'drinks'];
+    const plan = await buildItinerary(resolved.event, { slots, vibe: params.vibe });
+    if (plan.error) {
+      return {
+        not_found: true,
+        message: `${resolved.event.name} has no set start time, so there's nothing to plan around. Suggest they check the listing, or offer bars nearby instead.`,
+      };
+    }
+    trace.composition.itinerary = {
+      event_id: resolved.event.id,
+      stops: plan.stops.map(s => ({ slot: s.slot, id: s.id || s.place_id, start: s.start, end: s.end })),
+      skipped: plan.skipped,
+    };
+    return {
+      anchor: resolved.event.name,
+      stops: plan.stops.map(({ start_min, end_min, ...stop }) => stop),
+      skipped: plan.skipped.length > 0 ? plan.skipped : undefined,
+    };
+  }
+
   if (toolName === 'clarify') {
     return {
       reason: params.reason,
@@ -658,8 +756,15 @@ function saveSessionFromToolCalls(phone, session, toolCalls, smsText) {
     try {
       const db = require('./db');
       const ph = hashPhone(phone);
-      for (const pick of (session?.lastPicks || [])) {
-        if (pick.event_id) db.markRecommendationEngaged(ph, pick.event_id);
+      // Credit only the referenced pick when we can resolve it; otherwise the whole list
+      const resolved = params.reference ? executeDetails(params.reference, session) : { found: false };
+      if (resolved.found) {
+        const flipped = db.markRecommendationEngaged(ph, resolved.event.id);
+        if (flipped > 0) db.recordProfileEngagement(ph, resolved.event);
+      } else {
+        for (const pick of (session?.lastPicks || [])) {
+          if (pick.event_id) db.markRecommendationEngaged(ph, pick.event_id);
+        }
       }
     } catch (err) {
       console.warn('engagement tracking failed:', err.message);
@@ -667,6 +772,9 @@ function saveSessionFromToolCalls(phone, session, toolCalls, smsText) {
     return;
   }
 
+  // Save — reminder already persisted in executeTool, session state unchanged
+  if (intent === 'save') return;
+
   // More
   if (intent === 'more') {
     if (result?._placePoolResult) {
@@ -752,6 +860,14 @@ function saveSessionFromToolCalls(phone, session, toolCalls, smsText) {
   });
 
   trackRecommendations(phone, picks.map(p => p.event_id));
+  trackProfileSearch(phone, poolResult);
+}
+
+/** "60" → "an hour", "90" → "90 minutes" — for reminder confirmations. */
+function formatLeadTime(minutes) {
+  if (minutes === 60) return 'an hour';
+  if (minutes % 60 === 0) return `${minutes / 60} hours`;
+  return `${minutes} minutes`;
 }
 
 /** Track recommendation IDs in SQLite (non-blocking). */
@@ -766,6 +882,19 @@ function trackRecommendations(phone, eventIds) {
   }
 }
 
+/** Fold a discover search into the user's persistent profile (non-blocking). */
+function trackProfileSearch(phone, poolResult) {
+  try {
+    const db = require('./db');
+    db.recordProfileSearch(hashPhone(phone), {
+      neighborhood: poolResult.hood || poolResult.borough || null,
+      filters: poolResult.activeFilters,
+    });
+  } catch (err) {
+    console.warn('profile tracking failed:', err.message);
+  }
+}
+
 /**
  * Eval check: detect if SMS ends with a question but no clarify tool was called.
  * Returns true if this is a "question leak" — model bypassed the clarify tool.
@@ -1,6 +1,6 @@
 /**
  * BM25 — pure-function implementation, no external dependencies.
- * Reusable in Phase A (will be copied into pulse-rag-hybrid/src/retrieval/).
+ * Used by the search pool's free-text retrieval stage (see query-retrieval.js).
  *
  * Standard formula: k1=1.2, b=0.75, smoothed-positive IDF.
  */
@@ -3,68 +3,40 @@
  */
 
 const { extractNeighborhood, BOROUGHS, detectBorough } = require('./neighborhoods');
-const { getAdjacentNeighborhoods, getNycDateString, filterByTimeAfter, filterUpcomingEvents } = require('./geo');
-const { getEvents, getEventsForBorough, getEventsCitywide, getCacheStatus, scoreInterestingness, scoreSurprise, selectDiversePicks } = require('./events');
+const { getAdjacentNeighborhoods, getNycDateString, filterByTimeAfter, filterUpcomingEvents, POINT_RADIUS_KM } = require('./geo');
+const { getEvents, getEventsNearPoint, getEventsForBorough, getEventsCitywide, getCacheStatus, scoreInterestingness, scoreSurprise, selectDiversePicks } = require('./events');
 const { filterKidsEvents } = require('./curation');
-const { buildTaggedPool, buildEventMap, saveResponseFrame, mergeFilters, buildZeroMatchResponse, describeFilters, failsTimeGate, eventMatchesFilters, computeTimeProximityBoost } = require('./pipeline');
-const { setSession } = require('./session');
+const { buildTaggedPool, buildEventMap, saveResponseFrame, mergeFilters, buildZeroMatchResponse, describeFilters, failsTimeGate, eventMatchesFilters, computeTimeProximityBoost, normalizeFilters, isExcluded, matchesVenue, hasMatchFilters, EXCLUDE_KEYS } = require('./pipeline');
+const { setSession, hashPhone } = require('./session');
+const { resolveDateExpression, normalizeClockTime } = require('./date-resolver');
+const { rankEventsByQuery, tagRetrievalRanks, computeRetrievalBoost } = require('./query-retrieval');
+const { transitToEvent, neighborhoodPoint } = require('./transit');
+const { resolveLocation } = require('./location');
+const { weatherWarning } = require('./weather');
+
+// Radius a sparse point search widens to (~35 min walk)
+const POINT_RADIUS_WIDE_KM = 3;
 
 // --- Date range resolution ---
 
-function resolveDateRange(value) {
-  if (!value) return null;
-  const todayNyc = getNycDateString(0);
+/**
+ * Resolve the search tool's date_range — a named bucket ("this_weekend"), an
+ * ISO date or range, or free text ("friday the 24th", "saturday afternoon") —
+ * to { start, end }, plus time_after / time_before when the text names a time
+ * window. Null when nothing resolves. See date-resolver.js.
+ */
+function resolveDateRange(value, { nowMs = Date.now() } = {}) {
+  return resolveDateExpression(value, { nowMs });
+}
 
-  switch (value) {
-    case 'today':
-      return { start: todayNyc, end: todayNyc };
-    case 'tomorrow': {
-      const tmrw = getNycDateString(1);
-      return { start: tmrw, end: tmrw };
-    }
-    case 'this_weekend': {
-      // Find next Saturday
-      const now = new Date();
-      const nycDay = parseInt(new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', weekday: 'short' })
-        .format(now).slice(0, 3) === 'Sat' ? 0 :
-        new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', weekday: 'short' })
-          .format(now).slice(0, 3) === 'Sun' ? 0 : -1);
-      // Simpler: use day-of-week offset
-      const dayParts = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', weekday: 'long' }).format(now);
-      const dayMap = { Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5, Saturday: 6 };
-      const currentDay = dayMap[dayParts] ?? 0;
-      // If it's already Saturday or Sunday, weekend starts today
-      if (currentDay === 6) {
-        return { start: todayNyc, end: getNycDateString(1) };
-      }
-      if (currentDay === 0) {
-        return { start: todayNyc, end: todayNyc };
-      }
-      // Friday — include today through Sunday
-      if (currentDay === 5) {
-        return { start: todayNyc, end: getNycDateString(2) };
-      }
-      const daysToSat = 6 - currentDay;
-      return { start: getNycDateString(daysToSat), end: getNycDateString(daysToSat + 1) };
-    }
-    case 'this_week': {
-      // Today through Sunday
-      const dayParts2 = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', weekday: 'long' }).format(new Date());
-      const dayMap2 = { Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5, Saturday: 6 };
-      const currentDay2 = dayMap2[dayParts2] ?? 0;
-      const daysToSunday = currentDay2 === 0 ? 0 : 7 - currentDay2;
-      return { start: todayNyc, end: getNycDateString(daysToSunday) };
-    }
-    case 'next_week': {
-      const dayParts3 = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', weekday: 'long' }).format(new Date());
-      const dayMap3 = { Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5, Saturday: 6 };
-      const currentDay3 = dayMap3[dayParts3] ?? 0;
-      const daysToNextMon = currentDay3 === 0 ? 1 : 8 - currentDay3;
-      return { start: getNycDateString(daysToNextMon), end: getNycDateString(daysToNextMon + 6) };
-    }
-    default:
-      return null;
-  }
+/**
+ * Where travel times are measured from: the origin the user stated ("coming
+ * from Astoria", "near Union Sq"), else the searched neighborhood, else their
+ * last one. Returns a routing point { name, lat, lng } or null.
+ */
+function resolveTransitOrigin(stated, hood, session) {
+  const statedHood = stated ? extractNeighborhood(stated) : null;
+  return neighborhoodPoint(statedHood || hood || session?.lastNeighborhood);
 }
 
 /**
@@ -93,10 +65,11 @@ function executeMore(session) {
       ? allRemaining.filter(e => boroughHoods.has(e.neighborhood))
       : allRemaining;
 
-  // Hard time gate: exclude events before time_after
-  const timeGated = activeFilters.time_after
+  // Hard time gate: exclude events before time_after / at or after time_before
+  let timeGated = activeFilters.time_after
     ? filterByTimeAfter(inHoodRemaining, activeFilters.time_after)
     : inHoodRemaining;
+  if (activeFilters.time_before) timeGated = timeGated.filter(e => !failsTimeGate(e, null, activeFilters.time_before));
 
   // Name dedup: exclude events whose name matches any previously shown event
   const offeredNames = new Set(
@@ -238,9 +211,61 @@ function validatePicks(picks, events) {
 
 // --- Pool building: search_events steps 1-6 ---
 
+/**
+ * Load the persistent user profile for scoring. Never blocks a search —
+ * a missing or unreadable profile just means no personalization.
+ */
+function loadUserProfile(phone) {
+  if (!phone) return null;
+  try {
+    return require('./db').getUserProfile(hashPhone(phone));
+  } catch (err) {
+    console.warn('user profile load failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Persist venues the user excluded so they stay skipped past this session.
+ * Never blocks a search.
+ */
+function rememberVenueBlocks(phone, venues) {
+  if (!phone || !venues?.length) return;
+  try {
+    require('./db').addVenueBlocks(hashPhone(phone), venues);
+  } catch (err) {
+    console.warn('venue block save failed:', err.message);
+  }
+}
+
+/**
+ * Lift remembered blocks on venues the user asked for again. Never blocks a search.
+ */
+function forgetVenueBlocks(phone, venues) {
+  if (!phone || !venues?.length) return;
+  try {
+    require('./db').removeVenueBlocks(hashPhone(phone), venues);
+  } catch (err) {
+    console.warn('venue unblock failed:', err.message);
+  }
+}
+
+/** Either name covers the other ("Elsewhere" and "Elsewhere Rooftop"). */
+function venuesOverlap(venue, names) {
+  return matchesVenue(venue, names) || names.some(n => matchesVenue(n, [venue]));
+}
+
+/** The query text names this venue as whole words. */
+function queryNamesVenue(query, venue) {
+  const norm = t => ` ${String(t || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+  const name = norm(venue).replace(/^ the /, ' ');
+  return name.trim().length > 0 && norm(query).includes(name);
+}
+
 /**
  * Build the event pool for a search_events call.
- * Steps 1-6: resolve neighborhood, build filters, fetch events, build tagged pool, handle zero match.
+ * Steps 1-6: resolve neighborhood, build filters, fetch events, rank by free-text query,
+ * build tagged pool, handle zero match.
  * Does NOT compose — returns pool + metadata for the caller to compose.
  */
 async function buildSearchPool(params, session, phone, trace) {
@@ -249,8 +274,24 @@ async function buildSearchPool(params, session, phone, trace) {
   let borough = null;
   let isBorough = false;
   let isCitywide = false;
+  let point = null;
+
+  // 0. An address, intersection or shared pin: search a radius around that exact
+  // point. A plain neighborhood name falls through to the usual hood search.
+  if (params.near) {
+    const location = await resolveLocation(params.near);
+    trace.events.location = location
+      ? { query: String(params.near).slice(0, 120), source: location.source, lat: location.lat, lng: location.lng, neighborhood: location.neighborhood }
+      : { query: String(params.near).slice(0, 120), unresolved: true };
+    if (location?.source === 'neighborhood') {
+      if (!params.neighborhood) hood = location.neighborhood;
+    } else if (location) {
+      point = location;
+      hood = location.neighborhood;
+    }
+  }
 
-  if (params.neighborhood) {
+  if (params.neighborhood && !point && !hood) {
     // Try to resolve as neighborhood first
     hood = extractNeighborhood(params.neighborhood);
     if (!hood) {
@@ -264,7 +305,7 @@ async function buildSearchPool(params, session, phone, trace) {
   }
 
   // Fall back to session neighborhood if brain didn't specify one
-  if (!hood && !borough && !isCitywide) {
+  if (!hood && !borough && !isCitywide && !point) {
     if (params.intent === 'new_search' && !params.neighborhood) {
       // New search with no neighborhood — citywide
       isCitywide = true;
@@ -291,30 +332,82 @@ async function buildSearchPool(params, session, phone, trace) {
     toolFilters.category = params.category;
   }
   if (params.free_only) toolFilters.free_only = true;
-  if (params.time_after && /^\d{2}:\d{2}$/.test(params.time_after)) toolFilters.time_after = params.time_after;
-  if (params.date_range) {
-    toolFilters.date_range = resolveDateRange(params.date_range);
-  } else {
-    // Default to today — users texting a neighborhood mean "tonight."
-    // Model can explicitly pass date_range for broader searches.
-    toolFilters.date_range = resolveDateRange('today');
+  const maxPrice = Number(params.max_price);
+  if (params.max_price != null && Number.isFinite(maxPrice) && maxPrice >= 0) {
+    if (maxPrice === 0) toolFilters.free_only = true;
+    else toolFilters.max_price = maxPrice;
+  }
+  // Default to today — users texting a neighborhood mean "tonight."
+  // Model can explicitly pass date_range for broader searches; one that doesn't
+  // resolve goes back to the model to clarify instead of quietly meaning today.
+  const resolved = params.date_range ? resolveDateRange(params.date_range) : null;
+  if (params.date_range && !resolved) {
+    trace.events.date_range_unresolved = String(params.date_range).slice(0, 80);
+    return { zeroMatch: null, unresolvedDate: trace.events.date_range_unresolved };
   }
+  toolFilters.date_range = resolved ? { start: resolved.start, end: resolved.end } : resolveDateRange('today');
+  // Explicit time params win over a window named inside date_range ("saturday afternoon")
+  const timeAfter = normalizeClockTime(params.time_after) || resolved?.time_after || null;
+  const timeBefore = normalizeClockTime(params.time_before) || resolved?.time_before || null;
+  if (timeAfter) toolFilters.time_after = timeAfter;
+  if (timeBefore) toolFilters.time_before = timeBefore;
+  const access = normalizeFilters({ accessibility: params.accessibility, youngest_age: params.youngest_age });
+  if (access) Object.assign(toolFilters, access);
+  // Exclusions: an empty list is kept so it can clear a carried-over one
+  const exclusionParams = {};
+  for (const key of EXCLUDE_KEYS) if (Array.isArray(params[key])) exclusionParams[key] = params[key];
+  Object.assign(toolFilters, Object.fromEntries(Object.keys(exclusionParams).map(k => [k, []])), normalizeFilters(exclusionParams));
+  rememberVenueBlocks(phone, toolFilters.exclude_venues);
+  const includeVenues = (Array.isArray(params.include_venues) ? params.include_venues : [])
+    .map(v => String(v).trim()).filter(Boolean);
 
   // 3. Merge or replace based on intent
   let activeFilters;
   if (params.intent === 'pivot' || params.intent === 'new_search') {
+    // A new search resets constraints, but "no comedy" / "not in Manhattan" still stand
     activeFilters = toolFilters;
+    for (const key of EXCLUDE_KEYS) {
+      if (!(key in toolFilters) && session?.lastFilters?.[key]?.length) activeFilters[key] = session.lastFilters[key];
+    }
   } else {
     // refine — compound with existing
     activeFilters = mergeFilters(session?.lastFilters, toolFilters);
   }
+  // Venues the user asked for back (include_venues) leave this session's exclusions
+  if (includeVenues.length && activeFilters.exclude_venues) {
+    activeFilters.exclude_venues = activeFilters.exclude_venues.filter(v => !venuesOverlap(v, includeVenues));
+  }
+  for (const key of EXCLUDE_KEYS) {
+    if (activeFilters[key] && !activeFilters[key].length) delete activeFilters[key];
+  }
+
+  // Venues blocked in earlier sessions are dropped too, without joining the
+  // session's filters (they'd show up in every "no X" message otherwise).
+  // include_venues lifts a block for good; a venue named in the query is
+  // searched this time without lifting it.
+  const userProfile = loadUserProfile(phone);
+  const unblocked = (userProfile?.blockedVenues || []).filter(b => venuesOverlap(b, includeVenues));
+  forgetVenueBlocks(phone, unblocked);
+  const blockedVenues = (userProfile?.blockedVenues || [])
+    .filter(b => !unblocked.includes(b) && !queryNamesVenue(params.query, b));
+  const poolFilters = blockedVenues.length
+    ? { ...activeFilters, exclude_venues: [...new Set([...(activeFilters.exclude_venues || []), ...blockedVenues])] }
+    : activeFilters;
+  if (EXCLUDE_KEYS.some(k => poolFilters[k])) {
+    trace.events.exclusions_applied = Object.fromEntries(EXCLUDE_KEYS.filter(k => poolFilters[k]).map(k => [k, poolFilters[k]]));
+  }
 
   // 4. Fetch events
   let events = [];
   let curated = [];
   const eventsStart = Date.now();
 
-  if (hood) {
+  let radiusKm = null;
+  if (point) {
+    radiusKm = POINT_RADIUS_KM;
+    const raw = await getEventsNearPoint(point, { dateRange: activeFilters.date_range, radiusKm });
+    curated = filterKidsEvents(raw);
+  } else if (hood) {
     const raw = await getEvents(hood, { dateRange: activeFilters.date_range });
     curated = filterKidsEvents(raw);
   } else if (isBorough && borough) {
@@ -334,19 +427,50 @@ async function buildSearchPool(params, session, phone, trace) {
   trace.events.candidates_count = curated.length;
   trace.events.candidate_ids = curated.map(e => e.id);
 
+  // 4a. Free-text query: tag the events the hybrid retriever ranks with their rank.
+  // Misses stay in the pool — a filter below may need them — and curatePool boosts the hits.
+  if (typeof params.query === 'string' && params.query.trim() && curated.length > 0) {
+    const retrievalStart = Date.now();
+    const retrieval = await rankEventsByQuery(curated, params.query);
+    trace.events.retrieval = {
+      query: params.query.trim().slice(0, 200),
+      embedder: retrieval.embedder,
+      dense: retrieval.dense,
+      hits: retrieval.ranked.length,
+      top_ids: retrieval.ranked.slice(0, 10).map(r => r.event.id),
+      error: retrieval.error || undefined,
+      ms: Date.now() - retrievalStart,
+    };
+    if (retrieval.ranked.length > 0) curated = tagRetrievalRanks(curated, retrieval.ranked);
+  }
+
   // 5. Build tagged pool
-  const taggedResult = buildTaggedPool(curated, activeFilters, { citywide: isCitywide || isBorough });
+  const taggedResult = buildTaggedPool(curated, poolFilters, { citywide: isCitywide || isBorough });
   let { matchCount, hardCount, softCount, isSparse } = taggedResult;
 
-  // 5a. Auto-expand to adjacent neighborhoods when sparse
-  if (isSparse && hood && !isBorough && !isCitywide) {
+  // 5a. Auto-expand when sparse: a wider radius around a point, else adjacent neighborhoods
+  if (isSparse && point) {
+    const existingIds = new Set(taggedResult.pool.map(e => e.id));
+    const wider = filterUpcomingEvents(filterKidsEvents(
+      await getEventsNearPoint(point, { dateRange: activeFilters.date_range, radiusKm: POINT_RADIUS_WIDE_KM })
+    )).filter(e => !existingIds.has(e.id) && !isExcluded(e, poolFilters));
+    if (wider.length > 0) {
+      for (const e of wider) {
+        e._nearby = true;
+        e._nearbyFrom = point.label;
+      }
+      taggedResult.pool.push(...wider);
+      trace.events.nearby_expansion = { from: point.label, radius_km: POINT_RADIUS_WIDE_KM, added: wider.length };
+      radiusKm = POINT_RADIUS_WIDE_KM;
+    }
+  } else if (isSparse && hood && !isBorough && !isCitywide) {
     const expandHoods = getAdjacentNeighborhoods(hood, 3);
     if (expandHoods.length > 0) {
       console.log(`[POOL] Sparse results for ${hood} (${matchCount} matches), expanding to: ${expandHoods.join(', ')}`);
       const existingIds = new Set(taggedResult.pool.map(e => e.id));
       const qualityEvents = getEvents();
       const adjacentEvents = qualityEvents.filter(e =>
-        expandHoods.includes(e.neighborhood) && !existingIds.has(e.id)
+        expandHoods.includes(e.neighborhood) && !existingIds.has(e.id) && !isExcluded(e, poolFilters)
       );
       if (adjacentEvents.length > 0) {
         for (const e of adjacentEvents) {
@@ -359,8 +483,13 @@ async function buildSearchPool(params, session, phone, trace) {
     }
   }
 
-  // 5b. Score and trim pool to top N for the model
-  const { curatedPool: trimmedPool, fullScoredPool } = curatePool(taggedResult.pool, hood);
+  // 5b. Score and trim pool to top N for the model (personalized by cross-day profile)
+  trace.events.profile_sessions = userProfile?.sessionCount || 0;
+  const origin = point
+    ? { name: point.label, lat: point.lat, lng: point.lng }
+    : resolveTransitOrigin(params.origin, hood, session);
+  trace.events.transit_origin = origin?.name || null;
+  const { curatedPool: trimmedPool, fullScoredPool } = curatePool(taggedResult.pool, hood, { userProfile, origin });
   events = trimmedPool;
 
   trace.events.sent_to_claude = events.length;
@@ -373,7 +502,12 @@ async function buildSearchPool(params, session, phone, trace) {
     source_vibe: e.source_vibe || null,
     editorial_signal: e.editorial_signal || false,
     scarcity: e.scarcity || null,
+    weather_note: e.weather_note || undefined,
+    sources: e.sources?.map(s => s.label),
     interestingness: scoreInterestingness(e) + computeTimeProximityBoost(e),
+    retrieval_rank: e.retrieval_rank || undefined,
+    transit_minutes: e.transit_minutes ?? undefined,
+    distance_km: e.distance_km ?? undefined,
   }));
   trace.events.pool_meta = { matchCount, hardCount, softCount, isSparse };
   trace.events.full_scored_count = fullScoredPool.length;
@@ -387,12 +521,14 @@ async function buildSearchPool(params, session, phone, trace) {
     by_reason: {},
   };
 
-  if (activeFilters.time_after) {
-    const timeExcluded = curated.filter(e => !poolIds.has(e.id) && failsTimeGate(e, activeFilters.time_after));
+  const userExcluded = curated.filter(e => isExcluded(e, poolFilters));
+  if (userExcluded.length > 0) exclusions.by_reason.user_exclusion = userExcluded.length;
+  if (activeFilters.time_after || activeFilters.time_before) {
+    const timeExcluded = curated.filter(e => !poolIds.has(e.id) && failsTimeGate(e, activeFilters.time_after, activeFilters.time_before));
     if (timeExcluded.length > 0) exclusions.by_reason.time_gate = timeExcluded.length;
   }
   if (activeFilters.category || (activeFilters.categories && activeFilters.categories.length > 0)) {
-    const catMissed = curated.filter(e => !poolIds.has(e.id) && eventMatchesFilters(e, activeFilters) === false);
+    const catMissed = curated.filter(e => !poolIds.has(e.id) && !isExcluded(e, poolFilters) && eventMatchesFilters(e, activeFilters) === false);
     if (catMissed.length > 0) exclusions.by_reason.category_mismatch = catMissed.length;
   }
   const accountedFor = Object.values(exclusions.by_reason).reduce((a, b) => a + b, 0);
@@ -403,7 +539,7 @@ async function buildSearchPool(params, session, phone, trace) {
 
   // 6. Zero match → deterministic response
   const nearbyHoods = hood ? getAdjacentNeighborhoods(hood, 3) : [];
-  if (matchCount === 0 && Object.values(activeFilters).some(Boolean)) {
+  if (matchCount === 0 && hasMatchFilters(activeFilters)) {
     const zeroResp = buildZeroMatchResponse(hood, activeFilters, nearbyHoods);
     trace.composition.latency_ms = 0;
     trace.composition.zero_match_bypass = true;
@@ -457,6 +593,8 @@ async function buildSearchPool(params, session, phone, trace) {
     suggestedHood,
     excludeIds,
     nearbyHighlight,
+    transitFrom: origin?.name || null,
+    near: point ? { label: point.label, neighborhood: point.neighborhood, radius_km: radiusKm } : null,
   };
 }
 
@@ -597,21 +735,64 @@ function computeNearbyHighlight(requestedEvents, nearbyEvents, requestedHood) {
 
 const DEFAULT_POOL_SIZE = 8;
 
+// Outdoor events with rain or extreme temps forecast for their slot drop this
+// much — enough to lose to a comparable indoor pick, not enough to vanish.
+const WEATHER_PENALTY = 3;
+
+/**
+ * Small boost for events matching a returning user's established tastes.
+ * Mirrors scoreSurprise's sessionCount >= 2 gate so first-timers are unaffected;
+ * the serendipity slot still pulls the other way.
+ */
+function computeProfileAffinity(event, userProfile) {
+  if (!userProfile || userProfile.sessionCount < 2) return 0;
+  let boost = 0;
+  const topCats = Object.entries(userProfile.categories || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([k]) => k);
+  if (event.category && topCats.includes(event.category)) boost += 1;
+  if (userProfile.pricePreference === 'free' && event.is_free) boost += 1;
+  return boost;
+}
+
+/**
+ * Penalty for distant padding: free within 15 minutes, then a point per 5
+ * minutes — a 40-minute trip has to be clearly better than a walk-over.
+ */
+function computeTransitPenalty(event) {
+  if (event.transit_minutes == null) return 0;
+  return Math.max(0, (event.transit_minutes - 15) / 5);
+}
+
 /**
  * Score every event by interestingness, then select top N with category diversity.
- * Requested-hood events are prioritized; nearby events pad remaining slots.
+ * Requested-hood events are prioritized; nearby events pad remaining slots,
+ * ranked with travel time from `origin` (see transit.js) when one is given.
+ * Every event is stamped with transit_minutes / transit_label from the origin.
+ * Outdoor events with bad weather forecast for their slot are demoted and
+ * carry a weather_note for the model to caveat.
  * Returns { curatedPool, fullScoredPool }.
  */
-function curatePool(pool, requestedHood, { poolSize = DEFAULT_POOL_SIZE, userProfile = null } = {}) {
+function curatePool(pool, requestedHood, { poolSize = DEFAULT_POOL_SIZE, userProfile = null, origin = null } = {}) {
   if (!pool || pool.length === 0) {
     return { curatedPool: [], fullScoredPool: [] };
   }
 
-  // 1. Score every event (with time-proximity boost)
-  const fullScoredPool = pool.map(e => ({
-    ...e,
-    interestingness: scoreInterestingness(e) + computeTimeProximityBoost(e),
-  }));
+  // 1. Score every event (with time-proximity boost, returning-user affinity, free-text query rank and weather)
+  const fullScoredPool = pool.map(e => {
+    const transit = origin ? transitToEvent(origin, e) : null;
+    const weather = weatherWarning(e);
+    const scored = {
+      ...e,
+      interestingness: scoreInterestingness(e) + computeTimeProximityBoost(e) + computeProfileAffinity(e, userProfile) + computeRetrievalBoost(e)
+        - (weather ? WEATHER_PENALTY : 0),
+      transit_minutes: transit ? transit.minutes : null,
+      transit_label: transit ? transit.label : null,
+    };
+    if (weather) scored.weather_note = weather.note;
+    return scored;
+  });
 
   // 2. Split into requested hood vs nearby
   const hoodEvents = fullScoredPool.filter(e => e.neighborhood === requestedHood);
@@ -620,12 +801,13 @@ function curatePool(pool, requestedHood, { poolSize = DEFAULT_POOL_SIZE, userPro
   // 3. Pick top N from requested hood with category diversity
   const hoodPicks = selectDiversePicks(hoodEvents, poolSize);
 
-  // 4. If hood doesn't fill poolSize, pad with best nearby sorted by interestingness
+  // 4. If hood doesn't fill poolSize, pad with best nearby by interestingness less travel time
   let curatedPool;
   if (hoodPicks.length >= poolSize) {
     curatedPool = hoodPicks.slice(0, poolSize);
   } else {
-    const nearbySorted = [...nearbyEvents].sort((a, b) => b.interestingness - a.interestingness);
+    const reach = e => e.interestingness - computeTransitPenalty(e);
+    const nearbySorted = [...nearbyEvents].sort((a, b) => reach(b) - reach(a));
     const remaining = poolSize - hoodPicks.length;
     curatedPool = [...hoodPicks, ...nearbySorted.slice(0, remaining)];
   }
@@ -664,5 +846,6 @@ function curatePool(pool, requestedHood, { poolSize = DEFAULT_POOL_SIZE, userPro
 module.exports = {
   resolveDateRange, executeMore, executeDetails, validatePicks,
   buildSearchPool, executeWelcome, formatWelcomePick, welcomeTimeLabel,
-  curatePool, computeNearbyHighlight, DEFAULT_POOL_SIZE,
+  curatePool, computeProfileAffinity, computeTransitPenalty, computeNearbyHighlight, DEFAULT_POOL_SIZE, WEATHER_PENALTY,
+  resolveTransitOrigin, queryNamesVenue,
 };
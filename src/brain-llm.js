@@ -4,7 +4,7 @@
 
 const { NEIGHBORHOODS } = require('./neighborhoods');
 const { getNycDateString } = require('./geo');
-const { describeFilters } = require('./pipeline');
+const { describeFilters, accessibilityStatus } = require('./pipeline');
 
 // --- Neighborhood list for system prompt ---
 const NEIGHBORHOOD_NAMES = Object.keys(NEIGHBORHOODS);
@@ -19,7 +19,7 @@ const CURATION_INTERACTIVE = '';
 const BRAIN_TOOLS = [
   {
     name: 'search',
-    description: 'Search for things to do in NYC — events, bars, restaurants, or all of the above. Returns curated picks ranked by quality; write your SMS as plain text after seeing results, leading with WHY each pick is good using the \'recommended\' and \'why\' fields. Also handles follow-ups: use intent \'details\' when the user references a specific pick (number, name, or description), and intent \'more\' when they want additional picks.',
+    description: 'Search for things to do in NYC — events, bars, restaurants, or all of the above. Returns curated picks ranked by quality; write your SMS as plain text after seeing results, leading with WHY each pick is good using the \'recommended\' and \'why\' fields. Also handles follow-ups: use intent \'details\' when the user references a specific pick (number, name, or description), intent \'more\' when they want additional picks, and intent \'save\' when they want a reminder for a pick.',
     parameters: {
       type: 'object',
       properties: {
@@ -43,11 +43,40 @@ const BRAIN_TOOLS = [
               description: 'Event category filters. Events matching ANY category are included.',
             },
             free_only: { type: 'boolean', description: 'Only show free events' },
-            time_after: { type: 'string', description: 'Only events after this time, HH:MM 24hr format (e.g. "22:00")', nullable: true },
+            max_price: { type: 'number', nullable: true, description: 'Ticket price ceiling in dollars ("under $20" → 20, "cheap" → 20). Use free_only instead of 0; omit when the user isn\'t budget-minded.' },
+            youngest_age: { type: 'integer', nullable: true, description: 'Age of the youngest person going, when it matters ("I\'m 19", "bringing my 15-year-old"). Drops 21+ / 18+ events they can\'t enter; events with no stated policy are kept and marked unknown.' },
+            accessibility: {
+              type: 'array', nullable: true,
+              items: { type: 'string', enum: ['step_free', 'asl', 'captioned', 'relaxed'] },
+              description: 'Access needs: step_free (wheelchair / no stairs), asl (ASL interpreted), captioned (open captions), relaxed (relaxed or sensory-friendly). Events we have no data on are kept and marked "unknown".',
+            },
+            exclude_categories: {
+              type: 'array', nullable: true,
+              items: {
+                type: 'string',
+                enum: ['comedy', 'jazz', 'live_music', 'dj', 'trivia', 'film', 'theater',
+                  'art', 'dance', 'community', 'food_drink', 'spoken_word', 'classical', 'nightlife'],
+              },
+              description: 'Categories the user doesn\'t want ("no comedy", "anything but DJs"). Kept across searches this session; pass [] to lift.',
+            },
+            exclude_venues: {
+              type: 'array', nullable: true, items: { type: 'string' },
+              description: 'Venues the user won\'t go to ("skip Elsewhere", "not Baby\'s again"). Remembered for this user beyond the session; lift with include_venues.',
+            },
+            include_venues: {
+              type: 'array', nullable: true, items: { type: 'string' },
+              description: 'Venues the user takes back or asks for by name ("actually Elsewhere is fine", "what\'s at Baby\'s tonight"). Lifts an earlier exclude_venues, including one remembered from past sessions.',
+            },
+            exclude_boroughs: {
+              type: 'array', nullable: true,
+              items: { type: 'string', enum: ['manhattan', 'brooklyn', 'queens', 'bronx', 'staten island'] },
+              description: 'Boroughs the user won\'t travel to ("not in Manhattan"). Kept across searches this session; pass [] to lift.',
+            },
+            time_after: { type: 'string', description: 'Only events starting at or after this time, HH:MM 24hr format (e.g. "22:00")', nullable: true },
+            time_before: { type: 'string', description: 'Only events starting before this time, HH:MM 24hr format (e.g. "21:00"). Pair with time_after for a window like "between 7 and 9".', nullable: true },
             date_range: {
-              type: 'string', description: 'Date scope for the search',
-              nullable: true,
-              enum: ['today', 'tomorrow', 'this_weekend', 'this_week', 'next_week'],
+              type: 'string', nullable: true,
+              description: 'Date scope for the search. One of today, tomorrow, this_weekend, this_week, next_week; an ISO date ("2026-10-24") or range ("2026-10-24/2026-10-26"); or the user\'s own words ("friday the 24th", "halloween", "saturday afternoon", "friday to sunday"). Dates resolve in NYC time; a time of day in the words becomes a time window.',
             },
             vibe: {
               type: 'string', nullable: true,
@@ -57,14 +86,26 @@ const BRAIN_TOOLS = [
             },
           },
         },
+        query: {
+          type: 'string', nullable: true,
+          description: 'The user\'s own words for what they want when categories can\'t capture it ("queer dance party with a live band", "something with puppets"). Ranks events by text and meaning match. Combine with filters; omit for plain neighborhood or category asks.',
+        },
+        origin: {
+          type: 'string', nullable: true,
+          description: 'Where the user is starting from, if they said ("coming from Astoria", "heading over from Union Sq") — a neighborhood or landmark. Picks are ranked and labeled by subway time from here. Omit to measure from the neighborhood being searched.',
+        },
+        near: {
+          type: 'string', nullable: true,
+          description: 'An exact spot to search around when the user gives one: a street address ("123 Ludlow St"), an intersection ("Bedford & N 7th"), a shared location or coordinates ("40.7218,-73.9877"), or a map link. Searches a walkable radius around that point instead of a whole neighborhood. Pass their words as-is; leave neighborhood empty.',
+        },
         intent: {
           type: 'string',
-          enum: ['discover', 'more', 'details'],
-          description: 'discover = new or refined search, more = additional picks beyond what was already shown, details = info about a specific pick',
+          enum: ['discover', 'more', 'details', 'save'],
+          description: 'discover = new or refined search, more = additional picks beyond what was already shown, details = info about a specific pick, save = text the user a reminder before a specific pick starts',
         },
         reference: {
           type: 'string',
-          description: 'How the user referenced a previously shown pick. Can be a number ("2"), event name ("the comedy one"), or venue name ("Elsewhere"). Only used with intent: "details".',
+          description: 'How the user referenced a previously shown pick. Can be a number ("2"), event name ("the comedy one"), or venue name ("Elsewhere"). Used with intent: "details" or "save".',
           nullable: true,
         },
       },
@@ -90,6 +131,31 @@ const BRAIN_TOOLS = [
       required: ['venue_name'],
     },
   },
+  {
+    name: 'itinerary',
+    description: 'Plan a night around one pick the user already saw: a restaurant before it and a bar after it, timed to the event and checked against each place\'s opening hours and the travel time between stops. Use when they want to make a night of it ("plan my night around 2", "dinner before the comedy show", "where should we get drinks after?"). Returns 2-3 timed stops in order, one pick per slot, plus any slot that couldn\'t be filled and why.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reference: {
+          type: 'string',
+          description: 'The anchor pick, as the user referenced it: a number ("2"), event name, or venue name.',
+        },
+        include: {
+          type: 'array', nullable: true,
+          items: { type: 'string', enum: ['dinner', 'drinks'] },
+          description: 'Which stops to add around the event. Defaults to both; pass one when they only asked for dinner or only for drinks.',
+        },
+        vibe: {
+          type: 'string', nullable: true,
+          enum: ['dive', 'cocktail', 'wine', 'rooftop', 'date_night',
+                 'group_friendly', 'outdoor', 'live_music', 'casual', 'upscale'],
+          description: 'Vibe for the after-show bar',
+        },
+      },
+      required: ['reference'],
+    },
+  },
   {
     name: 'clarify',
     description: 'Ask the user a question with concrete options before searching. Use this liberally — it is the DEFAULT on a first substantive request unless the user has already given neighborhood + (category OR vibe OR time). Also use on context shifts, bare boroughs, and preference-laden queries. Provide 3-4 concrete options so the user can reply with a number or short phrase. If one option is the clear lead, prefix its label with "(Recommended) ". This is a terminal action — the question becomes the SMS.',
@@ -182,12 +248,18 @@ Your knowledge comes from these fields only:
 - why / recommended — curator signals about what makes a pick interesting (one-night-only, tastemaker pick, tiny room, free). Trust these.
 - venue_profile — stored venue context (vibe, what to expect). Trust it when present.
 - lookup_venue tool — call this when you're writing a details response and the venue data is thin.
+- transit — estimated subway time to the pick from transit_from ("~18 min on the L"). Use it when a pick is outside their neighborhood. A "(rough)" time is a ballpark, not a schedule — say "roughly 20 min on the L", never a precise figure. Never guess travel times yourself.
+- distance_km — for searches near an exact spot (near), straight-line distance from it. Say "a few blocks away" or "about 1 km" — don't recite decimals.
+- age_policy — the door policy: "21+", "18+" or "all_ages". Mention it when it limits who can go. If they gave an age and a pick has no age_policy, say you're not sure of the door policy.
+- accessibility — when they asked for access needs, each pick's status per need: "yes", "no" or "unknown". Only call a pick step-free or interpreted when it says "yes". For "unknown", say so plainly and suggest checking with the venue.
+- sources — when more than one newsletter or listing picked the same event, who did ("Skint", "NonsenseNYC"). That's a real signal — say it the way a friend who reads them would ("both The Skint and Nonsense flagged this"). Never name a source that isn't listed.
+- weather_note — an outdoor pick with rain or extreme temps forecast for its slot ("70% chance of rain around 8pm"). If you still recommend it, say so in a few words and name an indoor pick as the fallback. Never make up weather.
 
 Everything else is fabrication. Don't invent venue descriptions, atmosphere, crowd vibes, or "what to expect" from your general knowledge. If short_detail says "World premiere of a documentary with expert Q&A" — use that. If an event is just a title + time + venue with no context, say what you know and nothing more.
 
 TRUST THE DATA:
 - Events labeled TODAY are today. Events labeled TOMORROW are tomorrow. Do not second-guess the day labels — they are computed from the current date above. NEVER do your own date math to contradict these labels. If an event says TODAY, it is today. Period.
-- Never say the calendar is "thin" or "not showing much." Never say "there's not much live going on" or "the listings haven't updated yet." You see a curated sample — there are always more events behind it. When you broaden beyond the user's stated filters (different neighborhood, adjacent category, paid when they asked free), NAME IT — don't hide it. Events come tagged with \`off_query: true\` and an \`off_query_reason\` — echo that reason naturally: "nothing great in LES tonight, but 10 min over in Williamsburg there's…" Transparency beats seamless illusion.
+- Never say the calendar is "thin" or "not showing much." Never say "there's not much live going on" or "the listings haven't updated yet." You see a curated sample — there are always more events behind it. When you broaden beyond the user's stated filters (different neighborhood, adjacent category, paid when they asked free), NAME IT — don't hide it. Events come tagged with \`off_query: true\` and an \`off_query_reason\` — echo that reason naturally, with the pick's transit time when it has one: "nothing great in LES tonight, but ~15 min over in Williamsburg there's…" Transparency beats seamless illusion.
 - Never use internal language like "pool", "closest match", or "best match I could find." Just recommend the thing confidently. If you teased "underground techno" earlier, own it — don't walk it back with hedging language.
 - Event data beats Google Places hours. Google shows regular business schedules; events are one-off. If an event is in tonight's results, it's happening tonight. Never tell a user an event "might not be happening" because Google hours don't match.
 - Never expose system internals to users: no "the search is showing me", "I'm seeing", "the data says", "listings haven't updated." You're a friend who knows what's happening — friends don't talk about their data sources.
@@ -210,6 +282,8 @@ How to talk:
 CRITICAL — when to ASK vs SEARCH vs REPLY:
 - ASK (clarify tool) is the DEFAULT on a first substantive request. Only skip clarify when the user has already given neighborhood + at least one of {category, vibe, time}. "bushwick" → ask. "comedy in bushwick" → ask (seated or loud? early or late?). "comedy in bushwick around 9" → search.
 - SEARCH when they've given you enough, or they're refining ("free stuff", "more", "later", "forget the comedy", "what about X"), or they've picked one ("tell me about 2", "the first one").
+- A street address, intersection, map link or "Shared location: lat,lng" message counts as a neighborhood — search with it as \`near\`.
+- "No comedy", "skip Elsewhere", "not in Manhattan" are exclusions — search with exclude_categories / exclude_venues / exclude_boroughs, not by leaving a filter out. When they want a skipped venue back or ask for it by name, pass it in include_venues. \`excluding\` in the results lists what's being skipped; mention it once if it explains a thin list.
 - REPLY (no tool) for: greetings, "thanks", "bye", off-topic chat, questions about how Pulse works.
 - When in doubt between ask and search, ASK. A 20-second clarifying exchange beats three wasted picks.
 - NEVER recommend specific venues or events without search results backing them up.
@@ -242,10 +316,14 @@ When they react:
 - If they narrow ("comedy" or "free stuff"), search with those filters. Don't repackage the same picks.
 - If they ask for bars or restaurants, include those types in your search.
 - If they say "more", use search with intent "more".
+- If they say "remind me", "save that", or "text me before 2", use search with intent "save" and the pick as reference. Confirm in one short line using the result's remind_label — don't promise anything the result doesn't say.
+- If they want to build a night around a pick ("dinner before 2", "plan the night"), use the itinerary tool. Write the stops in order with their times ("7:00 dinner at X (~5 min walk) → 8:30 show → 10:45 drinks at Y"), and say plainly when a slot was skipped. Don't add stops the result doesn't have.
 
 For details responses:
-- Lead with what makes this specific event worth going to (from short_detail/editorial_note), then venue context, then logistics (time, price, address).
+- Lead with what makes this specific event worth going to (from short_detail/editorial_note), then venue context, then logistics (time, price, address, door policy).
+- Door policy comes from age_policy: say "21+" or "18+" plainly, "all ages" when it's all_ages. "Venue's usual policy" means the listing didn't say — hedge ("usually 21+"). When it's unknown, skip it unless they mentioned age.
 - Call lookup_venue if there's no venue_profile for the venue. Weave in what you learn naturally.
+- If the pick has a calendar_url, close with "Add to calendar: <calendar_url>" on its own line. For recurring picks this adds the weekly series.
 - When the user asks "what's the url", "link?", "send me the link" — use search with intent "details" for the most recent pick. The system sends the URL automatically after your details response. Just give them useful info about the event.
 
 Event names:
@@ -375,6 +453,9 @@ function buildRecommendationReason(e) {
   if (e.scarcity === 'one-night-only') parts.push('one-off, won\'t happen again');
   else if (e.scarcity) parts.push(e.scarcity);
   if (e.editorial_signal) parts.push('tastemaker pick');
+  const pickedBy = [...new Set((e.sources || []).map(s => s.label))];
+  if (pickedBy.length === 2) parts.push(`picked by both ${pickedBy[0]} and ${pickedBy[1]}`);
+  else if (pickedBy.length > 2) parts.push(`picked by ${pickedBy.join(', ')}`);
   if (e.source_vibe === 'discovery') parts.push('underground radar');
   else if (e.source_vibe === 'niche') parts.push('local scene');
   if (e.venue_size === 'intimate') parts.push('tiny room');
@@ -443,9 +524,12 @@ function diversifyPool(pool, { targetSize = 5, minCategories = 3 } = {}) {
  * undefined when the event matches cleanly, a short human-readable phrase
  * otherwise (for the model to echo to the user).
  */
-function buildOffQueryReason(e, neighborhood, activeFilters) {
+function buildOffQueryReason(e, neighborhood, activeFilters, near) {
   const reasons = [];
-  if (neighborhood && e.neighborhood && e.neighborhood !== neighborhood) {
+  if (near) {
+    // Point search: distance matters, neighborhood lines don't
+    if (e._nearby && e.distance_km != null) reasons.push(`${e.distance_km} km from ${near.label}`);
+  } else if (neighborhood && e.neighborhood && e.neighborhood !== neighborhood) {
     reasons.push(`in ${e.neighborhood}, not ${neighborhood}`);
   }
   if (activeFilters?.categories?.length && e.category && !activeFilters.categories.includes(e.category)) {
@@ -453,10 +537,22 @@ function buildOffQueryReason(e, neighborhood, activeFilters) {
   }
   if (activeFilters?.free_only && !e.is_free) {
     reasons.push('not free');
+  } else if (activeFilters?.max_price != null && e.price_min != null && e.price_min > activeFilters.max_price && !e.is_free) {
+    reasons.push(`from $${e.price_min}, over $${activeFilters.max_price}`);
   }
   return reasons.length > 0 ? reasons.join('; ') : undefined;
 }
 
+/** Active exclusions as a short list for the model, e.g. ["comedy", "Elsewhere", "manhattan"]. */
+function describeExclusions(activeFilters) {
+  const list = [
+    ...(activeFilters?.exclude_categories || []),
+    ...(activeFilters?.exclude_venues || []),
+    ...(activeFilters?.exclude_boroughs || []),
+  ];
+  return list.length > 0 ? list : undefined;
+}
+
 /**
  * Serialize event pool into compact format for LLM.
  * Recommended slice is chosen for breadth (category/vibe diversity), not
@@ -467,9 +563,10 @@ function serializePoolForContinuation(poolResult) {
   const tomorrowNyc = getNycDateString(1);
   const { pool, hood: neighborhood, activeFilters, isSparse, matchCount,
           nearbyHoods, suggestedHood, excludeIds, isCitywide, isBorough, borough,
-          nearbyHighlight } = poolResult;
+          nearbyHighlight, transitFrom, near } = poolResult;
 
-  const hoodLabel = isBorough ? `${borough} (borough-wide)` : isCitywide ? 'citywide' : neighborhood || 'NYC';
+  const hoodLabel = near ? `near ${near.label}${neighborhood ? ` (${neighborhood})` : ''}`
+    : isBorough ? `${borough} (borough-wide)` : isCitywide ? 'citywide' : neighborhood || 'NYC';
   const filterDesc = activeFilters && Object.values(activeFilters).some(Boolean) ? describeFilters(activeFilters) : '';
 
   const { recommendedIds, roleMap } = diversifyPool(pool);
@@ -477,10 +574,11 @@ function serializePoolForContinuation(poolResult) {
   const events = pool.map((e) => {
     const dayLabel = e.date_local === todayNyc ? 'TODAY' : e.date_local === tomorrowNyc ? 'TOMORROW' : e.date_local;
     const tag = e.filter_match === 'hard' ? '[MATCH]' : e.filter_match === 'soft' ? '[SOFT]' : '';
-    const nearbyTag = (neighborhood && e.neighborhood && e.neighborhood !== neighborhood) ? '[NEARBY]' : '';
+    const nearbyTag = near ? (e._nearby ? '[NEARBY]' : '')
+      : (neighborhood && e.neighborhood && e.neighborhood !== neighborhood) ? '[NEARBY]' : '';
     const why = buildRecommendationReason(e);
     const isRecommended = recommendedIds.has(e.id);
-    const offQueryReason = buildOffQueryReason(e, neighborhood, activeFilters);
+    const offQueryReason = buildOffQueryReason(e, neighborhood, activeFilters, near);
     return {
       id: e.id, name: cleanEventName((e.name || '').slice(0, 80)), venue_name: e.venue_name,
       neighborhood: e.neighborhood, day: dayLabel, start_time_local: e.start_time_local, end_time_local: e.end_time_local || undefined,
@@ -489,6 +587,13 @@ function serializePoolForContinuation(poolResult) {
       recurring: e.is_recurring ? e.recurrence_label : undefined,
       venue_size: e.venue_size || undefined,
       interaction_format: e.interaction_format || undefined,
+      query_rank: e.retrieval_rank || undefined,
+      transit: e.transit_label || undefined,
+      distance_km: near ? e.distance_km ?? undefined : undefined,
+      accessibility: activeFilters?.accessibility?.length ? accessibilityStatus(e, activeFilters.accessibility) : undefined,
+      age_policy: e.age_policy || undefined,
+      weather_note: e.weather_note || undefined,
+      sources: e.sources?.length > 1 ? [...new Set(e.sources.map(s => s.label))] : undefined,
       recommended: isRecommended ? true : undefined,
       diversity_role: isRecommended ? roleMap[e.id] : undefined,
       why: isRecommended ? why : undefined,
@@ -507,6 +612,9 @@ function serializePoolForContinuation(poolResult) {
     suggested_neighborhood: suggestedHood || undefined,
     exclude_ids: excludeIds?.length > 0 ? excludeIds : undefined,
     nearby_highlight: nearbyHighlight || undefined,
+    transit_from: transitFrom || undefined,
+    near: near ? { label: near.label, radius_km: near.radius_km } : undefined,
+    excluding: describeExclusions(activeFilters),
     events,
   };
 }
@@ -0,0 +1,241 @@
+/**
+ * calendar.js — iCalendar (.ics) export for events, served from /e/:eventId.ics.
+ *
+ * Times are written as America/New_York wall-clock with a VTIMEZONE block, so
+ * calendar apps keep 9pm as 9pm across DST. Events stamped recurring by
+ * stampRecurrence get a weekly RRULE from their recurring_patterns row
+ * instead of a single instance.
+ */
+
+const crypto = require('crypto');
+const { isReliableEventUrl } = require('./formatters');
+
+const NYC_TZID = 'America/New_York';
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// US Eastern rules since 2007: DST from 2nd Sunday of March to 1st Sunday of November
+const VTIMEZONE_NYC = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${NYC_TZID}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+// --- Formatting helpers ---
+
+/**
+ * NYC wall-clock time of an event timestamp as "naive" ms (UTC fields = NYC
+ * fields). Offset-less strings are already NYC wall-clock and are read as-is —
+ * round-tripping them through today's UTC offset would shift events across DST.
+ */
+function nycWallClock(str) {
+  if (!str) return NaN;
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(str)) {
+    const ms = Date.parse(str);
+    if (isNaN(ms)) return NaN;
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: NYC_TZID, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(new Date(ms));
+    const get = type => Number(parts.find(p => p.type === type)?.value);
+    return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  }
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!m) return NaN;
+  return Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+}
+
+/** Naive wall-clock ms → "YYYYMMDDTHHMMSS" (floating, paired with TZID). */
+function formatWallClock(naiveMs) {
+  return new Date(naiveMs).toISOString().slice(0, 19).replace(/[-:]/g, '');
+}
+
+/** Epoch ms → UTC "YYYYMMDDTHHMMSSZ". */
+function toUtcStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/** RFC 5545 TEXT escaping. */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), never splitting a UTF-8 character.
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  let limit = 75;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > limit) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+// --- Event → VEVENT ---
+
+/**
+ * Resolve DTSTART/DTEND lines. Timed events use NYC wall-clock with TZID;
+ * date-only events become all-day. Returns null when the event has no date.
+ */
+function buildTimeLines(event, pattern) {
+  let startStr = event.start_time_local;
+  // Untimed instance of a timed pattern: borrow the pattern's time
+  if ((!startStr || !/T\d{2}:/.test(startStr)) && pattern?.time_local && event.date_local) {
+    startStr = `${event.date_local}T${pattern.time_local}:00`;
+  }
+
+  if (startStr && /T\d{2}:/.test(startStr)) {
+    const start = nycWallClock(startStr);
+    if (isNaN(start)) return null;
+    let end = nycWallClock(event.end_time_local);
+    if (isNaN(end) || end <= start) end = start + DEFAULT_DURATION_MS;
+    return [`DTSTART;TZID=${NYC_TZID}:${formatWallClock(start)}`, `DTEND;TZID=${NYC_TZID}:${formatWallClock(end)}`];
+  }
+
+  const date = event.date_local || (startStr && startStr.slice(0, 10));
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  const [y, m, d] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+  return [`DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${next.replace(/-/g, '')}`];
+}
+
+/**
+ * Weekly RRULE from a recurring_patterns row. UNTIL is the end of the pattern's
+ * active_until day — the date Pulse stops vouching for it unless re-confirmed.
+ */
+function buildRrule(pattern) {
+  const day = ICS_DAYS[pattern.day_of_week];
+  if (!day) return null;
+  let rule = `RRULE:FREQ=WEEKLY;BYDAY=${day}`;
+  if (pattern.active_until && /^\d{4}-\d{2}-\d{2}$/.test(pattern.active_until)) {
+    // UNTIL must be UTC when DTSTART has a TZID; 04:59:59Z next day covers the whole NYC day in EST and EDT
+    const [y, m, d] = pattern.active_until.split('-').map(Number);
+    rule += `;UNTIL=${toUtcStamp(Date.UTC(y, m - 1, d + 1, 4, 59, 59))}`;
+  }
+  return rule;
+}
+
+function eventLink(event) {
+  if (event.ticket_url) return event.ticket_url;
+  return isReliableEventUrl(event.source_url) ? event.source_url : null;
+}
+
+/**
+ * Build a VCALENDAR document for one event. Pass the event's active
+ * recurring_patterns row as `pattern` to emit a weekly series.
+ * Returns null when the event has no usable date.
+ */
+function buildEventIcs(event, { pattern = null, nowMs = Date.now() } = {}) {
+  if (!event) return null;
+  const timeLines = buildTimeLines(event, pattern);
+  if (!timeLines) return null;
+
+  const rrule = pattern ? buildRrule(pattern) : null;
+  const uid = rrule
+    ? `recurring-${crypto.createHash('sha1').update(pattern.pattern_key).digest('hex').slice(0, 16)}@pulse-sms`
+    : `${event.id}@pulse-sms`;
+
+  const venue = event.venue_name && event.venue_name !== 'TBA' ? event.venue_name : null;
+  const location = [venue, event.venue_address || (event.neighborhood ? `${event.neighborhood}, New York, NY` : null)]
+    .filter(Boolean).join(', ');
+  const link = eventLink(event);
+  const description = [
+    event.description_short || event.short_detail || null,
+    event.is_free ? 'Free' : (event.price_display || null),
+    rrule && event.recurrence_label ? `Recurring ${event.recurrence_label}` : null,
+    link,
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Pulse//Pulse SMS//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...VTIMEZONE_NYC,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${toUtcStamp(nowMs)}`,
+    ...timeLines,
+    rrule,
+    `SUMMARY:${escapeText(event.name || 'Event')}`,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    link ? `URL:${link}` : null,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Look up the active recurring pattern for an event stamped by stampRecurrence
+ * (or one whose name/venue/weekday matches a pattern). Never throws.
+ */
+function findEventPattern(event) {
+  try {
+    const { getActivePattern, makePatternKey } = require('./db');
+    let key = event.recurrence_pattern_key;
+    if (!key && event.is_recurring && event.name && event.venue_name && event.date_local) {
+      key = makePatternKey(event.name, event.venue_name, new Date(event.date_local + 'T12:00:00').getDay());
+    }
+    return key ? getActivePattern(key) : null;
+  } catch (err) {
+    console.warn('recurring pattern lookup failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Public "add to calendar" link, or null when PULSE_PUBLIC_URL isn't set or the event has no date.
+ */
+function calendarUrl(event) {
+  const base = process.env.PULSE_PUBLIC_URL;
+  if (!base || !event?.id || !(event.start_time_local || event.date_local)) return null;
+  return `${base.replace(/\/$/, '')}/e/${encodeURIComponent(event.id)}.ics`;
+}
+
+module.exports = {
+  buildEventIcs,
+  findEventPattern,
+  calendarUrl,
+  // Exposed for testing
+  nycWallClock,
+  formatWallClock,
+  escapeText,
+  foldLine,
+  buildRrule,
+};
@@ -0,0 +1,197 @@
+/**
+ * channels.js — Messaging channels behind one interface: inbound parsing,
+ * outbound send, length limits and media support.
+ *
+ *   sms       — Twilio SMS/MMS, "+19175551234" addresses
+ *   whatsapp  — Twilio WhatsApp, "whatsapp:+19175551234" addresses
+ *   web       — JSON web chat, "web:<clientId>" addresses. The server mints
+ *               the clientId and a signed token proving it; replies queue in
+ *               an in-memory outbox that the HTTP response (or a poll) drains.
+ *
+ * A channel is { name, maxChars, supportsMedia, segmentBilled, parseInbound(body), send(address, body, opts) }.
+ * The address is the session key everywhere, so background senders (reminders,
+ * nudges, group plans) reach a user on the channel they came in on through
+ * sendMessage without knowing which one it is.
+ */
+
+const crypto = require('crypto');
+const { sendSMS, maskPhone } = require('./twilio');
+
+// Per-message caps. SMS stays at 480 (3-4 segments); WhatsApp's hard limit is 1600.
+const SMS_CHAR_LIMIT = 480;
+const WHATSAPP_CHAR_LIMIT = 1600;
+const WEB_CHAR_LIMIT = 2000;
+
+const WHATSAPP_PREFIX = 'whatsapp:';
+const WEB_PREFIX = 'web:';
+const WEB_CLIENT_ID = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_OUTBOX_MESSAGES = 20;
+const MAX_OUTBOXES = 1000;
+// PULSE_WEB_CHAT_SECRET — signs web chat tokens; unset, tokens only last until restart
+const WEB_TOKEN_SECRET = process.env.PULSE_WEB_CHAT_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * A shared map pin as message text the agent can hand to search's `near` param.
+ * Null unless lat/lng are real numbers.
+ */
+function describeSharedLocation(lat, lng, label) {
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (lat == null || lng == null || !Number.isFinite(la) || !Number.isFinite(ln)) return null;
+  const name = typeof label === 'string' && label.trim() ? ` (${label.trim().slice(0, 80)})` : '';
+  return `Shared location: ${la.toFixed(5)},${ln.toFixed(5)}${name}`;
+}
+
+/**
+ * Twilio inbound webhook fields → { address, message, messageId }.
+ * WhatsApp location pins arrive with an empty Body and Latitude/Longitude
+ * (plus Label/Address for a named place) — they become a "Shared location" message.
+ */
+function parseTwilioInbound(body) {
+  const address = body?.From;
+  const pin = describeSharedLocation(body?.Latitude, body?.Longitude, body?.Label || body?.Address);
+  const message = [body?.Body?.trim(), pin].filter(Boolean).join('\n');
+  if (!message || !address) return null;
+  return { address, message, messageId: body.MessageSid || null };
+}
+
+// --- Twilio SMS ---
+
+const smsChannel = {
+  name: 'sms',
+  maxChars: SMS_CHAR_LIMIT,
+  supportsMedia: true,
+  segmentBilled: true,
+  parseInbound: parseTwilioInbound,
+  send: (address, body, opts) => sendSMS(address, body, opts),
+};
+
+// --- Twilio WhatsApp ---
+
+const whatsappChannel = {
+  name: 'whatsapp',
+  maxChars: WHATSAPP_CHAR_LIMIT,
+  supportsMedia: true,
+  segmentBilled: false,
+  parseInbound(body) {
+    const inbound = parseTwilioInbound(body);
+    return inbound?.address.startsWith(WHATSAPP_PREFIX) ? inbound : null;
+  },
+  send(address, body, opts = {}) {
+    // TWILIO_WHATSAPP_NUMBER — sender registered for WhatsApp (defaults to the SMS number)
+    const from = process.env.TWILIO_WHATSAPP_NUMBER || process.env.TWILIO_PHONE_NUMBER;
+    return sendSMS(address, body, { ...opts, from: `${WHATSAPP_PREFIX}${from}` });
+  },
+};
+
+// --- JSON web chat ---
+
+const outboxes = new Map(); // address → [{ body, mediaUrl, timestamp }]
+
+const webChannel = {
+  name: 'web',
+  maxChars: WEB_CHAR_LIMIT,
+  supportsMedia: false,
+  segmentBilled: false,
+  parseInbound(body) {
+    const clientId = body?.user_id;
+    if (typeof clientId !== 'string' || !WEB_CLIENT_ID.test(clientId)) return null;
+    const text = typeof body.message === 'string' ? body.message.trim().slice(0, 1000) : '';
+    const pin = describeSharedLocation(body.location?.lat, body.location?.lng, body.location?.label);
+    const message = [text, pin].filter(Boolean).join('\n');
+    if (!message) return null;
+    return { address: `${WEB_PREFIX}${clientId}`, message, messageId: null };
+  },
+  async send(address, body, { mediaUrl = null } = {}) {
+    if (!outboxes.has(address) && outboxes.size >= MAX_OUTBOXES) {
+      outboxes.delete(outboxes.keys().next().value);
+    }
+    const outbox = outboxes.get(address) || [];
+    outbox.push({ body, mediaUrl: mediaUrl || undefined, timestamp: new Date().toISOString() });
+    outboxes.set(address, outbox.slice(-MAX_OUTBOX_MESSAGES));
+    return { sid: null, queued: true };
+  },
+};
+
+function signWebClient(clientId) {
+  return crypto.createHmac('sha256', WEB_TOKEN_SECRET).update(clientId).digest('base64url');
+}
+
+/**
+ * Start a web chat session: a fresh clientId and the "<clientId>.<signature>"
+ * token the browser presents on every later request.
+ */
+function issueWebSession() {
+  const clientId = crypto.randomBytes(12).toString('base64url');
+  return { clientId, token: `${clientId}.${signWebClient(clientId)}` };
+}
+
+/**
+ * The clientId a web chat token was issued for, or null if it's malformed or forged.
+ */
+function verifyWebToken(token) {
+  if (typeof token !== 'string') return null;
+  const dot = token.lastIndexOf('.');
+  const clientId = token.slice(0, dot);
+  if (dot < 0 || !WEB_CLIENT_ID.test(clientId)) return null;
+  const given = Buffer.from(token.slice(dot + 1));
+  const expected = Buffer.from(signWebClient(clientId));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? clientId : null;
+}
+
+/**
+ * Remove and return everything queued for a web chat address.
+ */
+function drainOutbox(address) {
+  const messages = outboxes.get(address) || [];
+  outboxes.delete(address);
+  return messages;
+}
+
+// --- Resolution ---
+
+const CHANNELS = { sms: smsChannel, whatsapp: whatsappChannel, web: webChannel };
+
+/**
+ * The channel an address belongs to. Anything without a known prefix is SMS.
+ */
+function channelForAddress(address) {
+  if (typeof address === 'string') {
+    if (address.startsWith(WHATSAPP_PREFIX)) return whatsappChannel;
+    if (address.startsWith(WEB_PREFIX)) return webChannel;
+  }
+  return smsChannel;
+}
+
+/**
+ * Thrown by sendMessage when the address opted out (STOP) and nothing was sent,
+ * so background senders never record an undelivered message as sent.
+ */
+class OptedOutError extends Error {
+  constructor(address) {
+    super(`${maskPhone(address)} opted out`);
+    this.name = 'OptedOutError';
+    this.address = address;
+  }
+}
+
+/**
+ * Send to an address on whatever channel it belongs to.
+ * Throws OptedOutError when the send was blocked by an opt-out.
+ */
+async function sendMessage(address, body, opts) {
+  const result = await channelForAddress(address).send(address, body, opts);
+  if (result?.blocked === 'opted_out') throw new OptedOutError(address);
+  return result;
+}
+
+module.exports = {
+  CHANNELS,
+  SMS_CHAR_LIMIT,
+  channelForAddress,
+  sendMessage,
+  OptedOutError,
+  drainOutbox,
+  issueWebSession,
+  verifyWebToken,
+};
@@ -0,0 +1,107 @@
+/**
+ * cron.js — Five-field cron expressions evaluated in NYC time.
+ *
+ *   minute hour day-of-month month day-of-week
+ *   "0 8,13,15,21 * * *"   four times a day
+ *   "0 14 * * 5,6"         2pm Fridays and Saturdays
+ *
+ * Fields take *, numbers, ranges (a-b), lists (a,b) and steps (* /n, a-b/n).
+ * Day-of-week is 0-6 from Sunday (7 is also Sunday). As in classic cron, when
+ * both day fields are restricted a day matching either one runs.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+const nycParts = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York', hourCycle: 'h23',
+  month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', weekday: 'short',
+});
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`bad ${name} "${part}"`);
+    const step = m[4] ? Number(m[4]) : 1;
+    const lo = m[1] === '*' ? min : Number(m[2]);
+    const hi = m[1] === '*' ? max : m[3] != null ? Number(m[3]) : m[4] ? max : lo;
+    if (step < 1 || lo < min || hi > max || lo > hi) throw new Error(`${name} "${part}" out of range ${min}-${max}`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message when it's invalid.
+ * Returns { expr, minute, hour, dayOfMonth, month, dayOfWeek } (Sets) plus
+ * whether each day field was restricted.
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron "${expr}" needs 5 fields`);
+  const parsed = { expr };
+  FIELDS.forEach((field, i) => {
+    try {
+      parsed[field.name] = parseField(parts[i], field);
+    } catch (err) {
+      throw new Error(`cron "${expr}": ${err.message}`);
+    }
+  });
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+  parsed.domRestricted = parts[2] !== '*';
+  parsed.dowRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+function matchesDay(cron, day, weekday) {
+  const dom = cron.dayOfMonth.has(day);
+  const dow = cron.dayOfWeek.has(weekday);
+  if (cron.domRestricted && cron.dowRestricted) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * The first minute strictly after `after` that matches, as a Date — or null
+ * if nothing matches within a year (e.g. Feb 30).
+ */
+function nextCronRun(cronOrExpr, after = new Date()) {
+  const cron = typeof cronOrExpr === 'string' ? parseCron(cronOrExpr) : cronOrExpr;
+  let t = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    const p = Object.fromEntries(nycParts.formatToParts(new Date(t)).map(x => [x.type, x.value]));
+    const minute = Number(p.minute), hour = Number(p.hour);
+    if (!cron.month.has(Number(p.month)) || !matchesDay(cron, Number(p.day), WEEKDAYS[p.weekday]) || !cron.hour.has(hour)) {
+      t += (60 - minute) * 60000; // skip to the next hour
+      continue;
+    }
+    if (cron.minute.has(minute)) return new Date(t);
+    t += 60000;
+  }
+  return null;
+}
+
+/**
+ * Average runs per day. Restricted day fields count as the share of days they
+ * match (a week for day-of-week, a 31-day month for day-of-month).
+ */
+function runsPerDay(cronOrExpr) {
+  const cron = typeof cronOrExpr === 'string' ? parseCron(cronOrExpr) : cronOrExpr;
+  const weekdays = new Set([...cron.dayOfWeek].map(d => d % 7)).size / 7;
+  const monthDays = cron.dayOfMonth.size / 31;
+  let days = 1;
+  if (cron.domRestricted && cron.dowRestricted) days = Math.min(1, weekdays + monthDays);
+  else if (cron.dowRestricted) days = weekdays;
+  else if (cron.domRestricted) days = monthDays;
+  return cron.minute.size * cron.hour.size * days * (cron.month.size / 12);
+}
+
+module.exports = { parseCron, nextCronRun, runsPerDay };
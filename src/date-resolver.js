@@ -0,0 +1,424 @@
+/**
+ * date-resolver.js — Deterministic NYC-time resolution for the search tool's
+ * date_range and time window.
+ *
+ * resolveDateExpression accepts:
+ *   - the named buckets: today, tomorrow, this_weekend, this_week, next_week
+ *   - ISO dates and ranges: "2026-10-24", "2026-10-24/2026-10-26", "2026-10-24..2026-10-26"
+ *   - free text: "tonight", "friday", "next saturday", "friday the 24th", "the 24th",
+ *     "oct 24", "10/24", "halloween", "thanksgiving", "in 3 days", "next weekend",
+ *     and "friday to sunday"-style ranges
+ * Part-of-day words and clock times in the same text become a time window:
+ * "saturday afternoon" → 12:00–17:00, "between 7 and 9" → 19:00–21:00,
+ * "friday 9pm" → from 21:00.
+ *
+ * All arithmetic runs on NYC calendar dates (Date.UTC fields, never ms offsets
+ * from now), so DST transitions can't shift a day. "next <weekday>" means that
+ * weekday in next Monday-start week, matching the next_week bucket.
+ */
+
+const MAX_RANGE_DAYS = 31;
+
+const WEEKDAYS = { sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6 };
+const WEEKDAY_ALIASES = {
+  sun: 'sunday', mon: 'monday', tue: 'tuesday', tues: 'tuesday', wed: 'wednesday', weds: 'wednesday',
+  thu: 'thursday', thur: 'thursday', thurs: 'thursday', fri: 'friday', sat: 'saturday',
+};
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+  jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12,
+};
+
+// Part-of-day windows (HH:MM, NYC). null = open-ended.
+const PARTS_OF_DAY = [
+  { pattern: /\blate[\s-]?night\b/, time_after: '22:00', time_before: null },
+  { pattern: /\bmorning\b/, time_after: '06:00', time_before: '12:00' },
+  { pattern: /\b(afternoon|matinee)\b/, time_after: '12:00', time_before: '17:00' },
+  { pattern: /\b(evening|after work)\b/, time_after: '17:00', time_before: '21:00' },
+];
+
+// --- Calendar helpers (pure date math on YYYY-MM-DD) ---
+
+/**
+ * NYC calendar date and weekday at an instant.
+ */
+function nycToday(nowMs = Date.now()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York', year: 'numeric', month: '2-digit', day: '2-digit',
+  }).formatToParts(new Date(nowMs));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return toIso(get('year'), get('month'), get('day'));
+}
+
+function toIso(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(iso, days) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return toIso(y, m, d + days);
+}
+
+function weekdayOf(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function isValidIso(iso) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) return false;
+  const [y, m, d] = iso.split('-').map(Number);
+  return toIso(y, m, d) === iso;
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+}
+
+/** nth (1-based) weekday of a month; n = -1 for the last one. */
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = toIso(year, month, 1);
+    return addDays(first, (weekday - weekdayOf(first) + 7) % 7 + (n - 1) * 7);
+  }
+  const last = toIso(year, month + 1, 0);
+  return addDays(last, -((weekdayOf(last) - weekday + 7) % 7));
+}
+
+const HOLIDAYS = [
+  { pattern: /\bhalloween\b/, date: y => toIso(y, 10, 31) },
+  { pattern: /\bchristmas eve\b/, date: y => toIso(y, 12, 24) },
+  { pattern: /\b(christmas|xmas)( day)?\b/, date: y => toIso(y, 12, 25) },
+  { pattern: /\bnew year'?s eve\b|\bnye\b/, date: y => toIso(y, 12, 31) },
+  { pattern: /\bnew year'?s( day)?\b/, date: y => toIso(y, 1, 1) },
+  { pattern: /\bvalentine'?s( day)?\b/, date: y => toIso(y, 2, 14) },
+  { pattern: /\b(st\.? )?patrick'?s day\b|\bst\.? paddy'?s\b/, date: y => toIso(y, 3, 17) },
+  { pattern: /\b(july (4th|4|fourth)|4th of july|fourth of july|independence day)\b/, date: y => toIso(y, 7, 4) },
+  { pattern: /\bthanksgiving\b/, date: y => nthWeekday(y, 11, 4, 4) },
+  { pattern: /\bmemorial day\b/, date: y => nthWeekday(y, 5, 1, -1) },
+  { pattern: /\blabor day\b/, date: y => nthWeekday(y, 9, 1, 1) },
+];
+
+// --- Named buckets (the original enum) ---
+
+function resolveBucket(value, today) {
+  const dow = weekdayOf(today);
+  switch (value) {
+    case 'today':
+    case 'tonight':
+      return { start: today, end: today };
+    case 'tomorrow':
+    case 'tmrw':
+    case 'tomorrow night': {
+      const tmrw = addDays(today, 1);
+      return { start: tmrw, end: tmrw };
+    }
+    case 'this_weekend':
+    case 'this weekend':
+    case 'weekend':
+    case 'the weekend':
+      // Friday includes tonight; Saturday and Sunday start today
+      if (dow === 6) return { start: today, end: addDays(today, 1) };
+      if (dow === 0) return { start: today, end: today };
+      if (dow === 5) return { start: today, end: addDays(today, 2) };
+      return { start: addDays(today, 6 - dow), end: addDays(today, 7 - dow) };
+    case 'next weekend': {
+      const sat = addDays(today, dow === 6 ? 7 : dow === 0 ? 6 : 6 - dow + 7);
+      return { start: sat, end: addDays(sat, 1) };
+    }
+    case 'this_week':
+    case 'this week':
+      // Today through Sunday
+      return { start: today, end: addDays(today, dow === 0 ? 0 : 7 - dow) };
+    case 'next_week':
+    case 'next week': {
+      const mon = addDays(today, dow === 0 ? 1 : 8 - dow);
+      return { start: mon, end: addDays(mon, 6) };
+    }
+    default:
+      return null;
+  }
+}
+
+// --- Single-day free text ---
+
+function normalizeWeekday(word) {
+  const w = word.toLowerCase();
+  return WEEKDAYS[w] !== undefined ? w : WEEKDAY_ALIASES[w] || null;
+}
+
+/** Upcoming date (today or later) with this day of month, optionally on a weekday. */
+function upcomingDayOfMonth(today, day, weekday = null) {
+  const [y, m] = today.split('-').map(Number);
+  let first = null;
+  for (let offset = 0; offset < 12; offset++) {
+    const candidate = toIso(y, m + offset, day);
+    if (Number(candidate.slice(8)) !== day || candidate < today) continue; // month too short, or already past
+    if (weekday === null || weekdayOf(candidate) === weekday) return candidate;
+    if (!first) first = candidate;
+    if (offset >= 2) break; // don't hunt far for a weekday match
+  }
+  return first;
+}
+
+/** A month/day with no year: this year unless it's already past. */
+function upcomingMonthDay(today, month, day, year = null) {
+  const thisYear = Number(today.slice(0, 4));
+  const candidate = toIso(year || thisYear, month, day);
+  if (Number(candidate.slice(5, 7)) !== month) return null; // Feb 30 and friends
+  if (!year && candidate < today) return toIso(thisYear + 1, month, day);
+  return candidate;
+}
+
+/**
+ * One date from free text, or null. Returns { start, end } so buckets
+ * ("this weekend") can come back as ranges.
+ */
+function resolveSingle(text, today) {
+  const t = text.trim().replace(/^(on|for|this coming|coming)\s+/, '').replace(/\s+(night|nite)$/, '').trim();
+  if (!t) return null;
+
+  const bucket = resolveBucket(t, today);
+  if (bucket) return bucket;
+
+  if (isValidIso(t)) return { start: t, end: t };
+
+  let m = t.match(/^in (\d{1,2}) days?$/);
+  if (m) {
+    const d = addDays(today, Number(m[1]));
+    return { start: d, end: d };
+  }
+
+  for (const h of HOLIDAYS) {
+    if (h.pattern.test(t)) {
+      const year = Number(today.slice(0, 4));
+      let date = h.date(year);
+      if (date < today) date = h.date(year + 1);
+      return { start: date, end: date };
+    }
+  }
+
+  // "friday the 24th", "fri 24", "the 24th", "24th"
+  m = t.match(/^(?:([a-z]+),?\s+)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?$/);
+  const dayWord = m && m[1] !== 'the' ? m[1] : null;
+  if (m && (!dayWord || normalizeWeekday(dayWord))) {
+    const day = Number(m[2]);
+    if (day >= 1 && day <= 31) {
+      const date = upcomingDayOfMonth(today, day, dayWord ? WEEKDAYS[normalizeWeekday(dayWord)] : null);
+      return date ? { start: date, end: date } : null;
+    }
+  }
+
+  // "oct 24", "october 24th", "saturday oct 24", "oct 24 2026"
+  m = t.match(/^(?:[a-z]+,?\s+)?([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/);
+  if (m && MONTHS[m[1]]) {
+    const date = upcomingMonthDay(today, MONTHS[m[1]], Number(m[2]), m[3] ? Number(m[3]) : null);
+    return date ? { start: date, end: date } : null;
+  }
+  // "24 october", "24th of october"
+  m = t.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]+)$/);
+  if (m && MONTHS[m[2]]) {
+    const date = upcomingMonthDay(today, MONTHS[m[2]], Number(m[1]));
+    return date ? { start: date, end: date } : null;
+  }
+  // "10/24", "10/24/2026", "10/24/26"
+  m = t.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+  if (m) {
+    const year = m[3] ? (m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3])) : null;
+    const date = upcomingMonthDay(today, Number(m[1]), Number(m[2]), year);
+    return date ? { start: date, end: date } : null;
+  }
+
+  // "friday", "this friday", "next friday"
+  m = t.match(/^(this|next)?\s*([a-z]+)$/);
+  if (m && normalizeWeekday(m[2])) {
+    const target = WEEKDAYS[normalizeWeekday(m[2])];
+    const dow = weekdayOf(today);
+    let date;
+    if (m[1] === 'next') {
+      // That weekday in next Monday-start week
+      const nextMon = addDays(today, dow === 0 ? 1 : 8 - dow);
+      date = addDays(nextMon, (target + 6) % 7);
+    } else {
+      date = addDays(today, (target - dow + 7) % 7);
+    }
+    return { start: date, end: date };
+  }
+
+  return null;
+}
+
+// --- Time windows ---
+
+/**
+ * Clock text → minutes, given a meridiem hint. Bare hours 1-11 read as pm —
+ * this is a nightlife service, "at 9" means 9pm.
+ */
+function clockToMinutes(hourStr, minuteStr, meridiem) {
+  let h = Number(hourStr);
+  const min = Number(minuteStr || 0);
+  if (h > 23 || min > 59) return null;
+  if (meridiem === 'am') h = h === 12 ? 0 : h;
+  else if (meridiem === 'pm') h = h === 12 ? 12 : h + 12;
+  else if (h >= 1 && h <= 11) h += 12;
+  if (h > 23) return null;
+  return h * 60 + min;
+}
+
+function minutesToHHMM(minutes) {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+const CLOCK = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+const MERIDIEM = s => (s ? s.replace(/\./g, '') : null);
+// A month name or m/d in the text: bare numbers there are days, not hours
+const MONTH_CONTEXT = new RegExp(`\\b(${Object.keys(MONTHS).join('|')})\\b|\\d{1,2}/\\d{1,2}`);
+
+/**
+ * Normalize one clock time ("7pm", "19:00", "9:30", "midnight", "noon") to HH:MM.
+ * Returns null when it isn't a time.
+ */
+function normalizeClockTime(value) {
+  if (!value) return null;
+  const t = String(value).trim().toLowerCase();
+  if (t === 'midnight') return '00:00';
+  if (t === 'noon') return '12:00';
+  if (/^\d{2}:\d{2}$/.test(t)) {
+    const [h, m] = t.split(':').map(Number);
+    return h <= 23 && m <= 59 ? t : null;
+  }
+  const m = t.match(new RegExp(`^${CLOCK}$`));
+  if (!m) return null;
+  const minutes = clockToMinutes(m[1], m[2], MERIDIEM(m[3]));
+  return minutes === null ? null : minutesToHHMM(minutes);
+}
+
+/**
+ * Pull a time window out of free text. Returns { time_after, time_before, matched }
+ * (either bound may be null) or null when the text has no time in it.
+ * `matched` is the consumed substring so callers can strip it before date parsing.
+ */
+function resolveTimeWindow(text) {
+  if (!text) return null;
+  const t = String(text).toLowerCase().replace(/\bmidnight\b/g, '12am').replace(/\bnoon\b/g, '12pm');
+
+  // "between 7 and 9", "from 7pm to 9:30pm", "7-9pm", "10am–2pm", and "11 to 1"
+  // when no month is named ("oct 11 to 13" stays a date range)
+  let m = t.match(new RegExp(`(?:between\\s+|from\\s+)?\\b${CLOCK}\\s*(?:-|–|to|and|until|till)\\s*${CLOCK}(?![\\d/])`));
+  const bareHours = m && Number(m[1]) <= 12 && Number(m[4]) <= 12 && !MONTH_CONTEXT.test(t);
+  if (m && (/between|from/.test(m[0]) || m[3] || m[6] || /[-–]/.test(m[0]) || bareHours)) {
+    const endMer = MERIDIEM(m[6]);
+    const end = clockToMinutes(m[4], m[5], endMer);
+    // Start inherits the end's meridiem ("7-9pm", "9 to 11am") unless that would put it after the end
+    let start = clockToMinutes(m[1], m[2], MERIDIEM(m[3]) || endMer);
+    if (!m[3] && endMer === 'am' && start !== null && start > end) start = clockToMinutes(m[1], m[2], null);
+    if (start !== null && end !== null) {
+      // "11 to 1": a bare end earlier than the start rolls past midnight
+      const endFinal = end < start && !endMer ? clockToMinutes(m[4], m[5], 'am') : end;
+      return { time_after: minutesToHHMM(start), time_before: minutesToHHMM(endFinal), matched: m[0] };
+    }
+  }
+
+  m = t.match(new RegExp(`\\b(after|past|from|starting at|at)\\s+${CLOCK}\\b`));
+  if (m) {
+    const minutes = clockToMinutes(m[2], m[3], MERIDIEM(m[4]));
+    if (minutes !== null) return { time_after: minutesToHHMM(minutes), time_before: null, matched: m[0] };
+  }
+  m = t.match(new RegExp(`\\b(before|by|until|till|no later than)\\s+${CLOCK}\\b`));
+  if (m) {
+    const minutes = clockToMinutes(m[2], m[3], MERIDIEM(m[4]));
+    if (minutes !== null) return { time_after: null, time_before: minutesToHHMM(minutes), matched: m[0] };
+  }
+
+  // A lone time after a day word ("friday 9pm", "tomorrow 8:30") — starting then.
+  // Needs a meridiem or minutes, so "fri 24" stays a date.
+  m = t.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?![a-z])/) || t.match(/\b(\d{1,2}):(\d{2})\b/);
+  if (m) {
+    const minutes = clockToMinutes(m[1], m[2], MERIDIEM(m[3]));
+    if (minutes !== null) return { time_after: minutesToHHMM(minutes), time_before: null, matched: m[0] };
+  }
+
+  for (const part of PARTS_OF_DAY) {
+    const pm = t.match(part.pattern);
+    if (pm) return { time_after: part.time_after, time_before: part.time_before, matched: pm[0] };
+  }
+  return null;
+}
+
+// --- Entry point ---
+
+/**
+ * Resolve a date expression to { start, end } (YYYY-MM-DD, inclusive, NYC),
+ * plus time_after / time_before (HH:MM) when the text carries a time window.
+ * Returns null when nothing in the text resolves to a date or time.
+ * A time-only expression ("between 7 and 9") resolves to today.
+ */
+function resolveDateExpression(value, { nowMs = Date.now() } = {}) {
+  if (!value || typeof value !== 'string') return null;
+  const today = nycToday(nowMs);
+  const raw = value.trim();
+
+  // ISO ranges first — their hyphens would confuse the text parser
+  const iso = raw.match(/^(\d{4}-\d{2}-\d{2})\s*(?:\/|\.\.|\s+to\s+)\s*(\d{4}-\d{2}-\d{2})$/);
+  if (iso) {
+    if (!isValidIso(iso[1]) || !isValidIso(iso[2])) return null;
+    const [start, end] = iso[1] <= iso[2] ? [iso[1], iso[2]] : [iso[2], iso[1]];
+    return clampRange({ start, end });
+  }
+  // A single ISO date, optionally with a time ("2026-11-01 9pm") — its
+  // month-day would otherwise read as a clock range (11-01 → 11pm to 1am)
+  const isoDay = raw.match(/^(\d{4}-\d{2}-\d{2})(?:\s+(.+))?$/);
+  if (isoDay) {
+    if (!isValidIso(isoDay[1])) return null;
+    const result = { start: isoDay[1], end: isoDay[1] };
+    const time = isoDay[2] ? resolveTimeWindow(isoDay[2].toLowerCase()) : null;
+    if (isoDay[2] && !time) return null;
+    if (time?.time_after) result.time_after = time.time_after;
+    if (time?.time_before) result.time_before = time.time_before;
+    return result;
+  }
+
+  let text = raw.toLowerCase().replace(/[!?]+$/, '').replace(/\s+/g, ' ');
+  const time = resolveTimeWindow(text);
+  if (time) text = text.replace(time.matched, ' ').replace(/\s+/g, ' ').trim();
+  text = text.replace(/\b(at|around|in the|on the)$/, '').trim();
+
+  let range = null;
+  if (!text) {
+    range = time ? { start: today, end: today } : null;
+  } else {
+    range = resolveSingle(text, today);
+    if (!range) {
+      // "friday to sunday", "oct 24 through oct 26", "friday-sunday"
+      const parts = text.split(/\s+(?:to|through|thru|until|till)\s+|\s*[-–]\s*/);
+      if (parts.length === 2) {
+        const a = resolveSingle(parts[0], today);
+        const b = resolveSingle(parts[1], a?.start || today);
+        if (a && b) range = { start: a.start, end: b.end < a.start ? a.start : b.end };
+      }
+    }
+  }
+  if (!range) return null;
+
+  const result = clampRange(range);
+  if (time?.time_after) result.time_after = time.time_after;
+  if (time?.time_before) result.time_before = time.time_before;
+  return result;
+}
+
+function clampRange({ start, end }) {
+  if (daysBetween(start, end) > MAX_RANGE_DAYS - 1) end = addDays(start, MAX_RANGE_DAYS - 1);
+  return { start, end };
+}
+
+module.exports = {
+  resolveDateExpression,
+  resolveTimeWindow,
+  normalizeClockTime,
+  nycToday,
+  // Exposed for testing
+  addDays,
+  nthWeekday,
+};
@@ -1,7 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
-const { makeEventId } = require('./sources/shared');
+const { makeEventId, parsePriceRange } = require('./sources/shared');
 
 const DB_PATH = path.join(__dirname, '../data/pulse.db');
 let db = null;
@@ -25,6 +25,15 @@ function closeDb() {
   }
 }
 
+/**
+ * Swap in another connection (tests pass an in-memory database) and run the
+ * migrations on it. Pass null to reopen data/pulse.db on next use.
+ */
+function setDb(database) {
+  db = database;
+  if (db) runMigrations(db);
+}
+
 // --- Schema migrations ---
 
 function runMigrations(db) {
@@ -47,6 +56,8 @@ function runMigrations(db) {
       time_window TEXT,
       is_free INTEGER DEFAULT 0,
       price_display TEXT,
+      price_min REAL,
+      price_max REAL,
       category TEXT,
       subcategory TEXT,
       extraction_confidence REAL,
@@ -57,6 +68,8 @@ function runMigrations(db) {
       map_url TEXT,
       map_hint TEXT,
       evidence TEXT,
+      accessibility TEXT,
+      age_policy TEXT,
       scraped_at TEXT NOT NULL,
       updated_at TEXT NOT NULL
     );
@@ -173,6 +186,13 @@ function runMigrations(db) {
     CREATE INDEX IF NOT EXISTS idx_nudge_phone ON nudge_subscriptions(phone_hash);
     CREATE INDEX IF NOT EXISTS idx_nudge_optin ON nudge_subscriptions(opted_in, opted_out);
 
+    -- STOP NUDGES is per phone, not per subscription — it must stick even
+    -- before the phone has any nudge_subscriptions rows
+    CREATE TABLE IF NOT EXISTS nudge_opt_outs (
+      phone_hash TEXT PRIMARY KEY,
+      opted_out_at TEXT NOT NULL
+    );
+
     CREATE TABLE IF NOT EXISTS places (
       place_id TEXT PRIMARY KEY,
       name TEXT NOT NULL,
@@ -218,8 +238,80 @@ function runMigrations(db) {
       proactive_opt_in INTEGER NOT NULL DEFAULT 0,
       proactive_opt_in_date TEXT,
       proactive_prompt_count INTEGER NOT NULL DEFAULT 0,
+      blocked_venues_json TEXT NOT NULL DEFAULT '[]',
       updated_at TEXT NOT NULL DEFAULT ''
     );
+
+    CREATE TABLE IF NOT EXISTS event_reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      phone_hash TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      event_name TEXT NOT NULL,
+      venue_name TEXT,
+      start_time_local TEXT NOT NULL,
+      url TEXT,
+      remind_at TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      sent_at TEXT,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE(phone_hash, event_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reminders_due ON event_reminders(status, remind_at);
+    CREATE INDEX IF NOT EXISTS idx_reminders_phone ON event_reminders(phone_hash);
+
+    CREATE TABLE IF NOT EXISTS sms_opt_outs (
+      phone_hash TEXT PRIMARY KEY,
+      phone_masked TEXT,
+      opted_out INTEGER NOT NULL DEFAULT 1,
+      opt_out_keyword TEXT,
+      opted_out_at TEXT NOT NULL,
+      opt_in_keyword TEXT,
+      opted_in_at TEXT,
+      opt_out_count INTEGER NOT NULL DEFAULT 1,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS group_plans (
+      id TEXT PRIMARY KEY,
+      organizer_hash TEXT NOT NULL,
+      organizer_phone TEXT NOT NULL,
+      picks_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_group_plans_organizer ON group_plans(organizer_hash, status);
+
+    CREATE TABLE IF NOT EXISTS group_plan_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id TEXT NOT NULL,
+      phone_hash TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      status TEXT NOT NULL,
+      vote INTEGER,
+      voted_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE(plan_id, phone_hash)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_group_plan_members_phone ON group_plan_members(phone_hash, status);
+
+    CREATE TABLE IF NOT EXISTS response_pages (
+      id TEXT PRIMARY KEY,
+      neighborhood TEXT,
+      filters_label TEXT,
+      picks_json TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_response_pages_expires ON response_pages(expires_at);
   `);
 
   // Migration: add normalized_name column for recurrence detection
@@ -251,6 +343,54 @@ function runMigrations(db) {
     db.exec("UPDATE recurring_patterns SET confirmation_count = CASE WHEN last_confirmed > first_seen THEN 2 ELSE 1 END");
     console.log('Added confirmation_count to recurring_patterns');
   }
+
+  // Migration: numeric price bounds parsed from price_display (budget filter)
+  try {
+    db.prepare("SELECT price_min FROM events LIMIT 1").get();
+  } catch {
+    db.exec("ALTER TABLE events ADD COLUMN price_min REAL");
+    db.exec("ALTER TABLE events ADD COLUMN price_max REAL");
+    const rows = db.prepare("SELECT id, price_display, is_free FROM events").all();
+    if (rows.length > 0) {
+      const update = db.prepare("UPDATE events SET price_min = ?, price_max = ? WHERE id = ?");
+      const tx = db.transaction(() => {
+        for (const r of rows) {
+          const { price_min, price_max } = parsePriceRange(r.price_display, !!r.is_free);
+          update.run(price_min, price_max, r.id);
+        }
+      });
+      tx();
+      console.log(`Backfilled price_min/price_max for ${rows.length} events`);
+    }
+  }
+
+  // Migration: access features stated by listings (JSON array)
+  try {
+    db.prepare("SELECT accessibility FROM events LIMIT 1").get();
+  } catch {
+    db.exec("ALTER TABLE events ADD COLUMN accessibility TEXT");
+  }
+
+  // Migration: door age policy ("21+", "18+", "all_ages")
+  try {
+    db.prepare("SELECT age_policy FROM events LIMIT 1").get();
+  } catch {
+    db.exec("ALTER TABLE events ADD COLUMN age_policy TEXT");
+  }
+
+  // Migration: per-user MMS setting (TEXT ONLY / PICS ON)
+  try {
+    db.prepare("SELECT mms_enabled FROM user_profiles LIMIT 1").get();
+  } catch {
+    db.exec("ALTER TABLE user_profiles ADD COLUMN mms_enabled INTEGER NOT NULL DEFAULT 1");
+  }
+
+  // Migration: venues the user asked to skip ("never show me Elsewhere")
+  try {
+    db.prepare("SELECT blocked_venues_json FROM user_profiles LIMIT 1").get();
+  } catch {
+    db.exec("ALTER TABLE user_profiles ADD COLUMN blocked_venues_json TEXT NOT NULL DEFAULT '[]'");
+  }
 }
 
 // --- Event CRUD ---
@@ -259,9 +399,9 @@ const EVENT_COLUMNS = [
   'id', 'source_name', 'source_type', 'source_weight', 'source_tier',
   'name', 'normalized_name', 'description_short', 'short_detail', 'venue_name', 'venue_address',
   'neighborhood', 'start_time_local', 'end_time_local', 'date_local', 'time_window',
-  'is_free', 'price_display', 'category', 'subcategory',
+  'is_free', 'price_display', 'price_min', 'price_max', 'category', 'subcategory',
   'extraction_confidence', 'completeness', 'needs_review',
-  'ticket_url', 'source_url', 'map_url', 'map_hint', 'evidence',
+  'ticket_url', 'source_url', 'map_url', 'map_hint', 'evidence', 'accessibility', 'age_policy',
   'scraped_at', 'updated_at',
 ];
 
@@ -286,6 +426,8 @@ function eventToRow(e) {
     time_window: e.time_window || null,
     is_free: e.is_free ? 1 : 0,
     price_display: e.price_display || null,
+    price_min: e.price_min ?? null,
+    price_max: e.price_max ?? null,
     category: e.category || null,
     subcategory: e.subcategory || null,
     extraction_confidence: e.extraction_confidence ?? null,
@@ -296,6 +438,8 @@ function eventToRow(e) {
     map_url: e.map_url || null,
     map_hint: e.map_hint || null,
     evidence: e.evidence ? JSON.stringify(e.evidence) : null,
+    accessibility: e.accessibility?.length ? JSON.stringify(e.accessibility) : null,
+    age_policy: e.age_policy || null,
     scraped_at: e.scraped_at || now,
     updated_at: now,
   };
@@ -307,6 +451,7 @@ function rowToEvent(row) {
     is_free: !!row.is_free,
     needs_review: !!row.needs_review,
     evidence: row.evidence ? JSON.parse(row.evidence) : null,
+    accessibility: row.accessibility ? JSON.parse(row.accessibility) : [],
   };
 }
 
@@ -335,6 +480,8 @@ function upsertEvents(events) {
       time_window = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.time_window ELSE events.time_window END,
       is_free = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.is_free ELSE events.is_free END,
       price_display = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.price_display ELSE events.price_display END,
+      price_min = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.price_min ELSE events.price_min END,
+      price_max = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.price_max ELSE events.price_max END,
       category = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.category ELSE events.category END,
       subcategory = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.subcategory ELSE events.subcategory END,
       extraction_confidence = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.extraction_confidence ELSE events.extraction_confidence END,
@@ -345,6 +492,8 @@ function upsertEvents(events) {
       map_url = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.map_url ELSE events.map_url END,
       map_hint = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.map_hint ELSE events.map_hint END,
       evidence = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.evidence ELSE events.evidence END,
+      accessibility = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.accessibility ELSE events.accessibility END,
+      age_policy = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.age_policy ELSE events.age_policy END,
       scraped_at = CASE WHEN excluded.source_weight >= events.source_weight OR events.source_weight IS NULL THEN excluded.scraped_at ELSE events.scraped_at END,
       updated_at = excluded.updated_at
   `);
@@ -733,6 +882,17 @@ function getActivePatternKeys() {
   return new Set(patterns.map(p => p.pattern_key));
 }
 
+/**
+ * Get one active recurring pattern by key, or null.
+ */
+function getActivePattern(patternKey) {
+  if (!patternKey) return null;
+  const today = new Date().toISOString().slice(0, 10);
+  return getDb().prepare(
+    'SELECT * FROM recurring_patterns WHERE pattern_key = ? AND active_until >= ? AND deactivated = 0 AND confirmation_count >= 2'
+  ).get(patternKey, today) || null;
+}
+
 /**
  * Get count of active recurring patterns + day-of-week labels for health dashboard.
  */
@@ -920,15 +1080,388 @@ function insertRecommendations(phoneHash, eventIds) {
 
 /**
  * Mark that a user engaged with a recommended event (asked for details, responded positively).
+ * Returns the number of recommendation rows that flipped to engaged (0 if already engaged).
  */
 function markRecommendationEngaged(phoneHash, eventId) {
-  if (!phoneHash || !eventId) return;
+  if (!phoneHash || !eventId) return 0;
   const d = getDb();
-  d.prepare(`
+  return d.prepare(`
     UPDATE event_recommendations SET user_engaged = 1
     WHERE phone_hash = ? AND event_id = ?
     AND user_engaged = 0
-  `).run(phoneHash, eventId);
+  `).run(phoneHash, eventId).changes;
+}
+
+// --- User profiles ---
+
+// Engaging with a pick (details request) is a stronger signal than searching for it
+const PROFILE_SEARCH_WEIGHT = 1;
+const PROFILE_ENGAGE_WEIGHT = 2;
+const LATE_TIME_CUTOFF = '21:00';
+const EARLY_TIME_CUTOFF = '18:00';
+
+function parseJsonObject(text) {
+  try {
+    const parsed = JSON.parse(text || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function bump(counts, key, weight) {
+  if (!key) return;
+  counts[key] = (counts[key] || 0) + weight;
+}
+
+/**
+ * Derive price/time preferences from the raw counters.
+ * Needs a few sessions of evidence before committing to anything other than 'any'.
+ */
+function derivePreferences(row) {
+  let price = 'any';
+  if (row.total_picks_session_count >= 3 && row.free_session_count / row.total_picks_session_count >= 0.5) {
+    price = 'free';
+  }
+  let time = 'any';
+  if (row.timed_session_count >= 2) {
+    if (row.late_time_count / row.timed_session_count >= 0.6) time = 'late';
+    else if (row.early_time_count / row.timed_session_count >= 0.6) time = 'early';
+  }
+  return { price, time };
+}
+
+/**
+ * Fold one round of signals into a user_profiles row (pure — no DB access).
+ * signals: { neighborhood, categories[], subcategory, free_only, time_after, searched }
+ * Session count increments at most once per NYC day (tracked via last_active_date).
+ */
+function applyProfileSignals(row, signals, { weight = PROFILE_SEARCH_WEIGHT, today } = {}) {
+  const next = {
+    neighborhoods: parseJsonObject(row?.neighborhoods_json),
+    categories: parseJsonObject(row?.categories_json),
+    subcategories: parseJsonObject(row?.subcategories_json),
+    session_count: row?.session_count || 0,
+    free_session_count: row?.free_session_count || 0,
+    total_picks_session_count: row?.total_picks_session_count || 0,
+    late_time_count: row?.late_time_count || 0,
+    early_time_count: row?.early_time_count || 0,
+    timed_session_count: row?.timed_session_count || 0,
+    last_active_date: row?.last_active_date || null,
+  };
+
+  const hood = signals.neighborhood && signals.neighborhood !== 'citywide' ? signals.neighborhood : null;
+  bump(next.neighborhoods, hood, weight);
+  for (const cat of (signals.categories || [])) bump(next.categories, cat, weight);
+  bump(next.subcategories, signals.subcategory, weight);
+
+  if (signals.searched) {
+    next.total_picks_session_count++;
+    if (signals.free_only) next.free_session_count++;
+    if (signals.time_after && /^\d{2}:\d{2}$/.test(signals.time_after)) {
+      next.timed_session_count++;
+      if (signals.time_after >= LATE_TIME_CUTOFF) next.late_time_count++;
+      else if (signals.time_after < EARLY_TIME_CUTOFF) next.early_time_count++;
+    }
+  }
+
+  if (today && next.last_active_date !== today) {
+    next.session_count++;
+    next.last_active_date = today;
+  }
+
+  const prefs = derivePreferences(next);
+  next.price_preference = prefs.price;
+  next.time_preference = prefs.time;
+  return next;
+}
+
+/**
+ * Convert a user_profiles row into the shape scoreSurprise/curatePool expect.
+ */
+function rowToProfile(row) {
+  if (!row) return null;
+  return {
+    sessionCount: row.session_count || 0,
+    neighborhoods: parseJsonObject(row.neighborhoods_json),
+    categories: parseJsonObject(row.categories_json),
+    subcategories: parseJsonObject(row.subcategories_json),
+    pricePreference: row.price_preference || 'any',
+    timePreference: row.time_preference || 'any',
+    lastActiveDate: row.last_active_date || null,
+    blockedVenues: activeVenueBlocks(row.blocked_venues_json).map(b => b.venue),
+  };
+}
+
+const VENUE_BLOCK_TTL_DAYS = 90;
+const MAX_VENUE_BLOCKS = 50;
+
+/**
+ * Parse blocked_venues_json ([{ venue, blocked_at }]) and drop expired blocks —
+ * a venue skipped once shouldn't vanish forever.
+ */
+function activeVenueBlocks(json, now = Date.now()) {
+  let list;
+  try { list = JSON.parse(json || '[]'); } catch { return []; }
+  if (!Array.isArray(list)) return [];
+  const cutoff = now - VENUE_BLOCK_TTL_DAYS * 86400000;
+  return list.filter(b => b?.venue && Date.parse(b.blocked_at) >= cutoff);
+}
+
+/**
+ * Remember venues the user excluded so later sessions skip them too.
+ * Re-blocking a venue refreshes its date. Creates a bare profile row if needed.
+ */
+function addVenueBlocks(phoneHash, venues) {
+  const names = (venues || []).map(v => String(v).trim()).filter(Boolean);
+  if (!phoneHash || names.length === 0) return;
+  const d = getDb();
+  const now = new Date().toISOString();
+  const tx = d.transaction(() => {
+    const row = d.prepare('SELECT blocked_venues_json FROM user_profiles WHERE phone_hash = ?').get(phoneHash);
+    const keep = activeVenueBlocks(row?.blocked_venues_json)
+      .filter(b => !names.some(n => n.toLowerCase() === b.venue.toLowerCase()));
+    const next = [...keep, ...names.map(venue => ({ venue, blocked_at: now }))].slice(-MAX_VENUE_BLOCKS);
+    d.prepare(`
+      INSERT INTO user_profiles (phone_hash, blocked_venues_json, created_at, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(phone_hash) DO UPDATE SET blocked_venues_json = excluded.blocked_venues_json, updated_at = excluded.updated_at
+    `).run(phoneHash, JSON.stringify(next), now, now);
+  });
+  tx();
+}
+
+/**
+ * Lift blocks the user took back ("actually Elsewhere is fine"). Names match
+ * stored blocks case-insensitively; unknown names are ignored.
+ */
+function removeVenueBlocks(phoneHash, venues) {
+  const names = new Set((venues || []).map(v => String(v).trim().toLowerCase()).filter(Boolean));
+  if (!phoneHash || names.size === 0) return;
+  const d = getDb();
+  const tx = d.transaction(() => {
+    const row = d.prepare('SELECT blocked_venues_json FROM user_profiles WHERE phone_hash = ?').get(phoneHash);
+    if (!row) return;
+    const blocks = activeVenueBlocks(row.blocked_venues_json);
+    const keep = blocks.filter(b => !names.has(b.venue.toLowerCase()));
+    if (keep.length === blocks.length) return;
+    d.prepare('UPDATE user_profiles SET blocked_venues_json = ?, updated_at = ? WHERE phone_hash = ?')
+      .run(JSON.stringify(keep), new Date().toISOString(), phoneHash);
+  });
+  tx();
+}
+
+/**
+ * Store the user's MMS setting. Creates a bare profile row if they don't have one yet.
+ */
+function setMmsPreference(phoneHash, enabled) {
+  if (!phoneHash) return;
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    INSERT INTO user_profiles (phone_hash, mms_enabled, created_at, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(phone_hash) DO UPDATE SET mms_enabled = excluded.mms_enabled, updated_at = excluded.updated_at
+  `).run(phoneHash, enabled ? 1 : 0, now, now);
+}
+
+/**
+ * Whether the user allows MMS cards. Defaults to true for users with no profile.
+ */
+function getMmsPreference(phoneHash) {
+  if (!phoneHash) return true;
+  const row = getDb().prepare('SELECT mms_enabled FROM user_profiles WHERE phone_hash = ?').get(phoneHash);
+  return row ? row.mms_enabled !== 0 : true;
+}
+
+/**
+ * Load the persistent cross-day profile for a user, or null if they have none yet.
+ */
+function getUserProfile(phoneHash) {
+  if (!phoneHash) return null;
+  const row = getDb().prepare('SELECT * FROM user_profiles WHERE phone_hash = ?').get(phoneHash);
+  return rowToProfile(row);
+}
+
+function writeProfileSignals(phoneHash, signals, weight) {
+  if (!phoneHash) return;
+  const d = getDb();
+  const now = new Date().toISOString();
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+  const tx = d.transaction(() => {
+    const row = d.prepare('SELECT * FROM user_profiles WHERE phone_hash = ?').get(phoneHash);
+    const next = applyProfileSignals(row, signals, { weight, today });
+    d.prepare(`
+      INSERT INTO user_profiles (
+        phone_hash, neighborhoods_json, categories_json, subcategories_json,
+        session_count, price_preference, time_preference,
+        free_session_count, total_picks_session_count, late_time_count, early_time_count, timed_session_count,
+        last_active_date, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(phone_hash) DO UPDATE SET
+        neighborhoods_json = excluded.neighborhoods_json,
+        categories_json = excluded.categories_json,
+        subcategories_json = excluded.subcategories_json,
+        session_count = excluded.session_count,
+        price_preference = excluded.price_preference,
+        time_preference = excluded.time_preference,
+        free_session_count = excluded.free_session_count,
+        total_picks_session_count = excluded.total_picks_session_count,
+        late_time_count = excluded.late_time_count,
+        early_time_count = excluded.early_time_count,
+        timed_session_count = excluded.timed_session_count,
+        last_active_date = excluded.last_active_date,
+        updated_at = excluded.updated_at
+    `).run(
+      phoneHash,
+      JSON.stringify(next.neighborhoods), JSON.stringify(next.categories), JSON.stringify(next.subcategories),
+      next.session_count, next.price_preference, next.time_preference,
+      next.free_session_count, next.total_picks_session_count, next.late_time_count,
+      next.early_time_count, next.timed_session_count,
+      next.last_active_date, now, now,
+    );
+  });
+  tx();
+}
+
+/**
+ * Record a search against the user's profile (neighborhood, categories, price/time filters).
+ */
+function recordProfileSearch(phoneHash, { neighborhood, filters } = {}) {
+  const categories = filters?.categories?.length ? filters.categories
+    : filters?.category ? [filters.category] : [];
+  writeProfileSignals(phoneHash, {
+    neighborhood,
+    categories,
+    free_only: !!filters?.free_only,
+    time_after: filters?.time_after || null,
+    searched: true,
+  }, PROFILE_SEARCH_WEIGHT);
+}
+
+/**
+ * Record that the user engaged with an event (details request) — weighted above searches.
+ */
+function recordProfileEngagement(phoneHash, event) {
+  if (!event) return;
+  writeProfileSignals(phoneHash, {
+    neighborhood: event.neighborhood,
+    categories: event.category ? [event.category] : [],
+    subcategory: event.subcategory || null,
+  }, PROFILE_ENGAGE_WEIGHT);
+}
+
+// --- Event reminders ---
+
+/**
+ * Save (or re-arm) a reminder for a user + event. remind_at is a UTC ISO string.
+ * Re-saving the same event resets it to pending with the new remind_at.
+ */
+function saveReminder({ phoneHash, phone, event, remindAt, url }) {
+  if (!phoneHash || !phone || !event?.id || !remindAt) return null;
+  const d = getDb();
+  const now = new Date().toISOString();
+  d.prepare(`
+    INSERT INTO event_reminders (phone_hash, phone, event_id, event_name, venue_name, start_time_local, url, remind_at, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+    ON CONFLICT(phone_hash, event_id) DO UPDATE SET
+      phone = excluded.phone,
+      event_name = excluded.event_name,
+      venue_name = excluded.venue_name,
+      start_time_local = excluded.start_time_local,
+      url = excluded.url,
+      remind_at = excluded.remind_at,
+      status = 'pending',
+      sent_at = NULL,
+      last_error = NULL,
+      updated_at = excluded.updated_at
+  `).run(phoneHash, phone, event.id, event.name || 'your event', event.venue_name || null,
+    event.start_time_local, url || null, remindAt, now, now);
+  return d.prepare('SELECT * FROM event_reminders WHERE phone_hash = ? AND event_id = ?').get(phoneHash, event.id);
+}
+
+/**
+ * Pending reminders whose remind_at has passed.
+ */
+function getDueReminders(nowIso = new Date().toISOString(), limit = 100) {
+  return getDb().prepare(`
+    SELECT * FROM event_reminders
+    WHERE status = 'pending' AND remind_at <= ?
+    ORDER BY remind_at ASC
+    LIMIT ?
+  `).all(nowIso, limit);
+}
+
+function getPendingReminders(phoneHash) {
+  if (!phoneHash) return [];
+  return getDb().prepare(`
+    SELECT * FROM event_reminders WHERE phone_hash = ? AND status = 'pending' ORDER BY remind_at ASC
+  `).all(phoneHash);
+}
+
+function markReminderStatus(id, status, error = null) {
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    UPDATE event_reminders SET status = ?, sent_at = CASE WHEN ? = 'sent' THEN ? ELSE sent_at END,
+      last_error = ?, updated_at = ?
+    WHERE id = ?
+  `).run(status, status, now, error, now, id);
+}
+
+/**
+ * Cancel every pending reminder for a user (TCPA opt-out). Returns the number cancelled.
+ */
+function cancelRemindersForPhone(phoneHash) {
+  if (!phoneHash) return 0;
+  return getDb().prepare(`
+    UPDATE event_reminders SET status = 'cancelled', updated_at = ?
+    WHERE phone_hash = ? AND status = 'pending'
+  `).run(new Date().toISOString(), phoneHash).changes;
+}
+
+// --- SMS opt-outs (TCPA) ---
+
+/**
+ * Record a STOP-style opt-out. Rows are never deleted — a later START flips
+ * opted_out back to 0 but keeps the history for compliance audits.
+ */
+function recordOptOut(phoneHash, { keyword = null, phoneMasked = null } = {}) {
+  if (!phoneHash) return;
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    INSERT INTO sms_opt_outs (phone_hash, phone_masked, opted_out, opt_out_keyword, opted_out_at, opt_out_count, updated_at)
+    VALUES (?, ?, 1, ?, ?, 1, ?)
+    ON CONFLICT(phone_hash) DO UPDATE SET
+      phone_masked = COALESCE(excluded.phone_masked, sms_opt_outs.phone_masked),
+      opted_out = 1,
+      opt_out_keyword = excluded.opt_out_keyword,
+      opted_out_at = excluded.opted_out_at,
+      opt_out_count = sms_opt_outs.opt_out_count + CASE WHEN sms_opt_outs.opted_out = 0 THEN 1 ELSE 0 END,
+      updated_at = excluded.updated_at
+  `).run(phoneHash, phoneMasked, keyword, now, now);
+}
+
+/**
+ * Record a START/UNSTOP re-subscription. Returns true if the phone was opted out.
+ */
+function recordOptIn(phoneHash, { keyword = null } = {}) {
+  if (!phoneHash) return false;
+  const now = new Date().toISOString();
+  return getDb().prepare(`
+    UPDATE sms_opt_outs SET opted_out = 0, opt_in_keyword = ?, opted_in_at = ?, updated_at = ?
+    WHERE phone_hash = ? AND opted_out = 1
+  `).run(keyword, now, now, phoneHash).changes > 0;
+}
+
+function isOptedOut(phoneHash) {
+  if (!phoneHash) return false;
+  return !!getDb().prepare('SELECT 1 FROM sms_opt_outs WHERE phone_hash = ? AND opted_out = 1').get(phoneHash);
+}
+
+/**
+ * List opt-out records, newest first. includeResubscribed adds rows that later texted START.
+ */
+function listOptOuts({ includeResubscribed = false } = {}) {
+  const where = includeResubscribed ? '' : 'WHERE opted_out = 1';
+  return getDb().prepare(`SELECT * FROM sms_opt_outs ${where} ORDER BY opted_out_at DESC`).all();
 }
 
 module.exports = {
@@ -946,6 +1479,7 @@ module.exports = {
   detectRecurringPatterns,
   processRecurrencePatterns,
   getActivePatternKeys,
+  getActivePattern,
   getPatternCount,
   importFromJsonCache,
   saveDigest,
@@ -957,7 +1491,26 @@ module.exports = {
   insertScrapedEvents,
   insertRecommendations,
   markRecommendationEngaged,
+  getUserProfile,
+  setMmsPreference,
+  getMmsPreference,
+  addVenueBlocks,
+  removeVenueBlocks,
+  recordProfileSearch,
+  recordProfileEngagement,
+  saveReminder,
+  getDueReminders,
+  getPendingReminders,
+  markReminderStatus,
+  cancelRemindersForPhone,
+  recordOptOut,
+  recordOptIn,
+  isOptedOut,
+  listOptOuts,
   // Exposed for testing
+  setDb,
+  applyProfileSignals,
+  rowToProfile,
   makePatternKey,
   normalizePatternName,
   addDays,
@@ -0,0 +1,170 @@
+/**
+ * embeddings.js — Pluggable text embedders for hybrid retrieval. Everything
+ * runs offline; no embedding API is called at request time.
+ *
+ * An embedder is { name, dim, minSimilarity, embed(texts) → Promise<number[][]> }.
+ *   hashing — built in, the default. Feature-hashed words and character
+ *             trigrams: deterministic, zero dependencies, catches morphology
+ *             ("puppet" ~ "puppetry") but not synonyms.
+ *   module  — PULSE_EMBEDDER_MODULE=/path/to/embedder.js exporting an embedder,
+ *             e.g. a local sentence-transformer. Loaded once.
+ *   none    — PULSE_EMBEDDER=none turns the dense leg off (BM25 only).
+ *
+ * Event vectors can also come precomputed from PULSE_EMBEDDINGS_FILE
+ * ({ model, ids, vectors }, the format scripts/phase-0 reads). File vectors are
+ * only used when they match the active embedder (same model name, or same
+ * dim when the file has no model) — vectors from different models aren't comparable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./bm25');
+
+const HASH_DIM = 512;
+const MAX_CACHED_VECTORS = 20000;
+
+// --- Built-in hashing embedder ---
+
+/** FNV-1a, 32-bit. */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function hashFeatures(text, dim = HASH_DIM) {
+  const vec = new Array(dim).fill(0);
+  const add = (feature, weight) => {
+    const h = fnv1a(feature);
+    vec[h % dim] += (h & 0x80000000) ? -weight : weight;
+  };
+  for (const word of tokenize(text)) {
+    add(`w:${word}`, 1);
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.5);
+  }
+  const norm = Math.sqrt(vec.reduce((s, x) => s + x * x, 0));
+  return norm === 0 ? vec : vec.map(x => x / norm);
+}
+
+const hashingEmbedder = {
+  name: `hashing-${HASH_DIM}`,
+  dim: HASH_DIM,
+  // Unrelated texts still share a few trigrams; below this it's noise
+  minSimilarity: 0.12,
+  async embed(texts) {
+    return texts.map(t => hashFeatures(t));
+  },
+};
+
+// --- Embedder selection ---
+
+let activeEmbedder;
+
+/**
+ * The embedder in use: PULSE_EMBEDDER_MODULE if set, null for PULSE_EMBEDDER=none,
+ * else the built-in hashing embedder. A module that fails to load falls back to hashing.
+ */
+function getEmbedder() {
+  if (activeEmbedder !== undefined) return activeEmbedder;
+  if (process.env.PULSE_EMBEDDER === 'none') {
+    activeEmbedder = null;
+  } else if (process.env.PULSE_EMBEDDER_MODULE) {
+    try {
+      const mod = require(path.resolve(process.env.PULSE_EMBEDDER_MODULE));
+      if (typeof mod?.embed !== 'function' || !mod.name) throw new Error('module must export { name, embed(texts) }');
+      activeEmbedder = mod;
+    } catch (err) {
+      console.error(`[EMBED] Failed to load ${process.env.PULSE_EMBEDDER_MODULE}: ${err.message} — using hashing embedder`);
+      activeEmbedder = hashingEmbedder;
+    }
+  } else {
+    activeEmbedder = hashingEmbedder;
+  }
+  return activeEmbedder;
+}
+
+/**
+ * Swap the embedder (null disables the dense leg). Clears cached vectors.
+ */
+function setEmbedder(embedder) {
+  activeEmbedder = embedder;
+  vectorCache.clear();
+  precomputed = undefined;
+}
+
+// --- Precomputed vectors ---
+
+let precomputed; // undefined = not loaded yet, null = none usable
+
+function loadPrecomputedVectors(embedder) {
+  if (precomputed !== undefined) return precomputed;
+  precomputed = null;
+  const file = process.env.PULSE_EMBEDDINGS_FILE;
+  if (!file || !embedder) return precomputed;
+  try {
+    const store = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const dim = store.vectors?.[0]?.length;
+    const compatible = store.model ? store.model === embedder.name : dim === embedder.dim;
+    if (!compatible) {
+      console.warn(`[EMBED] ${file} (${store.model || `dim ${dim}`}) doesn't match embedder ${embedder.name} — ignoring it`);
+      return precomputed;
+    }
+    precomputed = new Map();
+    for (let i = 0; i < store.ids.length; i++) precomputed.set(store.ids[i], store.vectors[i]);
+    console.log(`[EMBED] Loaded ${precomputed.size} precomputed vectors from ${file}`);
+  } catch (err) {
+    console.warn(`[EMBED] Could not read ${file}: ${err.message}`);
+  }
+  return precomputed;
+}
+
+// --- Embedding ---
+
+const vectorCache = new Map(); // event id → { text, vector }
+
+/**
+ * Vectors for a set of documents keyed by id: precomputed file first, then the
+ * in-memory cache (invalidated when an event's card text changes), then the
+ * embedder for whatever is left. Returns {} when no embedder is active.
+ */
+async function embedDocuments(docs, embedder = getEmbedder()) {
+  if (!embedder) return {};
+  const fromFile = loadPrecomputedVectors(embedder);
+  const vectors = {};
+  const missing = [];
+  for (const { id, text } of docs) {
+    if (fromFile?.has(id)) { vectors[id] = fromFile.get(id); continue; }
+    const cached = vectorCache.get(id);
+    if (cached && cached.text === text) { vectors[id] = cached.vector; continue; }
+    missing.push({ id, text });
+  }
+  if (missing.length > 0) {
+    const embedded = await embedder.embed(missing.map(d => d.text));
+    if (vectorCache.size + missing.length > MAX_CACHED_VECTORS) vectorCache.clear();
+    missing.forEach((d, i) => {
+      vectors[d.id] = embedded[i];
+      vectorCache.set(d.id, { text: d.text, vector: embedded[i] });
+    });
+  }
+  return vectors;
+}
+
+async function embedQuery(text, embedder = getEmbedder()) {
+  if (!embedder) return null;
+  const [vector] = await embedder.embed([text]);
+  return vector || null;
+}
+
+module.exports = {
+  getEmbedder,
+  setEmbedder,
+  embedDocuments,
+  embedQuery,
+  hashingEmbedder,
+  // Exposed for testing
+  hashFeatures,
+};
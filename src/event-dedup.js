@@ -0,0 +1,189 @@
+/**
+ * event-dedup.js — Cross-source fuzzy dedup with merge provenance.
+ *
+ * The same show often comes in from several sources with different names and
+ * times ("Comedy at Littlefield" from Skint, "Littlefield Comedy Night" at
+ * 8:30 from RA). Two events match when they're from different sources, on the
+ * same date, at the same venue after alias resolution, within an hour of each
+ * other, and their names share enough tokens once stopwords and the venue name
+ * are stripped. A missing start time demands closer names.
+ *
+ * Each group becomes one canonical event: the highest-weight source's copy,
+ * filled in with the best field any source had, plus `sources` — who listed
+ * it — so the model can say "picked by both Skint and NonsenseNYC".
+ *
+ * The DB keeps every source's row; merging runs whenever the serving cache is
+ * built, so it's recomputed as sources come and go.
+ */
+
+const { resolveVenueAlias } = require('./venues');
+const { SOURCE_MANIFESTS } = require('./source-registry');
+
+const TIME_TOLERANCE_MIN = 60;
+const MIN_CONTAINMENT = 0.5;          // times agree: half the shorter name's tokens
+const MIN_CONTAINMENT_UNTIMED = 0.8;  // a time is missing: names must nearly agree...
+const MIN_DICE_UNTIMED = 0.6;         // ...and not just one swallowing the other
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'at', 'and', 'with', 'of', 'in', 'on', 'for', 'to', 'by',
+  'presents', 'present', 'featuring', 'feat', 'ft', 'w', 'x', 'vs',
+  'live', 'show', 'night', 'event', 'tickets', 'nyc',
+]);
+
+// Fields the canonical copy takes from another source when it has none
+const FILL_FIELDS = [
+  'start_time_local', 'end_time_local', 'time_window', 'venue_address', 'neighborhood',
+  'lat', 'lng', 'ticket_url', 'source_url', 'map_url', 'age_policy', 'scarcity',
+];
+// Prices travel together so is_free and price_display never disagree
+const PRICE_FIELDS = ['price_display', 'is_free', 'price_min', 'price_max'];
+const TEXT_FIELDS = ['description_short', 'short_detail'];
+
+// source_name (lowercase) → manifest label
+const SOURCE_LABELS_BY_NAME = new Map(
+  SOURCE_MANIFESTS.flatMap(m => [m.label, m.dbName].filter(Boolean).map(n => [n.toLowerCase(), m.label]))
+);
+
+function sourceLabel(sourceName) {
+  if (!sourceName) return null;
+  return SOURCE_LABELS_BY_NAME.get(sourceName.toLowerCase()) || sourceName;
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function venueKey(venueName) {
+  if (!venueName || /^tba$/i.test(venueName.trim())) return null;
+  const tokens = tokenize(resolveVenueAlias(venueName.trim()));
+  if (tokens[0] === 'the') tokens.shift();
+  return tokens.join(' ') || null;
+}
+
+/**
+ * Name tokens for matching: stopwords and the venue's own words removed,
+ * so "Comedy at Littlefield" and "Littlefield Comedy Night" both become {comedy}.
+ */
+function nameTokens(name, ...venues) {
+  const venueWords = new Set(venues.flatMap(tokenize));
+  return new Set(tokenize(name).filter(t => !STOPWORDS.has(t) && !venueWords.has(t)));
+}
+
+function startMinutes(e) {
+  const m = e.start_time_local?.match(/T(\d{2}):(\d{2})/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return { containment: 0, dice: 0 };
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return { containment: shared / Math.min(a.size, b.size), dice: (2 * shared) / (a.size + b.size) };
+}
+
+/**
+ * Do two events (already known to share a date and venue) describe the same show?
+ */
+function eventsMatch(a, b) {
+  if (!a.source_name || a.source_name === b.source_name) return false;
+  const ta = startMinutes(a), tb = startMinutes(b);
+  const timed = ta !== null && tb !== null;
+  if (timed && Math.abs(ta - tb) > TIME_TOLERANCE_MIN) return false;
+
+  const venues = [a.venue_name, b.venue_name, resolveVenueAlias(a.venue_name)];
+  const na = nameTokens(a.name, ...venues), nb = nameTokens(b.name, ...venues);
+  // Nothing left but the venue's name ("Live at Littlefield") — trust a matching slot
+  if (na.size === 0 || nb.size === 0) return timed && na.size === nb.size;
+  const { containment, dice } = similarity(na, nb);
+  if (timed) return containment >= MIN_CONTAINMENT;
+  return containment >= MIN_CONTAINMENT_UNTIMED && dice >= MIN_DICE_UNTIMED;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function provenance(e) {
+  if (e.sources?.length) return e.sources;
+  return [{ label: sourceLabel(e.source_name), source_name: e.source_name, id: e.id, name: e.name }];
+}
+
+/**
+ * Fold a group into its canonical event. Members are ranked by source weight,
+ * then completeness; the top one's copy wins and the rest fill its gaps.
+ */
+function mergeGroup(group) {
+  const ranked = [...group].sort((a, b) =>
+    ((b.source_weight || 0) - (a.source_weight || 0)) || ((b.completeness || 0) - (a.completeness || 0)));
+  const merged = { ...ranked[0] };
+
+  for (const field of FILL_FIELDS) {
+    if (!isMissing(merged[field])) continue;
+    const donor = ranked.find(e => !isMissing(e[field]));
+    if (donor) merged[field] = donor[field];
+  }
+  if (isMissing(merged.price_display)) {
+    const donor = ranked.find(e => !isMissing(e.price_display));
+    if (donor) for (const field of PRICE_FIELDS) merged[field] = donor[field];
+  }
+  for (const field of TEXT_FIELDS) {
+    const longest = ranked.map(e => e[field]).filter(v => typeof v === 'string')
+      .reduce((best, v) => (v.length > best.length ? v : best), '');
+    if (longest) merged[field] = longest;
+  }
+  const access = [...new Set(ranked.flatMap(e => e.accessibility || []))];
+  if (access.length > 0) merged.accessibility = access;
+  if (ranked.some(e => e.editorial_signal)) merged.editorial_signal = true;
+
+  const seen = new Set();
+  merged.sources = ranked.flatMap(provenance).filter(s => !seen.has(s.id) && seen.add(s.id));
+  return merged;
+}
+
+/**
+ * Merge cross-source duplicates. Returns a new array (inputs aren't mutated)
+ * with each group replaced, in place of its first member, by its canonical
+ * event; unmatched events pass through untouched. Events without a date or a
+ * real venue are never merged.
+ */
+function mergeDuplicateEvents(events) {
+  const buckets = new Map();
+  const groupOf = new Map();
+  for (const e of events) {
+    const venue = venueKey(e.venue_name);
+    if (!venue || !e.date_local) continue;
+    const key = `${e.date_local}|${venue}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    const groups = buckets.get(key);
+    const names = new Set(provenance(e).map(s => s.source_name));
+    // Join the first group that matches and doesn't already have this source
+    const group = groups.find(g =>
+      g.every(m => provenance(m).every(s => !names.has(s.source_name))) && g.some(m => eventsMatch(m, e)));
+    if (group) group.push(e);
+    else groups.push([e]);
+    groupOf.set(e, group || groups[groups.length - 1]);
+  }
+
+  let merged = 0;
+  const out = [];
+  for (const e of events) {
+    const group = groupOf.get(e);
+    if (!group || group.length === 1) { out.push(e); continue; }
+    if (group[0] !== e) continue;
+    out.push(mergeGroup(group));
+    merged += group.length - 1;
+  }
+  if (merged > 0) console.log(`Cross-source dedup: merged ${merged} duplicate events`);
+  return merged > 0 ? out : events;
+}
+
+module.exports = {
+  mergeDuplicateEvents, sourceLabel,
+  // Exposed for testing
+  eventsMatch, nameTokens, venueKey,
+};
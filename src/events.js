@@ -1,14 +1,17 @@
 const fs = require('fs');
 const path = require('path');
-const { SOURCES, SOURCE_TIERS, SOURCE_LABELS, SOURCE_DB_NAMES, MERGE_ORDER, EMAIL_SOURCES } = require('./source-registry');
-const { sourceHealth, saveHealthData, updateSourceHealth, updateScrapeStats, computeEventMix, getHealthStatus: _getHealthStatus, isSourceDisabled, shouldProbeDisabled } = require('./source-health');
-const { rankEventsByProximity, filterUpcomingEvents, getNycDateString, getEventDate, isEventInDateRange, parseAsNycTime } = require('./geo');
-const { batchGeocodeEvents, exportLearnedVenues, importLearnedVenues, lookupVenue, lookupVenueSize } = require('./venues');
+const { SOURCES, SOURCE_TIERS, SOURCE_LABELS, SOURCE_DB_NAMES, MERGE_ORDER, EMAIL_SOURCES, SOURCE_SCHEDULES, SCRAPE_HOURS, EMAIL_POLL_HOURS } = require('./source-registry');
+const { parseCron, nextCronRun } = require('./cron');
+const { sourceHealth, saveHealthData, updateSourceHealth, recordGuardVerdict, updateScrapeStats, computeEventMix, getHealthStatus: _getHealthStatus, isSourceDisabled, shouldProbeDisabled } = require('./source-health');
+const { rankEventsByProximity, rankEventsNearPoint, POINT_RADIUS_KM, filterUpcomingEvents, getNycDateString, getEventDate, isEventInDateRange, parseAsNycTime } = require('./geo');
+const { batchGeocodeEvents, exportLearnedVenues, importLearnedVenues, lookupVenue, lookupVenueSize, lookupVenueProfile } = require('./venues');
 const { filterIncomplete, filterKidsEvents, isGarbageName, hasValidNeighborhood, isGarbageVenue } = require('./curation');
 const { eventMatchesFilters, failsTimeGate } = require('./pipeline');
-const { computeCompleteness, backfillEvidence, backfillDateTimes } = require('./sources/shared');
+const { computeCompleteness, backfillEvidence, backfillDateTimes, backfillPrices } = require('./sources/shared');
 const { captureExtractionInput, getExtractionInputs, clearExtractionInputs } = require('./extraction-capture');
 const { checkBaseline } = require('./scrape-guard');
+const { refreshForecast } = require('./weather');
+const { mergeDuplicateEvents } = require('./event-dedup');
 
 // ============================================================
 // Category remap + canonicalization (must be above boot code)
@@ -129,6 +132,64 @@ function stampVenueSize(events) {
   }
 }
 
+/**
+ * Backfill age_policy from the venue profile's house policy when the listing
+ * didn't state one. Stamped events get age_policy_source 'venue' so details can
+ * say it's the venue's usual policy, not this night's.
+ */
+function stampAgePolicy(events) {
+  let stamped = 0;
+  for (const e of events) {
+    if (e.age_policy || !e.venue_name) continue;
+    const policy = lookupVenueProfile(e.venue_name)?.age_policy;
+    if (policy) {
+      e.age_policy = policy;
+      e.age_policy_source = 'venue';
+      stamped++;
+    }
+  }
+  if (stamped > 0) {
+    console.log(`Age policy stamping: ${stamped} events from venue profiles`);
+  }
+}
+
+/**
+ * Classify an event as 'outdoor' or 'indoor' from its name, venue and source.
+ * Returns null when there's no signal either way — weather caveats only ever
+ * apply to confident 'outdoor' events.
+ */
+const OUTDOOR_RE = /\b(?:rooftop|roof deck|beer garden|garden|beach|pier|plaza|boardwalk|outdoors?|open[- ]air|courtyard|lawn|block party|street fair|under the stars|high line|waterfront|promenade|bandshell|amphitheat(?:er|re)|park)\b/i;
+const NOT_OUTDOOR_RE = /\b(?:square garden|park ave(?:nue)?|park slope|parkside)\b/i;
+const INDOOR_PLACE_RE = /\b(?:recreation center|rec center|nature center|library|museum|auditorium|theat(?:er|re)|cinema|hall|club|lounge)\b/i;
+const INDOOR_CATEGORIES = new Set(['film', 'comedy', 'theater', 'classical', 'trivia', 'jazz']);
+
+function classifySetting(event) {
+  const venue = event.venue_name || '';
+  const text = `${event.name || ''} ${venue}`;
+  const outdoorText = text.replace(NOT_OUTDOOR_RE, '');
+  if (OUTDOOR_RE.test(outdoorText) && !INDOOR_PLACE_RE.test(venue)) return 'outdoor';
+  // NYC Parks listings are outdoors unless they're at a rec center, library, etc.
+  if (event.source_name === 'nyc_parks' && !INDOOR_PLACE_RE.test(venue)) return 'outdoor';
+  if (INDOOR_PLACE_RE.test(venue) || INDOOR_CATEGORIES.has(event.category)) return 'indoor';
+  if (lookupVenueSize(venue) || lookupVenueProfile(venue)) return 'indoor';
+  return null;
+}
+
+/**
+ * Stamp setting ('outdoor' / 'indoor') on events for weather-aware ranking.
+ */
+function stampSetting(events) {
+  let outdoor = 0;
+  for (const e of events) {
+    const setting = classifySetting(e);
+    if (setting) e.setting = setting;
+    if (setting === 'outdoor') outdoor++;
+  }
+  if (outdoor > 0) {
+    console.log(`Setting stamping: ${outdoor} outdoor events`);
+  }
+}
+
 /**
  * Classify interaction format from category + subcategory + event name keywords.
  * Three tiers: interactive (stranger interaction built in), participatory (active audience),
@@ -433,11 +494,15 @@ try {
     eventCache = filterKidsEvents([...dbEvents, ...fresh]);
     backfillEvidence(eventCache);
     backfillDateTimes(eventCache);
+    backfillPrices(eventCache);
     stampRecurrence(eventCache);
     stampVenueSize(eventCache);
+    stampAgePolicy(eventCache);
+    stampSetting(eventCache);
     stampInteractionFormat(eventCache);
     stampSourceVibe(eventCache);
     remapOtherCategories(eventCache);
+    eventCache = mergeDuplicateEvents(eventCache);
     cacheTimestamp = Date.now();
     console.log(`Loaded ${eventCache.length} events from SQLite (${dbEvents.length} scraped + ${fresh.length} recurring)`);
   }
@@ -454,6 +519,7 @@ if (eventCache.length === 0) {
     if (cached.events?.length > 0) {
       backfillEvidence(cached.events);
       backfillDateTimes(cached.events);
+      backfillPrices(cached.events);
       remapOtherCategories(cached.events);
       eventCache = cached.events;
       cacheTimestamp = cached.timestamp || 0;
@@ -464,9 +530,10 @@ if (eventCache.length === 0) {
 }
 
 // ============================================================
-// Venue-slot dedup — merge near-duplicates at same venue/date/time/category
-// Catches cases where different sources use different names for the same event
-// (e.g. "Trivia Night at Danger Danger" vs "NYC Trivia League at Danger Danger")
+// Venue-slot dedup — drop a source's near-duplicates at the same
+// venue/date/time/category (e.g. a listing scraped under two titles).
+// Cross-source duplicates are kept so the serving cache can merge them
+// with provenance (see event-dedup.js).
 // ============================================================
 
 function deduplicateByVenueSlot(events) {
@@ -475,7 +542,7 @@ function deduplicateByVenueSlot(events) {
     if (!e.venue_name || e.venue_name === 'TBA') continue;
     if (!e.date_local) continue;
     const time = e.start_time_local?.match(/T(\d{2}:\d{2})/)?.[1] || '';
-    const key = `${e.venue_name.toLowerCase().trim()}|${e.date_local}|${time}|${e.category || ''}`;
+    const key = `${e.source_name || ''}|${e.venue_name.toLowerCase().trim()}|${e.date_local}|${time}|${e.category || ''}`;
     if (!slots.has(key)) slots.set(key, []);
     slots.get(key).push(e);
   }
@@ -483,8 +550,8 @@ function deduplicateByVenueSlot(events) {
   const dominated = new Set();
   for (const [, group] of slots) {
     if (group.length < 2) continue;
-    // Keep highest weight; on ties, first in merge order (already sorted by MERGE_ORDER)
-    group.sort((a, b) => (b.source_weight || 0) - (a.source_weight || 0));
+    // Keep the most complete; on ties, the first scraped
+    group.sort((a, b) => (b.completeness || 0) - (a.completeness || 0));
     for (let i = 1; i < group.length; i++) {
       dominated.add(group[i].id);
     }
@@ -557,10 +624,14 @@ async function refreshCache() {
 
     const activeSources = SOURCES.filter(s => !disabledSkipped.has(s.label));
 
+    // Hourly forecast once per scrape, alongside the sources (never throws)
+    const forecastPromise = refreshForecast();
+
     // SOURCES drives the fetch array — no positional coupling
     const fetchResults = await Promise.allSettled(
       activeSources.map(s => timedFetch(s.fetch, s.label, s.weight)),
     );
+    await forecastPromise;
 
     const allEvents = [];
     const seen = new Set();
@@ -603,17 +674,13 @@ async function refreshCache() {
       // Baseline gate: quarantine sources with suspicious output
       if (result.status === 'ok') {
         const verdict = checkBaseline(label, result.events);
+        recordGuardVerdict(label, verdict);
         if (verdict.quarantined) {
           console.warn(`[SCRAPE-GUARD] Quarantined ${label}: ${verdict.reason}`);
           result.status = 'quarantined';
           result.quarantineReason = verdict.reason;
-          sourceHealth[label].lastStatus = 'quarantined';
-          sourceHealth[label].lastQuarantineReason = verdict.reason;
           sourcesQuarantined++;
           continue; // skip merge — cache retains yesterday's events for this source
-        } else {
-          // Clear stale quarantine reason on pass
-          sourceHealth[label].lastQuarantineReason = null;
         }
       }
 
@@ -632,7 +699,7 @@ async function refreshCache() {
       console.warn(`[SCRAPE-GUARD] ${sourcesQuarantined} source(s) quarantined this scrape`);
     }
 
-    // Secondary dedup: merge near-duplicates at same venue + date + time + category
+    // Secondary dedup: a source's own near-duplicates at same venue + date + time + category
     const beforeVenueDedup = allEvents.length;
     const venueDedupedEvents = deduplicateByVenueSlot(allEvents);
     if (venueDedupedEvents.length < beforeVenueDedup) {
@@ -734,10 +801,14 @@ async function refreshCache() {
       const freshOccurrences = occurrences.filter(o => !seenIds.has(o.id));
       eventCache = filterKidsEvents([...dbEvents, ...freshOccurrences]);
       backfillDateTimes(eventCache);
+      backfillPrices(eventCache);
       stampRecurrence(eventCache);
       stampVenueSize(eventCache);
+      stampAgePolicy(eventCache);
+      stampSetting(eventCache);
       stampInteractionFormat(eventCache);
       remapOtherCategories(eventCache);
+      eventCache = mergeDuplicateEvents(eventCache);
 
       cacheTimestamp = Date.now();
       console.log(`SQLite: ${validEvents.length} events stored, serving ${eventCache.length} (${dbEvents.length} scraped + ${freshOccurrences.length} recurring)`);
@@ -748,7 +819,7 @@ async function refreshCache() {
         const active = isEventInDateRange(e, yesterday, weekOut);
         return active === null ? true : active;
       });
-      eventCache = weekFiltered;
+      eventCache = mergeDuplicateEvents(weekFiltered);
       cacheTimestamp = Date.now();
     }
 
@@ -836,7 +907,9 @@ async function refreshEmailSources() {
       activeEmailSources.map(s => timedFetch(s.fetch, s.label, s.weight)),
     );
 
-    const existingIds = new Set(eventCache.map(e => e.id));
+    // Include ids already merged into another source's copy
+    const existingIds = new Set(eventCache.flatMap(e => [e.id, ...(e.sources || []).map(s => s.id)]));
+    const addedEvents = [];
     let added = 0;
 
     for (let i = 0; i < activeEmailSources.length; i++) {
@@ -862,10 +935,9 @@ async function refreshEmailSources() {
       // Baseline gate (same as full scrape)
       if (result.status === 'ok') {
         const verdict = checkBaseline(label, result.events);
+        recordGuardVerdict(label, verdict);
         if (verdict.quarantined) {
           console.warn(`[EMAIL-POLL] Quarantined ${label}: ${verdict.reason}`);
-          sourceHealth[label].lastStatus = 'quarantined';
-          sourceHealth[label].lastQuarantineReason = verdict.reason;
           continue;
         }
       }
@@ -877,6 +949,7 @@ async function refreshEmailSources() {
         if (!existingIds.has(e.id)) {
           existingIds.add(e.id);
           eventCache.push(e);
+          addedEvents.push(e);
           added++;
         }
       }
@@ -888,16 +961,15 @@ async function refreshEmailSources() {
     if (added > 0) {
       try {
         const db = require('./db');
-        const newEvents = eventCache.filter(e => EMAIL_SOURCES.some(s => s.label === e.source_name));
-        if (newEvents.length > 0) {
-          db.upsertEvents(newEvents);
-          try { db.insertScrapedEvents(newEvents); } catch (e2) {
-            console.warn('[EMAIL-POLL] scraped_events insert failed:', e2.message);
-          }
+        // Only this poll's events — cached copies may be merged with other sources
+        db.upsertEvents(addedEvents);
+        try { db.insertScrapedEvents(addedEvents); } catch (e2) {
+          console.warn('[EMAIL-POLL] scraped_events insert failed:', e2.message);
         }
       } catch (err) {
         console.warn('[EMAIL-POLL] SQLite upsert failed:', err.message);
       }
+      eventCache = mergeDuplicateEvents(eventCache);
 
       try {
         atomicWriteSync(CACHE_FILE, JSON.stringify({ events: eventCache, timestamp: cacheTimestamp }));
@@ -942,11 +1014,10 @@ async function refreshSources(sourceNames, { reprocess = false } = {}) {
   if (reprocess) {
     const fs = require('fs');
     const path = require('path');
-    const cacheDirs = { nonsensenyc: 'nonsense', screenslate: 'screenslate', bkmag: 'bkmag' };
     for (const t of targets) {
-      const dir = cacheDirs[normalize(t.label)];
-      if (!dir) continue;
-      const cacheFile = path.join(__dirname, `../data/${dir}/cached-events.json`);
+      // Yutori reprocesses its archived emails itself (see the fetch below)
+      if (!t.cacheFile || t.label === 'Yutori') continue;
+      const cacheFile = path.join(__dirname, '..', t.cacheFile);
       if (fs.existsSync(cacheFile)) {
         fs.unlinkSync(cacheFile);
         console.log(`Cleared cache: ${cacheFile}`);
@@ -962,13 +1033,11 @@ async function refreshSources(sourceNames, { reprocess = false } = {}) {
     })
   );
 
-  // Remove old events from targeted sources, keep everything else
-  const targetNorms = new Set(targets.map(t => normalize(t.label)));
-  const kept = eventCache.filter(e => !targetNorms.has(normalize(e.source_name)));
-
-  // Merge in new events
-  const seen = new Set(kept.map(e => e.id));
+  // Only sources that came back healthy replace their old events — a failed,
+  // empty or quarantined refresh keeps what the cache already has
+  const replaced = [];
   const newEvents = [];
+  const seen = new Set();
 
   for (let i = 0; i < targets.length; i++) {
     const label = targets[i].label;
@@ -978,9 +1047,19 @@ async function refreshSources(sourceNames, { reprocess = false } = {}) {
       : { events: [], durationMs: 0, status: 'error', error: settled.reason?.message };
 
     updateSourceHealth(label, { events, durationMs, status, error });
-    const sourceEntry = SOURCES.find(s => s.label === label);
-    if (sourceEntry?.volatile) sourceHealth[label].volatile = true;
+    if (targets[i].volatile) sourceHealth[label].volatile = true;
 
+    let verdict = null;
+    if (status === 'ok') {
+      verdict = checkBaseline(label, events);
+      recordGuardVerdict(label, verdict);
+    }
+    if (status !== 'ok' || verdict.quarantined) {
+      console.log(`  ${label}: ${status === 'ok' ? `quarantined (${verdict.reason})` : status} — keeping cached events`);
+      continue;
+    }
+
+    replaced.push(targets[i]);
     for (const e of events) {
       if (!seen.has(e.id)) {
         seen.add(e.id);
@@ -991,6 +1070,18 @@ async function refreshSources(sourceNames, { reprocess = false } = {}) {
     console.log(`  ${label}: ${events.length} events (${status})`);
   }
 
+  if (replaced.length === 0) {
+    saveHealthData();
+    console.log('Selective refresh: no healthy results, cache unchanged');
+    return;
+  }
+
+  // Remove old events from replaced sources (by label or cache name), keep everything else
+  const replacedNames = replaced.flatMap(s => [s.label, ...(s.dbName ? [s.dbName] : [])]);
+  const replacedNorms = new Set(replacedNames.map(normalize));
+  const kept = eventCache.filter(e => !replacedNorms.has(normalize(e.source_name)));
+  const keptIds = new Set(kept.map(e => e.id));
+
   // Apply 30-day date filter + kids filter to new events
   // Include yesterday so newsletter events survive next-day scrape
   const yesterday = getNycDateString(-1);
@@ -1021,7 +1112,7 @@ async function refreshSources(sourceNames, { reprocess = false } = {}) {
   const weekOut = getNycDateString(7);
   try {
     const db = require('./db');
-    db.deleteEventsBySource(targets.map(s => s.label));
+    db.deleteEventsBySource(replacedNames);
     db.upsertEvents(validNew);
     // Persist to historical scraped_events (append-only)
     try { db.insertScrapedEvents(validNew); } catch (err) {
@@ -1035,9 +1126,12 @@ async function refreshSources(sourceNames, { reprocess = false } = {}) {
     eventCache = filterKidsEvents([...dbEvents, ...freshOccurrences]);
     stampRecurrence(eventCache);
     stampVenueSize(eventCache);
+    stampAgePolicy(eventCache);
+    stampSetting(eventCache);
     stampInteractionFormat(eventCache);
     stampSourceVibe(eventCache);
     remapOtherCategories(eventCache);
+    eventCache = mergeDuplicateEvents(eventCache);
     cacheTimestamp = Date.now();
   } catch (err) {
     // SQLite failed — fall back to in-memory merge
@@ -1046,7 +1140,7 @@ async function refreshSources(sourceNames, { reprocess = false } = {}) {
       const active = isEventInDateRange(e, today, weekOut);
       return active === null ? true : active;
     });
-    eventCache = [...kept, ...weekFiltered];
+    eventCache = [...kept, ...weekFiltered.filter(e => !keptIds.has(e.id))];
     cacheTimestamp = Date.now();
   }
 
@@ -1164,6 +1258,31 @@ async function getEvents(neighborhood, { dateRange } = {}) {
   return filtered.slice(0, 100);
 }
 
+/**
+ * Events within radiusKm of an exact point (address or shared pin), closest
+ * first within each date tier. Same gates and date window as getEvents.
+ */
+async function getEventsNearPoint(point, { dateRange, radiusKm } = {}) {
+  if (eventCache.length === 0) {
+    await refreshCache();
+  }
+
+  const qualityFiltered = applyQualityGates(eventCache);
+  const ranked = rankEventsNearPoint(qualityFiltered, point, { radiusKm });
+
+  const todayNyc = getNycDateString(0);
+  const weekOutNyc = getNycDateString(7);
+  const rangeStart = dateRange?.start || todayNyc;
+  const rangeEnd = dateRange?.end || weekOutNyc;
+  const filtered = ranked.filter(e => {
+    const active = isEventInDateRange(e, rangeStart, rangeEnd);
+    return active === null ? true : active; // keep undated events
+  });
+
+  console.log(`${filtered.length} events within ${radiusKm ?? POINT_RADIUS_KM}km of ${point.lat.toFixed(4)},${point.lng.toFixed(4)} (range ${rangeStart}..${rangeEnd}, cache: ${eventCache.length})`);
+  return filtered.slice(0, 100);
+}
+
 /**
  * Creates a sort comparator for events: date proximity → source tier → source vibe → confidence.
  * @param {string} rangeEnd - fallback date for undated events
@@ -1266,8 +1385,6 @@ async function getEventsCitywide({ dateRange, filters } = {}) {
 // Daily scheduler — runs scrape at target hour in NYC timezone
 // ============================================================
 
-const SCRAPE_HOURS = [10, 18]; // 10am ET + 6pm ET (catches same-day newsletters)
-
 function msUntilNextScrape() {
   const now = new Date();
   // Get current NYC time components
@@ -1341,8 +1458,6 @@ function clearSchedule() {
 // Email-only poll scheduler — catches newsletters between full scrapes
 // ============================================================
 
-const EMAIL_POLL_HOURS = [6, 14, 22]; // ET hours not covered by full scrape (10, 18)
-
 function msUntilNextEmailPoll() {
   const now = new Date();
   const nycStr = now.toLocaleString('en-US', { timeZone: 'America/New_York', hour12: false });
@@ -1385,6 +1500,87 @@ function clearEmailSchedule() {
   if (emailPollTimer) clearTimeout(emailPollTimer);
 }
 
+// ============================================================
+// Per-source refresh scheduler — intraday refreshes from each source's
+// cron in source-registry (SOURCE_SCHEDULES), via refreshSources
+// ============================================================
+
+const sourceCrons = Object.entries(SOURCE_SCHEDULES).map(([label, expr]) => ({ label, cron: parseCron(expr) }));
+const lastSourceRefresh = {}; // label → ISO time of the last scheduled refresh
+
+let sourceRefreshTimer = null;
+
+/**
+ * Next scheduled refresh per source after `now`, soonest first.
+ */
+function nextSourceRefreshes(now = new Date()) {
+  return sourceCrons
+    .map(({ label, cron }) => ({ label, cron: cron.expr, next: nextCronRun(cron, now) }))
+    .filter(r => r.next)
+    .sort((a, b) => a.next - b.next);
+}
+
+/**
+ * Refresh the due sources unless a full scrape or email poll is running.
+ * Disabled sources are skipped unless a circuit-breaker probe is due.
+ */
+async function runScheduledRefresh(labels) {
+  if (refreshPromise || emailRefreshPromise) {
+    console.log(`[SCHEDULE] Scrape in progress, skipping refresh of ${labels.join(', ')}`);
+    return;
+  }
+  const due = labels.filter(l => !isSourceDisabled(l) || shouldProbeDisabled(l));
+  if (due.length === 0) return;
+  const startedAt = new Date().toISOString();
+  for (const l of due) lastSourceRefresh[l] = startedAt;
+  await refreshSources(due);
+}
+
+function scheduleSourceRefreshes() {
+  const upcoming = nextSourceRefreshes();
+  if (upcoming.length === 0) return;
+  const at = upcoming[0].next;
+  const labels = upcoming.filter(r => r.next.getTime() === at.getTime()).map(r => r.label);
+  console.log(`Next source refresh: ${labels.join(', ')} in ${((at - Date.now()) / 3600000).toFixed(1)} hours`);
+
+  sourceRefreshTimer = setTimeout(async () => {
+    try {
+      await runScheduledRefresh(labels);
+    } catch (err) {
+      console.error(`[SCHEDULE] Refresh of ${labels.join(', ')} failed:`, err.message);
+    }
+    scheduleSourceRefreshes();
+  }, Math.max(at - Date.now(), 0));
+}
+
+function clearSourceSchedule() {
+  if (sourceRefreshTimer) clearTimeout(sourceRefreshTimer);
+}
+
+/**
+ * Next-run table for /health: the full scrape, the email poll and every
+ * per-source refresh, soonest first.
+ */
+function getScheduleTable(now = new Date()) {
+  const fullCron = `0 ${SCRAPE_HOURS.join(',')} * * *`;
+  const emailCron = `0 ${EMAIL_POLL_HOURS.join(',')} * * *`;
+  const rows = [
+    { job: 'full scrape', sources: SOURCES.filter(s => !isSourceDisabled(s.label)).map(s => s.label), cron: fullCron, next_run: nextCronRun(fullCron, now) },
+    { job: 'email poll', sources: EMAIL_SOURCES.map(s => s.label), cron: emailCron, next_run: nextCronRun(emailCron, now) },
+    ...nextSourceRefreshes(now).map(r => ({
+      job: 'source refresh',
+      sources: [r.label],
+      cron: r.cron,
+      next_run: r.next,
+      last_run: lastSourceRefresh[r.label] || null,
+      paused: isSourceDisabled(r.label) ? 'disabled — runs only when a probe is due' : undefined,
+    })),
+  ];
+  return rows
+    .map(r => ({ ...r, next_run: r.next_run ? r.next_run.toISOString() : null }))
+    .sort((a, b) => (a.next_run || '').localeCompare(b.next_run || ''));
+}
+
 function getCacheStatus() {
   const nextEmail = msUntilNextEmailPoll();
   return {
@@ -1404,6 +1600,7 @@ function getHealthStatus() {
   // Attach coverage matrix
   const { computeCoverageMatrix } = require('./source-health');
   result.coverageMatrix = computeCoverageMatrix(eventCache);
+  result.schedule = getScheduleTable();
   // Attach recurring pattern count
   try {
     const { getPatternCount } = require('./db');
@@ -1424,8 +1621,11 @@ function isCacheFresh() {
   return eventCache.length > 0 && cacheTimestamp > 0 && (Date.now() - cacheTimestamp) < STALE_THRESHOLD_MS;
 }
 
+// Ids merged into another source's copy still resolve (saved picks, traces)
 function getEventById(id) {
-  return eventCache.find(e => e.id === id) || null;
+  return eventCache.find(e => e.id === id)
+    || eventCache.find(e => e.sources?.some(s => s.id === id))
+    || null;
 }
 
 // ============================================================
@@ -1445,8 +1645,10 @@ function scanCityWide(filters) {
   });
 
   let candidates = dateFiltered;
-  if (filters.time_after && /^\d{2}:\d{2}$/.test(filters.time_after)) {
-    candidates = dateFiltered.filter(e => !failsTimeGate(e, filters.time_after));
+  const timeAfter = /^\d{2}:\d{2}$/.test(filters.time_after || '') ? filters.time_after : null;
+  const timeBefore = /^\d{2}:\d{2}$/.test(filters.time_before || '') ? filters.time_before : null;
+  if (timeAfter || timeBefore) {
+    candidates = dateFiltered.filter(e => !failsTimeGate(e, timeAfter, timeBefore));
   }
 
   const hoodCounts = {};
@@ -1462,4 +1664,4 @@ function scanCityWide(filters) {
     .map(([neighborhood, matchCount]) => ({ neighborhood, matchCount }));
 }
 
-module.exports = { SOURCES, SOURCE_TIERS, refreshCache, refreshSources, refreshEmailSources, getEvents, getEventsForBorough, getEventsCitywide, getEventById, getCacheStatus, getHealthStatus, getRawCache, isCacheFresh, scheduleDailyScrape, clearSchedule, scheduleEmailPolls, clearEmailSchedule, captureExtractionInput, getExtractionInputs, scanCityWide, scoreInterestingness, scoreSurprise, selectDiversePicks, getTopPicks, isGarbageName, remapOtherCategory };
+module.exports = { SOURCES, SOURCE_TIERS, refreshCache, refreshSources, refreshEmailSources, getEvents, getEventsNearPoint, getEventsForBorough, getEventsCitywide, getEventById, getCacheStatus, getHealthStatus, getRawCache, isCacheFresh, scheduleDailyScrape, clearSchedule, scheduleEmailPolls, clearEmailSchedule, scheduleSourceRefreshes, clearSourceSchedule, getScheduleTable, captureExtractionInput, getExtractionInputs, scanCityWide, scoreInterestingness, scoreSurprise, selectDiversePicks, getTopPicks, isGarbageName, remapOtherCategory, classifySetting };
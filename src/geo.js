@@ -97,9 +97,29 @@ function isEventInDateRange(event, rangeStart, rangeEnd) {
   return d >= rangeStart && d <= rangeEnd;
 }
 
+/**
+ * Map an event's neighborhood string (name or alias, any case) to a known neighborhood.
+ */
+function canonicalHood(hood) {
+  if (!hood) return null;
+  if (NEIGHBORHOODS[hood]) return hood;
+  const lower = hood.toLowerCase();
+  for (const [name, data] of Object.entries(NEIGHBORHOODS)) {
+    if (data.aliases.includes(lower) || name.toLowerCase() === lower) return name;
+  }
+  return null;
+}
+
+// Transit minutes that count as "nearby" — roughly what 3km straight-line meant,
+// but measured along the subway (EV→Williamsburg in, Greenpoint→Astoria out)
+const NEARBY_TRANSIT_MINUTES = 35;
+
 /**
  * Rank events by date (today first) then proximity to target neighborhood.
- * Filter: include everything within ~3km.
+ * Proximity is subway travel time between neighborhoods (see transit.js);
+ * straight-line km (cross-borough ×1.5) is the fallback when the graph can't
+ * route a pair.
+ * Filter: include everything within NEARBY_TRANSIT_MINUTES (or ~3km).
  * Sort: today > tomorrow > future, then closest first within each tier.
  */
 function rankEventsByProximity(events, targetNeighborhood, { refTimeMs } = {}) {
@@ -113,66 +133,96 @@ function rankEventsByProximity(events, targetNeighborhood, { refTimeMs } = {}) {
   const tomorrowNyc = getNycDateString(1, now);
 
   const targetBoro = HOOD_TO_BOROUGH[targetNeighborhood] || null;
+  // Late require to avoid circular dep (transit.js → geo.js)
+  const { transitMinutesBetween } = require('./transit');
+  const transitByHood = new Map();
 
   const scored = events.map(e => {
-    const hood = e.neighborhood;
-    let rawDist = 4.0;
-    let resolvedHood = null;
-    if (hood) {
-      const hoodData = NEIGHBORHOODS[hood];
-      if (hoodData) {
-        rawDist = haversine(targetData.lat, targetData.lng, hoodData.lat, hoodData.lng);
-        resolvedHood = hood;
-      } else {
-        for (const [name, data] of Object.entries(NEIGHBORHOODS)) {
-          if (data.aliases.includes(hood.toLowerCase()) || name.toLowerCase() === hood.toLowerCase()) {
-            rawDist = haversine(targetData.lat, targetData.lng, data.lat, data.lng);
-            resolvedHood = name;
-            break;
-          }
-        }
-      }
-    }
-    // In-hood boost: events in the exact target neighborhood always sort first
-    // within each date tier. Cross-borough penalty deprioritizes events across
-    // borough lines but doesn't exclude nearby cross-river hoods.
-    let sortDist = rawDist;
+    const resolvedHood = canonicalHood(e.neighborhood);
+    let nearby = false;
+    let sortDist = Infinity;
     if (resolvedHood === targetNeighborhood) {
-      sortDist = 0; // in-hood always sorts first within date tier
-    } else if (resolvedHood && targetBoro) {
-      const eventBoro = HOOD_TO_BOROUGH[resolvedHood] || null;
-      if (eventBoro && eventBoro !== targetBoro) {
-        sortDist *= 1.5;
+      // In-hood always sorts first within each date tier
+      nearby = true;
+      sortDist = 0;
+    } else if (resolvedHood) {
+      if (!transitByHood.has(resolvedHood)) transitByHood.set(resolvedHood, transitMinutesBetween(targetNeighborhood, resolvedHood));
+      const minutes = transitByHood.get(resolvedHood);
+      if (minutes !== null) {
+        nearby = minutes <= NEARBY_TRANSIT_MINUTES;
+        sortDist = minutes;
+      } else {
+        // No route — straight line, with a cross-borough penalty that
+        // deprioritizes but doesn't exclude nearby cross-river hoods
+        const hoodData = NEIGHBORHOODS[resolvedHood];
+        const rawDist = haversine(targetData.lat, targetData.lng, hoodData.lat, hoodData.lng);
+        const eventBoro = HOOD_TO_BOROUGH[resolvedHood] || null;
+        nearby = rawDist <= 3;
+        sortDist = eventBoro && targetBoro && eventBoro !== targetBoro ? rawDist * 1.5 : rawDist;
       }
     }
 
-    // Date tier: continuous day-offset (today=0, tomorrow=1, ..., capped at 7)
-    const eventDate = getEventDate(e);
-    let dateTier = 0;
-    if (eventDate && eventDate > todayNyc) {
-      const todayMs = new Date(todayNyc + 'T12:00:00').getTime();
-      const eventMs = new Date(eventDate + 'T12:00:00').getTime();
-      dateTier = Math.min(7, Math.round((eventMs - todayMs) / (24 * 60 * 60 * 1000)));
-    }
-
-    return { event: e, rawDist, sortDist, dateTier };
+    return { event: e, nearby, sortDist, dateTier: dateTierOf(e, todayNyc) };
   });
 
-  // source_vibe tiebreaker: within same date+distance, favor discovery > niche > platform > mainstream
-  const vibeOrder = { discovery: 0, niche: 1, platform: 2, mainstream: 3 };
+  return sortNearby(scored);
+}
+
+// Date tier: continuous day-offset (today=0, tomorrow=1, ..., capped at 7)
+function dateTierOf(event, todayNyc) {
+  const eventDate = getEventDate(event);
+  if (!eventDate || eventDate <= todayNyc) return 0;
+  const todayMs = new Date(todayNyc + 'T12:00:00').getTime();
+  const eventMs = new Date(eventDate + 'T12:00:00').getTime();
+  return Math.min(7, Math.round((eventMs - todayMs) / (24 * 60 * 60 * 1000)));
+}
+
+// source_vibe tiebreaker: within same date+distance, favor discovery > niche > platform > mainstream
+const VIBE_ORDER = { discovery: 0, niche: 1, platform: 2, mainstream: 3 };
 
+function sortNearby(scored) {
   return scored
-    .filter(s => s.rawDist <= 3)
+    .filter(s => s.nearby)
     .sort((a, b) => {
       if (a.dateTier !== b.dateTier) return a.dateTier - b.dateTier;
       if (a.sortDist !== b.sortDist) return a.sortDist - b.sortDist;
-      const va = vibeOrder[a.event.source_vibe] ?? 2;
-      const vb = vibeOrder[b.event.source_vibe] ?? 2;
+      const va = VIBE_ORDER[a.event.source_vibe] ?? 2;
+      const vb = VIBE_ORDER[b.event.source_vibe] ?? 2;
       return va - vb;
     })
     .map(s => s.event);
 }
 
+// Default search radius around an exact point (address or shared pin) —
+// about a 15-minute walk
+const POINT_RADIUS_KM = 1.2;
+
+/**
+ * Rank events around an exact point instead of a neighborhood center: keep
+ * those within radiusKm (venue coordinates when known, else the event's
+ * neighborhood center) and sort by date tier, then distance. Unplaced events
+ * only count when their neighborhood's center is inside the radius, so
+ * matches lean on venues we can actually place. Kept events are copies
+ * stamped with distance_km.
+ */
+function rankEventsNearPoint(events, point, { radiusKm = POINT_RADIUS_KM, refTimeMs } = {}) {
+  if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) return events;
+  const todayNyc = getNycDateString(0, refTimeMs || Date.now());
+  // Late require to avoid circular dep (transit.js → geo.js)
+  const { eventPoint } = require('./transit');
+
+  const scored = events.map(e => {
+    const at = eventPoint({ ...e, neighborhood: canonicalHood(e.neighborhood) });
+    const km = at ? haversine(point.lat, point.lng, at.lat, at.lng) : Infinity;
+    const nearby = km <= radiusKm;
+    return {
+      event: nearby ? { ...e, distance_km: Math.round(km * 10) / 10 } : e,
+      nearby, sortDist: km, dateTier: dateTierOf(e, todayNyc),
+    };
+  });
+  return sortNearby(scored);
+}
+
 /**
  * Get today's (or today+offset) date string in NYC timezone as YYYY-MM-DD.
  * Uses calendar-day arithmetic instead of ms-arithmetic to avoid DST bugs
@@ -326,20 +376,28 @@ function filterByTimeAfter(events, timeAfterHHMM) {
   return filtered; // hard filter (P5)
 }
 
+/**
+ * The `count` neighborhoods quickest to reach from `hood` by subway. Falls back
+ * to straight-line distance (×3 across borough lines) for hoods the transit
+ * graph can't route.
+ */
 function getAdjacentNeighborhoods(hood, count = 3) {
   const target = NEIGHBORHOODS[hood];
   if (!target) return [];
   const sourceBoro = HOOD_TO_BOROUGH[hood] || null;
+  const { transitMinutesBetween } = require('./transit');
   return Object.entries(NEIGHBORHOODS)
     .filter(([name]) => name !== hood)
     .map(([name, data]) => {
+      const minutes = transitMinutesBetween(hood, name);
+      if (minutes !== null) return { name, routed: true, dist: minutes };
       const rawDist = Math.sqrt(Math.pow(target.lat - data.lat, 2) + Math.pow(target.lng - data.lng, 2));
       const sameBoro = sourceBoro && HOOD_TO_BOROUGH[name] === sourceBoro;
-      return { name, dist: sameBoro ? rawDist : rawDist * 3 };
+      return { name, routed: false, dist: sameBoro ? rawDist : rawDist * 3 };
     })
-    .sort((a, b) => a.dist - b.dist)
+    .sort((a, b) => (b.routed - a.routed) || (a.dist - b.dist))
     .slice(0, count)
     .map(d => d.name);
 }
 
-module.exports = { resolveNeighborhood, rankEventsByProximity, getNycDateString, getNycUtcOffset, inferCategory, haversine, filterUpcomingEvents, getEventDate, isEventInDateRange, parseAsNycTime, filterByTimeAfter, getAdjacentNeighborhoods };
+module.exports = { resolveNeighborhood, rankEventsByProximity, getNycDateString, getNycUtcOffset, inferCategory, haversine, filterUpcomingEvents, getEventDate, isEventInDateRange, parseAsNycTime, filterByTimeAfter, getAdjacentNeighborhoods, NEARBY_TRANSIT_MINUTES, rankEventsNearPoint, POINT_RADIUS_KM };
@@ -0,0 +1,396 @@
+/**
+ * group-plans.js — Share a pick list with friends and collect votes over SMS.
+ *
+ * The organizer texts "plan with 917-555-1234, 718-555-9876" after getting
+ * picks. Pulse sends their current lastPicks to each invitee, invitees reply
+ * with a number to vote, and the organizer gets a running tally.
+ *
+ * Consent: numbers that have never texted Pulse get a single invite asking them
+ * to reply YES before any picks are sent. Opted-out numbers are skipped, and so
+ * are numbers that declined or ignored an invite in the last month. Invites are
+ * capped per organizer and per recipient per day, and only a phone (SMS or
+ * WhatsApp) can organize — web chat users are unverified.
+ *
+ * Votes: a bare number counts as a vote only when the invitee has no picks of
+ * their own in a live session — otherwise "2" means "tell me about 2" and they
+ * vote with "VOTE 2".
+ *
+ * State spans several phones, so it lives in SQLite (group_plans +
+ * group_plan_members) rather than the single-phone session.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { hashPhone, getSession } = require('./session');
+const { formatTime } = require('./formatters');
+
+const PLAN_TTL_HOURS = 12;
+const MAX_INVITEES = 5;
+const MAX_PLAN_PICKS = 5;
+const MAX_INVITES_PER_ORGANIZER_DAY = 10;
+const MAX_INVITES_PER_RECIPIENT_DAY = 2;
+const INVITE_SUPPRESS_DAYS = 30;        // after a NO or an unanswered consent invite
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLAN_COMMAND = /^\s*plan\s+with\s+(.+)$/i;
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/g;
+const YES_REPLY = /^\s*(yes|y|yeah|yep|sure|ok|okay|in)\s*[.!]*\s*$/i;
+const NO_REPLY = /^\s*(no|n|nah|nope|pass|skip)\s*[.!]*\s*$/i;
+const VOTE_REPLY = /^\s*(vote\s*)?#?(\d{1,2})\s*$/i;
+
+// --- Pure helpers ---
+
+/**
+ * Normalize a US phone number to E.164. Returns null for anything else.
+ */
+function normalizeUsPhone(raw) {
+  const digits = String(raw || '').replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+/**
+ * Parse "plan with <numbers>". Returns { phones, invalid } or null when the
+ * message isn't a plan command (no phone-like digits — "plan with friends" goes to the agent).
+ */
+function parsePlanCommand(message) {
+  const match = (message || '').match(PLAN_COMMAND);
+  if (!match) return null;
+  const candidates = match[1].match(PHONE_PATTERN) || [];
+  if (candidates.length === 0) return null;
+  const phones = [];
+  let invalid = 0;
+  for (const raw of candidates) {
+    const phone = normalizeUsPhone(raw);
+    if (!phone) { invalid++; continue; }
+    if (!phones.includes(phone)) phones.push(phone);
+  }
+  return { phones, invalid };
+}
+
+/**
+ * Snapshot the session's current picks for the plan. Only name/venue/time are
+ * kept — invitees see the list, not the organizer's session.
+ */
+function buildPlanPicks(session) {
+  const eventMap = session?.lastEvents || {};
+  return (session?.lastPicks || [])
+    .map(p => eventMap[p.event_id])
+    .filter(Boolean)
+    .slice(0, MAX_PLAN_PICKS)
+    .map(e => ({
+      event_id: e.id,
+      name: e.name,
+      venue_name: e.venue_name && e.venue_name !== 'TBA' ? e.venue_name : null,
+      start_time_local: e.start_time_local || null,
+    }));
+}
+
+/** "…1234" — enough for friends to recognize each other without exposing the full number. */
+function phoneTail(phone) {
+  return `…${String(phone).slice(-4)}`;
+}
+
+function formatPickLines(picks) {
+  return picks.map((p, i) => {
+    const venue = p.venue_name ? ` — ${p.venue_name}` : '';
+    const time = p.start_time_local && /T\d{2}:/.test(p.start_time_local) ? `, ${formatTime(p.start_time_local)}` : '';
+    return `${i + 1}. ${p.name}${venue}${time}`;
+  }).join('\n');
+}
+
+function buildPicksInvite(organizerPhone, picks) {
+  return `Your friend ${phoneTail(organizerPhone)} is planning tonight with Pulse and wants your vote:\n${formatPickLines(picks)}\nReply VOTE and a number to vote (e.g. VOTE 1).`;
+}
+
+function buildConsentInvite(organizerPhone) {
+  return `Your friend ${phoneTail(organizerPhone)} wants your vote on tonight's plans via Pulse, an NYC events texting service. Reply YES to see the options or NO to skip. Reply STOP to opt out. Msg&Data Rates May Apply.`;
+}
+
+/**
+ * Classify an invitee's reply against their membership. Returns an action
+ * ('join' | 'decline' | 'vote' | 'vote_invalid') with the vote number, or null.
+ * With requirePrefix (the invitee has picks of their own), only "VOTE n" votes.
+ */
+function parsePlanReply(message, member, pickCount, { requirePrefix = false } = {}) {
+  if (!member) return null;
+  if (member.status === 'pending_consent') {
+    if (YES_REPLY.test(message)) return { action: 'join' };
+    if (NO_REPLY.test(message)) return { action: 'decline' };
+    return null;
+  }
+  if (member.status === 'invited' && member.vote == null) {
+    if (NO_REPLY.test(message)) return { action: 'decline' };
+    const vote = message.match(VOTE_REPLY);
+    if (!vote || (requirePrefix && !vote[1])) return null;
+    const n = parseInt(vote[2], 10);
+    if (n < 1 || n > pickCount) return { action: 'vote_invalid' };
+    return { action: 'vote', vote: n };
+  }
+  return null;
+}
+
+/**
+ * Count votes per pick. Declined members and unanswered consent invites don't count toward the total.
+ */
+function tallyVotes(picks, members) {
+  const counts = picks.map((p, i) => ({ n: i + 1, name: p.name, votes: 0 }));
+  let voted = 0;
+  let eligible = 0;
+  for (const m of members) {
+    if (m.status !== 'invited') continue;
+    eligible++;
+    if (m.vote == null) continue;
+    voted++;
+    if (counts[m.vote - 1]) counts[m.vote - 1].votes++;
+  }
+  return { counts, voted, eligible };
+}
+
+function formatTally({ counts, voted, eligible }) {
+  const lines = counts.map(c => `${c.n}. ${c.name} — ${c.votes} vote${c.votes === 1 ? '' : 's'}`);
+  const header = `Tally (${voted} of ${eligible} voted):`;
+  if (eligible > 0 && voted === eligible) {
+    const top = Math.max(...counts.map(c => c.votes));
+    const leaders = counts.filter(c => c.votes === top);
+    const verdict = leaders.length === 1
+      ? `Everyone's in — ${leaders[0].name} wins.`
+      : `Everyone's in — it's a tie between ${leaders.map(c => c.name).join(' and ')}.`;
+    return `${verdict}\n${header}\n${lines.join('\n')}`;
+  }
+  return `${header}\n${lines.join('\n')}`;
+}
+
+// --- DB queries ---
+
+function createPlan(organizerPhone, picks, nowMs) {
+  const d = getDb();
+  const organizerHash = hashPhone(organizerPhone);
+  const id = crypto.randomBytes(4).toString('hex');
+  const now = new Date(nowMs).toISOString();
+  const expiresAt = new Date(nowMs + PLAN_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  // One open plan per organizer — a new plan replaces the old vote
+  d.prepare("UPDATE group_plans SET status = 'closed' WHERE organizer_hash = ? AND status = 'open'").run(organizerHash);
+  d.prepare(`
+    INSERT INTO group_plans (id, organizer_hash, organizer_phone, picks_json, status, created_at, expires_at)
+    VALUES (?, ?, ?, ?, 'open', ?, ?)
+  `).run(id, organizerHash, organizerPhone, JSON.stringify(picks), now, expiresAt);
+  return id;
+}
+
+function addMember(planId, phone, status, nowMs = Date.now()) {
+  const now = new Date(nowMs).toISOString();
+  getDb().prepare(`
+    INSERT OR IGNORE INTO group_plan_members (plan_id, phone_hash, phone, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(planId, hashPhone(phone), phone, status, now, now);
+}
+
+function getActiveMembership(phoneHash, nowMs) {
+  return getDb().prepare(`
+    SELECT m.id, m.plan_id, m.status, m.vote, p.organizer_phone, p.picks_json
+    FROM group_plan_members m
+    JOIN group_plans p ON p.id = m.plan_id
+    WHERE m.phone_hash = ? AND p.status = 'open' AND p.expires_at > ?
+      AND (m.status = 'pending_consent' OR (m.status = 'invited' AND m.vote IS NULL))
+    ORDER BY p.created_at DESC LIMIT 1
+  `).get(phoneHash, new Date(nowMs).toISOString());
+}
+
+function setMemberStatus(memberId, status) {
+  getDb().prepare('UPDATE group_plan_members SET status = ?, updated_at = ? WHERE id = ?')
+    .run(status, new Date().toISOString(), memberId);
+}
+
+function recordVote(memberId, vote) {
+  const now = new Date().toISOString();
+  getDb().prepare('UPDATE group_plan_members SET vote = ?, voted_at = ?, updated_at = ? WHERE id = ?')
+    .run(vote, now, now, memberId);
+}
+
+function getPlanMembers(planId) {
+  return getDb().prepare('SELECT phone_hash, status, vote FROM group_plan_members WHERE plan_id = ?').all(planId);
+}
+
+function closePlan(planId) {
+  getDb().prepare("UPDATE group_plans SET status = 'closed' WHERE id = ?").run(planId);
+}
+
+/** Invites an organizer has sent since `sinceIso`, across all their plans. */
+function countOrganizerInvites(organizerHash, sinceIso) {
+  return getDb().prepare(`
+    SELECT COUNT(*) AS n FROM group_plan_members m JOIN group_plans p ON p.id = m.plan_id
+    WHERE p.organizer_hash = ? AND m.created_at >= ?
+  `).get(organizerHash, sinceIso).n;
+}
+
+/** Invites a number has received since `sinceIso`, from anyone. */
+function countRecipientInvites(phoneHash, sinceIso) {
+  return getDb().prepare('SELECT COUNT(*) AS n FROM group_plan_members WHERE phone_hash = ? AND created_at >= ?')
+    .get(phoneHash, sinceIso).n;
+}
+
+/**
+ * Did this number turn down an invite since `sinceIso` — reply NO, or let a
+ * consent invite lapse without answering?
+ */
+function hasRefusedInvite(phoneHash, sinceIso, nowIso) {
+  return !!getDb().prepare(`
+    SELECT 1 FROM group_plan_members m JOIN group_plans p ON p.id = m.plan_id
+    WHERE m.phone_hash = ? AND m.created_at >= ?
+      AND (m.status = 'declined' OR (m.status = 'pending_consent' AND (p.status = 'closed' OR p.expires_at <= ?)))
+    LIMIT 1
+  `).get(phoneHash, sinceIso, nowIso);
+}
+
+/** A number "has texted Pulse" if it has a persisted profile or a live session. */
+function hasTextedPulse(phone) {
+  return !!require('./db').getUserProfile(hashPhone(phone)) || !!getSession(phone);
+}
+
+// --- Flows ---
+
+/**
+ * Start a plan from the organizer's current picks and invite each number.
+ * Returns { reply, planId } — reply goes back to the organizer.
+ */
+async function startGroupPlan(organizerPhone, session, invitees, { invalid = 0, nowMs = Date.now() } = {}) {
+  const { sendSMS, maskPhone } = require('./twilio');
+  const { isPhoneOptedOut } = require('./opt-outs');
+  const { channelForAddress } = require('./channels');
+
+  // Invites text real phones, so the organizer needs one too — a web chat id is unverified
+  if (channelForAddress(organizerPhone).name === 'web') {
+    return { reply: 'Group plans need a phone number — text Pulse from your phone and say "plan with" your friends\' numbers there.', planId: null };
+  }
+
+  const picks = buildPlanPicks(session);
+  if (picks.length === 0) {
+    return { reply: 'Get some picks first — text a neighborhood or a vibe, then "plan with" your friends\' numbers and I\'ll send them the list.', planId: null };
+  }
+
+  const phones = invitees.filter(p => p !== organizerPhone).slice(0, MAX_INVITEES);
+  if (phones.length === 0) {
+    return { reply: 'I couldn\'t read any friends\' numbers there — try "plan with 917-555-1234, 718-555-9876".', planId: null };
+  }
+
+  const nowIso = new Date(nowMs).toISOString();
+  const dayAgo = new Date(nowMs - DAY_MS).toISOString();
+  const remaining = MAX_INVITES_PER_ORGANIZER_DAY - countOrganizerInvites(hashPhone(organizerPhone), dayAgo);
+  if (remaining <= 0) {
+    return { reply: `You've sent ${MAX_INVITES_PER_ORGANIZER_DAY} plan invites today — that's the daily max. Try again tomorrow.`, planId: null };
+  }
+
+  // Screen every number before creating the plan — opt-outs, recent refusals
+  // and the per-recipient cap, then the organizer's remaining daily allowance
+  const suppressSince = new Date(nowMs - INVITE_SUPPRESS_DAYS * DAY_MS).toISOString();
+  const unreachable = [];
+  const skipped = [];
+  const toInvite = [];
+  for (const phone of phones) {
+    const phoneHash = hashPhone(phone);
+    if (isPhoneOptedOut(phone)) unreachable.push(phone);
+    else if (hasRefusedInvite(phoneHash, suppressSince, nowIso)
+      || countRecipientInvites(phoneHash, dayAgo) >= MAX_INVITES_PER_RECIPIENT_DAY) skipped.push(phone);
+    else toInvite.push(phone);
+  }
+  const overCap = Math.max(0, toInvite.length - remaining);
+  toInvite.splice(remaining);
+
+  const planId = toInvite.length > 0 ? createPlan(organizerPhone, picks, nowMs) : null;
+  const sent = [];
+  const awaitingConsent = [];
+
+  for (const phone of toInvite) {
+    const known = hasTextedPulse(phone);
+    addMember(planId, phone, known ? 'invited' : 'pending_consent', nowMs);
+    try {
+      await sendSMS(phone, known ? buildPicksInvite(organizerPhone, picks) : buildConsentInvite(organizerPhone));
+      (known ? sent : awaitingConsent).push(phone);
+    } catch (err) {
+      console.warn(`[PLAN] Invite to ${maskPhone(phone)} failed:`, err.message);
+      unreachable.push(phone);
+    }
+  }
+
+  const parts = [];
+  if (sent.length > 0) parts.push(`Sent your ${picks.length} picks to ${sent.map(phoneTail).join(', ')}.`);
+  if (awaitingConsent.length > 0) parts.push(`${awaitingConsent.map(phoneTail).join(', ')} haven't used Pulse yet, so I asked them to reply YES first.`);
+  if (unreachable.length > 0) parts.push(`Couldn't reach ${unreachable.map(phoneTail).join(', ')}.`);
+  if (skipped.length > 0) parts.push(`Didn't text ${skipped.map(phoneTail).join(', ')} — they've passed on a recent invite or already got one today.`);
+  if (overCap > 0) parts.push(`Skipped ${overCap} more — that's your ${MAX_INVITES_PER_ORGANIZER_DAY}-invite daily max.`);
+  if (invalid > 0) parts.push(`Skipped ${invalid} number${invalid === 1 ? '' : 's'} I couldn't read.`);
+  if (sent.length + awaitingConsent.length > 0) parts.push("I'll text you the tally as votes come in.");
+
+  console.log(`[PLAN] ${planId}: ${sent.length} invited, ${awaitingConsent.length} awaiting consent, ${unreachable.length} unreachable`);
+  return { reply: parts.join(' '), planId };
+}
+
+/**
+ * Check whether a message is an invitee's reply to an open plan.
+ * Returns a mechanical route ({ intent: 'plan_reply', ... }) or null. Read-only.
+ */
+function matchPlanReply(phone, message, { nowMs = Date.now() } = {}) {
+  if (!phone) return null;
+  const member = getActiveMembership(hashPhone(phone), nowMs);
+  if (!member) return null;
+  const picks = JSON.parse(member.picks_json);
+  // A bare number from someone browsing their own picks is "details on n", not a vote
+  const requirePrefix = (getSession(phone)?.lastPicks?.length || 0) > 0;
+  const parsed = parsePlanReply(message, member, picks.length, { requirePrefix });
+  if (!parsed) return null;
+  return { intent: 'plan_reply', ...parsed, memberId: member.id, planId: member.plan_id, organizerPhone: member.organizer_phone, picks };
+}
+
+/**
+ * Apply an invitee's reply from matchPlanReply. Votes notify the organizer
+ * with the running tally; the plan closes once every joined invitee has voted.
+ * Returns { reply } for the invitee.
+ */
+async function applyPlanReply(phone, route) {
+  const { maskPhone } = require('./twilio');
+  const { sendMessage } = require('./channels');
+  const { action, memberId, planId, organizerPhone, picks } = route;
+
+  if (action === 'join') {
+    setMemberStatus(memberId, 'invited');
+    return { reply: buildPicksInvite(organizerPhone, picks) };
+  }
+  if (action === 'decline') {
+    setMemberStatus(memberId, 'declined');
+    return { reply: "No worries, you won't hear from me about this plan." };
+  }
+  if (action === 'vote_invalid') {
+    return { reply: `Reply VOTE and a number 1-${picks.length} to vote.` };
+  }
+
+  recordVote(memberId, route.vote);
+  const members = getPlanMembers(planId);
+  const tally = tallyVotes(picks, members);
+  if (tally.voted === tally.eligible) closePlan(planId);
+
+  const choice = picks[route.vote - 1].name;
+  try {
+    // The organizer may be on WhatsApp or web chat; invitees are always SMS numbers
+    await sendMessage(organizerPhone, `${phoneTail(phone)} voted for ${choice}.\n${formatTally(tally)}`);
+  } catch (err) {
+    console.warn(`[PLAN] Tally to ${maskPhone(organizerPhone)} failed:`, err.message);
+  }
+  return { reply: `Got it — you voted for ${choice}. I'll let ${phoneTail(organizerPhone)} know.` };
+}
+
+module.exports = {
+  parsePlanCommand,
+  startGroupPlan,
+  matchPlanReply,
+  applyPlanReply,
+  // Exposed for testing
+  normalizeUsPhone,
+  buildPlanPicks,
+  buildPicksInvite,
+  buildConsentInvite,
+  parsePlanReply,
+  tallyVotes,
+  formatTally,
+};
@@ -1,10 +1,15 @@
 const express = require('express');
 const twilio = require('twilio');
-const { sendSMS, maskPhone, enableTestCapture, disableTestCapture } = require('./twilio');
+const { maskPhone, enableTestCapture, disableTestCapture } = require('./twilio');
+const { CHANNELS, channelForAddress, drainOutbox, issueWebSession, verifyWebToken } = require('./channels');
 const { startTrace, saveTrace, getLatestTraceForPhone, getTraceById, recordAICost } = require('./traces');
-const { getSession, setSession, clearSession, addToHistory, clearSessionInterval, acquireLock } = require('./session');
-const { handleHelp } = require('./intent-handlers');
-const { processedMessages, OPT_OUT_KEYWORDS, isOverBudget, trackAICost, getCostSummary, ipRateLimits, IP_RATE_LIMIT, IP_RATE_WINDOW, clearGuardIntervals } = require('./request-guard');
+const { getSession, setSession, clearSession, addToHistory, clearSessionInterval, acquireLock, hashPhone } = require('./session');
+const { handleHelp, handleKeywordReply, handleGroupPlan, handlePlanReply } = require('./intent-handlers');
+const { cancelReminders } = require('./reminders');
+const { setOptedOut: optOutOfNudges } = require('./nudges');
+const { optOutPhone, optInPhone, isPhoneOptedOut } = require('./opt-outs');
+const { OPT_IN_CONFIRMATION, HELP_DISCLOSURE } = require('./messages');
+const { processedMessages, OPT_OUT_KEYWORDS, OPT_IN_KEYWORDS, HELP_KEYWORDS, isOverBudget, trackAICost, getCostSummary, ipRateLimits, IP_RATE_LIMIT, IP_RATE_WINDOW, clearGuardIntervals } = require('./request-guard');
 
 
 const router = express.Router();
@@ -63,6 +68,23 @@ function setCorsHeaders(res) {
   res.set('Access-Control-Allow-Headers', 'Content-Type');
 }
 
+/**
+ * Per-IP rate limit for the HTTP chat endpoints (skipped when PULSE_NO_RATE_LIMIT
+ * is set for eval runs). Counts the request; true when the IP is over the limit.
+ */
+function isIpRateLimited(ip) {
+  if (process.env.PULSE_NO_RATE_LIMIT) return false;
+  const now = Date.now();
+  const entry = ipRateLimits.get(ip);
+  if (entry && now < entry.resetTime) {
+    if (entry.count >= IP_RATE_LIMIT) return true;
+    entry.count++;
+  } else {
+    ipRateLimits.set(ip, { count: 1, resetTime: now + IP_RATE_WINDOW });
+  }
+  return false;
+}
+
 if (process.env.PULSE_TEST_MODE === 'true') {
   // CORS preflight
   router.options('/test', (req, res) => {
@@ -73,19 +95,8 @@ if (process.env.PULSE_TEST_MODE === 'true') {
   router.post('/test', async (req, res) => {
     setCorsHeaders(res);
 
-    // IP rate limit (skip when PULSE_NO_RATE_LIMIT is set for eval runs)
-    if (!process.env.PULSE_NO_RATE_LIMIT) {
-      const ip = req.ip;
-      const now = Date.now();
-      const entry = ipRateLimits.get(ip);
-      if (entry && now < entry.resetTime) {
-        if (entry.count >= IP_RATE_LIMIT) {
-          return res.status(429).json({ error: 'Rate limit exceeded' });
-        }
-        entry.count++;
-      } else {
-        ipRateLimits.set(ip, { count: 1, resetTime: now + IP_RATE_WINDOW });
-      }
+    if (isIpRateLimited(req.ip)) {
+      return res.status(429).json({ error: 'Rate limit exceeded' });
     }
 
     const { Body: message, From: phone, Model: modelOverride } = req.body;
@@ -150,12 +161,15 @@ if (process.env.PULSE_TEST_MODE === 'true') {
 // Webhook endpoint — responds immediately, processes async
 // =======================================================
 
+// Twilio posts SMS and WhatsApp to the same webhook; From's prefix picks the channel
 router.post('/incoming', (req, res) => {
-  const { Body: message, From: phone, MessageSid: messageSid } = req.body;
+  const channel = channelForAddress(req.body?.From);
+  const inbound = channel.parseInbound(req.body);
 
-  if (!message?.trim() || !phone) {
+  if (!inbound) {
     return res.status(400).send('Missing message or phone number');
   }
+  const { address: phone, message, messageId: messageSid } = inbound;
 
   // Dedup: if we already processed this MessageSid, skip
   if (messageSid && processedMessages.has(messageSid)) {
@@ -170,7 +184,7 @@ router.post('/incoming', (req, res) => {
   // Register MessageSid only after processing succeeds — if handler crashes,
   // Twilio retries won't be permanently dropped (L13 fix)
   inflightRequests++;
-  handleMessage(phone, message)
+  handleMessage(phone, message, { channel })
     .then(() => {
       if (messageSid) processedMessages.set(messageSid, Date.now());
     })
@@ -180,34 +194,138 @@ router.post('/incoming', (req, res) => {
     .finally(() => inflightRequests--);
 });
 
+// =======================================================
+// Web chat — JSON in, JSON out. Mounted at /api/chat when
+// PULSE_WEB_CHAT_ENABLED=true. Same pipeline as SMS; replies
+// queue in the web channel's outbox and return in the response.
+// The first POST (no token) mints a user_id and a signed token;
+// every later request must send it as "Authorization: Bearer".
+// =======================================================
+
+const chatRouter = express.Router();
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+if (process.env.PULSE_WEB_CHAT_ENABLED === 'true') {
+  // PULSE_WEB_CHAT_ORIGIN — origin allowed to call the chat API from a browser
+  const chatOrigin = process.env.PULSE_WEB_CHAT_ORIGIN;
+  chatRouter.use((req, res, next) => {
+    if (chatOrigin) {
+      res.set('Access-Control-Allow-Origin', chatOrigin);
+      res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+  });
+
+  chatRouter.post('/', async (req, res) => {
+    if (isIpRateLimited(req.ip)) {
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+    let token = bearerToken(req);
+    let clientId;
+    if (token) {
+      clientId = verifyWebToken(token);
+      if (!clientId) return res.status(401).json({ error: 'Invalid session token' });
+    } else {
+      ({ clientId, token } = issueWebSession());
+    }
+    const inbound = CHANNELS.web.parseInbound({ ...req.body, user_id: clientId });
+    if (!inbound) {
+      return res.status(400).json({ error: 'Expected { message } or { location }' });
+    }
+
+    inflightRequests++;
+    try {
+      await handleMessage(inbound.address, inbound.message, { channel: CHANNELS.web });
+      res.json({ user_id: clientId, token, messages: drainOutbox(inbound.address) });
+    } catch (err) {
+      console.error('Web chat handler error:', err.message);
+      res.status(500).json({ error: 'Something went wrong' });
+    } finally {
+      inflightRequests--;
+    }
+  });
+
+  // Messages queued outside a request (reminders, nudges, group plan tallies)
+  chatRouter.get('/:userId/messages', (req, res) => {
+    const clientId = verifyWebToken(bearerToken(req));
+    if (!clientId || clientId !== req.params.userId) return res.status(401).json({ error: 'Invalid session token' });
+    const inbound = CHANNELS.web.parseInbound({ user_id: clientId, message: 'poll' });
+    res.json({ messages: drainOutbox(inbound.address) });
+  });
+  console.log('Web chat enabled: POST /api/chat');
+}
+
 // =======================================================
 // Async message handler
 // =======================================================
 
-async function handleMessage(phone, message) {
+async function handleMessage(phone, message, { channel = channelForAddress(phone) } = {}) {
   const unlock = await acquireLock(phone);
   try {
     const masked = maskPhone(phone);
-    console.log(`SMS from ${masked}: ${message.slice(0, 80)}`);
+    console.log(`${channel === CHANNELS.sms ? 'SMS' : channel.name} from ${masked}: ${message.slice(0, 80)}`);
 
     // TCPA compliance: never respond to opt-out keywords
     if (OPT_OUT_KEYWORDS.test(message.trim())) {
       console.log(`Opt-out keyword from ${masked}, not responding`);
+      try {
+        optOutPhone(phone, message);
+      } catch (err) {
+        console.error(`[CRITICAL] Failed to persist opt-out for ${masked}:`, err.message);
+      }
+      const cancelled = cancelReminders(phone);
+      if (cancelled > 0) console.log(`Cancelled ${cancelled} pending reminder(s) for ${masked}`);
+      try {
+        optOutOfNudges(hashPhone(phone));
+      } catch (err) {
+        console.warn('nudge opt-out on STOP failed:', err.message);
+      }
+      return;
+    }
+
+    // Re-subscribe: lift the stored opt-out and send the registered opt-in message
+    if (OPT_IN_KEYWORDS.test(message.trim())) {
+      let resubscribed = false;
+      try {
+        resubscribed = optInPhone(phone, message);
+      } catch (err) {
+        console.error(`Failed to record opt-in for ${masked}:`, err.message);
+      }
+      console.log(`Opt-in keyword from ${masked}${resubscribed ? ', resubscribed' : ''}`);
+      await channel.send(phone, OPT_IN_CONFIRMATION);
+      return;
+    }
+
+    // Opted-out phones get no reply (and no AI spend) until they text START —
+    // except HELP, which carriers expect answered: the registered help message, once
+    if (isPhoneOptedOut(phone)) {
+      if (HELP_KEYWORDS.test(message.trim())) {
+        console.log(`HELP from opted-out ${masked}, sending the registered help message`);
+        await channel.send(phone, HELP_DISCLOSURE, { allowOptedOut: true });
+        return;
+      }
+      console.log(`Message from opted-out ${masked}, ignoring`);
       return;
     }
 
     if (isOverBudget(phone)) {
       console.warn(`Over daily AI budget: ${masked}`);
-      await sendSMS(phone, "You've hit your daily limit — check back tomorrow for more picks!");
+      await channel.send(phone, "You've hit your daily limit — check back tomorrow for more picks!");
       return;
     }
 
     try {
-      return await handleMessageAI(phone, message);
+      return await handleMessageAI(phone, message, channel);
     } catch (err) {
       console.error('AI flow error:', err.message);
       try {
-        await sendSMS(phone, "Pulse hit a snag — try again in a sec!");
+        await channel.send(phone, "Pulse hit a snag — try again in a sec!");
       } catch (smsErr) {
         console.error(`[CRITICAL] Double failure for ${masked}: AI error="${err.message}", SMS error="${smsErr.message}" — user received nothing`);
       }
@@ -222,16 +340,19 @@ async function handleMessage(phone, message) {
 // =======================================================
 
 /**
- * Dispatch mechanical shortcuts (referral, help).
- * All paths are terminal: sendSMS + finalizeTrace + return.
+ * Dispatch mechanical shortcuts (help, nudge/MMS keywords, group plans).
+ * All paths are terminal: channel send + finalizeTrace + return.
  */
 async function dispatchPreRouterIntent(route, ctx) {
   const { phone, session, trace, finalizeTrace } = ctx;
 
   if (route.intent === 'help') return handleHelp(ctx);
+  if (route.intent === 'nudge_consent' || route.intent === 'nudge_optout' || route.intent === 'mms_setting') return handleKeywordReply(ctx);
+  if (route.intent === 'group_plan') return handleGroupPlan(ctx);
+  if (route.intent === 'plan_reply') return handlePlanReply(ctx);
 }
 
-async function handleMessageAI(phone, message) {
+async function handleMessageAI(phone, message, channel) {
   const traceStart = Date.now();
   const masked = maskPhone(phone);
   let session = getSession(phone);
@@ -283,7 +404,7 @@ async function handleMessageAI(phone, message) {
     trace.brain_provider = 'mechanical';
 
     const route = { ...mechanical };
-    const ctx = { phone, message, masked, session, trace, route, finalizeTrace, trackAICost: (usage, provider) => trackAICost(phone, usage, provider), recordAICost };
+    const ctx = { phone, message, masked, channel, session, trace, route, finalizeTrace, trackAICost: (usage, provider) => trackAICost(phone, usage, provider), recordAICost };
 
     await dispatchPreRouterIntent(route, ctx);
     return trace.id;
@@ -293,14 +414,14 @@ async function handleMessageAI(phone, message) {
   const { isCacheFresh } = require('./events');
   if (!isCacheFresh()) {
     console.error(`[STALE] Cache is stale, sending degradation message to ${masked}`);
-    await sendSMS(phone, "Pulse is refreshing its event data — text back in a few minutes and I'll have tonight's picks ready for you!");
+    await channel.send(phone, "Pulse is refreshing its event data — text back in a few minutes and I'll have tonight's picks ready for you!");
     finalizeTrace(trace);
     return trace.id;
   }
 
   // Agent loop handles everything else
   const { handleAgentRequestGraph } = require('./agent-graph');
-  return handleAgentRequestGraph(phone, message, session, trace, finalizeTrace);
+  return handleAgentRequestGraph(phone, message, session, trace, finalizeTrace, { channel });
 }
 
 // Cleanup intervals (for graceful shutdown)
@@ -310,6 +431,7 @@ function clearSmsIntervals() {
 }
 
 module.exports = router;
+module.exports.chatRouter = chatRouter;
 module.exports.clearSmsIntervals = clearSmsIntervals;
 module.exports.setSession = setSession;
 module.exports.clearSession = clearSession;
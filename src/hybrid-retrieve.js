@@ -1,7 +1,8 @@
 /**
  * Hybrid retrieval — fuses BM25 (lexical) and cosine (dense) rankings via RRF.
  * Given a query (text + vector) and an index, returns top-K events with
- * provenance (which method ranked them where).
+ * provenance (which method ranked them where). Without a query vector it
+ * degrades to BM25 alone; minSimilarity drops weak dense matches.
  */
 
 const { buildBm25 } = require('./bm25');
@@ -18,7 +19,7 @@ function buildIndex(events) {
 
 function hybridRetrieve({
   queryText, queryVector, index, vectors,
-  topK = 10, rrfK = 60, candidatePool = 50,
+  topK = 10, rrfK = 60, candidatePool = 50, minSimilarity = -1,
 }) {
   const { bm25, eventIds } = index;
 
@@ -35,9 +36,12 @@ function hybridRetrieve({
   const bm25Rank = new Map(bm25Ranking.map((id, i) => [id, i]));
 
   // Dense ranking
-  const vecScored = eventIds
-    .filter(id => vectors[id])
-    .map(id => ({ id, score: cosine(queryVector, vectors[id]) }));
+  const vecScored = queryVector
+    ? eventIds
+      .filter(id => vectors[id])
+      .map(id => ({ id, score: cosine(queryVector, vectors[id]) }))
+      .filter(r => r.score >= minSimilarity)
+    : [];
   const vecRanked = vecScored
     .sort((a, b) => b.score - a.score)
     .slice(0, candidatePool);
@@ -1,10 +1,10 @@
-const { sendSMS } = require('./twilio');
 const { saveResponseFrame } = require('./pipeline');
-const { WELCOME_INTRO, WELCOME_INSTRUCTIONS } = require('./messages');
+const { startGroupPlan, applyPlanReply } = require('./group-plans');
+const { WELCOME_INTRO, WELCOME_INSTRUCTIONS, HELP_DISCLOSURE } = require('./messages');
 
 async function handleHelp(ctx) {
   const msg1 = WELCOME_INTRO;
-  const msg2 = WELCOME_INSTRUCTIONS + ' The more you text, the better it gets.';
+  const msg2 = WELCOME_INSTRUCTIONS + ' The more you text, the better it gets. ' + HELP_DISCLOSURE;
   saveResponseFrame(ctx.phone, {
     picks: ctx.session?.lastPicks || [],
     eventMap: ctx.session?.lastEvents || {},
@@ -14,10 +14,59 @@ async function handleHelp(ctx) {
     prevSession: ctx.session,
     lastResponseHadPicks: false,
   });
-  await sendSMS(ctx.phone, msg1);
-  await sendSMS(ctx.phone, msg2);
+  await ctx.channel.send(ctx.phone, msg1);
+  await ctx.channel.send(ctx.phone, msg2);
   console.log(`Help sent to ${ctx.masked}`);
   ctx.finalizeTrace(msg1 + '\n' + msg2, 'help');
 }
 
-module.exports = { handleHelp };
+/**
+ * Reply to a settings keyword (NUDGE ME / STOP NUDGES / TEXT ONLY / PICS ON).
+ * Session picks carry over unchanged so a follow-up "2" still resolves against the last list.
+ */
+async function handleKeywordReply(ctx) {
+  const reply = ctx.route.reply;
+  keepSessionFrame(ctx);
+  await ctx.channel.send(ctx.phone, reply);
+  console.log(`Keyword ${ctx.route.intent} for ${ctx.masked}`);
+  ctx.finalizeTrace(reply, ctx.route.intent);
+}
+
+/**
+ * Organizer texted "plan with <numbers>": invite friends to vote on the
+ * current picks. The organizer's session is left as-is so "2" still means pick 2.
+ */
+async function handleGroupPlan(ctx) {
+  const { reply, planId } = await startGroupPlan(ctx.phone, ctx.session, ctx.route.invitees, { invalid: ctx.route.invalid });
+  keepSessionFrame(ctx);
+  ctx.trace.group_plan_id = planId;
+  await ctx.channel.send(ctx.phone, reply);
+  console.log(`Group plan ${planId || 'not started'} for ${ctx.masked}`);
+  ctx.finalizeTrace(reply, 'group_plan');
+}
+
+/**
+ * Invitee replied to a group plan (YES / NO / vote number).
+ */
+async function handlePlanReply(ctx) {
+  const { reply } = await applyPlanReply(ctx.phone, ctx.route);
+  keepSessionFrame(ctx);
+  ctx.trace.group_plan_id = ctx.route.planId;
+  await ctx.channel.send(ctx.phone, reply);
+  console.log(`Group plan ${ctx.route.action} from ${ctx.masked}`);
+  ctx.finalizeTrace(reply, 'plan_reply');
+}
+
+function keepSessionFrame(ctx) {
+  saveResponseFrame(ctx.phone, {
+    picks: ctx.session?.lastPicks || [],
+    eventMap: ctx.session?.lastEvents || {},
+    neighborhood: ctx.session?.lastNeighborhood || null,
+    filters: ctx.session?.lastFilters || null,
+    offeredIds: ctx.session?.allOfferedIds || [],
+    prevSession: ctx.session,
+    lastResponseHadPicks: ctx.session?.lastResponseHadPicks ?? false,
+  });
+}
+
+module.exports = { handleHelp, handleKeywordReply, handleGroupPlan, handlePlanReply };
@@ -0,0 +1,182 @@
+/**
+ * itinerary.js — Sequence a night around one anchor event: dinner before it,
+ * drinks after it.
+ *
+ * The search tool can return events, bars and restaurants side by side, but
+ * nothing checks that they fit together. Here the anchor's start (and end, or
+ * a per-category running time) fixes the slots; each place must be open for
+ * its whole slot per Google's weekday hours (open_hours_json) and within a
+ * short hop of the venue by subway or on foot (transit.js). One pick per slot.
+ *
+ * Times are minutes from midnight of the event's date_local; values past 1440
+ * are after midnight.
+ */
+
+const { searchPlaces, isOpenThrough, scorePlaceInterestingness } = require('./places');
+const { estimateTransit, eventPoint } = require('./transit');
+
+const DINNER_MIN = 75;          // seated dinner
+const DRINKS_MIN = 60;
+const ARRIVE_EARLY_MIN = 15;    // at the venue before the start
+const MAX_HOP_MIN = 25;         // longest acceptable trip between stops
+const UNKNOWN_HOP_MIN = 15;     // assumed when a point can't be placed
+const EARLIEST_DINNER = 11 * 60 + 30;
+const LATEST_DRINKS = 25 * 60;  // nobody wants a "first drink" at 1am+
+
+// Typical running time when the event has no end_time_local
+const DEFAULT_RUN_MIN = {
+  comedy: 90, film: 120, theater: 150, live_music: 150, jazz: 120, classical: 120,
+  dj: 240, nightlife: 240, trivia: 120, spoken_word: 90, dance: 120,
+};
+
+/** "T20:30" in an ISO local time → 1230, or null. */
+function clockMinutes(iso) {
+  const m = typeof iso === 'string' && iso.match(/T(\d{2}):(\d{2})/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/** 1170 → "7:30pm", 1470 → "12:30am". */
+function formatClock(minutes) {
+  const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  const h = Math.floor(m / 60);
+  const mm = String(m % 60).padStart(2, '0');
+  return `${h % 12 || 12}:${mm}${h < 12 ? 'am' : 'pm'}`;
+}
+
+const floorTo5 = m => Math.floor(m / 5) * 5;
+const ceilTo5 = m => Math.ceil(m / 5) * 5;
+
+function hopBetween(a, b) {
+  if (!a || !b) return { minutes: UNKNOWN_HOP_MIN, label: null };
+  const est = estimateTransit(a, b);
+  return est ? { minutes: est.minutes, label: est.label } : { minutes: UNKNOWN_HOP_MIN, label: null };
+}
+
+function placePoint(place) {
+  return Number.isFinite(place?.lat) && Number.isFinite(place?.lng) ? { lat: place.lat, lng: place.lng } : null;
+}
+
+/**
+ * Best place for a slot: open for the whole window, a short hop away, highest
+ * interestingness less a travel penalty. Unknown hours are allowed but ranked
+ * below known-open places. window(hop) → { arrive, leave } for a given hop.
+ */
+function choosePlace(places, dateLocal, venue, window, direction) {
+  let best = null;
+  for (const place of places || []) {
+    const hop = direction === 'to_venue' ? hopBetween(placePoint(place), venue) : hopBetween(venue, placePoint(place));
+    if (hop.minutes > MAX_HOP_MIN) continue;
+    const { arrive, leave } = window(hop.minutes);
+    const open = isOpenThrough(place, dateLocal, arrive, leave);
+    if (open === false) continue;
+    const score = scorePlaceInterestingness(place) - hop.minutes / 5 - (open === null ? 1 : 0);
+    if (!best || score > best.score) best = { place, hop, arrive, leave, hoursKnown: open === true, score };
+  }
+  return best;
+}
+
+/**
+ * Plan a night around an anchor event. Pure: pass the candidate restaurants
+ * and bars in. Returns
+ *   { stops: [{ slot, name, start, end, start_min, end_min, travel_to_next, ... }], skipped: [{ slot, reason }] }
+ * or { error } when the event has no start time.
+ */
+function planItinerary(event, { restaurants = [], bars = [], slots = ['dinner', 'drinks'] } = {}) {
+  const start = clockMinutes(event?.start_time_local);
+  if (start === null) return { error: 'no_start_time' };
+  let end = clockMinutes(event.end_time_local);
+  if (end !== null && end <= start) end += 24 * 60;
+  const endKnown = end !== null;
+  if (!endKnown) end = start + (DEFAULT_RUN_MIN[event.category] || 120);
+  const dateLocal = event.date_local || (event.start_time_local || '').slice(0, 10);
+  const venue = eventPoint(event);
+
+  const stops = [];
+  const skipped = [];
+
+  if (slots.includes('dinner')) {
+    const tooEarly = start - ARRIVE_EARLY_MIN - DINNER_MIN < EARLIEST_DINNER;
+    const dinner = tooEarly ? null : choosePlace(restaurants, dateLocal, venue, hop => {
+      const leave = floorTo5(start - ARRIVE_EARLY_MIN - hop);
+      return { arrive: leave - DINNER_MIN, leave };
+    }, 'to_venue');
+    if (tooEarly) {
+      skipped.push({ slot: 'dinner', reason: `starts at ${formatClock(start)} — too early for dinner first` });
+    } else if (!dinner) {
+      skipped.push({ slot: 'dinner', reason: restaurants.length ? 'no restaurant nearby is open before the show' : 'no restaurants found nearby' });
+    } else {
+      stops.push({ ...placeStop('dinner', dinner), travel_to_next: dinner.hop.label || undefined });
+    }
+  }
+
+  stops.push({
+    slot: 'event',
+    id: event.id,
+    name: event.name,
+    venue_name: event.venue_name,
+    neighborhood: event.neighborhood,
+    start: formatClock(start),
+    end: formatClock(end),
+    end_estimated: endKnown ? undefined : true,
+    start_min: start,
+    end_min: end,
+  });
+
+  if (slots.includes('drinks')) {
+    const tooLate = end >= LATEST_DRINKS;
+    const drinks = tooLate ? null : choosePlace(bars, dateLocal, venue, hop => {
+      const arrive = ceilTo5(end + hop);
+      return { arrive, leave: arrive + DRINKS_MIN };
+    }, 'from_venue');
+    if (tooLate) {
+      skipped.push({ slot: 'drinks', reason: `runs until ${formatClock(end)} — the show is the late night` });
+    } else if (!drinks) {
+      skipped.push({ slot: 'drinks', reason: bars.length ? 'no bar nearby is open after the show' : 'no bars found nearby' });
+    } else {
+      stops[stops.length - 1].travel_to_next = drinks.hop.label || undefined;
+      stops.push(placeStop('drinks', drinks));
+    }
+  }
+
+  return { stops, skipped };
+}
+
+function placeStop(slot, choice) {
+  const { place, arrive, leave, hoursKnown } = choice;
+  return {
+    slot,
+    place_id: place.place_id,
+    name: place.name,
+    neighborhood: place.neighborhood,
+    address: place.address || undefined,
+    google_maps_url: place.google_maps_url || undefined,
+    start: formatClock(arrive),
+    end: formatClock(leave),
+    start_min: arrive,
+    end_min: leave,
+    hours_unverified: hoursKnown ? undefined : true,
+  };
+}
+
+/**
+ * Fetch restaurants and bars around the venue (its neighborhood when the venue
+ * isn't placed) and plan the night.
+ */
+async function buildItinerary(event, { slots = ['dinner', 'drinks'], vibe } = {}) {
+  const hood = event?.neighborhood;
+  const point = event ? eventPoint(event) : null;
+  const near = point?.exact ? { lat: point.lat, lng: point.lng } : undefined;
+  const canSearch = Boolean(hood || near);
+  const [restaurants, bars] = await Promise.all([
+    slots.includes('dinner') && canSearch ? searchPlaces(hood, 'restaurant', { near }).catch(() => []) : [],
+    slots.includes('drinks') && canSearch ? searchPlaces(hood, 'bar', { vibe, near }).catch(() => []) : [],
+  ]);
+  return planItinerary(event, { restaurants, bars, slots });
+}
+
+module.exports = {
+  buildItinerary,
+  planItinerary,
+  // Exposed for testing
+  formatClock,
+};
@@ -18,7 +18,7 @@ const { smartTruncate } = require('./formatters');
 // --- Agent loop constants ---
 
 // Tools that are safe to run concurrently (no state mutation)
-const READ_ONLY_TOOLS = new Set(['search', 'lookup_venue']);
+const READ_ONLY_TOOLS = new Set(['search', 'lookup_venue', 'itinerary']);
 
 /**
  * Safety net: ensure every tool_use block has a matching tool_result.
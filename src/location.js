@@ -0,0 +1,124 @@
+/**
+ * location.js — Turn "near 123 Ludlow St", "Bedford & N 7th", a shared map pin
+ * or raw coordinates into a point to search around.
+ *
+ * extractNeighborhood only knows alias strings, so an address either misses or
+ * snaps to whatever landmark it mentions ("bedford ave" → Williamsburg's
+ * center). Here coordinates are parsed directly, addresses go through the
+ * pluggable geocoder in venues.js, and the neighborhood is derived from the
+ * geocoder's locality or the nearest center (resolveNeighborhood in geo.js).
+ */
+
+const { extractNeighborhood } = require('./neighborhoods');
+const { resolveNeighborhood } = require('./geo');
+const { geocodeAddress } = require('./venues');
+const { neighborhoodPoint } = require('./transit');
+
+// Generous NYC bounding box — rejects swapped lat/lng and out-of-town pins
+const NYC_BOUNDS = { south: 40.49, north: 40.92, west: -74.26, east: -73.70 };
+
+const STREET_SUFFIX = /\b(st|street|ave|avenue|av|blvd|boulevard|pl|place|rd|road|dr|drive|ln|lane|ct|court|sq|square|pkwy|parkway|hwy|broadway|bowery|way|ter|terrace)\b\.?/i;
+const HOUSE_NUMBER = /^\d+[a-z]?(-\d+)?\s+\S/i;
+const INTERSECTION = /\s(&|and|at|\/)\s|\s&|&\s/i;
+
+function inNyc(lat, lng) {
+  return lat >= NYC_BOUNDS.south && lat <= NYC_BOUNDS.north && lng >= NYC_BOUNDS.west && lng <= NYC_BOUNDS.east;
+}
+
+/**
+ * Pull a lat/lng pair out of text: "40.7218,-73.9877", "40.72 -73.98",
+ * Google Maps links (?q=lat,lng, @lat,lng, ll=lat,lng) and Apple Maps ll=.
+ * Returns { lat, lng } inside NYC, or null.
+ */
+function parseCoordinates(text) {
+  if (!text) return null;
+  const match = String(text).match(/(-?\d{1,2}\.\d+)\s*(?:,|%2C|\s)\s*(-?\d{1,3}\.\d+)/i);
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  return inNyc(lat, lng) ? { lat, lng } : null;
+}
+
+/**
+ * Strip conversational lead-ins: "near", "around", "by", "at", "close to".
+ */
+function stripLocationPrefix(text) {
+  return String(text || '')
+    .trim()
+    .replace(/^(i'?m\s+)?(somewhere\s+)?(near|around|by|at|close to|next to|on)\s+/i, '')
+    .replace(/[?!.]+$/, '')
+    .trim();
+}
+
+/**
+ * Does this read like a street address or intersection rather than a place name?
+ * "123 Ludlow St", "Bedford & N 7th", "2nd ave and st marks" → true; "bushwick" → false.
+ */
+function looksLikeAddress(text) {
+  const s = stripLocationPrefix(text);
+  if (!s) return false;
+  if (HOUSE_NUMBER.test(s)) return true;
+  return INTERSECTION.test(s) && (STREET_SUFFIX.test(s) || /\b\d+(st|nd|rd|th)\b/i.test(s));
+}
+
+/**
+ * Resolve a location string to a search point.
+ * Tries coordinates, then an address via the geocoder, then a neighborhood
+ * alias, then the geocoder again for anything else it might know ("the
+ * Brooklyn Museum"). Returns
+ *   { lat, lng, neighborhood, label, source: 'coordinates'|'address'|'neighborhood' }
+ * or null. 'neighborhood' results carry that neighborhood's center — callers
+ * search the neighborhood as usual instead of a radius.
+ */
+async function resolveLocation(text) {
+  const raw = String(text || '').trim();
+  if (!raw) return null;
+
+  const coords = parseCoordinates(raw);
+  if (coords) {
+    return {
+      ...coords,
+      neighborhood: resolveNeighborhood(null, coords.lat, coords.lng),
+      label: `${coords.lat.toFixed(4)},${coords.lng.toFixed(4)}`,
+      source: 'coordinates',
+    };
+  }
+
+  const place = stripLocationPrefix(raw);
+  const address = looksLikeAddress(place);
+  if (address) {
+    const hit = await geocodeAddress(place);
+    if (hit) return pointFromHit(hit, place, 'address');
+  }
+
+  const hood = extractNeighborhood(raw);
+  if (hood) {
+    const center = neighborhoodPoint(hood);
+    if (center) return { lat: center.lat, lng: center.lng, neighborhood: hood, label: hood, source: 'neighborhood' };
+  }
+
+  if (!address && place.length >= 4) {
+    const hit = await geocodeAddress(place);
+    if (hit) return pointFromHit(hit, place, 'address');
+  }
+  return null;
+}
+
+function pointFromHit(hit, label, source) {
+  if (!inNyc(hit.lat, hit.lng)) return null;
+  return {
+    lat: hit.lat,
+    lng: hit.lng,
+    neighborhood: resolveNeighborhood(hit.locality, hit.lat, hit.lng),
+    label,
+    source,
+  };
+}
+
+module.exports = {
+  resolveLocation,
+  parseCoordinates,
+  looksLikeAddress,
+  // Exposed for testing
+  stripLocationPrefix,
+};
@@ -3,4 +3,9 @@ const WELCOME_INTRO = "I'm Pulse \u2014 your plugged-in friend for NYC. I dig th
 
 const WELCOME_INSTRUCTIONS = 'Tell me what you\'re into tonight, just ask. Text a neighborhood like "Bushwick" or a vibe like "something weird tonight" to start exploring. Ask about any pick for details.';
 
-module.exports = { WELCOME_INTRO, WELCOME_INSTRUCTIONS };
+// Registered A2P campaign copy (see a2p-campaign-submission.md) — keep in sync with the campaign
+const OPT_IN_CONFIRMATION = 'Hey! Text me a neighborhood and I\'ll find tonight\'s best events. Try "East Village" or "Williamsburg". Reply STOP to unsubscribe, HELP for help.';
+
+const HELP_DISCLOSURE = 'Reply STOP to unsubscribe. Msg&Data Rates May Apply.';
+
+module.exports = { WELCOME_INTRO, WELCOME_INSTRUCTIONS, OPT_IN_CONFIRMATION, HELP_DISCLOSURE };
@@ -0,0 +1,293 @@
+/**
+ * nudges.js — Consent-first recurring-event nudges.
+ *
+ * After a user asks for details on the same recurring event twice, Pulse asks
+ * once (separate SMS, after the details reply) whether they want a heads-up the
+ * day it's on. Opted-in users get one deterministic SMS ($0 LLM) on matching
+ * days, capped at one nudge per phone per week.
+ *
+ * Keywords (handled mechanically in checkMechanical, before the agent brain):
+ *   NUDGE ME     — accept the pending consent prompt
+ *   STOP NUDGES  — turn off all nudges without a full TCPA STOP
+ * A full STOP also opts out of every nudge subscription for the phone.
+ *
+ * State lives in the nudge_subscriptions table, joined to recurring_patterns;
+ * STOP NUDGES is also kept per phone in nudge_opt_outs so it holds for
+ * patterns the phone hasn't asked about yet.
+ * See docs/plans/2026-03-13-recurrence-nudge-design.md.
+ */
+
+const { getDb } = require('./db');
+const { hashPhone } = require('./session');
+
+const CONSENT_THRESHOLD = 2;            // details requests before we ask
+const NUDGE_COOLDOWN_DAYS = 7;          // max one nudge per phone per week
+const NUDGE_WINDOW_HOURS = [4, 6];      // send 4-6 hours before time_local
+const NUDGE_UNTIMED_HOUR = 12;          // patterns without a time get a noon nudge
+const NUDGE_POLL_MS = 60 * 60 * 1000;   // hourly
+
+const NUDGE_OPT_IN = /^\s*nudge\s+me\s*$/i;
+const NUDGE_OPT_OUT = /^\s*(stop\s+nudges?|nudges?\s+off|no\s+(more\s+)?nudges?)\s*$/i;
+
+// --- Pure helpers ---
+
+/**
+ * Classify a message as a nudge keyword. Returns 'opt_in', 'opt_out', or null.
+ */
+function parseNudgeKeyword(message) {
+  if (!message) return null;
+  if (NUDGE_OPT_IN.test(message)) return 'opt_in';
+  if (NUDGE_OPT_OUT.test(message)) return 'opt_out';
+  return null;
+}
+
+/** "20:00" → "8pm", "21:30" → "9:30pm". Returns null for missing/bad input. */
+function formatPatternTime(timeLocal) {
+  if (!timeLocal || !/^\d{2}:\d{2}$/.test(timeLocal)) return null;
+  const [h, m] = timeLocal.split(':').map(Number);
+  const hour12 = h % 12 === 0 ? 12 : h % 12;
+  const ampm = h >= 12 ? 'pm' : 'am';
+  return m > 0 ? `${hour12}:${String(m).padStart(2, '0')}${ampm}` : `${hour12}${ampm}`;
+}
+
+function buildConsentPrompt(event) {
+  const name = event?.name || 'that event';
+  const venue = event?.venue_name ? ` at ${event.venue_name}` : '';
+  return `Btw, want a heads-up the day ${name}${venue} is on? Reply NUDGE ME and I'll text you that day. Ignore this and I won't ask again.`;
+}
+
+/**
+ * Build the deterministic day-of nudge SMS from a recurring_patterns row.
+ */
+function buildNudgeMessage(pattern) {
+  const name = pattern.name || 'That event';
+  const venue = pattern.venue_name ? ` at ${pattern.venue_name}` : '';
+  const time = formatPatternTime(pattern.time_local);
+  const when = time ? `tonight at ${time}` : 'today';
+  const hood = pattern.neighborhood ? ` in ${pattern.neighborhood}` : ' nearby';
+  return `${name}${venue} is on ${when}. Want me to see what else is happening${hood}? (Reply STOP NUDGES to turn these off.)`;
+}
+
+/**
+ * Current NYC day-of-week (0=Sun), hour, and YYYY-MM-DD date.
+ */
+function getNycClock(nowMs = Date.now()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    weekday: 'short', hour: 'numeric', hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+  }).formatToParts(new Date(nowMs));
+  const get = type => parts.find(p => p.type === type)?.value;
+  const dayMap = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+  return {
+    day: dayMap[get('weekday')],
+    hour: parseInt(get('hour'), 10),
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+  };
+}
+
+/**
+ * Pick which candidate nudges to send this hour. Pure — candidates come from
+ * getNudgeCandidates (already filtered to today's day-of-week).
+ * - timed patterns: send when the event is 4-6 hours out
+ * - untimed patterns: send at noon
+ * - at most one nudge per phone, and none if the phone was nudged in the last 7 days
+ */
+function selectNudgesToSend(candidates, { hour, nowMs = Date.now() }) {
+  const cutoff = new Date(nowMs - NUDGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const seenPhones = new Set();
+  const toSend = [];
+
+  const inWindow = c => {
+    if (!c.time_local || !/^\d{2}:\d{2}$/.test(c.time_local)) return hour === NUDGE_UNTIMED_HOUR;
+    // A 01:00 pattern is that night's late show — 5 hours out at 20:00, not -19
+    const hoursUntil = (parseInt(c.time_local.slice(0, 2), 10) - hour + 24) % 24;
+    return hoursUntil >= NUDGE_WINDOW_HOURS[0] && hoursUntil <= NUDGE_WINDOW_HOURS[1];
+  };
+
+  for (const c of candidates) {
+    if (seenPhones.has(c.phone_hash)) continue;
+    if (c.last_phone_nudge && c.last_phone_nudge > cutoff) continue;
+    if (!inWindow(c)) continue;
+    seenPhones.add(c.phone_hash);
+    toSend.push(c);
+  }
+  return toSend;
+}
+
+// --- DB queries ---
+
+function upsertNudgeSub(phoneHash, phone, patternKey) {
+  const d = getDb();
+  const now = new Date().toISOString();
+  const existing = d.prepare(
+    'SELECT id, detail_count, consent_asked, opted_in, opted_out FROM nudge_subscriptions WHERE phone_hash = ? AND pattern_key = ?'
+  ).get(phoneHash, patternKey);
+
+  if (existing) {
+    d.prepare('UPDATE nudge_subscriptions SET detail_count = detail_count + 1, phone = ?, updated_at = ? WHERE id = ?')
+      .run(phone, now, existing.id);
+    return { ...existing, detail_count: existing.detail_count + 1 };
+  }
+
+  const result = d.prepare(
+    'INSERT INTO nudge_subscriptions (phone_hash, phone, pattern_key, detail_count, created_at, updated_at) VALUES (?, ?, ?, 1, ?, ?)'
+  ).run(phoneHash, phone, patternKey, now, now);
+  return { id: result.lastInsertRowid, detail_count: 1, consent_asked: 0, opted_in: 0, opted_out: 0 };
+}
+
+function hasNudgeOptOut(phoneHash) {
+  return !!getDb().prepare('SELECT 1 FROM nudge_opt_outs WHERE phone_hash = ?').get(phoneHash)
+    || !!getDb().prepare('SELECT 1 FROM nudge_subscriptions WHERE phone_hash = ? AND opted_out = 1 LIMIT 1').get(phoneHash);
+}
+
+function markConsentAsked(subId) {
+  getDb().prepare('UPDATE nudge_subscriptions SET consent_asked = 1, updated_at = ? WHERE id = ?')
+    .run(new Date().toISOString(), subId);
+}
+
+function getPendingConsent(phoneHash) {
+  return getDb().prepare(`
+    SELECT id, pattern_key FROM nudge_subscriptions
+    WHERE phone_hash = ? AND consent_asked = 1 AND opted_in = 0 AND opted_out = 0
+      AND phone_hash NOT IN (SELECT phone_hash FROM nudge_opt_outs)
+    ORDER BY updated_at DESC LIMIT 1
+  `).get(phoneHash);
+}
+
+function setOptedIn(subId) {
+  getDb().prepare('UPDATE nudge_subscriptions SET opted_in = 1, updated_at = ? WHERE id = ?')
+    .run(new Date().toISOString(), subId);
+}
+
+/**
+ * Opt a phone out of every nudge subscription, current and future.
+ * Returns the number of subscription rows touched.
+ */
+function setOptedOut(phoneHash) {
+  const d = getDb();
+  const now = new Date().toISOString();
+  d.prepare('INSERT OR IGNORE INTO nudge_opt_outs (phone_hash, opted_out_at) VALUES (?, ?)').run(phoneHash, now);
+  return d.prepare('UPDATE nudge_subscriptions SET opted_out = 1, updated_at = ? WHERE phone_hash = ? AND opted_out = 0')
+    .run(now, phoneHash).changes;
+}
+
+function getNudgeCandidates(nycDay, todayDate) {
+  return getDb().prepare(`
+    SELECT ns.id, ns.phone_hash, ns.phone, ns.pattern_key,
+      rp.name, rp.venue_name, rp.neighborhood, rp.time_local,
+      (SELECT MAX(n2.last_nudged) FROM nudge_subscriptions n2 WHERE n2.phone_hash = ns.phone_hash) AS last_phone_nudge
+    FROM nudge_subscriptions ns
+    JOIN recurring_patterns rp ON ns.pattern_key = rp.pattern_key
+    WHERE ns.opted_in = 1 AND ns.opted_out = 0
+      AND ns.phone_hash NOT IN (SELECT phone_hash FROM nudge_opt_outs)
+      AND rp.deactivated = 0 AND rp.active_until >= ?
+      AND rp.day_of_week = ?
+    ORDER BY ns.updated_at DESC
+  `).all(todayDate, nycDay);
+}
+
+function markNudgeSent(subId) {
+  const now = new Date().toISOString();
+  getDb().prepare('UPDATE nudge_subscriptions SET last_nudged = ?, updated_at = ? WHERE id = ?').run(now, now, subId);
+}
+
+// --- Consent flow ---
+
+/**
+ * Record a details request on a recurring event. Returns the one-time consent
+ * prompt when this request crosses the threshold, otherwise null.
+ * Never asks a phone that has turned nudges off.
+ */
+function trackRecurringDetail(phone, event) {
+  if (!phone || !event?.is_recurring || !event.recurrence_pattern_key) return null;
+  const phoneHash = hashPhone(phone);
+  const sub = upsertNudgeSub(phoneHash, phone, event.recurrence_pattern_key);
+  if (sub.consent_asked || sub.opted_in || sub.opted_out) return null;
+  if (sub.detail_count < CONSENT_THRESHOLD) return null;
+  if (hasNudgeOptOut(phoneHash)) return null;
+
+  markConsentAsked(sub.id);
+  return buildConsentPrompt(event);
+}
+
+/**
+ * Handle NUDGE ME / STOP NUDGES. Returns { handled, intent, reply }.
+ * NUDGE ME without a pending prompt is not handled — it falls through to the agent.
+ */
+function captureConsent(phone, message) {
+  const keyword = parseNudgeKeyword(message);
+  if (!keyword || !phone) return { handled: false };
+  const phoneHash = hashPhone(phone);
+
+  if (keyword === 'opt_out') {
+    setOptedOut(phoneHash);
+    return { handled: true, intent: 'nudge_optout', reply: "Done, no more nudges. You can still text me anytime for picks." };
+  }
+
+  const pending = getPendingConsent(phoneHash);
+  if (!pending) return { handled: false };
+  setOptedIn(pending.id);
+  return { handled: true, intent: 'nudge_consent', reply: "You got it. I'll text you the day it's on, max once a week. Reply STOP NUDGES anytime to turn these off." };
+}
+
+// --- Scheduler ---
+
+/**
+ * Send due nudges for the current NYC hour.
+ */
+async function checkAndSendNudges({ nowMs = Date.now() } = {}) {
+  const { maskPhone } = require('./twilio');
+  const { sendMessage, OptedOutError } = require('./channels');
+  const { day, hour, date } = getNycClock(nowMs);
+  const toSend = selectNudgesToSend(getNudgeCandidates(day, date), { hour, nowMs });
+  let sent = 0;
+
+  for (const nudge of toSend) {
+    try {
+      await sendMessage(nudge.phone, buildNudgeMessage(nudge));
+      markNudgeSent(nudge.id);
+      sent++;
+    } catch (err) {
+      // Opted out of all texts since subscribing — stop nudging this phone
+      if (err instanceof OptedOutError) setOptedOut(nudge.phone_hash);
+      else console.warn(`[NUDGE] Send to ${maskPhone(nudge.phone)} failed:`, err.message);
+    }
+  }
+
+  if (toSend.length > 0) console.log(`[NUDGE] ${sent}/${toSend.length} nudges sent`);
+  return { candidates: toSend.length, sent };
+}
+
+let nudgeTimer = null;
+
+function scheduleNudges() {
+  nudgeTimer = setTimeout(async () => {
+    try {
+      await checkAndSendNudges();
+    } catch (err) {
+      console.error('[NUDGE] Scheduled check failed:', err.message);
+    }
+    scheduleNudges();
+  }, NUDGE_POLL_MS);
+}
+
+function clearNudgeSchedule() {
+  if (nudgeTimer) clearTimeout(nudgeTimer);
+}
+
+module.exports = {
+  trackRecurringDetail,
+  captureConsent,
+  setOptedOut,
+  checkAndSendNudges,
+  scheduleNudges,
+  clearNudgeSchedule,
+  // Exposed for testing
+  parseNudgeKeyword,
+  buildConsentPrompt,
+  buildNudgeMessage,
+  formatPatternTime,
+  getNycClock,
+  selectNudgesToSend,
+};
@@ -0,0 +1,66 @@
+/**
+ * opt-outs.js — Durable TCPA opt-out registry.
+ *
+ * STOP-style keywords write a row to sms_opt_outs keyed by phone hash, so the
+ * opt-out survives restarts and session expiry. sendSMS consults the registry
+ * before every outbound message (picks, reminders, nudges), and START/UNSTOP
+ * lifts it. Raw phone numbers are never stored — only the hash and a mask.
+ */
+
+const { hashPhone } = require('./session');
+
+function optOutPhone(phone, keyword) {
+  const { maskPhone } = require('./twilio');
+  require('./db').recordOptOut(hashPhone(phone), {
+    keyword: keyword ? keyword.trim().toUpperCase() : null,
+    phoneMasked: maskPhone(phone),
+  });
+}
+
+/**
+ * Lift an opt-out. Returns true if the phone was previously opted out.
+ */
+function optInPhone(phone, keyword) {
+  return require('./db').recordOptIn(hashPhone(phone), {
+    keyword: keyword ? keyword.trim().toUpperCase() : null,
+  });
+}
+
+/**
+ * Check the registry for a phone. Fails open (returns false) if the DB is
+ * unavailable — carriers still enforce STOP at the network level.
+ */
+function isPhoneOptedOut(phone) {
+  try {
+    return require('./db').isOptedOut(hashPhone(phone));
+  } catch (err) {
+    console.error('opt-out lookup failed:', err.message);
+    return false;
+  }
+}
+
+const CSV_COLUMNS = ['phone_hash', 'phone_masked', 'opted_out', 'opt_out_keyword', 'opted_out_at', 'opt_in_keyword', 'opted_in_at', 'opt_out_count'];
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Render opt-out rows as CSV for compliance export.
+ */
+function optOutsToCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(col => csvCell(row[col])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  optOutPhone,
+  optInPhone,
+  isPhoneOptedOut,
+  optOutsToCsv,
+};
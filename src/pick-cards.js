@@ -0,0 +1,360 @@
+/**
+ * pick-cards.js — MMS pick cards rendered from event data.
+ *
+ * Renders a details card (one event) or a picks card (up to 3 events) to a
+ * PNG in pure Node: a 5x8 bitmap font drawn into an RGB buffer, encoded with
+ * zlib. No canvas, no browser. Cards live in memory for CARD_TTL_MS and are
+ * served from GET /cards/:token.png so Twilio can fetch them as mediaUrl.
+ *
+ * MMS is opt-in for the deployment (PULSE_MMS_ENABLED=true + PULSE_PUBLIC_URL)
+ * and opt-out per user (TEXT ONLY / PICS ON). Everything falls back to the
+ * plain-text SMS that is always sent as the body.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { formatTime } = require('./formatters');
+
+const CARD_WIDTH = 640;
+const CARD_PADDING = 32;
+const CARD_TTL_MS = 30 * 60 * 1000;
+const MAX_STORED_CARDS = 200;
+const MAX_CARD_PICKS = 3;
+
+const COLORS = {
+  background: [17, 24, 39],
+  accent: [236, 72, 153],
+  title: [255, 255, 255],
+  body: [209, 213, 219],
+  muted: [156, 163, 175],
+};
+
+const MMS_SETTING_OFF = /^\s*(text\s+only|no\s+(pics|pictures|images|cards)|pics\s+off|cards\s+off)\s*$/i;
+const MMS_SETTING_ON = /^\s*(pics|pictures|images|cards)\s+on\s*$/i;
+
+// --- Bitmap font ---
+
+// Classic 5x8 column-major glyphs for ASCII 0x20-0x7E. Each glyph is 5 bytes
+// (one per column), bit 0 = top row. Hex-packed, 10 chars per glyph.
+const FONT_5X8 = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649562050', '0008070300',
+  '001c224100', '0041221c00', '2a1c7f1c2a', '08083e0808', '0080703000', '0808080808', '0000606000', '2010080402',
+  '3e5149453e', '00427f4000', '7249494946', '2141494d33', '1814127f10', '2745454539', '3c4a494931', '4121110907',
+  '3649494936', '464949291e', '0000140000', '0040340000', '0008142241', '1414141414', '0041221408', '0201590906',
+  '3e415d594e', '7c1211127c', '7f49494936', '3e41414122', '7f4141413e', '7f49494941', '7f09090901', '3e41415173',
+  '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f021c027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '2649494932', '03017f0103', '3f4040403f', '1f2040201f', '3f4038403f',
+  '6314081463', '0304780403', '6159494d43', '007f414141', '0204081020', '004141417f', '0402010204', '4040404040',
+  '0003070800', '2054547840', '7f28444438', '3844444428', '384444287f', '3854545418', '00087e0902', '18a4a49c78',
+  '7f08040478', '00447d4000', '2040403d00', '7f10284400', '00417f4000', '7c04780478', '7c08040478', '3844444438',
+  'fc18242418', '18242418fc', '7c08040408', '4854545424', '04043f4424', '3c4040207c', '1c2040201c', '3c4030403c',
+  '4428102844', '4c9090907c', '4464544c44', '0008364100', '0000770000', '0041360800', '0201020402',
+].map(hex => Buffer.from(hex, 'hex'));
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 8;
+
+/**
+ * Fold text into the font's ASCII range: strip accents, map typographic
+ * punctuation to ASCII, drop anything else (emoji, CJK).
+ */
+function toCardText(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/\u2026/g, '...')
+    .replace(/[\u00b7\u2022]/g, '|')
+    .replace(/[^\x20-\x7e]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Greedy word wrap to a character budget. Long words are hard-split.
+ * Returns at most maxLines lines; overflow ends with "...".
+ */
+function wrapText(text, maxChars, maxLines = Infinity) {
+  const words = toCardText(text).split(' ').filter(Boolean);
+  const lines = [];
+  let line = '';
+  for (let word of words) {
+    while (word.length > maxChars) {
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= maxChars) line += ' ' + word;
+    else { lines.push(line); line = word; }
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    const last = kept[maxLines - 1];
+    kept[maxLines - 1] = (last.length + 3 <= maxChars ? last : last.slice(0, maxChars - 3)) + '...';
+    return kept;
+  }
+  return lines;
+}
+
+// --- Raster + PNG ---
+
+function createRaster(width, height, color) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 3] = color[0];
+    pixels[i * 3 + 1] = color[1];
+    pixels[i * 3 + 2] = color[2];
+  }
+  return { width, height, pixels };
+}
+
+function fillRect(raster, x, y, w, h, color) {
+  const x1 = Math.min(raster.width, x + w);
+  const y1 = Math.min(raster.height, y + h);
+  for (let py = Math.max(0, y); py < y1; py++) {
+    for (let px = Math.max(0, x); px < x1; px++) {
+      const i = (py * raster.width + px) * 3;
+      raster.pixels[i] = color[0];
+      raster.pixels[i + 1] = color[1];
+      raster.pixels[i + 2] = color[2];
+    }
+  }
+}
+
+function drawText(raster, text, x, y, scale, color) {
+  let cx = x;
+  for (const ch of text) {
+    const glyph = FONT_5X8[ch.charCodeAt(0) - 0x20];
+    if (glyph) {
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          if (glyph[col] & (1 << row)) fillRect(raster, cx + col * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    }
+    cx += (GLYPH_WIDTH + 1) * scale;
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([len, typeAndData, crc]);
+}
+
+/**
+ * Encode an RGB raster as PNG (8-bit truecolor, no filtering).
+ */
+function encodePng({ width, height, pixels }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 2;  // color type: RGB
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// --- Card layout ---
+
+/**
+ * Lay out text blocks top to bottom and render. Each block is
+ * { text, scale, color, maxLines, gapAfter }.
+ */
+function renderBlocks(blocks) {
+  const contentWidth = CARD_WIDTH - CARD_PADDING * 2;
+  const laidOut = blocks.filter(b => b.text).map(b => {
+    const charWidth = (GLYPH_WIDTH + 1) * b.scale;
+    const lineHeight = (GLYPH_HEIGHT + 2) * b.scale;
+    const lines = wrapText(b.text, Math.floor(contentWidth / charWidth), b.maxLines);
+    return { ...b, lines, lineHeight };
+  });
+
+  const accentHeight = 8;
+  const height = CARD_PADDING * 2 + accentHeight
+    + laidOut.reduce((sum, b) => sum + b.lines.length * b.lineHeight + (b.gapAfter || 0), 0);
+  const raster = createRaster(CARD_WIDTH, height, COLORS.background);
+  fillRect(raster, 0, 0, CARD_WIDTH, accentHeight, COLORS.accent);
+
+  let y = CARD_PADDING + accentHeight;
+  for (const b of laidOut) {
+    for (const line of b.lines) {
+      drawText(raster, line, CARD_PADDING, y, b.scale, b.color);
+      y += b.lineHeight;
+    }
+    y += b.gapAfter || 0;
+  }
+  return encodePng(raster);
+}
+
+function priceLabel(event) {
+  if (event.is_free) return 'Free';
+  return event.price_display || null;
+}
+
+function timeLabel(event) {
+  return event.start_time_local ? formatTime(event.start_time_local) : null;
+}
+
+/**
+ * Details card: name, venue, time, price, neighborhood.
+ */
+function renderDetailsCard(event) {
+  const venue = event.venue_name && event.venue_name !== 'TBA' ? event.venue_name : null;
+  return renderBlocks([
+    { text: 'PULSE', scale: 2, color: COLORS.accent, gapAfter: 12 },
+    { text: event.name, scale: 4, color: COLORS.title, maxLines: 3, gapAfter: 16 },
+    { text: venue, scale: 3, color: COLORS.body, maxLines: 2, gapAfter: 12 },
+    { text: timeLabel(event), scale: 3, color: COLORS.body, maxLines: 1, gapAfter: 12 },
+    { text: priceLabel(event), scale: 3, color: COLORS.body, maxLines: 1, gapAfter: 12 },
+    { text: event.neighborhood, scale: 2, color: COLORS.muted, maxLines: 1 },
+  ]);
+}
+
+/**
+ * Picks card: numbered list of up to 3 events with a venue/time/price/hood line each.
+ */
+function renderPicksCard(events, { title = "Tonight's picks" } = {}) {
+  const blocks = [{ text: 'PULSE', scale: 2, color: COLORS.accent, gapAfter: 8 }, { text: title, scale: 3, color: COLORS.title, gapAfter: 20 }];
+  events.slice(0, MAX_CARD_PICKS).forEach((event, i) => {
+    const venue = event.venue_name && event.venue_name !== 'TBA' ? event.venue_name : null;
+    const meta = [venue, timeLabel(event), priceLabel(event), event.neighborhood].filter(Boolean).join(' | ');
+    blocks.push({ text: `${i + 1}. ${event.name}`, scale: 3, color: COLORS.title, maxLines: 2, gapAfter: 6 });
+    blocks.push({ text: meta, scale: 2, color: COLORS.muted, maxLines: 2, gapAfter: 20 });
+  });
+  return renderBlocks(blocks);
+}
+
+// --- Short-lived card store ---
+
+const cardStore = new Map(); // token → { png, expiresAt }
+
+function pruneCards(nowMs = Date.now()) {
+  for (const [token, card] of cardStore) {
+    if (card.expiresAt <= nowMs) cardStore.delete(token);
+  }
+  while (cardStore.size >= MAX_STORED_CARDS) {
+    cardStore.delete(cardStore.keys().next().value);
+  }
+}
+
+function storeCard(png, { nowMs = Date.now() } = {}) {
+  pruneCards(nowMs);
+  const token = crypto.randomBytes(12).toString('hex');
+  cardStore.set(token, { png, expiresAt: nowMs + CARD_TTL_MS });
+  return token;
+}
+
+function getCard(token, { nowMs = Date.now() } = {}) {
+  const card = cardStore.get(token);
+  if (!card) return null;
+  if (card.expiresAt <= nowMs) {
+    cardStore.delete(token);
+    return null;
+  }
+  return card.png;
+}
+
+// --- MMS eligibility ---
+
+function isMmsConfigured() {
+  return process.env.PULSE_MMS_ENABLED === 'true' && !!process.env.PULSE_PUBLIC_URL;
+}
+
+/**
+ * MMS goes to US/Canada numbers only (WhatsApp carries media anywhere), and
+ * never to users who turned cards off.
+ */
+function canSendMms(phone) {
+  if (!isMmsConfigured() || !/^(\+1\d{10}|whatsapp:\+\d{8,15})$/.test(phone || '')) return false;
+  try {
+    const { hashPhone } = require('./session');
+    return require('./db').getMmsPreference(hashPhone(phone));
+  } catch (err) {
+    console.warn('MMS preference lookup failed:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Render a card for a details event or a pick list, store it, and return its
+ * public URL. Returns null when MMS isn't available for this phone or rendering fails.
+ */
+function buildCardUrl(phone, { event, events } = {}) {
+  if (!canSendMms(phone)) return null;
+  try {
+    let png = null;
+    if (event) png = renderDetailsCard(event);
+    else if (events?.length > 0) png = renderPicksCard(events);
+    if (!png) return null;
+    const base = process.env.PULSE_PUBLIC_URL.replace(/\/$/, '');
+    return `${base}/cards/${storeCard(png)}.png`;
+  } catch (err) {
+    console.warn('pick card render failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Handle TEXT ONLY / PICS ON. Returns { handled, intent, reply }.
+ */
+function captureMmsSetting(phone, message) {
+  const off = MMS_SETTING_OFF.test(message || '');
+  const on = !off && MMS_SETTING_ON.test(message || '');
+  if (!phone || (!off && !on)) return { handled: false };
+  const { hashPhone } = require('./session');
+  require('./db').setMmsPreference(hashPhone(phone), on);
+  return {
+    handled: true,
+    intent: 'mms_setting',
+    reply: on
+      ? "Picture cards are back on. Reply TEXT ONLY to turn them off."
+      : "Got it, text only from now on. Reply PICS ON to get picture cards again.",
+  };
+}
+
+module.exports = {
+  buildCardUrl,
+  getCard,
+  captureMmsSetting,
+  // Exposed for testing
+  toCardText,
+  wrapText,
+  encodePng,
+  renderDetailsCard,
+  renderPicksCard,
+  storeCard,
+  canSendMms,
+};
@@ -0,0 +1,219 @@
+/**
+ * pick-pages.js — Shareable web page behind each pick-list reply, served from /p/:responseId.
+ *
+ * An SMS carries one link at most; the page carries everything: every pick
+ * from the response with its editorial why, time, price, a map link, the .ics
+ * link and the ticket link.
+ *
+ * saveResponseFrame snapshots its picks into response_pages, so the page stays
+ * stable after the session expires and the event cache rolls over. Snapshots
+ * hold public event fields only — no phone, no phone hash, nothing tying the
+ * page to who asked. Pages expire after PAGE_TTL_HOURS.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { formatTime, isReliableEventUrl } = require('./formatters');
+
+// PULSE_PICK_PAGE_TTL_HOURS — how long a pick page stays up (default 48)
+const PAGE_TTL_HOURS = Number(process.env.PULSE_PICK_PAGE_TTL_HOURS) || 48;
+const MAX_PAGE_PICKS = 10;
+
+// --- Snapshot ---
+
+/**
+ * Map link for an event: the scraped map_url, else venue coordinates, else a
+ * search on address or venue + neighborhood.
+ */
+function mapLink(event) {
+  if (event.map_url) return event.map_url;
+  if (event.venue_lat && event.venue_lng) return `https://www.google.com/maps?q=${event.venue_lat},${event.venue_lng}`;
+  const venue = event.venue_name && event.venue_name !== 'TBA' ? event.venue_name : null;
+  const query = event.venue_address || (venue ? `${venue} ${event.neighborhood || ''} NYC` : null);
+  return query ? `https://www.google.com/maps/search/${encodeURIComponent(query.trim())}` : null;
+}
+
+/**
+ * Public fields of one event, frozen at response time. Never includes session
+ * or phone data.
+ */
+function snapshotPick(event) {
+  const { buildRecommendationReason } = require('./brain-llm');
+  const ticketUrl = event.ticket_url || (isReliableEventUrl(event.source_url) ? event.source_url : null);
+  return {
+    id: event.id,
+    name: event.name || 'Event',
+    venue_name: event.venue_name && event.venue_name !== 'TBA' ? event.venue_name : null,
+    neighborhood: event.neighborhood || null,
+    date_local: event.date_local || null,
+    start_time_local: event.start_time_local || null,
+    is_free: !!event.is_free,
+    price_display: event.price_display || null,
+    why: buildRecommendationReason(event) || null,
+    detail: (event.short_detail || event.description_short || '').slice(0, 300) || null,
+    recurrence_label: event.is_recurring ? event.recurrence_label || null : null,
+    map_url: mapLink(event),
+    ticket_url: ticketUrl,
+  };
+}
+
+// --- DB queries ---
+
+function pruneExpiredPages(nowMs = Date.now()) {
+  return getDb().prepare('DELETE FROM response_pages WHERE expires_at <= ?').run(new Date(nowMs).toISOString()).changes;
+}
+
+/**
+ * Snapshot a response's picks into response_pages. Returns the responseId, or
+ * null when none of the picks resolve to an event.
+ */
+function saveResponsePage({ picks = [], eventMap = {}, neighborhood, filtersLabel } = {}, { nowMs = Date.now() } = {}) {
+  const events = picks.map(p => eventMap[p.event_id]).filter(Boolean).slice(0, MAX_PAGE_PICKS);
+  if (events.length === 0) return null;
+  pruneExpiredPages(nowMs);
+  const id = crypto.randomBytes(9).toString('base64url');
+  getDb().prepare(`
+    INSERT INTO response_pages (id, neighborhood, filters_label, picks_json, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    neighborhood || null,
+    filtersLabel && filtersLabel !== 'events' ? filtersLabel : null,
+    JSON.stringify(events.map(snapshotPick)),
+    new Date(nowMs).toISOString(),
+    new Date(nowMs + PAGE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+  );
+  return id;
+}
+
+/**
+ * Load a page by responseId. Null when it never existed or has expired.
+ */
+function getResponsePage(id, { nowMs = Date.now() } = {}) {
+  if (!id || !/^[A-Za-z0-9_-]{8,32}$/.test(id)) return null;
+  const row = getDb().prepare('SELECT * FROM response_pages WHERE id = ?').get(id);
+  if (!row || Date.parse(row.expires_at) <= nowMs) return null;
+  return {
+    id: row.id,
+    neighborhood: row.neighborhood,
+    filters_label: row.filters_label,
+    picks: JSON.parse(row.picks_json),
+    created_at: row.created_at,
+    expires_at: row.expires_at,
+  };
+}
+
+/**
+ * Public link to a page, or null when PULSE_PUBLIC_URL isn't set.
+ */
+function pickPageUrl(responseId) {
+  const base = process.env.PULSE_PUBLIC_URL;
+  if (!base || !responseId) return null;
+  return `${base.replace(/\/$/, '')}/p/${responseId}`;
+}
+
+// --- Rendering ---
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function pageTitle(page) {
+  const what = page.filters_label || 'Picks';
+  const where = !page.neighborhood || page.neighborhood === 'citywide' ? 'NYC' : page.neighborhood;
+  return `${what.charAt(0).toUpperCase()}${what.slice(1)} in ${where}`;
+}
+
+function renderPick(pick, index) {
+  const when = pick.start_time_local ? formatTime(pick.start_time_local) : pick.date_local ? formatTime(pick.date_local) : null;
+  const price = pick.is_free ? 'Free' : pick.price_display;
+  const meta = [when, price, pick.recurrence_label].filter(Boolean).map(escapeHtml).join(' · ');
+  const where = [pick.venue_name, pick.neighborhood].filter(Boolean).map(escapeHtml).join(', ');
+  const links = [
+    pick.map_url ? `<a href="${escapeHtml(pick.map_url)}">Map</a>` : null,
+    pick.date_local || pick.start_time_local ? `<a href="/e/${encodeURIComponent(pick.id)}.ics">Add to calendar</a>` : null,
+    pick.ticket_url ? `<a href="${escapeHtml(pick.ticket_url)}">Tickets</a>` : null,
+  ].filter(Boolean).join(' ');
+  return [
+    '<li class="pick">',
+    `<h2><span class="n">${index + 1}</span> ${escapeHtml(pick.name)}</h2>`,
+    where ? `<p class="where">${where}</p>` : '',
+    meta ? `<p class="meta">${meta}</p>` : '',
+    pick.why ? `<p class="why">${escapeHtml(pick.why)}</p>` : '',
+    pick.detail ? `<p>${escapeHtml(pick.detail)}</p>` : '',
+    links ? `<p class="links">${links}</p>` : '',
+    '</li>',
+  ].filter(Boolean).join('\n');
+}
+
+const PAGE_STYLE = `
+  body { margin: 0; background: #111827; color: #d1d5db; font: 16px/1.45 -apple-system, system-ui, sans-serif; }
+  main { max-width: 560px; margin: 0 auto; padding: 24px 16px 48px; }
+  h1 { color: #fff; font-size: 22px; margin: 0 0 4px; }
+  .sub, .where, .meta { color: #9ca3af; margin: 2px 0; font-size: 14px; }
+  ol { list-style: none; padding: 0; }
+  .pick { border-top: 1px solid #374151; padding: 16px 0; }
+  .pick h2 { color: #fff; font-size: 18px; margin: 0 0 4px; }
+  .n { color: #ec4899; }
+  .why { color: #f9a8d4; font-style: italic; }
+  .links a { color: #ec4899; margin-right: 16px; }
+`;
+
+function renderDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} — Pulse</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * Full HTML for a pick page.
+ */
+function renderPickPage(page) {
+  const title = pageTitle(page);
+  const expires = new Date(page.expires_at).toLocaleString('en-US', {
+    timeZone: 'America/New_York', weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+  return renderDocument(title, [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p class="sub">From Pulse · link works until ${escapeHtml(expires)}</p>`,
+    `<ol>\n${page.picks.map(renderPick).join('\n')}\n</ol>`,
+  ].join('\n'));
+}
+
+function renderExpiredPage() {
+  return renderDocument('Link expired', [
+    '<h1>This link has expired</h1>',
+    '<p class="sub">Pick pages last a couple of days. Text Pulse a neighborhood for fresh picks.</p>',
+  ].join('\n'));
+}
+
+module.exports = {
+  PAGE_TTL_HOURS,
+  saveResponsePage,
+  getResponsePage,
+  pickPageUrl,
+  renderPickPage,
+  renderExpiredPage,
+  // Exposed for testing
+  snapshotPick,
+  mapLink,
+  escapeHtml,
+  pruneExpiredPages,
+};
@@ -1,5 +1,7 @@
-const { setResponseState } = require('./session');
+const { setResponseState, getSession } = require('./session');
 const { filterByTimeAfter, getEventDate, isEventInDateRange } = require('./geo');
+const { BOROUGHS } = require('./neighborhoods');
+const { resolveVenueAlias, lookupVenueProfile } = require('./venues');
 const VALID_CATEGORIES = new Set([
   'nightlife', 'live_music', 'comedy', 'theater', 'art', 'film',
   'dance', 'community', 'music', 'food', 'trivia', 'tours',
@@ -63,6 +65,15 @@ function saveResponseFrame(phone, { mode = 'fresh', picks = [], prevSession,
     eventMap = {}, neighborhood, borough, filters, offeredIds = [], visitedHoods, pending, pendingMessage, lastResponseHadPicks,
     placePicks, placeMap, resultType } = {}) {
   const isMore = mode === 'more';
+  // Pick lists get a web page (/p/:responseId) that outlives the session;
+  // re-saving the same picks (details, follow-ups) keeps the page already made
+  const current = getSession(phone);
+  let responseId = null;
+  if (picks.length > 0 && lastResponseHadPicks !== false) {
+    responseId = current?.lastResponseId && samePicks(picks, current.lastPicks)
+      ? current.lastResponseId
+      : persistResponsePage({ picks, eventMap, neighborhood: neighborhood || borough, filtersLabel: filters ? describeFilters(filters) : null });
+  }
   setResponseState(phone, {
     picks,
     allPicks: isMore ? [...(prevSession?.allPicks || prevSession?.lastPicks || []), ...picks] : picks,
@@ -81,7 +92,26 @@ function saveResponseFrame(phone, { mode = 'fresh', picks = [], prevSession,
     placePicks: placePicks ?? undefined,
     placeMap: placeMap ?? undefined,
     resultType: resultType ?? undefined,
+    responseId,
   });
+  return responseId;
+}
+
+function samePicks(a, b) {
+  return Array.isArray(b) && a.length === b.length && a.every((p, i) => p.event_id === b[i].event_id);
+}
+
+/**
+ * Snapshot a response's picks for its web page. Never throws — a failed
+ * write only costs the link.
+ */
+function persistResponsePage(frame) {
+  try {
+    return require('./pick-pages').saveResponsePage(frame);
+  } catch (err) {
+    console.warn('response page save failed:', err.message);
+    return null;
+  }
 }
 
 /**
@@ -102,14 +132,19 @@ function buildExhaustionMessage(hood, { adjacentHoods = [], visitedHoods = [], f
 
 /**
  * Convert a filter object to a human-readable SMS label.
- * Order: free → subcategory|category → vibe → time suffix.
+ * Order: free → age → access → subcategory|category → vibe → price ceiling → time suffix.
  * Examples: {category:'comedy', free_only:true} → "free comedy"
+ *           {category:'comedy', max_price:20} → "comedy under $20"
  *           {time_after:'22:00'} → "events after 10pm"
+ *           {time_after:'19:00', time_before:'21:00'} → "events between 7pm and 9pm"
  */
 function describeFilters(filters) {
   if (!filters || typeof filters !== 'object') return 'events';
   const parts = [];
   if (filters.free_only) parts.push('free');
+  if (filters.youngest_age != null && filters.youngest_age < 21) parts.push(filters.youngest_age >= 18 ? '18+' : 'all-ages');
+  const access = (filters.accessibility || []).filter(n => ACCESS_LABELS[n]).map(n => ACCESS_LABELS[n]);
+  if (access.length > 0) parts.push(access.join(', '));
   if (filters.categories && Array.isArray(filters.categories) && filters.categories.length > 0) {
     parts.push(filters.categories.map(c => c.replace(/_/g, ' ')).join(' or '));
   } else if (filters.subcategory) {
@@ -118,29 +153,43 @@ function describeFilters(filters) {
     parts.push(filters.category.replace(/_/g, ' '));
   }
   if (filters.vibe) parts.push(filters.vibe);
-  // Need a noun if we only have modifiers (free, time) but no category/vibe
+  // Need a noun if we only have modifiers (free, time, price) but no category/vibe
   const hasNoun = filters.subcategory || filters.category || filters.vibe;
+  const hasPrice = filters.max_price != null && !filters.free_only;
   if (!hasNoun) {
-    if (parts.length === 0 && !filters.time_after) return 'events';
+    if (parts.length === 0 && !filters.time_after && !filters.time_before && !hasPrice) return 'events';
     parts.push('events');
   }
   if (parts.length === 0) return 'events';
+  if (hasPrice) parts.push(`under ${priceLabel(filters.max_price)}`);
   // Time suffix
-  if (filters.time_after && /^\d{2}:\d{2}$/.test(filters.time_after)) {
-    const [h, m] = filters.time_after.split(':').map(Number);
-    let label;
-    if (h === 0 && m === 0) label = 'midnight';
-    else if (h === 12 && m === 0) label = 'noon';
-    else {
-      const hr12 = h === 0 ? 12 : h > 12 ? h - 12 : h;
-      const ampm = h < 12 ? 'am' : 'pm';
-      label = m === 0 ? `${hr12}${ampm}` : `${hr12}:${String(m).padStart(2, '0')}${ampm}`;
-    }
-    parts.push(`after ${label}`);
-  }
+  const after = /^\d{2}:\d{2}$/.test(filters.time_after || '') ? clockLabel(filters.time_after) : null;
+  const before = /^\d{2}:\d{2}$/.test(filters.time_before || '') ? clockLabel(filters.time_before) : null;
+  if (after && before) parts.push(`between ${after} and ${before}`);
+  else if (after) parts.push(`after ${after}`);
+  else if (before) parts.push(`before ${before}`);
   return parts.join(' ');
 }
 
+const ACCESS_LABELS = {
+  step_free: 'step-free', asl: 'ASL-interpreted', captioned: 'captioned', relaxed: 'relaxed',
+};
+
+/** 15 → "$15", 12.5 → "$12.50". */
+function priceLabel(amount) {
+  return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+}
+
+/** "22:00" → "10pm", "19:30" → "7:30pm", plus midnight/noon. */
+function clockLabel(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  if (h === 0 && m === 0) return 'midnight';
+  if (h === 12 && m === 0) return 'noon';
+  const hr12 = h === 0 ? 12 : h > 12 ? h - 12 : h;
+  const ampm = h < 12 ? 'am' : 'pm';
+  return m === 0 ? `${hr12}${ampm}` : `${hr12}:${String(m).padStart(2, '0')}${ampm}`;
+}
+
 /**
  * Build a deterministic zero-match response when filters match nothing in a neighborhood.
  * Scans adjacent hoods and citywide for matches, suggests alternatives.
@@ -148,6 +197,8 @@ function describeFilters(filters) {
  */
 function buildZeroMatchResponse(hood, activeFilters, adjacentHoods) {
   const label = describeFilters(activeFilters);
+  // "No events under $15" reads badly — a bare budget becomes "Nothing under $15"
+  const none = label.startsWith('events under ') ? `Nothing ${label.slice('events '.length)}` : `No ${label}`;
   // Late require to avoid circular dep (events.js → pipeline.js)
   const { scanCityWide } = require('./events');
   const cityMatches = scanCityWide(activeFilters);
@@ -157,13 +208,13 @@ function buildZeroMatchResponse(hood, activeFilters, adjacentHoods) {
     const cityMatch = cityMatches[0];
     if (cityMatch) {
       return {
-        message: `No ${label} tonight — I've got ${label} in ${cityMatch.neighborhood} though. Want picks from there?`,
+        message: `${none} tonight — I've got ${label} in ${cityMatch.neighborhood} though. Want picks from there?`,
         suggestedHood: cityMatch.neighborhood,
         source: 'citywide',
       };
     }
     return {
-      message: `No ${label} tonight — tell me a neighborhood and I'll show you what's happening!`,
+      message: `${none} tonight — tell me a neighborhood and I'll show you what's happening!`,
       suggestedHood: null,
       source: 'none',
     };
@@ -174,7 +225,7 @@ function buildZeroMatchResponse(hood, activeFilters, adjacentHoods) {
   const adjacentMatch = cityMatches.find(m => adjSet.has(m.neighborhood));
   if (adjacentMatch) {
     return {
-      message: `No ${label} in ${hood} tonight — but ${adjacentMatch.neighborhood} has some. Want picks from there?`,
+      message: `${none} in ${hood} tonight — but ${adjacentMatch.neighborhood} has some. Want picks from there?`,
       suggestedHood: adjacentMatch.neighborhood,
       source: 'adjacent',
     };
@@ -183,14 +234,14 @@ function buildZeroMatchResponse(hood, activeFilters, adjacentHoods) {
   const cityMatch = cityMatches.find(m => m.neighborhood !== hood);
   if (cityMatch) {
     return {
-      message: `No ${label} in ${hood} tonight — I've got ${label} in ${cityMatch.neighborhood} though. Want picks from there?`,
+      message: `${none} in ${hood} tonight — I've got ${label} in ${cityMatch.neighborhood} though. Want picks from there?`,
       suggestedHood: cityMatch.neighborhood,
       source: 'citywide',
     };
   }
   // Nothing anywhere
   return {
-    message: `No ${label} anywhere tonight — want me to just show you what's in ${hood}?`,
+    message: `${none} anywhere tonight — want me to just show you what's in ${hood}?`,
     suggestedHood: null,
     source: 'none',
   };
@@ -213,8 +264,19 @@ function mergeFilters(existing, incoming) {
     subcategory: 'subcategory' in next ? (next.subcategory || null) : (base.subcategory || null),
     vibe: 'vibe' in next ? (next.vibe || null) : (base.vibe || null),
     time_after: 'time_after' in next ? (next.time_after || null) : (base.time_after || null),
+    time_before: 'time_before' in next ? (next.time_before || null) : (base.time_before || null),
     date_range: 'date_range' in next ? (next.date_range || null) : (base.date_range || null),
+    max_price: 'max_price' in next ? (next.max_price ?? null) : (base.max_price ?? null),
+    youngest_age: 'youngest_age' in next ? (next.youngest_age ?? null) : (base.youngest_age ?? null),
+    accessibility: 'accessibility' in next ? (next.accessibility?.length ? next.accessibility : null) : (base.accessibility?.length ? base.accessibility : null),
   };
+  // Exclusions accumulate across refinements; an empty list clears one
+  for (const key of EXCLUDE_KEYS) {
+    const merged = key in next
+      ? (next[key]?.length ? [...new Set([...(base[key] || []), ...next[key]])] : null)
+      : (base[key]?.length ? base[key] : null);
+    if (merged) result[key] = merged;
+  }
   // Multi-category array (agent brain only): categories takes precedence over category
   if ('categories' in next) {
     result.categories = next.categories?.length > 0 ? next.categories : null;
@@ -227,11 +289,11 @@ function mergeFilters(existing, incoming) {
 
 /**
  * Check if an event fails a time gate. Returns true if the event starts
- * before the given HH:MM time (NYC timezone). Events without parseable
- * start times pass through (return false = does not fail).
- * Uses after-midnight wrapping: events before 6am are treated as next-day.
+ * before timeAfter, or at/after timeBefore (HH:MM, NYC timezone; either may
+ * be null). Events without parseable start times pass through (return false = does not fail).
+ * Uses after-midnight wrapping: events and bounds before 6am are treated as next-day.
  */
-function failsTimeGate(event, timeAfter) {
+function failsTimeGate(event, timeAfter, timeBefore = null) {
   if (!event.start_time_local || !/T\d{2}:/.test(event.start_time_local)) return false;
   try {
     // start_time_local is already in NYC local time — extract h:m directly
@@ -239,12 +301,16 @@ function failsTimeGate(event, timeAfter) {
     if (!timeMatch) return false;
     const [h, m] = [Number(timeMatch[1]), Number(timeMatch[2])];
     const eventMinutes = h * 60 + m;
-    const [filterH, filterM] = timeAfter.split(':').map(Number);
-    const filterMinutes = filterH * 60 + filterM;
     // After-midnight wrapping: events before 6am treated as next-day
-    const adjustedEvent = eventMinutes < 6 * 60 ? eventMinutes + 24 * 60 : eventMinutes;
-    const adjustedFilter = filterMinutes < 6 * 60 ? filterMinutes + 24 * 60 : filterMinutes;
-    return adjustedEvent < adjustedFilter;
+    const adjust = minutes => minutes < 6 * 60 ? minutes + 24 * 60 : minutes;
+    const toMinutes = hhmm => {
+      const [filterH, filterM] = hhmm.split(':').map(Number);
+      return adjust(filterH * 60 + filterM);
+    };
+    const adjustedEvent = adjust(eventMinutes);
+    if (timeAfter && adjustedEvent < toMinutes(timeAfter)) return true;
+    if (timeBefore && adjustedEvent >= toMinutes(timeBefore)) return true;
+    return false;
   } catch { return false; }
 }
 
@@ -266,8 +332,116 @@ const CATEGORY_SOFT_MAP = {
   art: ['film'],
 };
 
+// Exclusions are lists, not constraints: they drop events but never make
+// one a "match" on their own.
+const EXCLUDE_KEYS = ['exclude_categories', 'exclude_venues', 'exclude_boroughs'];
+
+const HOOD_BOROUGH = {};
+for (const [borough, hoods] of Object.entries(BOROUGHS)) {
+  for (const h of hoods) HOOD_BOROUGH[h] = borough;
+}
+
+/** "The Elsewhere Rooftop" → "elsewhere rooftop" (after alias resolution). */
+function venueKey(name) {
+  return String(resolveVenueAlias(String(name || '').trim()) || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the /, '')
+    .trim();
+}
+
+/**
+ * Does an exclusion rule out this event? Venues match on the name or its
+ * leading words ("Elsewhere" drops "Elsewhere Rooftop"); boroughs go through
+ * the event's neighborhood, so events with no neighborhood are kept.
+ */
+function isExcluded(event, filters) {
+  if (!filters) return false;
+  if (filters.exclude_categories?.length && filters.exclude_categories.includes(event.category)) return true;
+  if (filters.exclude_boroughs?.length) {
+    const borough = HOOD_BOROUGH[event.neighborhood];
+    if (borough && filters.exclude_boroughs.includes(borough)) return true;
+  }
+  if (filters.exclude_venues?.length && event.venue_name && matchesVenue(event.venue_name, filters.exclude_venues)) return true;
+  return false;
+}
+
+/**
+ * Does a venue name fall under any of these names? Same rules as
+ * exclude_venues: aliases resolved, leading "the" dropped, and a name covers
+ * longer ones it starts ("Elsewhere" covers "Elsewhere Rooftop").
+ */
+function matchesVenue(venueName, names) {
+  const venue = venueKey(venueName);
+  if (!venue) return false;
+  return (names || []).some(name => {
+    const key = venueKey(name);
+    return key && (venue === key || venue.startsWith(key + ' '));
+  });
+}
+
+const ACCESS_NEEDS = ['step_free', 'asl', 'captioned', 'relaxed'];
+
+/**
+ * Where an event stands on each requested access need: "yes", "no" or "unknown".
+ * Event listings can state any need; step-free also falls back to the venue
+ * profile. Listings never say "no ASL", so those are "yes" or "unknown".
+ */
+function accessibilityStatus(event, needs) {
+  const stated = new Set(event.accessibility || []);
+  const status = {};
+  for (const need of needs || []) {
+    if (stated.has(need)) status[need] = 'yes';
+    else if (need === 'step_free') status[need] = lookupVenueProfile(event.venue_name)?.accessibility?.step_free || 'unknown';
+    else status[need] = 'unknown';
+  }
+  return status;
+}
+
+const AGE_MINIMUM = { '21+': 21, '18+': 18, all_ages: 0 };
+
+/**
+ * Can someone of this age get in? true / false, or null when the event's
+ * age policy is unknown.
+ */
+function admitsAge(event, age) {
+  const minimum = AGE_MINIMUM[event.age_policy];
+  if (minimum === undefined) return null;
+  return age >= minimum;
+}
+
+/**
+ * Whether any filter narrows what counts as a match (exclusions don't).
+ */
+function hasMatchFilters(filters) {
+  if (!filters) return false;
+  return Object.entries(filters).some(([k, v]) => !EXCLUDE_KEYS.includes(k) && Boolean(v));
+}
+
 function eventMatchesFilters(event, filters) {
+  if (isExcluded(event, filters)) return false;
   if (filters.free_only && !event.is_free) return false;
+  // Budget: the cheapest ticket must fit. Unknown price → soft, the LLM decides.
+  let priceUnknown = false;
+  if (filters.max_price != null && !event.is_free) {
+    if (event.price_min == null) priceUnknown = true;
+    else if (event.price_min > filters.max_price) return false;
+  }
+  // Age: a known policy above the youngest guest rules the event out; unknown → soft
+  let ageUnknown = false;
+  if (filters.youngest_age != null && filters.youngest_age < 21) {
+    const admitted = admitsAge(event, filters.youngest_age);
+    if (admitted === false) return false;
+    ageUnknown = admitted === null;
+  }
+  // Access needs: a known "no" rules the event out; "unknown" stays soft so the
+  // model can say we don't know instead of silently dropping it
+  let accessUnknown = false;
+  if (filters.accessibility?.length) {
+    const status = Object.values(accessibilityStatus(event, filters.accessibility));
+    if (status.includes('no')) return false;
+    accessUnknown = status.includes('unknown');
+  }
   // Multi-category (OR match): event matches if its category is in the array
   // Soft-match related categories so the model can judge relevance
   if (filters.categories && Array.isArray(filters.categories) && filters.categories.length > 0) {
@@ -291,10 +465,11 @@ function eventMatchesFilters(event, filters) {
   // vibe has no event field to match — LLM handles vibe selection
   // If time filter active but event has no parseable time, downgrade to soft —
   // we don't know if it matches, so [SOFT] lets the LLM deprioritize vs confirmed-late events
-  if (filters.time_after && (!event.start_time_local || !/T\d{2}:/.test(event.start_time_local))) return 'soft';
+  if ((filters.time_after || filters.time_before) && (!event.start_time_local || !/T\d{2}:/.test(event.start_time_local))) return 'soft';
   // Determine hard vs soft: if subcategory is set, the category is a broad match
   // and the LLM should use judgment to find events matching the sub-genre
   if (filters.subcategory) return 'soft';
+  if (priceUnknown || accessUnknown || ageUnknown) return 'soft';
   return 'hard';
 }
 
@@ -303,8 +478,11 @@ function eventMatchesFilters(event, filters) {
  * padded to 15 total with unmatched events. Returns pool + metadata.
  */
 function buildTaggedPool(events, activeFilters, { citywide = false } = {}) {
-  const hasFilters = activeFilters && Object.values(activeFilters).some(Boolean);
-  if (!hasFilters) {
+  // Exclusions are hard: those events never reach the LLM, not even as padding
+  if (activeFilters && EXCLUDE_KEYS.some(k => activeFilters[k]?.length)) {
+    events = events.filter(e => !isExcluded(e, activeFilters));
+  }
+  if (!hasMatchFilters(activeFilters)) {
     // Two-pass: first fill under diversity caps, then top up with overflow if short.
     // Prevents any single category (e.g. nightlife from RA) from dominating when
     // diversity is available, without shrinking small/uniform pools.
@@ -343,10 +521,12 @@ function buildTaggedPool(events, activeFilters, { citywide = false } = {}) {
   }
 
   // Hard time gate (P5): pre-filter events before classification.
-  // Events before time_after never reach the LLM.
+  // Events outside time_after / time_before never reach the LLM.
   let candidates = events;
-  if (activeFilters.time_after && /^\d{2}:\d{2}$/.test(activeFilters.time_after)) {
-    candidates = events.filter(e => !failsTimeGate(e, activeFilters.time_after));
+  const timeAfter = /^\d{2}:\d{2}$/.test(activeFilters.time_after || '') ? activeFilters.time_after : null;
+  const timeBefore = /^\d{2}:\d{2}$/.test(activeFilters.time_before || '') ? activeFilters.time_before : null;
+  if (timeAfter || timeBefore) {
+    candidates = events.filter(e => !failsTimeGate(e, timeAfter, timeBefore));
   }
 
   const hard = [];
@@ -412,7 +592,7 @@ const CATEGORY_NORMALIZE = {
 /**
  * Normalize LLM-returned filters to canonical form.
  * Maps subcategories to canonical categories, coerces free_only to boolean,
- * validates time_after is HH:MM format.
+ * validates time_after / time_before are HH:MM format.
  */
 function normalizeFilters(filters) {
   if (!filters || typeof filters !== 'object') return null;
@@ -443,28 +623,58 @@ function normalizeFilters(filters) {
     const ta = String(filters.time_after).trim();
     result.time_after = /^\d{2}:\d{2}$/.test(ta) ? ta : null;
   }
+  if (filters.time_before) {
+    const tb = String(filters.time_before).trim();
+    result.time_before = /^\d{2}:\d{2}$/.test(tb) ? tb : null;
+  }
   if (filters.vibe) {
     result.vibe = filters.vibe;
   }
   if (filters.date_range && filters.date_range.start && filters.date_range.end) {
     result.date_range = filters.date_range;
   }
+  if (filters.max_price != null && Number.isFinite(Number(filters.max_price)) && Number(filters.max_price) > 0) {
+    result.max_price = Number(filters.max_price);
+  }
+  if (filters.youngest_age != null && Number.isInteger(Number(filters.youngest_age)) && Number(filters.youngest_age) > 0 && Number(filters.youngest_age) < 21) {
+    result.youngest_age = Number(filters.youngest_age);
+  }
+  if (Array.isArray(filters.accessibility)) {
+    const needs = filters.accessibility.map(n => String(n).toLowerCase().trim()).filter(n => ACCESS_NEEDS.includes(n));
+    if (needs.length > 0) result.accessibility = [...new Set(needs)];
+  }
+  if (Array.isArray(filters.exclude_categories) && filters.exclude_categories.length > 0) {
+    result.exclude_categories = filters.exclude_categories.map(c => CATEGORY_NORMALIZE[String(c).toLowerCase().trim()] || String(c).toLowerCase().trim());
+  }
+  if (Array.isArray(filters.exclude_boroughs) && filters.exclude_boroughs.length > 0) {
+    result.exclude_boroughs = filters.exclude_boroughs.map(b => String(b).toLowerCase().trim()).filter(b => BOROUGHS[b]);
+    if (result.exclude_boroughs.length === 0) delete result.exclude_boroughs;
+  }
+  if (Array.isArray(filters.exclude_venues) && filters.exclude_venues.length > 0) {
+    result.exclude_venues = filters.exclude_venues.map(v => String(v).trim()).filter(Boolean);
+  }
   return Object.keys(result).length > 0 ? result : null;
 }
 
 /**
- * Send individual URLs for each picked event as separate SMS messages.
- * iMessage renders rich link previews for standalone URLs.
+ * Send the links for a pick list. With a responseId and PULSE_PUBLIC_URL set,
+ * that's one message with the pick page URL; otherwise each picked event's
+ * own URL as a separate SMS. iMessage renders rich link previews for standalone URLs.
  */
-async function sendPickUrls(phone, picks, eventMap) {
+async function sendPickUrls(phone, picks, eventMap, { responseId } = {}) {
   if (!picks || picks.length === 0) return;
-  const { sendSMS } = require('./twilio');
+  const { sendMessage } = require('./channels');
   const { isReliableEventUrl } = require('./formatters');
+  const pageUrl = require('./pick-pages').pickPageUrl(responseId);
+  if (pageUrl) {
+    await sendMessage(phone, pageUrl);
+    return;
+  }
   for (const pick of picks) {
     const event = eventMap?.[pick.event_id];
     if (!event) continue;
     const url = event.ticket_url || (isReliableEventUrl(event.source_url) ? event.source_url : null);
-    if (url) await sendSMS(phone, url);
+    if (url) await sendMessage(phone, url);
   }
 }
 
@@ -499,4 +709,4 @@ function computeTimeProximityBoost(event, now = new Date()) {
   return 0;
 }
 
-module.exports = { buildEventMap, saveResponseFrame, buildExhaustionMessage, describeFilters, buildZeroMatchResponse, mergeFilters, eventMatchesFilters, buildTaggedPool, normalizeFilters, failsTimeGate, sendPickUrls, computeTimeProximityBoost };
+module.exports = { buildEventMap, saveResponseFrame, buildExhaustionMessage, describeFilters, buildZeroMatchResponse, mergeFilters, eventMatchesFilters, buildTaggedPool, normalizeFilters, failsTimeGate, sendPickUrls, computeTimeProximityBoost, isExcluded, matchesVenue, hasMatchFilters, EXCLUDE_KEYS, accessibilityStatus, admitsAge };
@@ -7,9 +7,11 @@
 
 const { getDb } = require('./db');
 const { NEIGHBORHOODS } = require('./neighborhoods');
+const { weatherNoteTonight } = require('./weather');
 
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY || '';
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const NEAR_RADIUS_KM = 0.8; // ~10 min walk around a specific point
 
 // Google Places type mapping
 const PLACE_TYPE_MAP = {
@@ -33,15 +35,21 @@ const VIBE_FILTERS = {
 
 /**
  * Main entry point. Checks cache, falls back to API.
- * Returns scored pool of up to 8 places.
+ * Returns scored pool of up to 8 places. options.near ({ lat, lng }) searches
+ * a short walk around that point instead of the whole neighborhood.
  */
 async function searchPlaces(neighborhood, placeType, options = {}) {
   if (!GOOGLE_MAPS_API_KEY) return [];
 
-  const hoodData = NEIGHBORHOODS[neighborhood];
+  const near = Number.isFinite(options.near?.lat) && Number.isFinite(options.near?.lng) ? options.near : null;
+  const hoodData = near
+    ? { lat: near.lat, lng: near.lng, radius_km: NEAR_RADIUS_KM }
+    : NEIGHBORHOODS[neighborhood];
   if (!hoodData) return [];
 
-  const neighborhoodKey = `${neighborhood.toLowerCase()}|${placeType}`;
+  const neighborhoodKey = near
+    ? `near:${near.lat.toFixed(3)},${near.lng.toFixed(3)}|${placeType}`
+    : `${neighborhood.toLowerCase()}|${placeType}`;
 
   // Check cache
   const cached = getCachedPlaces(neighborhoodKey);
@@ -273,15 +281,85 @@ function filterByVibe(places, vibe) {
   return filtered.length > 0 ? filtered : places;
 }
 
+// --- Opening hours ---
+
+const HOURS_DAYS = { sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6 };
+
+function parseClock(text, fallbackMeridiem) {
+  const m = text.trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!m) return null;
+  const meridiem = m[3] || fallbackMeridiem;
+  let h = Number(m[1]) % 12;
+  if (meridiem === 'pm') h += 12;
+  return { minutes: h * 60 + Number(m[2] || 0), explicit: !!m[3] };
+}
+
+/**
+ * Parse Google's weekdayDescriptions ("Friday: 11:30 AM – 3:00 PM, 5:00 – 11:00 PM",
+ * "Saturday: 6:00 PM – 2:00 AM", "Sunday: Closed", "Monday: Open 24 hours") into
+ * { [weekday 0-6]: [[openMin, closeMin], ...] } with minutes from that day's
+ * midnight — a close past midnight runs over 1440. Null when nothing parses.
+ */
+function parseOpenHours(descriptions) {
+  if (!Array.isArray(descriptions) || descriptions.length === 0) return null;
+  const week = {};
+  for (const line of descriptions) {
+    const normalized = String(line).replace(/[\u202f\u2009\u00a0]/g, ' ');
+    const m = normalized.match(/^\s*(\w+)\s*:\s*(.+)$/);
+    const day = m && HOURS_DAYS[m[1].toLowerCase()];
+    if (day === undefined || day === null) continue;
+    const body = m[2].trim().toLowerCase();
+    if (body === 'closed') { week[day] = []; continue; }
+    if (/open 24 hours/.test(body)) { week[day] = [[0, 24 * 60]]; continue; }
+    const ranges = [];
+    for (const part of body.split(',')) {
+      const [openText, closeText] = part.split(/\s*[–—-]\s*/);
+      if (!openText || !closeText) continue;
+      const close = parseClock(closeText);
+      if (!close) continue;
+      // "5:00 – 11:00 PM": the open time borrows the close's meridiem unless that puts it after the close
+      let open = parseClock(openText, /pm/.test(closeText) ? 'pm' : 'am');
+      if (open && !open.explicit && open.minutes > close.minutes) open = parseClock(openText, 'am');
+      if (!open) continue;
+      const closeMin = close.minutes <= open.minutes ? close.minutes + 24 * 60 : close.minutes;
+      ranges.push([open.minutes, closeMin]);
+    }
+    week[day] = ranges;
+  }
+  return Object.keys(week).length > 0 ? week : null;
+}
+
+/**
+ * Is the place open for the whole window fromMin..toMin (minutes from midnight
+ * of dateLocal, YYYY-MM-DD; past 1440 runs into the next day)? Looks at that
+ * day's hours and the previous night's spill-over. Null when hours are unknown.
+ */
+function isOpenThrough(place, dateLocal, fromMin, toMin) {
+  const week = parseOpenHours(place?.open_hours_json);
+  if (!week || !/^\d{4}-\d{2}-\d{2}$/.test(dateLocal || '')) return null;
+  const [y, mo, d] = dateLocal.split('-').map(Number);
+  const day = new Date(Date.UTC(y, mo - 1, d)).getUTCDay();
+  const prev = (day + 6) % 7;
+  if (week[day] === undefined) return null;
+  const ranges = [
+    ...(week[day] || []),
+    ...(week[prev] || []).filter(([, close]) => close > 24 * 60).map(([open, close]) => [open - 24 * 60, close - 24 * 60]),
+  ];
+  return ranges.some(([open, close]) => open <= fromMin && close >= toMin);
+}
+
 /**
  * Serialize place pool for LLM context (compact format).
  */
 function serializePlacePoolForContinuation(places, neighborhood, placeType, vibe) {
   const priceLabelMap = { 0: 'Free', 1: '$', 2: '$$', 3: '$$$', 4: '$$$$' };
+  // Caveat sitting outside when tonight's forecast is bad
+  const outdoorAsk = vibe === 'rooftop' || vibe === 'outdoor' || places.some(p => p.outdoor_seating);
   return {
     neighborhood: neighborhood || 'NYC',
     place_type: placeType,
     vibe: vibe || undefined,
+    weather_note: outdoorAsk ? weatherNoteTonight() || undefined : undefined,
     match_count: places.length,
     places: places.map(p => ({
       place_id: p.place_id,
@@ -423,6 +501,8 @@ module.exports = {
   filterByVibe,
   serializePlacePoolForContinuation,
   VIBE_FILTERS,
+  parseOpenHours,
+  isOpenThrough,
   lookupVenueFromGoogle,
   getVenuePlacesCache,
   clearVenuePlacesCache,
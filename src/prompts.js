@@ -69,6 +69,18 @@ SCARCITY
 - If no scarcity signal is present, set scarcity to null.
 - Only extract when the source text explicitly states scarcity — do not infer from event type.
 
+ACCESSIBILITY
+- Set accessibility to the access features the source text states for this event:
+  - "asl" — ASL interpreted / ASL interpretation / sign language
+  - "captioned" — open captions, captioned, CC screening
+  - "relaxed" — relaxed performance, sensory-friendly
+  - "step_free" — wheelchair accessible, step-free, elevator access, ADA accessible
+- Only extract what is explicitly stated — never infer from the venue or event type. If nothing is stated, use [].
+
+AGE POLICY
+- Set age_policy from the door policy the source states: "21+" (21 and over, 21+ with ID), "18+" (18 and over), "all_ages" (all ages, family-friendly, kids welcome).
+- Only extract what is explicitly stated — a bar or late start is not a policy. Otherwise null.
+
 DEDUPE HINT
 - If multiple items appear to describe the same event, still output them separately; downstream will dedupe by name+venue+date.
 </rules>
@@ -108,6 +120,8 @@ Return STRICT JSON with an array of events:
       "editorial_signal": "boolean, true if source highlights as pick/must-see",
       "editorial_note": "If the source text includes a recommendation, opinion, or editorial take on why this event is worth attending, capture it verbatim or closely paraphrased (1-2 sentences, max 150 chars). Otherwise null.",
       "scarcity": "one-night-only|closing|final|limited|last-chance|premiere|one-time or null",
+      "accessibility": ["asl|captioned|relaxed|step_free — only features the source states, else []"],
+      "age_policy": "21+|18+|all_ages or null",
       "is_recurring": "boolean, true if explicitly recurring",
       "recurrence_day": "monday|tuesday|wednesday|thursday|friday|saturday|sunday or null",
       "recurrence_time": "HH:MM (24hr) or null"
@@ -0,0 +1,84 @@
+/**
+ * query-retrieval.js — Free-text retrieval stage for the search pool.
+ *
+ * When the model passes a `query` ("queer dance party with a live band",
+ * "something with puppets"), buildSearchPool ranks the fetched events against
+ * it before curation: BM25 over each event's card text for the lexical leg,
+ * cosine over embeddings for the dense leg, fused with reciprocal rank fusion.
+ * Every event stays in the pool — filters run afterwards and may need the ones
+ * the retriever missed — but hits carry retrieval_rank and curatePool boosts by it.
+ */
+
+const { buildIndex, hybridRetrieve } = require('./hybrid-retrieve');
+const { embedDocuments, embedQuery, getEmbedder } = require('./embeddings');
+
+const RETRIEVAL_TOP_K = 40;
+const MAX_QUERY_CHARS = 200;
+
+/**
+ * Rank events by a free-text query. Returns
+ * { ranked: [{ event, rank, rrfScore, bm25Rank, vecRank }], dense, embedder, error }.
+ * A failing embedder degrades to BM25 alone rather than failing the search.
+ */
+async function rankEventsByQuery(events, query, { topK = RETRIEVAL_TOP_K, embedder = getEmbedder() } = {}) {
+  const text = (query || '').trim().slice(0, MAX_QUERY_CHARS);
+  if (!text || !events?.length) return { ranked: [], dense: false, embedder: null, error: null };
+
+  const index = buildIndex(events);
+  let vectors = {};
+  let queryVector = null;
+  let error = null;
+  if (embedder) {
+    try {
+      vectors = await embedDocuments(events.map((e, i) => ({ id: e.id, text: index.cards[i] })), embedder);
+      queryVector = await embedQuery(text, embedder);
+    } catch (err) {
+      console.warn(`[RETRIEVAL] Dense leg failed (${embedder.name}): ${err.message}`);
+      error = err.message;
+      vectors = {};
+      queryVector = null;
+    }
+  }
+
+  const results = hybridRetrieve({
+    queryText: text,
+    queryVector,
+    index,
+    vectors,
+    topK,
+    minSimilarity: embedder?.minSimilarity ?? -1,
+  });
+
+  const byId = new Map(events.map(e => [e.id, e]));
+  return {
+    ranked: results.map((r, i) => ({ event: byId.get(r.id), rank: i + 1, rrfScore: r.rrfScore, bm25Rank: r.bm25Rank, vecRank: r.vecRank })),
+    dense: !!queryVector,
+    embedder: embedder?.name || null,
+    error,
+  };
+}
+
+/**
+ * Stamp retrieval_rank on the events the retriever ranked. Returns a new array
+ * in the original order with every event kept; hits are copies, misses unchanged.
+ */
+function tagRetrievalRanks(events, ranked) {
+  const rankById = new Map(ranked.map(r => [r.event.id, r.rank]));
+  return events.map(e => (rankById.has(e.id) ? { ...e, retrieval_rank: rankById.get(e.id) } : e));
+}
+
+/**
+ * Interestingness boost for a retrieved event: +6 for the top hit, tapering to
+ * 0 by rank 21, so query relevance outweighs the editorial signals in curatePool.
+ */
+function computeRetrievalBoost(event) {
+  if (!event.retrieval_rank) return 0;
+  return Math.max(0, 6 - (event.retrieval_rank - 1) * 0.3);
+}
+
+module.exports = {
+  RETRIEVAL_TOP_K,
+  rankEventsByQuery,
+  tagRetrievalRanks,
+  computeRetrievalBoost,
+};
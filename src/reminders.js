@@ -0,0 +1,148 @@
+/**
+ * reminders.js — "Remind me" / "save that" for picks.
+ *
+ * The search tool's `save` intent stores a reminder in SQLite (event_reminders).
+ * A polling scheduler (started alongside scheduleDailyScrape) sends one SMS a
+ * configurable lead time before the event's start_time_local.
+ * Reminders are cancelled on TCPA opt-out and never sent after the event starts;
+ * one that comes due for a phone that opted out some other way is marked 'blocked'.
+ */
+
+const { parseAsNycTime } = require('./geo');
+const { formatTime, isReliableEventUrl, cleanUrl } = require('./formatters');
+const { hashPhone } = require('./session');
+
+// PULSE_REMINDER_LEAD_MINUTES overrides how long before start_time_local we text
+const REMINDER_LEAD_MINUTES = Number(process.env.PULSE_REMINDER_LEAD_MINUTES) || 60;
+const REMINDER_POLL_MS = 5 * 60 * 1000;
+
+/**
+ * Work out when to remind for an event. Pure — no DB access.
+ * Returns { remindAt, startMs, immediate } or { error } when the event can't be reminded.
+ * If we're already inside the lead window, remind on the next poll (immediate: true).
+ */
+function computeRemindAt(event, { leadMinutes = REMINDER_LEAD_MINUTES, nowMs = Date.now() } = {}) {
+  if (!event?.start_time_local || !/T\d{2}:/.test(event.start_time_local)) {
+    return { error: 'no_start_time' };
+  }
+  const startMs = parseAsNycTime(event.start_time_local);
+  if (isNaN(startMs)) return { error: 'no_start_time' };
+  if (startMs <= nowMs) return { error: 'already_started' };
+
+  const targetMs = startMs - leadMinutes * 60 * 1000;
+  const immediate = targetMs <= nowMs;
+  return {
+    remindAt: new Date(immediate ? nowMs : targetMs).toISOString(),
+    startMs,
+    immediate,
+  };
+}
+
+function reminderUrl(event) {
+  const url = event.ticket_url || (isReliableEventUrl(event.source_url) ? event.source_url : null);
+  return url ? cleanUrl(url) : null;
+}
+
+/**
+ * Build the reminder SMS from a stored event_reminders row.
+ */
+function formatReminderSms(reminder) {
+  const venue = reminder.venue_name && reminder.venue_name !== 'TBA' ? ` at ${reminder.venue_name}` : '';
+  let sms = `Heads up: ${reminder.event_name}${venue} starts ${formatTime(reminder.start_time_local)}.`;
+  if (reminder.url) sms += `\n${reminder.url}`;
+  return sms;
+}
+
+/**
+ * Save a reminder for a user. Returns { saved, remindAt, leadMinutes } or { saved: false, reason }.
+ */
+function saveEventReminder(phone, event, { leadMinutes = REMINDER_LEAD_MINUTES, nowMs = Date.now() } = {}) {
+  const timing = computeRemindAt(event, { leadMinutes, nowMs });
+  if (timing.error) return { saved: false, reason: timing.error };
+
+  const db = require('./db');
+  const row = db.saveReminder({
+    phoneHash: hashPhone(phone),
+    phone,
+    event,
+    remindAt: timing.remindAt,
+    url: reminderUrl(event),
+  });
+  if (!row) return { saved: false, reason: 'save_failed' };
+  return { saved: true, remindAt: timing.remindAt, immediate: timing.immediate, leadMinutes, reminderId: row.id };
+}
+
+/**
+ * Send every due reminder. Reminders whose event already started (e.g. the
+ * server was down through the window) are expired instead of sent late.
+ */
+async function sendDueReminders({ nowMs = Date.now() } = {}) {
+  const db = require('./db');
+  const { maskPhone } = require('./twilio');
+  const { sendMessage, OptedOutError } = require('./channels');
+  const due = db.getDueReminders(new Date(nowMs).toISOString());
+  let sent = 0;
+
+  for (const reminder of due) {
+    const startMs = parseAsNycTime(reminder.start_time_local);
+    if (isNaN(startMs) || startMs <= nowMs) {
+      db.markReminderStatus(reminder.id, 'expired');
+      continue;
+    }
+    try {
+      await sendMessage(reminder.phone, formatReminderSms(reminder));
+      db.markReminderStatus(reminder.id, 'sent');
+      sent++;
+    } catch (err) {
+      if (err instanceof OptedOutError) {
+        db.markReminderStatus(reminder.id, 'blocked', 'opted_out');
+        continue;
+      }
+      console.error(`[REMINDER] Send to ${maskPhone(reminder.phone)} failed:`, err.message);
+      db.markReminderStatus(reminder.id, 'failed', err.message);
+    }
+  }
+
+  if (due.length > 0) console.log(`[REMINDER] ${sent}/${due.length} due reminders sent`);
+  return { due: due.length, sent };
+}
+
+/**
+ * Cancel pending reminders for a phone (TCPA opt-out). Never throws.
+ */
+function cancelReminders(phone) {
+  try {
+    return require('./db').cancelRemindersForPhone(hashPhone(phone));
+  } catch (err) {
+    console.warn('reminder cancel failed:', err.message);
+    return 0;
+  }
+}
+
+let reminderTimer = null;
+
+function scheduleReminders() {
+  reminderTimer = setTimeout(async () => {
+    try {
+      await sendDueReminders();
+    } catch (err) {
+      console.error('[REMINDER] Scheduled poll failed:', err.message);
+    }
+    scheduleReminders();
+  }, REMINDER_POLL_MS);
+}
+
+function clearReminderSchedule() {
+  if (reminderTimer) clearTimeout(reminderTimer);
+}
+
+module.exports = {
+  REMINDER_LEAD_MINUTES,
+  computeRemindAt,
+  formatReminderSms,
+  saveEventReminder,
+  sendDueReminders,
+  cancelReminders,
+  scheduleReminders,
+  clearReminderSchedule,
+};
@@ -6,7 +6,15 @@ const processedMessages = new Map(); // MessageSid -> timestamp
 const DEDUP_TTL = 5 * 60 * 1000; // 5 minutes
 
 // --- TCPA opt-out keywords — must not respond to these ---
-const OPT_OUT_KEYWORDS = /^\s*(stop|unsubscribe|cancel|quit)\s*$/i;
+// Matches the opt-out keywords registered with the A2P campaign (a2p-campaign-submission.md)
+const OPT_OUT_KEYWORDS = /^\s*(stop|stopall|unsubscribe|cancel|end|quit|optout|revoke)\s*$/i;
+
+// --- Re-subscribe keywords — lift a stored opt-out ---
+const OPT_IN_KEYWORDS = /^\s*(start|unstop)\s*$/i;
+
+// --- Help keywords — carriers expect a reply even from opted-out numbers ---
+// Matches the help keywords registered with the A2P campaign
+const HELP_KEYWORDS = /^\s*(help|info)\s*$/i;
 
 // --- Cost-based daily AI budget per user ---
 // PULSE_DAILY_BUDGET_USD overrides the default (0.10). Set higher in test
@@ -98,6 +106,8 @@ module.exports = {
   processedMessages,
   DEDUP_TTL,
   OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  HELP_KEYWORDS,
   isOverBudget,
   trackAICost,
   getCostSummary,
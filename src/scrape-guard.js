@@ -1,11 +1,181 @@
 /**
- * scrape-guard.js — No-op stub. Auto-quarantine removed during hypothesis focus.
- * source-health.js is also stubbed, so there's no history to compare against.
+ * scrape-guard.js — Baseline quarantine for scrapes that look broken.
+ *
+ * Compares a source's run against the median of its recent healthy runs in
+ * source-health history: event count, per-field completeness, distinct
+ * venues/dates per event, and duplicate-name ratio. A quarantined run isn't
+ * merged, so the cache keeps the source's previous events. When several
+ * quarantined runs in a row agree with each other, the source has moved to a
+ * new level: the run is accepted and the baseline restarts from those runs.
+ *
+ * Thresholds come from SOURCE_EXPECTATIONS[label].guard (source-registry.js).
+ * Call after updateSourceHealth — the latest history entry is the run being judged.
  */
 
-const MIN_HISTORY = 3;
+const { sourceHealth, summarizeScrape } = require('./source-health');
+const { SOURCE_EXPECTATIONS, DEFAULT_GUARD } = require('./source-registry');
 
-function getBaselineStats() { return null; }
-function checkBaseline() { return { quarantined: false, reason: null }; }
+const MIN_HISTORY = DEFAULT_GUARD.minHistory;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const pct = n => `${Math.round(n * 100)}%`;
+
+function guardFor(label) {
+  return SOURCE_EXPECTATIONS[label]?.guard || DEFAULT_GUARD;
+}
+
+/**
+ * Medians over a set of history entries:
+ *   { runs, count, venuesPerEvent, datesPerEvent, dupRatio, completeness: { field: rate } }
+ * Shape medians only use entries that recorded shape metrics.
+ */
+function statsFrom(entries) {
+  const shaped = entries.filter(entry => entry.completeness);
+  const completeness = {};
+  for (const field of Object.keys(shaped[0]?.completeness || {})) {
+    completeness[field] = median(shaped.map(entry => entry.completeness[field] ?? 0));
+  }
+  return {
+    runs: entries.length,
+    count: median(entries.map(entry => entry.count)),
+    shapedRuns: shaped.length,
+    venuesPerEvent: median(shaped.map(entry => entry.venues / entry.count)),
+    datesPerEvent: median(shaped.map(entry => entry.dates / entry.count)),
+    dupRatio: median(shaped.map(entry => entry.dupRatio)),
+    completeness,
+  };
+}
+
+// History before the run being judged, starting at the last accepted new level
+function priorRuns(label) {
+  const prior = (sourceHealth[label].history || []).slice(0, -1);
+  const start = prior.findLastIndex(entry => entry.baseline_start);
+  return start >= 0 ? prior.slice(start) : prior;
+}
+
+/**
+ * Baseline from the source's healthy runs before the latest one (see statsFrom).
+ * Null when there are fewer than the source's minHistory healthy runs.
+ */
+function getBaselineStats(label) {
+  const prior = priorRuns(label).filter(entry => entry.status === 'ok' && entry.count > 0);
+  if (prior.length < guardFor(label).minHistory) return null;
+  return statsFrom(prior);
+}
+
+// Every check for one run against a baseline, as { check, ok, detail }
+function runChecks(t, baseline, events) {
+  const checks = [];
+  const count = events.length;
+
+  // 1. Count vs rolling median
+  const low = count < baseline.count * t.minCountRatio;
+  const high = t.maxCountRatio != null && count > baseline.count * t.maxCountRatio;
+  checks.push({
+    check: 'count',
+    ok: !low && !high,
+    detail: `${count} events vs median ${baseline.count} over ${baseline.runs} runs`
+      + (low ? ` (below ${pct(t.minCountRatio)})` : high ? ` (over ${t.maxCountRatio}x)` : ''),
+  });
+
+  const shape = summarizeScrape(events);
+  if (shape && baseline.shapedRuns >= Math.min(t.minHistory, baseline.runs)) {
+    // 2. Field completeness drops
+    for (const [field, usual] of Object.entries(baseline.completeness)) {
+      const now = shape.completeness[field] ?? 0;
+      if (usual - now >= t.completenessDrop) {
+        checks.push({ check: `completeness.${field}`, ok: false, detail: `${field} filled on ${pct(now)} of events vs usual ${pct(usual)}` });
+      }
+    }
+    if (!checks.some(c => c.check.startsWith('completeness.'))) {
+      checks.push({ check: 'completeness', ok: true, detail: 'field fill rates within range' });
+    }
+
+    // 3. Distinct venue / date collapse (everything parsed into one venue or day)
+    for (const [key, usual, distinct] of [
+      ['venues', baseline.venuesPerEvent, shape.venues],
+      ['dates', baseline.datesPerEvent, shape.dates],
+    ]) {
+      const perEvent = distinct / count;
+      const collapsed = usual > 0 && count >= 5 && perEvent < usual * t.diversityRatio;
+      checks.push({
+        check: key,
+        ok: !collapsed,
+        detail: `${distinct} distinct ${key} across ${count} events`
+          + (collapsed ? ` — usually ~${Math.round(usual * count)}` : ''),
+      });
+    }
+
+    // 4. Duplicate names
+    const duped = shape.dupRatio > t.maxDupRatio && shape.dupRatio - baseline.dupRatio >= t.dupRatioRise;
+    checks.push({
+      check: 'duplicates',
+      ok: !duped,
+      detail: `${pct(shape.dupRatio)} repeated names vs usual ${pct(baseline.dupRatio)}`,
+    });
+  }
+  return checks;
+}
+
+/**
+ * A source that really changed (a redesign that lists fewer, fuller events)
+ * would otherwise be quarantined forever. When this run and the acceptAfter - 1
+ * judged runs before it were all quarantined and agree with each other — every
+ * count within the guard's ratios of their median, and this run passing the
+ * shape checks against the others — that's a new level, not a broken scrape.
+ * Errors and empty runs in between don't break the streak. Returns
+ * { runs, count } for the streak, or null.
+ */
+function newLevel(label, events, t) {
+  if (!t.acceptAfter || t.acceptAfter < 2) return null;
+  const streak = [];
+  for (const entry of priorRuns(label).reverse()) {
+    if (streak.length === t.acceptAfter - 1 || entry.status === 'ok') break;
+    if (entry.status === 'quarantined') streak.unshift(entry);
+  }
+  if (streak.length < t.acceptAfter - 1) return null;
+
+  const counts = [...streak.map(entry => entry.count), events.length];
+  const level = median(counts);
+  const agree = counts.every(n => n >= level * t.minCountRatio && (t.maxCountRatio == null || n <= level * t.maxCountRatio));
+  if (!agree || runChecks(t, statsFrom(streak), events).some(c => !c.ok)) return null;
+  return { runs: counts.length, count: level };
+}
+
+/**
+ * Judge a run. Returns { quarantined, reason, checks } where checks lists every
+ * check that ran as { check, ok, detail } and reason joins the failed details.
+ * A run that fails but settles a new level (see newLevel) passes with a
+ * `rebaseline` { runs, count, detail } for recordGuardVerdict.
+ */
+function checkBaseline(label, events) {
+  const t = guardFor(label);
+  const baseline = getBaselineStats(label);
+  if (!baseline) {
+    return { quarantined: false, reason: null, checks: [{ check: 'history', ok: true, detail: `fewer than ${t.minHistory} healthy runs — not judged` }] };
+  }
+
+  const checks = runChecks(t, baseline, events);
+  const failed = checks.filter(c => !c.ok);
+  if (failed.length === 0) return { quarantined: false, reason: null, checks };
+
+  const level = newLevel(label, events, t);
+  if (level) {
+    const detail = `${level.runs} runs in a row agree on ~${level.count} events (was ${baseline.count}) — accepted as the new baseline`;
+    return {
+      quarantined: false,
+      reason: null,
+      rebaseline: { ...level, detail },
+      checks: [...checks, { check: 'rebaseline', ok: true, detail }],
+    };
+  }
+  return { quarantined: true, reason: failed.map(c => c.detail).join('; '), checks };
+}
 
 module.exports = { checkBaseline, getBaselineStats, MIN_HISTORY };
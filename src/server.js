@@ -5,8 +5,10 @@ const express = require('express');
 const helmet = require('helmet');
 const smsRoutes = require('./handler');
 const { clearSmsIntervals, getInflightCount } = require('./handler');
-const { refreshCache, getCacheStatus, getHealthStatus, getEventById, isCacheFresh, scheduleDailyScrape, clearSchedule, scheduleEmailPolls, clearEmailSchedule } = require('./events');
+const { refreshCache, getCacheStatus, getHealthStatus, getEventById, isCacheFresh, scheduleDailyScrape, clearSchedule, scheduleEmailPolls, clearEmailSchedule, scheduleSourceRefreshes, clearSourceSchedule } = require('./events');
 const { loadSessions, flushSessions, clearSessionInterval } = require('./session');
+const { scheduleReminders, clearReminderSchedule } = require('./reminders');
+const { scheduleNudges, clearNudgeSchedule } = require('./nudges');
 
 // Validate required env vars — exit if critical ones are missing
 const required = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'];
@@ -167,8 +169,44 @@ app.get('/api/health/traces/slow', requireHealthAuth, (req, res) => {
   res.json({ count: slow.length, traces: slow });
 });
 
+// TCPA opt-out registry -- ?format=csv for a compliance export, ?all=1 includes resubscribed phones
+app.get('/api/health/opt-outs', requireHealthAuth, (req, res) => {
+  const { listOptOuts } = require('./db');
+  const rows = listOptOuts({ includeResubscribed: req.query.all === '1' });
+  if (req.query.format === 'csv') {
+    const { optOutsToCsv } = require('./opt-outs');
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="pulse-opt-outs-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(optOutsToCsv(rows));
+  }
+  res.json({ count: rows.length, opt_outs: rows });
+});
+
+// MMS pick cards -- short-lived PNGs fetched by Twilio as mediaUrl (unguessable token, no auth)
+app.get('/cards/:token.png', (req, res) => {
+  const { getCard } = require('./pick-cards');
+  const png = getCard(req.params.token);
+  if (!png) return res.status(404).send('Card expired');
+  res.set('Content-Type', 'image/png');
+  res.set('Cache-Control', 'private, max-age=1800');
+  res.send(png);
+});
+
+// Pick page behind a pick-list reply — public, expiring, no phone data
+app.get('/p/:responseId', (req, res) => {
+  const { getResponsePage, renderPickPage, renderExpiredPage } = require('./pick-pages');
+  const page = getResponsePage(req.params.responseId);
+  res.set('X-Robots-Tag', 'noindex');
+  res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+  if (!page) return res.status(404).type('html').send(renderExpiredPage());
+  res.set('Cache-Control', 'private, max-age=300');
+  res.type('html').send(renderPickPage(page));
+});
+
 // SMS webhook
 app.use('/api/sms', smsRoutes);
+// Web chat (JSON) — routes exist only when PULSE_WEB_CHAT_ENABLED=true
+app.use('/api/chat', smsRoutes.chatRouter);
 
 // Architecture explorer (read-only doc, always available)
 app.get('/architecture', (req, res) => {
@@ -206,6 +244,9 @@ app.get('/api/agent-eye', async (req, res) => {
     }
     if (req.query.free_only === 'true') params.free_only = true;
     if (req.query.time_after) params.time_after = req.query.time_after;
+    if (req.query.time_before) params.time_before = req.query.time_before;
+    if (req.query.date_range) params.date_range = req.query.date_range;
+    if (req.query.q) params.query = req.query.q;
 
     // Mock session/trace — agent eye has no prior context
     const mockTrace = {
@@ -214,6 +255,10 @@ app.get('/api/agent-eye', async (req, res) => {
 
     const poolResult = await buildSearchPool(params, null, '+10000000000', mockTrace);
 
+    if (poolResult.unresolvedDate) {
+      return res.status(400).json({ error: `Unresolved date_range: ${poolResult.unresolvedDate}` });
+    }
+
     if (poolResult.zeroMatch) {
       return res.json({
         zero_match: true,
@@ -382,6 +427,18 @@ app.get('/api/geo/neighborhoods', (req, res) => {
 });
 
 
+// Event calendar file — registered before /e/:eventId, which would otherwise swallow the .ics suffix
+app.get('/e/:eventId.ics', (req, res) => {
+  const { buildEventIcs, findEventPattern } = require('./calendar');
+  const event = getEventById(req.params.eventId);
+  const ics = event ? buildEventIcs(event, { pattern: findEventPattern(event) }) : null;
+  if (!ics) return res.status(404).send('Event not found');
+  const slug = (event.name || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'event';
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${slug}.ics"`);
+  res.send(ics);
+});
+
 // Event short-link — redirects to source URL
 app.get('/e/:eventId', (req, res) => {
   const event = getEventById(req.params.eventId);
@@ -480,6 +537,9 @@ const server = app.listen(PORT, () => {
   }
   scheduleDailyScrape();
   scheduleEmailPolls();
+  scheduleSourceRefreshes();
+  scheduleReminders();
+  scheduleNudges();
 
   // Heartbeat: if cache goes stale, trigger a scrape automatically.
   // Catches cases where scheduled scrapes fail silently or setTimeout chains break on restart.
@@ -503,6 +563,9 @@ async function shutdown(signal) {
   // Phase 1: Stop accepting new connections + clear scheduled work
   clearSchedule();
   clearEmailSchedule();
+  clearSourceSchedule();
+  clearReminderSchedule();
+  clearNudgeSchedule();
   clearSmsIntervals();
   clearSessionInterval();
   server.close(() => console.log('Server stopped accepting connections'));
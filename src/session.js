@@ -95,6 +95,7 @@ function setResponseState(phone, frame) {
     lastPlaces: frame.placePicks ?? existing?.lastPlaces ?? [],
     lastPlaceMap: frame.placeMap ?? existing?.lastPlaceMap ?? {},
     lastResultType: frame.resultType ?? existing?.lastResultType ?? null,
+    lastResponseId: frame.responseId ?? null,
     timestamp: Date.now(),
   });
   scheduleDiskWrite();
@@ -0,0 +1,184 @@
+/**
+ * sms-segments.js — Segment-aware sending for replies over SMS_CHAR_LIMIT.
+ *
+ * Carriers bill per segment, not per message. GSM-7 text fits 160 chars in a
+ * single segment (153 per segment once concatenated); one character outside
+ * the GSM-7 alphabet (an em dash, an emoji) switches the whole message to
+ * UCS-2 at 70 (67) chars per segment.
+ *
+ * When the model overshoots, planLongReply compares two options:
+ *   split   — break the reply at pick boundaries into ordered messages,
+ *             each under the per-message cap, within a segment budget
+ *   rewrite — the existing rewriteIfTooLong LLM round-trip
+ * A rewrite's send is cheaper (one full-length message) but it costs an LLM
+ * call, a second round trip the user waits on, and it can drop picks. Split
+ * wins whenever it fits the budget and costs no more than the rewrite plus
+ * REWRITE_PENALTY_USD — what those extra segments are worth to skip it.
+ */
+
+// GSM 03.38 basic alphabet (1 septet) and extension table (escape + char = 2 septets)
+const GSM_BASIC = new Set(Array.from(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+const GSM_EXTENDED = new Set(Array.from('^{}\\[~]|€\f'));
+
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 },
+};
+
+// PULSE_SMS_SEGMENT_COST_USD — per-segment outbound price (Twilio US long code default)
+const SEGMENT_COST_USD = Number(process.env.PULSE_SMS_SEGMENT_COST_USD) || 0.0083;
+// PULSE_SMS_MAX_SEGMENTS — never spend more than this many segments on one split reply
+const MAX_SEGMENT_BUDGET = Number(process.env.PULSE_SMS_MAX_SEGMENTS) || 10;
+// Typical rewriteIfTooLong call (~500 input + ~150 output tokens on the brain model)
+const REWRITE_LLM_COST_USD = 0.0013;
+// PULSE_SMS_REWRITE_PENALTY_USD — extra spend a split may take to avoid a rewrite (~2 segments)
+const REWRITE_PENALTY_USD = Number(process.env.PULSE_SMS_REWRITE_PENALTY_USD ?? 0.02);
+
+const PICK_LINE = /^\s*\d{1,2}[).]\s/;
+
+/**
+ * 'GSM-7' if every character is in the GSM-7 alphabet, else 'UCS-2'.
+ */
+function detectEncoding(text) {
+  for (const ch of text || '') {
+    if (!GSM_BASIC.has(ch) && !GSM_EXTENDED.has(ch)) return 'UCS-2';
+  }
+  return 'GSM-7';
+}
+
+/**
+ * Encoded length in the units segments are measured in: septets for GSM-7
+ * (extension chars count 2), UTF-16 code units for UCS-2 (emoji count 2).
+ */
+function encodedLength(text, encoding = detectEncoding(text)) {
+  if (encoding === 'UCS-2') return (text || '').length;
+  let units = 0;
+  for (const ch of text || '') units += GSM_EXTENDED.has(ch) ? 2 : 1;
+  return units;
+}
+
+function segmentsForLength(units, encoding) {
+  if (units === 0) return 0;
+  const limits = SEGMENT_LIMITS[encoding];
+  return units <= limits.single ? 1 : Math.ceil(units / limits.multi);
+}
+
+/**
+ * Segment count and encoding for a single message.
+ */
+function countSegments(text) {
+  const encoding = detectEncoding(text);
+  return { encoding, segments: segmentsForLength(encodedLength(text, encoding), encoding) };
+}
+
+/**
+ * Break a reply into blocks at pick boundaries: the intro, one block per
+ * numbered pick ("1) ..." or "1. ..."), and any outro after a blank line
+ * following the last pick. Replies without numbered picks split by paragraph.
+ */
+function splitIntoBlocks(text) {
+  const lines = text.split('\n');
+  const hasPicks = lines.some(l => PICK_LINE.test(l));
+  const blocks = [];
+  let current = [];
+  let inPick = false;
+
+  const flush = () => {
+    const block = current.join('\n').trim();
+    if (block) blocks.push(block);
+    current = [];
+  };
+
+  for (const line of lines) {
+    if (hasPicks && PICK_LINE.test(line)) {
+      flush();
+      inPick = true;
+    } else if (!line.trim() && (!hasPicks || inPick)) {
+      flush();
+      inPick = false;
+      continue;
+    }
+    current.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Greedily pack ordered blocks into messages of at most maxChars.
+ * A single block longer than maxChars is truncated on its own.
+ */
+function packBlocks(blocks, maxChars) {
+  const { smartTruncate } = require('./formatters');
+  const messages = [];
+  let current = '';
+  for (const raw of blocks) {
+    const block = raw.length > maxChars ? smartTruncate(raw, maxChars) : raw;
+    if (!current) current = block;
+    else if (current.length + 2 + block.length <= maxChars) current += '\n\n' + block;
+    else { messages.push(current); current = block; }
+  }
+  if (current) messages.push(current);
+  return messages;
+}
+
+/**
+ * Segment and cost totals for a list of outgoing messages.
+ */
+function summarizeMessages(messages, { segmentCost = SEGMENT_COST_USD } = {}) {
+  let segments = 0;
+  const encodings = new Set();
+  for (const m of messages) {
+    const c = countSegments(m);
+    segments += c.segments;
+    encodings.add(c.encoding);
+  }
+  return {
+    messages: messages.length,
+    segments,
+    encoding: encodings.has('UCS-2') ? 'UCS-2' : 'GSM-7',
+    cost_usd: Math.round(segments * segmentCost * 10000) / 10000,
+  };
+}
+
+/**
+ * Decide how to deliver a reply over maxChars. Pure — no LLM or network calls.
+ * Returns { strategy: 'split' | 'rewrite', messages, split, rewrite } where
+ * split/rewrite carry the estimated segments and cost of each option.
+ */
+function planLongReply(text, {
+  maxChars, maxSegments = MAX_SEGMENT_BUDGET, segmentCost = SEGMENT_COST_USD,
+  rewriteLlmCost = REWRITE_LLM_COST_USD, rewritePenalty = REWRITE_PENALTY_USD,
+} = {}) {
+  const messages = packBlocks(splitIntoBlocks(text), maxChars);
+  const split = summarizeMessages(messages, { segmentCost });
+
+  // A rewrite lands just under maxChars in the same encoding, plus the LLM call
+  const encoding = detectEncoding(text);
+  const rewriteSegments = segmentsForLength(maxChars, encoding);
+  const rewrite = {
+    segments: rewriteSegments,
+    cost_usd: Math.round((rewriteSegments * segmentCost + rewriteLlmCost) * 10000) / 10000,
+  };
+
+  const fitsBudget = messages.length > 1 && split.segments <= maxSegments;
+  const strategy = fitsBudget && split.cost_usd <= rewrite.cost_usd + rewritePenalty ? 'split' : 'rewrite';
+  return { strategy, messages, split, rewrite };
+}
+
+module.exports = {
+  MAX_SEGMENT_BUDGET,
+  SEGMENT_COST_USD,
+  REWRITE_PENALTY_USD,
+  detectEncoding,
+  countSegments,
+  planLongReply,
+  summarizeMessages,
+  // Exposed for testing
+  encodedLength,
+  splitIntoBlocks,
+  packBlocks,
+};
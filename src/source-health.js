@@ -8,7 +8,14 @@ const fs = require('fs');
 const path = require('path');
 
 const HEALTH_FILE = path.join(__dirname, '../data/source-health.json');
-const MAX_HISTORY = 14; // ~2 weeks of daily scrapes
+// History covers ~2 weeks of runs whatever the source's schedule: full scrapes,
+// email polls and intraday refreshes each add an entry (SOURCE_RUNS_PER_DAY)
+const HISTORY_DAYS = 14;
+const MAX_HISTORY = 120; // keeps source-health.json small if a cron runs very often
+
+// Circuit breaker probe schedule: 6h after disabling, doubling per failed probe, capped at 4 days
+const PROBE_BASE_MS = 6 * 60 * 60 * 1000;
+const PROBE_MAX_MS = 96 * 60 * 60 * 1000;
 
 // Per-source health state: { [label]: { status, last_count, duration_ms, ... } }
 const sourceHealth = new Proxy({}, {
@@ -23,6 +30,11 @@ const sourceHealth = new Proxy({}, {
         last_error: null,
         quarantine_reason: null,
         consecutive_zeros: 0,
+        disabled: false,
+        disabled_at: null,
+        disabled_reason: null,
+        failed_probes: 0,
+        next_probe_at: null,
         history: [],
       };
     }
@@ -49,12 +61,42 @@ try {
   // No saved data yet — starts fresh
 }
 
+// Fields whose fill rate the scrape guard tracks per run
+const COMPLETENESS_FIELDS = {
+  venue: e => !!e.venue_name && !/^tba$/i.test(e.venue_name),
+  date: e => !!e.date_local,
+  time: e => !!e.start_time_local,
+  url: e => !!(e.ticket_url || e.source_url),
+  description: e => !!(e.description_short || e.short_detail),
+};
+
+/**
+ * Shape metrics for one scrape's events, stored in history for the scrape
+ * guard's baseline: distinct venues/dates, duplicate-name ratio and the fill
+ * rate (0-1) of each COMPLETENESS_FIELDS field.
+ */
+function summarizeScrape(events) {
+  const count = events.length;
+  if (count === 0) return null;
+  const norm = s => (s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const venues = new Set(events.map(e => norm(e.venue_name)).filter(Boolean)).size;
+  const dates = new Set(events.map(e => e.date_local).filter(Boolean)).size;
+  const names = new Set(events.map(e => norm(e.name))).size;
+  const completeness = {};
+  for (const [field, test] of Object.entries(COMPLETENESS_FIELDS)) {
+    completeness[field] = Math.round(events.filter(test).length / count * 100) / 100;
+  }
+  return { venues, dates, dupRatio: Math.round((1 - names / count) * 100) / 100, completeness };
+}
+
 function updateSourceHealth(label, result) {
   const h = sourceHealth[label];
   h.status = result.status || 'ok';
   h.last_count = result.events ? result.events.length : 0;
   h.duration_ms = result.durationMs ?? null;
   h.last_scrape = new Date().toISOString();
+  h.quarantine_reason = null;
+  h.guard = null;
 
   if (result.status === 'error' || result.status === 'timeout') {
     h.last_error = result.error || 'unknown error';
@@ -69,22 +111,147 @@ function updateSourceHealth(label, result) {
   }
 
   // Append to history (capped)
-  h.history.push({
+  const entry = {
     count: h.last_count,
     status: h.status,
     durationMs: h.duration_ms,
     timestamp: h.last_scrape,
-  });
-  if (h.history.length > MAX_HISTORY) {
-    h.history = h.history.slice(-MAX_HISTORY);
+    ...(h.status === 'ok' ? summarizeScrape(result.events || []) : null),
+  };
+  h.history.push(entry);
+  const limit = historyLimitFor(label);
+  if (h.history.length > limit) {
+    h.history = h.history.slice(-limit);
   }
 
+  updateBreaker(label, h, entry);
+
   // Compute success rate from history
   const total = h.history.length;
   const successes = h.history.filter(entry => entry.status === 'ok').length;
   h.success_rate = total > 0 ? Math.round((successes / total) * 100) + '%' : '--';
 }
 
+function historyLimitFor(label) {
+  let perDay = 1;
+  try {
+    perDay = require('./source-registry').SOURCE_RUNS_PER_DAY[label] || 1;
+  } catch {}
+  return Math.min(Math.ceil(HISTORY_DAYS * perDay), MAX_HISTORY);
+}
+
+function disableAfterFor(label) {
+  try {
+    const { SOURCE_EXPECTATIONS, DISABLE_AFTER } = require('./source-registry');
+    return SOURCE_EXPECTATIONS[label]?.disableAfter || DISABLE_AFTER;
+  } catch {
+    return 3;
+  }
+}
+
+function recordTransition(label, entry, transition, reason) {
+  entry.transition = transition;
+  entry.reason = reason;
+  console.log(`[HEALTH] ${label} ${transition}: ${reason}`);
+}
+
+function failProbe(label, h, entry, reason) {
+  h.failed_probes++;
+  const wait = Math.min(PROBE_BASE_MS * 2 ** h.failed_probes, PROBE_MAX_MS);
+  h.next_probe_at = new Date(Date.parse(entry.timestamp) + wait).toISOString();
+  recordTransition(label, entry, 'probe_failed', `${reason} — next probe ${h.next_probe_at}`);
+}
+
+/**
+ * Circuit breaker. An enabled source is disabled after disableAfter consecutive
+ * errors/empty runs; any run while disabled is a probe — healthy re-enables it,
+ * anything else doubles the wait before the next one. Transitions are stamped on
+ * the run's history entry.
+ */
+function updateBreaker(label, h, entry) {
+  const healthy = entry.status === 'ok';
+  if (!h.disabled) {
+    const limit = disableAfterFor(label);
+    if (healthy || h.consecutive_zeros < limit) return;
+    h.disabled = true;
+    h.disabled_at = entry.timestamp;
+    h.disabled_reason = `${h.consecutive_zeros} consecutive failed or empty runs (last: ${h.last_error || entry.status})`;
+    h.failed_probes = 0;
+    h.next_probe_at = new Date(Date.parse(entry.timestamp) + PROBE_BASE_MS).toISOString();
+    recordTransition(label, entry, 'disabled', h.disabled_reason);
+  } else if (healthy) {
+    h.disabled = false;
+    h.disabled_at = null;
+    h.disabled_reason = null;
+    h.failed_probes = 0;
+    h.next_probe_at = null;
+    recordTransition(label, entry, 'enabled', `probe returned ${entry.count} events`);
+  } else {
+    failProbe(label, h, entry, `probe ${h.last_error || entry.status}`);
+  }
+}
+
+function isSourceDisabled(label) {
+  return !!sourceHealth[label].disabled;
+}
+
+/**
+ * Due for a probe: disabled and past next_probe_at.
+ */
+function shouldProbeDisabled(label, now = Date.now()) {
+  const h = sourceHealth[label];
+  if (!h.disabled) return false;
+  return !h.next_probe_at || now >= Date.parse(h.next_probe_at);
+}
+
+/**
+ * Record the scrape guard's verdict for the run just recorded. A quarantined
+ * run is marked in history so it never becomes part of the baseline; a
+ * rebaseline turns the quarantined streak back into healthy runs and marks
+ * where the new baseline starts.
+ */
+function recordGuardVerdict(label, verdict) {
+  const h = sourceHealth[label];
+  h.guard = verdict.checks || null;
+  if (verdict.rebaseline) {
+    acceptNewBaseline(label, h, verdict.rebaseline);
+  } else if (verdict.quarantined) {
+    h.status = 'quarantined';
+    h.quarantine_reason = verdict.reason;
+    const last = h.history[h.history.length - 1];
+    if (last) {
+      last.status = 'quarantined';
+      // A probe that only looked healthy doesn't re-enable the source
+      if (last.transition === 'enabled') {
+        h.disabled = true;
+        h.disabled_at = last.timestamp;
+        h.disabled_reason = 'probe quarantined by the scrape guard';
+        failProbe(label, h, last, `probe quarantined: ${verdict.reason}`);
+      } else if (!last.transition) {
+        last.reason = verdict.reason;
+      }
+    }
+  } else {
+    return;
+  }
+  const successes = h.history.filter(entry => entry.status === 'ok').length;
+  h.success_rate = h.history.length > 0 ? Math.round((successes / h.history.length) * 100) + '%' : '--';
+}
+
+// The last `runs` judged entries (the quarantined streak plus this run) are the new level
+function acceptNewBaseline(label, h, { runs, detail }) {
+  const judged = h.history.filter(entry => entry.status === 'ok' || entry.status === 'quarantined').slice(-runs);
+  if (judged.length === 0) return;
+  for (const entry of judged) {
+    if (entry.status === 'quarantined' && entry.reason && !entry.transition) delete entry.reason;
+    entry.status = 'ok';
+  }
+  judged[0].baseline_start = true;
+  const last = h.history[h.history.length - 1];
+  if (last.transition) console.log(`[HEALTH] ${label} rebaselined: ${detail}`);
+  else recordTransition(label, last, 'rebaselined', detail);
+}
+
 function updateScrapeStats(stats) {
   scrapeStats = stats;
 }
@@ -181,8 +348,10 @@ function getHealthStatus({ size, timestamp } = {}) {
     sources[label] = { ...h };
   }
 
+  const sourcesDisabled = Object.values(sources).filter(h => h.disabled).length;
+
   return {
-    status: !fresh ? 'critical' : scrapeStats.sourcesFailed > 0 ? 'degraded' : 'ok',
+    status: !fresh ? 'critical' : scrapeStats.sourcesFailed > 0 || sourcesDisabled > 0 ? 'degraded' : 'ok',
     cache: {
       size: size || 0,
       fresh,
@@ -195,6 +364,7 @@ function getHealthStatus({ size, timestamp } = {}) {
       sourcesFailed: scrapeStats.sourcesFailed ?? 0,
       sourcesEmpty: scrapeStats.sourcesEmpty ?? 0,
       sourcesQuarantined: scrapeStats.sourcesQuarantined ?? 0,
+      sourcesDisabled,
       totalEvents: scrapeStats.totalEvents ?? 0,
       dedupedEvents: scrapeStats.dedupedEvents ?? 0,
     },
@@ -249,14 +419,12 @@ function computeCoverageMatrix(events) {
   };
 }
 
-// Auto-quarantine disabled — all sources enabled
-function isSourceDisabled() { return false; }
-function shouldProbeDisabled() { return false; }
-
 module.exports = {
   sourceHealth,
   saveHealthData,
   updateSourceHealth,
+  recordGuardVerdict,
+  summarizeScrape,
   updateScrapeStats,
   computeEventMix,
   computeCoverageMatrix,
@@ -1,43 +1,137 @@
-const { fetchSkintEvents, fetchNonsenseNYC, fetchYutoriEvents, fetchScreenSlateEvents, fetchBKMagEvents, fetchRAEvents } = require('./sources');
-
-// Source tier classification for compose prompt
-const SOURCE_TIERS = {
-  Skint: 'unstructured',
-  NonsenseNYC: 'unstructured',
-  Yutori: 'unstructured',
-  ScreenSlate: 'unstructured',
-  BKMag: 'unstructured',
-  RA: 'structured',
-};
+const fs = require('fs');
+const path = require('path');
+const { parseCron, runsPerDay } = require('./cron');
 
 // ============================================================
-// Single source registry — editorial sources only
-// Listing-only scrapers removed to focus on sources with
-// genuine editorial context ("why this, why now"). Scraper
-// code preserved in sources/ if we need to re-enable.
+// Source manifests — one JSON file per source in sources/manifests/,
+// discovered at boot. A manifest names the scraper module and its fetch
+// export plus channel, tier, weight, merge rank, expectations and cache
+// file, plus an optional `cron` for intraday refreshes (see cron.js).
+// Turning a source on or off is `"enabled"` in its manifest, or
+// PULSE_SOURCES_ENABLE / PULSE_SOURCES_DISABLE (comma-separated labels)
+// per deploy. Listing-only scrapers ship disabled: we focus on sources
+// with genuine editorial context ("why this, why now").
 // ============================================================
 
-const SOURCES = [
-  { label: 'Skint',            fetch: fetchSkintEvents,         weight: 0.9,  mergeRank: 0, endpoint: 'https://theskint.com', minExpected: 5, volatile: true, dbName: 'theskint' },
-  { label: 'NonsenseNYC',      fetch: fetchNonsenseNYC,         weight: 0.9,  mergeRank: 1, endpoint: 'https://nonsensenyc.com', minExpected: 10, volatile: true, channel: 'email' },
-  { label: 'Yutori',           fetch: fetchYutoriEvents,        weight: 0.9,  mergeRank: 2, endpoint: null, minExpected: 20, volatile: true, channel: 'email' },
-  { label: 'ScreenSlate',      fetch: fetchScreenSlateEvents,   weight: 0.9,  mergeRank: 3, endpoint: null, minExpected: 5, channel: 'email' },
-  { label: 'BKMag',            fetch: fetchBKMagEvents,         weight: 0.9,  mergeRank: 4, endpoint: 'https://www.bkmag.com', minExpected: 5, schedule: { days: ['fri', 'sat'] } },
-  { label: 'RA',               fetch: fetchRAEvents,            weight: 0.85, mergeRank: 5, endpoint: 'https://ra.co/events/us/newyorkcity', minExpected: 30, dbName: 'ra' },
-];
-
-// Boot-time validation — fail fast on config errors
-function validateSources(sources) {
+const MANIFEST_DIR = path.join(__dirname, 'sources/manifests');
+
+const MANIFEST_FIELDS = {
+  label: 'string', module: 'string', fetch: 'string', enabled: 'boolean',
+  channel: 'string', tier: 'string', weight: 'number', mergeRank: 'number',
+  endpoint: 'string', minExpected: 'number', volatile: 'boolean', dbName: 'string',
+  schedule: 'object', cacheFile: 'string', guard: 'object', disableAfter: 'number',
+  cron: 'string',
+};
+const REQUIRED_FIELDS = ['label', 'module', 'fetch', 'enabled', 'channel', 'tier', 'weight', 'mergeRank'];
+const CHANNELS = ['web', 'email'];
+const TIERS = ['structured', 'unstructured'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Read every manifest in `dir`. Each gets `file` (its filename) for error messages.
+ */
+function loadManifests(dir = MANIFEST_DIR) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(file => {
+      try {
+        return { ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file };
+      } catch (err) {
+        throw new Error(`Source manifest ${file}: ${err.message}`);
+      }
+    });
+}
+
+function resolveFetch(manifest) {
+  const mod = require(path.join(__dirname, 'sources', manifest.module));
+  return mod[manifest.fetch];
+}
+
+function parseLabelList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Apply PULSE_SOURCES_ENABLE / PULSE_SOURCES_DISABLE on top of each manifest's
+ * `enabled`. Disable wins when a label is in both.
+ */
+function applyToggles(manifests, env = process.env) {
+  const enable = new Set(parseLabelList(env.PULSE_SOURCES_ENABLE));
+  const disable = new Set(parseLabelList(env.PULSE_SOURCES_DISABLE));
+  return manifests.map(m => ({
+    ...m,
+    enabled: disable.has(m.label) ? false : enable.has(m.label) ? true : m.enabled,
+  }));
+}
+
+// Boot-time validation — fail fast on config errors. Checks every manifest,
+// enabled or not, so switching one on can't break the next boot.
+function validateSources(manifests, env = process.env) {
+  const errors = [];
   const labels = new Set();
-  for (const s of sources) {
-    if (!s.label) throw new Error('Source missing label');
-    if (labels.has(s.label)) throw new Error(`Duplicate source label: ${s.label}`);
-    labels.add(s.label);
-    if (typeof s.fetch !== 'function') throw new Error(`${s.label}: fetch must be a function`);
-    if (typeof s.weight !== 'number' || s.weight < 0 || s.weight > 1) throw new Error(`${s.label}: weight must be 0-1`);
+  const ranks = new Map();
+  for (const m of manifests) {
+    const where = m.label || m.file || '(unnamed source)';
+    for (const field of REQUIRED_FIELDS) {
+      if (m[field] === undefined) errors.push(`${where}: missing ${field}`);
+    }
+    for (const [field, value] of Object.entries(m)) {
+      if (field === 'file') continue;
+      const type = MANIFEST_FIELDS[field];
+      if (!type) { errors.push(`${where}: unknown field ${field}`); continue; }
+      if (value === null && (field === 'endpoint' || field === 'schedule')) continue;
+      if (field === 'fetch' && typeof value === 'function') continue;
+      if (typeof value !== type) errors.push(`${where}: ${field} must be a ${type}`);
+    }
+    if (m.label) {
+      if (labels.has(m.label)) errors.push(`Duplicate source label: ${m.label}`);
+      labels.add(m.label);
+    }
+    if (m.channel !== undefined && !CHANNELS.includes(m.channel)) errors.push(`${where}: channel must be ${CHANNELS.join(' or ')}`);
+    if (m.tier !== undefined && !TIERS.includes(m.tier)) errors.push(`${where}: tier must be ${TIERS.join(' or ')}`);
+    if (typeof m.weight === 'number' && (m.weight < 0 || m.weight > 1)) errors.push(`${where}: weight must be 0-1`);
+    if (typeof m.mergeRank === 'number') {
+      if (ranks.has(m.mergeRank)) errors.push(`${where}: mergeRank ${m.mergeRank} already used by ${ranks.get(m.mergeRank)}`);
+      ranks.set(m.mergeRank, where);
+    }
+    if (m.minExpected !== undefined && !(Number.isInteger(m.minExpected) && m.minExpected >= 0)) errors.push(`${where}: minExpected must be a non-negative integer`);
+    if (m.schedule?.days && !(Array.isArray(m.schedule.days) && m.schedule.days.every(d => DAYS.includes(d)))) {
+      errors.push(`${where}: schedule.days must be from ${DAYS.join(', ')}`);
+    }
+    if (typeof m.cacheFile === 'string' && !m.cacheFile.startsWith('data/')) errors.push(`${where}: cacheFile must live under data/`);
+    if (typeof m.cron === 'string') {
+      try { parseCron(m.cron); } catch (err) { errors.push(`${where}: ${err.message}`); }
+    }
+    if (typeof m.fetch === 'function') continue;
+    if (typeof m.module === 'string' && typeof m.fetch === 'string') {
+      let fn;
+      try {
+        fn = resolveFetch(m);
+      } catch (err) {
+        errors.push(`${where}: can't load module sources/${m.module} (${err.message})`);
+        continue;
+      }
+      if (typeof fn !== 'function') errors.push(`${where}: sources/${m.module} has no function ${m.fetch}`);
+    }
+  }
+  for (const label of [...parseLabelList(env.PULSE_SOURCES_ENABLE), ...parseLabelList(env.PULSE_SOURCES_DISABLE)]) {
+    if (!labels.has(label)) errors.push(`PULSE_SOURCES_ENABLE/DISABLE: unknown source ${label}`);
   }
+  if (errors.length > 0) throw new Error(`Invalid source config:\n  ${errors.join('\n  ')}`);
 }
-validateSources(SOURCES);
+
+const SOURCE_MANIFESTS = loadManifests();
+validateSources(SOURCE_MANIFESTS);
+
+// Enabled sources with their fetch functions, in merge-rank order
+const SOURCES = applyToggles(SOURCE_MANIFESTS)
+  .filter(m => m.enabled)
+  .sort((a, b) => a.mergeRank - b.mergeRank)
+  .map(({ file, enabled, module, ...m }) => ({ ...m, fetch: resolveFetch({ module, fetch: m.fetch }) }));
+
+// Source tier classification for compose prompt (every manifest, enabled or not)
+const SOURCE_TIERS = Object.fromEntries(SOURCE_MANIFESTS.map(m => [m.label, m.tier]));
 
 // Derived — no manual sync needed
 const SOURCE_LABELS = SOURCES.map(s => s.label);
@@ -52,8 +146,34 @@ const MERGE_ORDER = [...SOURCES]
   .sort((a, b) => (b.weight - a.weight) || (a.mergeRank - b.mergeRank) || a.label.localeCompare(b.label))
   .map(s => s.label);
 
+// Scrape-guard thresholds (see scrape-guard.js). Ratios compare this run to the
+// median of recent healthy runs; a source can override any of them with `guard`.
+const DEFAULT_GUARD = {
+  minHistory: 3,            // healthy runs needed before the guard judges a source
+  minCountRatio: 0.4,       // count below 40% of median
+  maxCountRatio: 4,         // count above 4x median — likely scraping page chrome
+  completenessDrop: 0.4,    // a field's fill rate falls 40+ points below its median
+  diversityRatio: 0.4,      // distinct venues or dates per event below 40% of median
+  maxDupRatio: 0.5,         // over half the names are repeats...
+  dupRatioRise: 0.25,       // ...and 25+ points above the source's usual
+  acceptAfter: 3,           // quarantined runs in a row that agree become the new baseline
+};
+
+// Newsletters swing week to week — only flag a near-total drop, never a spike
+const VOLATILE_GUARD = { minCountRatio: 0.2, maxCountRatio: null };
+
+// Circuit breaker: consecutive errors/empty runs before a source is disabled.
+// Volatile newsletters often have nothing new between polls, so they get longer.
+const DISABLE_AFTER = 3;
+const VOLATILE_DISABLE_AFTER = 8;
+
 const SOURCE_EXPECTATIONS = Object.fromEntries(
-  SOURCES.map(s => [s.label, { minExpected: s.minExpected || 0, schedule: s.schedule || null }])
+  SOURCES.map(s => [s.label, {
+    minExpected: s.minExpected || 0,
+    schedule: s.schedule || null,
+    disableAfter: s.disableAfter || (s.volatile ? VOLATILE_DISABLE_AFTER : DISABLE_AFTER),
+    guard: { ...DEFAULT_GUARD, ...(s.volatile ? VOLATILE_GUARD : {}), ...s.guard },
+  }])
 );
 
 // Map label → the source_name used in the event cache (dbName if set, else lowercase label)
@@ -63,4 +183,28 @@ const SOURCE_CACHE_NAMES = Object.fromEntries(
 
 const EMAIL_SOURCES = SOURCES.filter(s => s.channel === 'email');
 
-module.exports = { SOURCES, SOURCE_TIERS, SOURCE_LABELS, SOURCE_DB_NAMES, ENDPOINT_URLS, MERGE_ORDER, SOURCE_EXPECTATIONS, SOURCE_CACHE_NAMES, EMAIL_SOURCES, validateSources };
+// Full scrape of every source, NYC hours (events.js schedules it)
+const SCRAPE_HOURS = [10, 18]; // 10am ET + 6pm ET (catches same-day newsletters)
+// Email-only poll between full scrapes
+const EMAIL_POLL_HOURS = [6, 14, 22]; // ET hours not covered by full scrape (10, 18)
+
+// Intraday refreshes on top of the full scrape: a source's own `cron`, else
+// volatile web sources refresh a few times a day between full scrapes (10am, 6pm ET).
+// Email sources are covered by the email poll.
+const VOLATILE_REFRESH_CRON = '0 8,13,15,21 * * *';
+
+const SOURCE_SCHEDULES = Object.fromEntries(
+  SOURCES
+    .map(s => [s.label, s.cron || (s.volatile && s.channel === 'web' ? VOLATILE_REFRESH_CRON : null)])
+    .filter(([, cron]) => cron)
+);
+
+// Runs a source gets on an average day — full scrapes plus its email poll or
+// intraday refreshes. Source health sizes each source's history from this.
+const SOURCE_RUNS_PER_DAY = Object.fromEntries(
+  SOURCES.map(s => [s.label, SCRAPE_HOURS.length
+    + (s.channel === 'email' ? EMAIL_POLL_HOURS.length : 0)
+    + (SOURCE_SCHEDULES[s.label] ? runsPerDay(SOURCE_SCHEDULES[s.label]) : 0)])
+);
+
+module.exports = { SOURCES, SOURCE_TIERS, SOURCE_LABELS, SOURCE_DB_NAMES, ENDPOINT_URLS, MERGE_ORDER, SOURCE_EXPECTATIONS, SOURCE_CACHE_NAMES, EMAIL_SOURCES, DEFAULT_GUARD, DISABLE_AFTER, SOURCE_MANIFESTS, SOURCE_SCHEDULES, VOLATILE_REFRESH_CRON, SCRAPE_HOURS, EMAIL_POLL_HOURS, SOURCE_RUNS_PER_DAY, validateSources, loadManifests, applyToggles };
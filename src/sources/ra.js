@@ -1,4 +1,4 @@
-const { makeEventId, FETCH_HEADERS } = require('./shared');
+const { makeEventId, FETCH_HEADERS, normalizeAgePolicy } = require('./shared');
 const { getNycDateString, resolveNeighborhood } = require('../geo');
 const { lookupVenue } = require('../venues');
 
@@ -28,7 +28,7 @@ const RA_QUERY = `query GET_EVENT_LISTINGS($filters: FilterInputDtoInput, $filte
       id
       listingDate
       event {
-        id title date startTime endTime contentUrl isTicketed cost
+        id title date startTime endTime contentUrl isTicketed cost minimumAge
         venue { id name contentUrl }
         artists { id name }
         pick { blurb }
@@ -139,6 +139,7 @@ async function fetchRAEvents() {
           price_display: parseRACost(e.cost)?.price_display ?? ((e.isTicketed === false || /\bfree\b/i.test(e.title || '')) ? 'free' : null),
           category: 'nightlife',
           subcategory: null,
+          age_policy: normalizeAgePolicy(e.minimumAge),
           ticket_url: e.contentUrl ? `https://ra.co${e.contentUrl}` : null,
           map_url: null,
           map_hint: null,
@@ -85,6 +85,79 @@ function parseAmPmTime(str) {
   return `${String(h).padStart(2, '0')}:${String(min).padStart(2, '0')}`;
 }
 
+/**
+ * Parse a price_display string into numeric bounds { price_min, price_max } (USD).
+ * "$15" → 15/15, "$15–25" and "$20 adv / $25 door" → 15/25 and 20/25,
+ * "Free–$10", "sliding scale, pay what you can" and "$5 suggested donation"
+ * → min 0, "$10+" and "from $35" → max null. "$1,200" reads as 1200, and a
+ * "+" only counts on a dollar amount ("$10, 21+" is 10/10).
+ * Free events are 0/0. Unparseable ("TBA", "$$") → both null.
+ */
+function parsePriceRange(display, isFree = false) {
+  const text = typeof display === 'string' ? display.toLowerCase().replace(/(\d),(?=\d{3}\b)/g, '$1') : '';
+  const amounts = [];
+  // "$15-25" / "$15 to $25": the second number may drop its $
+  const rangeRe = /\$\s?(\d+(?:\.\d{1,2})?)\s*(?:-|–|—|to)\s*\$?\s?(\d+(?:\.\d{1,2})?)/g;
+  let m;
+  let ranged = false;
+  while ((m = rangeRe.exec(text))) { amounts.push(Number(m[1]), Number(m[2])); ranged = true; }
+  const singleRe = /\$\s?(\d+(?:\.\d{1,2})?)/g;
+  while ((m = singleRe.exec(text))) amounts.push(Number(m[1]));
+  const valid = amounts.filter(n => Number.isFinite(n) && n < 10000);
+
+  const freeTier = isFree || /\bfree\b|pay what you|\bpwyc\b|by donation|donations? (?:welcome|encouraged)|\bsuggested\b|\bno cover\b/.test(text);
+  if (valid.length === 0) {
+    if (!freeTier) return { price_min: null, price_max: null };
+    const payWhatYouCan = /pay what you|\bpwyc\b|donation/.test(text);
+    return { price_min: 0, price_max: payWhatYouCan ? null : 0 };
+  }
+  const min = freeTier ? 0 : Math.min(...valid);
+  const openEnded = /\$\s?\d+(?:\.\d{1,2})?\s*(?:\+|and up\b|or more\b)/.test(text)
+    || (!ranged && /\b(?:from|starting at|starts at)\s*\$/.test(text));
+  return { price_min: min, price_max: openEnded ? null : Math.max(...valid) };
+}
+
+/**
+ * Coerce an age policy to "21+", "18+", "all_ages" or null (unknown).
+ * Takes extraction strings ("21 and over", "18+ w/ ID", "all ages") and
+ * numeric minimum ages (RA's minimumAge).
+ */
+function normalizeAgePolicy(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') {
+    if (value >= 21) return '21+';
+    if (value >= 18) return '18+';
+    return null; // 0 usually means "not set", not "all ages"
+  }
+  const s = String(value).toLowerCase();
+  if (/\ball[\s_-]*ages?\b|\baa\b|family[\s-]friendly|kids welcome/.test(s)) return 'all_ages';
+  if (/\b21\b/.test(s)) return '21+';
+  if (/\b18\b/.test(s)) return '18+';
+  return null;
+}
+
+// Event-level access features a listing can state, plus the spellings the LLM drifts to
+const ACCESS_FEATURE_ALIASES = {
+  asl: 'asl', asl_interpreted: 'asl', interpreted: 'asl',
+  captioned: 'captioned', open_captions: 'captioned', open_captioned: 'captioned', cc: 'captioned',
+  relaxed: 'relaxed', relaxed_performance: 'relaxed', sensory_friendly: 'relaxed',
+  step_free: 'step_free', wheelchair: 'step_free', wheelchair_accessible: 'step_free',
+};
+
+/**
+ * Coerce an extracted accessibility list into known features:
+ * "asl", "captioned", "relaxed", "step_free". Unknown entries are dropped.
+ */
+function normalizeAccessibilityFeatures(list) {
+  if (!Array.isArray(list)) return [];
+  const features = new Set();
+  for (const item of list) {
+    const key = String(item || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (ACCESS_FEATURE_ALIASES[key]) features.add(ACCESS_FEATURE_ALIASES[key]);
+  }
+  return [...features];
+}
+
 /**
  * Normalize date/time fields from LLM extraction output.
  * Coerces freeform strings into YYYY-MM-DD (date_local) and ISO datetime (start/end_time_local).
@@ -202,6 +275,7 @@ function normalizeExtractedEvent(e, sourceName, sourceType, sourceWeight) {
     time_window: e.time_window || null,
     is_free: e.is_free === true,
     price_display: e.price_display || null,
+    ...parsePriceRange(e.price_display, e.is_free === true),
     category: canonicalizeCategory(e.category),
     subcategory: e.category === 'film' ? 'film'
       : e.category === 'dance' ? 'dance'
@@ -230,6 +304,8 @@ function normalizeExtractedEvent(e, sourceName, sourceType, sourceWeight) {
     editorial_note: e.editorial_note || null,
     editorial_signal: e.editorial_signal || false,
     scarcity: e.scarcity || null,
+    accessibility: normalizeAccessibilityFeatures(e.accessibility),
+    age_policy: normalizeAgePolicy(e.age_policy),
     // Recurrence fields from LLM or trivia parser
     is_recurring: e.is_recurring || false,
     recurrence_day: e.recurrence_day || null,
@@ -255,6 +331,20 @@ function backfillEvidence(events) {
   return events;
 }
 
+/**
+ * Backfill price_min/price_max on cached events that predate price parsing
+ * (and recurring occurrences, which carry only price_display).
+ * Mutates in place and returns the array.
+ */
+function backfillPrices(events) {
+  for (const e of events) {
+    if (e.price_min === undefined || e.price_max === undefined) {
+      Object.assign(e, parsePriceRange(e.price_display, e.is_free === true));
+    }
+  }
+  return events;
+}
+
 /**
  * Backfill ISO date/time formats on cached events that predate normalization.
  * Mutates in place and returns the array.
@@ -366,4 +456,4 @@ async function extractEmailEvents({ text, sourceName, sourceType, sourceWeight,
   return allEvents;
 }
 
-module.exports = { FETCH_HEADERS, NYC_BBOX, isInsideNYC, makeEventId, normalizeExtractedEvent, normalizeEventName, computeCompleteness, backfillEvidence, backfillDateTimes, stripHtml, extractEmailEvents };
+module.exports = { FETCH_HEADERS, NYC_BBOX, isInsideNYC, makeEventId, normalizeExtractedEvent, normalizeEventName, computeCompleteness, parsePriceRange, normalizeAgePolicy, normalizeAccessibilityFeatures, backfillEvidence, backfillDateTimes, backfillPrices, stripHtml, extractEmailEvents };
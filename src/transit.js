@@ -0,0 +1,302 @@
+/**
+ * transit.js — Door-to-door travel time over an offline subway graph.
+ *
+ * Straight-line distance misleads in NYC: Greenpoint is a couple of km from
+ * Astoria on a map but a transfer and 40 minutes by train, while Williamsburg
+ * is one L stop from the East Village. This routes over data/subway-graph.json
+ * (stations, lines with per-hop run times and headways, walking transfers —
+ * rebuild from the MTA GTFS static feed with scripts/build-subway-graph.js)
+ * and returns minutes plus a short label ("~18 min on the L").
+ *
+ * A graph without a _feed_date wasn't built from the feed — its run times are
+ * guesses — so train labels round to 5 minutes and say so ("~20 min on the L
+ * (rough)"). Walks are plain distance math and stay exact. The subway feed has
+ * no ferry, so Staten Island's St. George doesn't route to the rest of the city.
+ *
+ * Costs: walk to a nearby station, wait half a headway, ride, transfer
+ * (platform change + half the next line's headway), walk to the venue.
+ * A plain walk wins when it's shorter, up to 20 minutes — past that the
+ * straight line may run across a river. Shortest paths are memoized per origin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NEIGHBORHOODS } = require('./neighborhoods');
+const { haversine } = require('./geo');
+const { lookupVenue } = require('./venues');
+
+const GRAPH_FILE = process.env.PULSE_SUBWAY_GRAPH || path.join(__dirname, '../data/subway-graph.json');
+
+const WALK_KM_PER_MIN = 0.083;    // ~5 km/h
+const WALK_DETOUR = 1.2;          // street grid vs straight line
+const MAX_DIRECT_WALK_MIN = 20;   // beyond this a straight line may cross water
+const ACCESS_KM = 1.2;            // farthest we'd walk to a station
+const WALK_TRANSFER_KM = 0.3;     // auto-link station complexes this close
+const ENTRY_MIN = 2;              // street to platform
+const EXIT_MIN = 1;
+const TRANSFER_MIN = 3;           // platform change within a complex
+const MAX_ORIGIN_CACHE = 200;
+const MAX_POINT_CACHE = 5000;
+
+function walkMinutes(km) {
+  return (km * WALK_DETOUR) / WALK_KM_PER_MIN;
+}
+
+// --- Graph ---
+
+let graph; // undefined = not loaded, null = unavailable
+
+/**
+ * Load and index the station graph. Nodes are (station, line) pairs so that
+ * staying on a train is free and changing lines costs a transfer.
+ */
+function loadGraph() {
+  if (graph !== undefined) return graph;
+  graph = null;
+  try {
+    const raw = JSON.parse(fs.readFileSync(GRAPH_FILE, 'utf8'));
+    const stations = Object.entries(raw.stations).map(([id, [name, lat, lng]]) => ({ id, name, lat, lng, nodes: [] }));
+    const stationIndex = new Map(stations.map((s, i) => [s.id, i]));
+    const lines = raw.lines.map(l => ({ id: l.id, label: l.label, headway: l.headway_min || 8 }));
+    const nodes = []; // { station, line }
+    const edges = []; // per node: [{ to, cost, kind }]
+    const nodeFor = new Map();
+    const getNode = (station, line) => {
+      const key = `${station}:${line}`;
+      if (!nodeFor.has(key)) {
+        nodeFor.set(key, nodes.length);
+        nodes.push({ station, line });
+        edges.push([]);
+        stations[station].nodes.push(nodes.length - 1);
+      }
+      return nodeFor.get(key);
+    };
+
+    raw.lines.forEach((l, li) => {
+      let prev = null;
+      for (const [stationId, minutes] of l.stops) {
+        const node = getNode(stationIndex.get(stationId), li);
+        if (prev !== null) {
+          edges[prev].push({ to: node, cost: minutes, kind: 'ride' });
+          edges[node].push({ to: prev, cost: minutes, kind: 'ride' });
+        }
+        prev = node;
+      }
+    });
+
+    // Line changes inside a complex
+    for (const s of stations) {
+      for (const a of s.nodes) {
+        for (const b of s.nodes) {
+          if (a !== b) edges[a].push({ to: b, cost: TRANSFER_MIN + lines[nodes[b].line].headway / 2, kind: 'transfer' });
+        }
+      }
+    }
+
+    // Walking transfers: listed ones plus any two stations within WALK_TRANSFER_KM
+    const walkLinks = new Map();
+    const link = (i, j, minutes) => {
+      const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+      if (!walkLinks.has(key) || walkLinks.get(key).minutes > minutes) walkLinks.set(key, { i, j, minutes });
+    };
+    for (const [a, b, minutes] of raw.transfers || []) {
+      if (stationIndex.has(a) && stationIndex.has(b)) link(stationIndex.get(a), stationIndex.get(b), minutes);
+    }
+    for (let i = 0; i < stations.length; i++) {
+      for (let j = i + 1; j < stations.length; j++) {
+        const km = haversine(stations[i].lat, stations[i].lng, stations[j].lat, stations[j].lng);
+        if (km <= WALK_TRANSFER_KM) link(i, j, walkMinutes(km));
+      }
+    }
+    for (const { i, j, minutes } of walkLinks.values()) {
+      for (const a of stations[i].nodes) {
+        for (const b of stations[j].nodes) {
+          edges[a].push({ to: b, cost: minutes + lines[nodes[b].line].headway / 2, kind: 'walk' });
+          edges[b].push({ to: a, cost: minutes + lines[nodes[a].line].headway / 2, kind: 'walk' });
+        }
+      }
+    }
+
+    graph = { stations, lines, nodes, edges, rough: !raw._feed_date };
+  } catch (err) {
+    console.warn(`[TRANSIT] Subway graph unavailable (${GRAPH_FILE}): ${err.message}`);
+  }
+  return graph;
+}
+
+const accessCache = new Map(); // "lat,lng" → [{ station, km }]
+
+/**
+ * Stations within walking range of a point, nearest first. Always returns
+ * the two nearest so far-flung points (Riverdale, Red Hook) still route.
+ */
+function accessStations(g, lat, lng) {
+  const key = pointKey(lat, lng);
+  if (accessCache.has(key)) return accessCache.get(key);
+  const byDist = g.stations
+    .map((s, i) => ({ station: i, km: haversine(lat, lng, s.lat, s.lng) }))
+    .sort((a, b) => a.km - b.km);
+  const result = byDist.filter((s, i) => i < 2 || s.km <= ACCESS_KM);
+  if (accessCache.size >= MAX_POINT_CACHE) accessCache.clear();
+  accessCache.set(key, result);
+  return result;
+}
+
+function pointKey(lat, lng) {
+  return `${lat.toFixed(4)},${lng.toFixed(4)}`;
+}
+
+// --- Shortest paths ---
+
+const originCache = new Map(); // "lat,lng" → { dist, prev }
+
+/**
+ * Dijkstra from a street point to every (station, line) node. A plain array
+ * scan instead of a heap — the graph is a few hundred nodes.
+ */
+function shortestPathsFrom(g, lat, lng) {
+  const key = pointKey(lat, lng);
+  if (originCache.has(key)) return originCache.get(key);
+
+  const n = g.nodes.length;
+  const dist = new Array(n).fill(Infinity);
+  const prev = new Array(n).fill(null); // { from, kind } — from null = boarded from the street
+  const done = new Array(n).fill(false);
+
+  for (const { station, km } of accessStations(g, lat, lng)) {
+    for (const node of g.stations[station].nodes) {
+      const cost = walkMinutes(km) + ENTRY_MIN + g.lines[g.nodes[node].line].headway / 2;
+      if (cost < dist[node]) {
+        dist[node] = cost;
+        prev[node] = { from: null, kind: 'board' };
+      }
+    }
+  }
+
+  for (;;) {
+    let u = -1;
+    for (let i = 0; i < n; i++) {
+      if (!done[i] && dist[i] < Infinity && (u === -1 || dist[i] < dist[u])) u = i;
+    }
+    if (u === -1) break;
+    done[u] = true;
+    for (const { to, cost, kind } of g.edges[u]) {
+      if (dist[u] + cost < dist[to]) {
+        dist[to] = dist[u] + cost;
+        prev[to] = { from: u, kind };
+      }
+    }
+  }
+
+  if (originCache.size >= MAX_ORIGIN_CACHE) originCache.clear();
+  const result = { dist, prev };
+  originCache.set(key, result);
+  return result;
+}
+
+/** Line labels ridden on the way to a node, consecutive repeats collapsed. */
+function linesRidden(g, prev, node) {
+  const labels = [];
+  for (let cur = node; cur !== null && prev[cur]; cur = prev[cur].from) {
+    if (prev[cur].kind !== 'ride') continue;
+    const label = g.lines[g.nodes[cur].line].label;
+    if (labels[0] !== label) labels.unshift(label);
+  }
+  return labels;
+}
+
+// --- Public API ---
+
+/**
+ * Estimated travel between two points ({ lat, lng }). Returns
+ * { minutes, lines, label } — lines empty for a walk — or null when the graph
+ * or either point is missing, or nothing connects them.
+ */
+function estimateTransit(from, to) {
+  if (!validPoint(from) || !validPoint(to)) return null;
+  const g = loadGraph();
+  if (!g) return null;
+
+  const direct = walkMinutes(haversine(from.lat, from.lng, to.lat, to.lng));
+  let best = { minutes: direct <= MAX_DIRECT_WALK_MIN ? direct : Infinity, node: null };
+  if (direct > 10) {
+    const { dist } = shortestPathsFrom(g, from.lat, from.lng);
+    for (const { station, km } of accessStations(g, to.lat, to.lng)) {
+      for (const node of g.stations[station].nodes) {
+        const total = dist[node] + EXIT_MIN + walkMinutes(km);
+        if (total < best.minutes) best = { minutes: total, node };
+      }
+    }
+  }
+  if (!Number.isFinite(best.minutes)) return null;
+
+  const lines = best.node === null ? [] : linesRidden(g, shortestPathsFrom(g, from.lat, from.lng).prev, best.node);
+  const minutes = Math.max(1, Math.round(best.minutes));
+  return { minutes, lines, label: formatTransitLabel(minutes, lines, { rough: g.rough }), rough: g.rough && lines.length > 0 };
+}
+
+/**
+ * "~8 min walk", "~18 min on the L", "~32 min, L → G". Rough train times
+ * round to 5 minutes: "~20 min on the L (rough)".
+ */
+function formatTransitLabel(minutes, lines = [], { rough = false } = {}) {
+  if (lines.length === 0) return `~${minutes} min walk`;
+  if (rough) return `${formatTransitLabel(Math.max(5, Math.round(minutes / 5) * 5), lines)} (rough)`;
+  if (lines.length === 1) return `~${minutes} min on the ${lines[0]}`;
+  return `~${minutes} min, ${lines.slice(0, 3).join(' → ')}`;
+}
+
+function validPoint(p) {
+  return p && Number.isFinite(p.lat) && Number.isFinite(p.lng);
+}
+
+/**
+ * A neighborhood's center as a routing point ({ name, lat, lng }), or null.
+ */
+function neighborhoodPoint(hood) {
+  const data = hood && NEIGHBORHOODS[hood];
+  return data ? { name: hood, lat: data.lat, lng: data.lng } : null;
+}
+
+/**
+ * Where an event is: its venue's coordinates when known ({ lat, lng, exact: true }),
+ * else its neighborhood's center ({ lat, lng, exact: false }), else null.
+ */
+function eventPoint(event) {
+  const coords = lookupVenue(event.venue_name);
+  if (coords && Number.isFinite(coords.lat)) return { lat: coords.lat, lng: coords.lng, exact: true };
+  const center = neighborhoodPoint(event.neighborhood);
+  return center ? { lat: center.lat, lng: center.lng, exact: false } : null;
+}
+
+/**
+ * Travel estimate from an origin point to an event: to the venue when its
+ * coordinates are known, else to the center of its neighborhood. Null for an
+ * unplaced event in the origin's own neighborhood — center-to-center says nothing there.
+ */
+function transitToEvent(origin, event) {
+  const point = eventPoint(event);
+  if (!point) return null;
+  if (!point.exact && event.neighborhood === origin?.name) return null;
+  return estimateTransit(origin, point);
+}
+
+/**
+ * Minutes between two neighborhood centers, or null when either is unknown.
+ */
+function transitMinutesBetween(hoodA, hoodB) {
+  if (hoodA === hoodB) return 0;
+  const est = estimateTransit(neighborhoodPoint(hoodA), neighborhoodPoint(hoodB));
+  return est ? est.minutes : null;
+}
+
+module.exports = {
+  estimateTransit,
+  transitToEvent,
+  transitMinutesBetween,
+  eventPoint,
+  neighborhoodPoint,
+  formatTransitLabel,
+  // Exposed for testing
+  loadGraph,
+};
@@ -19,13 +19,31 @@ function maskPhone(phone) {
 // can stream messages to the client as they happen instead of batching.
 const _testCaptures = new Map(); // phone → { messages: [], onCapture: fn|null }
 
+// Test phones (+1555..., +1000000000x), bare or as WhatsApp addresses
+const TEST_ADDRESS = /^(whatsapp:)?\+1(555\d{7}|0{9,})$/;
+
 function enableTestCapture(phone, onCapture = null) { _testCaptures.set(phone, { messages: [], onCapture }); }
 function disableTestCapture(phone) { const entry = _testCaptures.get(phone); _testCaptures.delete(phone); return entry?.messages || []; }
 
-async function sendSMS(to, body, { maxRetries = 2 } = {}) {
+/**
+ * Send an SMS. Pass mediaUrl to send as MMS — if Twilio rejects the media
+ * (carrier or number can't take MMS), the remaining attempts go out as plain text.
+ * Pass `from` to send from a specific sender (the WhatsApp channel uses this).
+ * `allowOptedOut` is only for the registered HELP reply, which carriers expect
+ * even after STOP — nothing else may pass the opt-out block.
+ */
+async function sendSMS(to, body, { maxRetries = 2, mediaUrl = null, from = null, allowOptedOut = false } = {}) {
+  // TCPA: never message a phone that opted out — checked before capture so tests see the block
+  const { isPhoneOptedOut } = require('./opt-outs');
+  if (!allowOptedOut && isPhoneOptedOut(to)) {
+    console.warn(`[OPT-OUT] Blocked SMS to opted-out ${maskPhone(to)}`);
+    return { sid: null, blocked: 'opted_out' };
+  }
+
   const capture = _testCaptures.get(to);
   if (capture) {
     const msg = { to, body, timestamp: new Date().toISOString() };
+    if (mediaUrl) msg.mediaUrl = mediaUrl;
     capture.messages.push(msg);
     if (capture.onCapture) {
       try { capture.onCapture(msg); }
@@ -36,13 +54,13 @@ async function sendSMS(to, body, { maxRetries = 2 } = {}) {
   }
 
   // Safety: block test-phone sends that escaped capture, but allow real inbound users through
-  if (process.env.PULSE_TEST_MODE === 'true' && /^\+1(555\d{7}|0{9,})$/.test(to)) {
+  if (process.env.PULSE_TEST_MODE === 'true' && TEST_ADDRESS.test(to)) {
     console.warn(`[TEST] sendSMS called outside capture for ${maskPhone(to)} — skipping Twilio call`);
     return { sid: 'SKIPPED_TEST_' + Date.now() };
   }
 
   // Safety: if phone looks like a test phone but capture is disabled, log warning and short-circuit
-  if (/^\+1(555\d{7}|0{9,})$/.test(to)) {
+  if (TEST_ADDRESS.test(to)) {
     console.warn(`[BUG] sendSMS called for test phone ${maskPhone(to)} without active capture — skipping Twilio call`);
     return { sid: 'SKIPPED_' + Date.now() };
   }
@@ -51,7 +69,10 @@ async function sendSMS(to, body, { maxRetries = 2 } = {}) {
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
       const createParams = { body, to };
-      if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+      if (mediaUrl) createParams.mediaUrl = [mediaUrl];
+      if (from) {
+        createParams.from = from;
+      } else if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
         createParams.messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
       } else {
         createParams.from = process.env.TWILIO_PHONE_NUMBER;
@@ -64,6 +85,12 @@ async function sendSMS(to, body, { maxRetries = 2 } = {}) {
       console.log(`SMS sent to ${masked}: ${msg.sid}`);
       return msg;
     } catch (err) {
+      if (mediaUrl) {
+        console.warn(`MMS to ${masked} failed (${err.message}), falling back to text`);
+        mediaUrl = null;
+        attempt--; // text fallback doesn't use up a retry
+        continue;
+      }
       if (attempt < maxRetries) {
         const delay = Math.pow(2, attempt) * 1000; // 1s, 2s
         console.warn(`SMS to ${masked} failed (attempt ${attempt + 1}/${maxRetries + 1}): ${err.message}. Retrying in ${delay}ms...`);
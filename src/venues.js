@@ -1044,11 +1044,33 @@ function learnVenueCoords(name, lat, lng) {
 // --- Venue profiles (loaded from data/venue-profiles.json on boot) ---
 const normalizedProfileMap = new Map();
 
+// Venue accessibility is tri-state: "yes", "no" or "unknown". Only fields the
+// venue itself publishes (its access page, cited in `source`) are filled in;
+// everything else stays "unknown" so nobody is told a room is step-free on a guess.
+const VENUE_ACCESS_FIELDS = ['step_free', 'accessible_restroom', 'assistive_listening'];
+
+function accessValue(v) {
+  if (v === true || v === 'yes') return 'yes';
+  if (v === false || v === 'no') return 'no';
+  return 'unknown';
+}
+
+/**
+ * Normalize a profile's accessibility block. Missing → every field "unknown".
+ */
+function normalizeVenueAccessibility(raw) {
+  const result = {};
+  for (const field of VENUE_ACCESS_FIELDS) result[field] = accessValue(raw?.[field]);
+  if (raw?.notes) result.notes = String(raw.notes);
+  if (raw?.source) result.source = String(raw.source);
+  return result;
+}
+
 try {
   const profilePath = require('path').join(__dirname, '../data/venue-profiles.json');
   const profileData = JSON.parse(require('fs').readFileSync(profilePath, 'utf8'));
   for (const [name, profile] of Object.entries(profileData)) {
-    normalizedProfileMap.set(normalizeName(name), profile);
+    normalizedProfileMap.set(normalizeName(name), { ...profile, accessibility: normalizeVenueAccessibility(profile.accessibility) });
   }
   console.log(`Loaded ${normalizedProfileMap.size} venue profiles`);
 } catch {
@@ -1057,7 +1079,10 @@ try {
 
 /**
  * Look up venue profile.
- * Returns { vibe, known_for, crowd, tip } or null.
+ * Returns { vibe, known_for, crowd, tip, age_policy, accessibility } or null.
+ * age_policy is the house door policy ("21+", "18+", "all_ages") or null.
+ * accessibility is { step_free, accessible_restroom, assistive_listening, notes?, source? },
+ * each "yes" | "no" | "unknown".
  */
 function lookupVenueProfile(name) {
   if (!name) return null;
@@ -1089,7 +1114,91 @@ function importLearnedVenues(map) {
   }
 }
 
-// --- Nominatim geocoding fallback ---
+// --- Geocoding (pluggable) ---
+
+/**
+ * A geocoder is { name, geocode(query) → Promise<{ lat, lng, locality } | null> },
+ * where locality is the neighborhood/suburb name the service reports, if any.
+ * Null means the service found nothing; a failed lookup (timeout, rate limit)
+ * throws, so it isn't remembered as a miss.
+ * Default is Nominatim (OpenStreetMap, bounded to NYC). PULSE_GEOCODER_MODULE
+ * points at a module exporting a geocoder (a paid API, or a fixture table for
+ * offline dev); PULSE_GEOCODER=none turns lookups off. Tests use setGeocoder().
+ */
+const nominatimGeocoder = {
+  name: 'nominatim',
+  async geocode(query) {
+    const params = new URLSearchParams({
+      q: query, format: 'json', limit: '1', addressdetails: '1',
+      countrycodes: 'us', viewbox: '-74.26,40.49,-73.70,40.92', bounded: '1',
+    });
+    const res = await fetch(`https://nominatim.openstreetmap.org/search?${params}`, {
+      headers: { 'User-Agent': 'PulseSMS/1.0' },
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    if (!data.length) return null;
+    const address = data[0].address || {};
+    return {
+      lat: parseFloat(data[0].lat),
+      lng: parseFloat(data[0].lon),
+      locality: address.neighbourhood || address.suburb || address.city_district || null,
+    };
+  },
+};
+
+let activeGeocoder; // undefined = not chosen yet, null = disabled
+
+function getGeocoder() {
+  if (activeGeocoder !== undefined) return activeGeocoder;
+  if (process.env.PULSE_GEOCODER === 'none') {
+    activeGeocoder = null;
+  } else if (process.env.PULSE_GEOCODER_MODULE) {
+    try {
+      const mod = require(require('path').resolve(process.env.PULSE_GEOCODER_MODULE));
+      if (typeof mod?.geocode !== 'function') throw new Error('module must export { name, geocode(query) }');
+      activeGeocoder = mod;
+    } catch (err) {
+      console.error(`[GEOCODE] Failed to load ${process.env.PULSE_GEOCODER_MODULE}: ${err.message} — using Nominatim`);
+      activeGeocoder = nominatimGeocoder;
+    }
+  } else {
+    activeGeocoder = nominatimGeocoder;
+  }
+  return activeGeocoder;
+}
+
+/**
+ * Swap the geocoder (null disables geocoding, undefined restores the
+ * configured default). Clears cached address lookups.
+ */
+function setGeocoder(geocoder) {
+  activeGeocoder = geocoder;
+  addressCache.clear();
+}
+
+/**
+ * Geocode a query through the active geocoder. Never throws — { hit, failed }
+ * where hit is null on any miss and failed marks a lookup that errored rather
+ * than came back empty.
+ */
+async function lookupGeocode(query) {
+  const geocoder = getGeocoder();
+  if (!geocoder || !query) return { hit: null, failed: false };
+  try {
+    const hit = await geocoder.geocode(query);
+    if (!hit || !Number.isFinite(hit.lat) || !Number.isFinite(hit.lng)) return { hit: null, failed: false };
+    return { hit: { lat: hit.lat, lng: hit.lng, locality: hit.locality || null }, failed: false };
+  } catch (err) {
+    console.warn(`[GEOCODE] ${geocoder.name} failed for "${query}": ${err.message}`);
+    return { hit: null, failed: true };
+  }
+}
+
+async function geocode(query) {
+  return (await lookupGeocode(query)).hit;
+}
 
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -1103,24 +1212,31 @@ async function geocodeVenue(name, address) {
       : null;
   if (!query) return null;
 
-  try {
-    const params = new URLSearchParams({
-      q: query, format: 'json', limit: '1',
-      countrycodes: 'us', viewbox: '-74.26,40.49,-73.70,40.92', bounded: '1',
-    });
-    const res = await fetch(`https://nominatim.openstreetmap.org/search?${params}`, {
-      headers: { 'User-Agent': 'PulseSMS/1.0' },
-      signal: AbortSignal.timeout(5000),
-    });
-    if (!res.ok) return null;
-    const data = await res.json();
-    if (!data.length) return null;
+  const hit = await geocode(query);
+  if (!hit) return null;
+  const coords = { lat: hit.lat, lng: hit.lng };
+  // Cache for future lookups within this process
+  if (name) normalizedMap.set(normalizeName(name), coords);
+  return coords;
+}
 
-    const coords = { lat: parseFloat(data[0].lat), lng: parseFloat(data[0].lon) };
-    // Cache for future lookups within this process
-    if (name) normalizedMap.set(normalizeName(name), coords);
-    return coords;
-  } catch { return null; }
+const addressCache = new Map(); // normalized query → result (null for definitive misses)
+const MAX_CACHED_ADDRESSES = 500;
+
+/**
+ * Geocode a street address or intersection a user texted ("123 Ludlow St",
+ * "Bedford & N 7th"). Returns { lat, lng, locality } or null. Cached per process.
+ */
+async function geocodeAddress(address) {
+  const key = (address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!key) return null;
+  if (addressCache.has(key)) return addressCache.get(key);
+  const { hit, failed } = await lookupGeocode(`${address.trim()}, New York, NY`);
+  // A timeout or rate limit says nothing about the address — retry it next time
+  if (failed) return null;
+  if (addressCache.size >= MAX_CACHED_ADDRESSES) addressCache.clear();
+  addressCache.set(key, hit);
+  return hit;
 }
 
 async function batchGeocodeEvents(events) {
@@ -1153,4 +1269,4 @@ async function batchGeocodeEvents(events) {
   console.log(`Geocoding done: ${resolved}/${unresolved.length} resolved`);
 }
 
-module.exports = { VENUE_MAP, VENUE_SIZE, VENUE_ALIASES, resolveVenueAlias, lookupVenue, lookupVenueSize, lookupVenueProfile, learnVenueCoords, geocodeVenue, batchGeocodeEvents, exportLearnedVenues, importLearnedVenues };
+module.exports = { VENUE_MAP, VENUE_SIZE, VENUE_ALIASES, resolveVenueAlias, lookupVenue, lookupVenueSize, lookupVenueProfile, normalizeVenueAccessibility, learnVenueCoords, geocodeVenue, geocodeAddress, getGeocoder, setGeocoder, batchGeocodeEvents, exportLearnedVenues, importLearnedVenues };
@@ -0,0 +1,235 @@
+/**
+ * weather.js — Hourly NYC forecast for weather-aware ranking of outdoor picks.
+ *
+ * The forecast is fetched once per scrape (refreshForecast, called from
+ * refreshCache) and kept in memory plus data/weather-forecast.json so a
+ * restart between scrapes still has it. Nothing here runs at request time.
+ *
+ * A provider is { name, fetchForecast() → Promise<forecast | null> }, where a
+ * forecast is
+ *   { source, fetched_at, hours: [{ time: 'YYYY-MM-DDTHH:00', temp_f, precip_prob, precip_in }] }
+ * with times in NYC local time.
+ *   open-meteo — built in, the default. No API key.
+ *   file       — PULSE_WEATHER_FILE=/path/to/forecast.json in the shape above,
+ *                for offline dev and tests.
+ *   module     — PULSE_WEATHER_MODULE=/path/to/provider.js exporting a provider.
+ *   none       — PULSE_WEATHER=none turns weather off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORECAST_FILE = path.join(__dirname, '../data/weather-forecast.json');
+const NYC = { lat: 40.7128, lng: -74.006 };
+
+// What makes an outdoor plan a bad idea
+const RAIN_PROB = 50;       // % chance of precipitation
+const RAIN_INCHES = 0.04;   // per hour — more than a drizzle
+const COLD_F = 40;
+const HOT_F = 92;
+const MAX_GAP_HOURS = 2;    // nearest forecast hour must be this close to the slot
+
+// --- Providers ---
+
+const openMeteoProvider = {
+  name: 'open-meteo',
+  async fetchForecast() {
+    const params = new URLSearchParams({
+      latitude: String(NYC.lat), longitude: String(NYC.lng),
+      hourly: 'temperature_2m,precipitation_probability,precipitation',
+      temperature_unit: 'fahrenheit', precipitation_unit: 'inch',
+      timezone: 'America/New_York', forecast_days: '8',
+    });
+    const res = await fetch(`https://api.open-meteo.com/v1/forecast?${params}`, {
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    const h = data?.hourly;
+    if (!Array.isArray(h?.time)) return null;
+    return {
+      source: 'open-meteo',
+      fetched_at: new Date().toISOString(),
+      hours: h.time.map((time, i) => ({
+        time,
+        temp_f: h.temperature_2m?.[i] ?? null,
+        precip_prob: h.precipitation_probability?.[i] ?? null,
+        precip_in: h.precipitation?.[i] ?? null,
+      })),
+    };
+  },
+};
+
+function fileProvider(file) {
+  return {
+    name: 'file',
+    async fetchForecast() {
+      const data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+      return Array.isArray(data?.hours) ? { source: 'file', ...data } : null;
+    },
+  };
+}
+
+let activeProvider; // undefined = not chosen yet, null = disabled
+
+/**
+ * The provider in use: PULSE_WEATHER_FILE, then PULSE_WEATHER_MODULE, null for
+ * PULSE_WEATHER=none, else Open-Meteo. A module that fails to load falls back to Open-Meteo.
+ */
+function getWeatherProvider() {
+  if (activeProvider !== undefined) return activeProvider;
+  if (process.env.PULSE_WEATHER === 'none') {
+    activeProvider = null;
+  } else if (process.env.PULSE_WEATHER_FILE) {
+    activeProvider = fileProvider(process.env.PULSE_WEATHER_FILE);
+  } else if (process.env.PULSE_WEATHER_MODULE) {
+    try {
+      const mod = require(path.resolve(process.env.PULSE_WEATHER_MODULE));
+      if (typeof mod?.fetchForecast !== 'function') throw new Error('module must export { name, fetchForecast() }');
+      activeProvider = mod;
+    } catch (err) {
+      console.error(`[WEATHER] Failed to load ${process.env.PULSE_WEATHER_MODULE}: ${err.message} — using Open-Meteo`);
+      activeProvider = openMeteoProvider;
+    }
+  } else {
+    activeProvider = openMeteoProvider;
+  }
+  return activeProvider;
+}
+
+/**
+ * Swap the provider (tests, scripts). null disables weather; undefined restores
+ * env-based selection. Clears the current forecast.
+ */
+function setWeatherProvider(provider) {
+  activeProvider = provider;
+  forecast = null;
+  hourIndex = null;
+}
+
+// --- Forecast state ---
+
+let forecast = null;
+let hourIndex = null; // 'YYYY-MM-DDTHH' → hour
+
+function setForecast(next) {
+  forecast = next;
+  hourIndex = new Map();
+  for (const h of next?.hours || []) {
+    if (typeof h?.time === 'string') hourIndex.set(h.time.slice(0, 13), h);
+  }
+}
+
+try {
+  setForecast(JSON.parse(fs.readFileSync(FORECAST_FILE, 'utf8')));
+} catch { /* no saved forecast yet */ }
+
+/**
+ * Fetch the forecast from the active provider. Never throws — on failure the
+ * previous forecast stays in place. Returns the number of hours loaded.
+ */
+async function refreshForecast() {
+  const provider = getWeatherProvider();
+  if (!provider) return 0;
+  try {
+    const next = await provider.fetchForecast();
+    if (!next?.hours?.length) return 0;
+    setForecast(next);
+    if (provider.name !== 'file') {
+      try { fs.writeFileSync(FORECAST_FILE, JSON.stringify(next)); } catch { /* disk is optional */ }
+    }
+    console.log(`[WEATHER] ${next.hours.length} forecast hours from ${provider.name}`);
+    return next.hours.length;
+  } catch (err) {
+    console.warn(`[WEATHER] ${provider.name} failed: ${err.message}`);
+    return 0;
+  }
+}
+
+function getForecast() {
+  return forecast;
+}
+
+/**
+ * Forecast hour for an ISO local datetime, or the nearest hour within
+ * MAX_GAP_HOURS. Null when there's no forecast for that slot.
+ */
+function forecastAt(isoLocal) {
+  if (!hourIndex || typeof isoLocal !== 'string' || !/T\d{2}/.test(isoLocal)) return null;
+  const base = new Date(`${isoLocal.slice(0, 13)}:00:00Z`);
+  if (isNaN(base)) return null;
+  for (let gap = 0; gap <= MAX_GAP_HOURS; gap++) {
+    for (const dir of gap === 0 ? [0] : [1, -1]) {
+      const key = new Date(base.getTime() + dir * gap * 3600000).toISOString().slice(0, 13);
+      if (hourIndex.has(key)) return hourIndex.get(key);
+    }
+  }
+  return null;
+}
+
+/**
+ * Is this hour bad for being outside? Returns
+ *   { reason: 'rain'|'cold'|'heat', note } or null.
+ * note reads like "70% chance of rain around 8pm" / "34°F around 9pm".
+ */
+function assessHour(hour) {
+  if (!hour) return null;
+  const at = hourLabel(hour.time);
+  if ((hour.precip_prob ?? 0) >= RAIN_PROB || (hour.precip_in ?? 0) >= RAIN_INCHES) {
+    const chance = hour.precip_prob != null ? `${Math.round(hour.precip_prob)}% chance of rain` : 'rain';
+    return { reason: 'rain', note: `${chance} around ${at}` };
+  }
+  if (hour.temp_f != null && hour.temp_f <= COLD_F) {
+    return { reason: 'cold', note: `${Math.round(hour.temp_f)}°F around ${at}` };
+  }
+  if (hour.temp_f != null && hour.temp_f >= HOT_F) {
+    return { reason: 'heat', note: `${Math.round(hour.temp_f)}°F around ${at}` };
+  }
+  return null;
+}
+
+function hourLabel(time) {
+  const h = Number(String(time).slice(11, 13));
+  if (h === 0) return 'midnight';
+  if (h === 12) return 'noon';
+  return h < 12 ? `${h}am` : `${h - 12}pm`;
+}
+
+/**
+ * Weather warning for an outdoor event's time slot, or null (indoor, no start
+ * time, no forecast for that day, or fine weather).
+ */
+function weatherWarning(event) {
+  if (event?.setting !== 'outdoor') return null;
+  return assessHour(forecastAt(event.start_time_local));
+}
+
+/**
+ * Weather note for sitting outside tonight — the first bad hour from the next
+ * hour (7pm at the earliest) through 11pm NYC time — or null.
+ */
+function weatherNoteTonight(now = new Date()) {
+  if (!hourIndex) return null;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/New_York', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23',
+  }).formatToParts(now).map(p => [p.type, p.value]));
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  for (let h = Math.max(Number(parts.hour) + 1, 19); h <= 23; h++) {
+    const warning = assessHour(hourIndex.get(`${date}T${String(h).padStart(2, '0')}`));
+    if (warning) return warning.note;
+  }
+  return null;
+}
+
+module.exports = {
+  refreshForecast,
+  getForecast,
+  forecastAt,
+  weatherWarning,
+  weatherNoteTonight,
+  getWeatherProvider,
+  setWeatherProvider,
+  // Exposed for testing
+  assessHour,
+  setForecast,
+};
@@ -39,6 +39,31 @@ module.exports.runAsync = async function() {
   hClearSession(intPhone);
   msgs = await sendAndCapture(intPhone, 'STOP');
   check('TCPA: STOP sends 0 messages', msgs.length === 0);
+  msgs = await sendAndCapture(intPhone, 'east village');
+  check('TCPA: opted-out phone gets no reply', msgs.length === 0);
+  msgs = await sendAndCapture(intPhone, 'HELP');
+  check('TCPA: HELP after STOP gets the registered help message', msgs.length === 1 && msgs[0].body === 'Reply STOP to unsubscribe. Msg&Data Rates May Apply.');
+  msgs = await sendAndCapture(intPhone, 'east village');
+  check('TCPA: HELP does not resubscribe', msgs.length === 0);
+  enableTestCapture(intPhone);
+  const { sendSMS: rawSend } = require('../../src/twilio');
+  const blocked = await rawSend(intPhone, 'should not send');
+  disableTestCapture(intPhone);
+  check('TCPA: sendSMS blocks opted-out phone', blocked.blocked === 'opted_out');
+
+  // 5a. START lifts the opt-out and sends the registered opt-in message
+  msgs = await sendAndCapture(intPhone, 'START');
+  check('TCPA: START sends 1 message', msgs.length === 1);
+  check('TCPA: START reply mentions STOP and HELP', /STOP/.test(msgs[0]?.body || '') && /HELP/.test(msgs[0]?.body || ''));
+  msgs = await sendAndCapture(intPhone, 'help');
+  check('TCPA: resubscribed phone gets replies', msgs.length === 2);
+  check('help: includes STOP disclosure', /Reply STOP to unsubscribe/.test(msgs[1]?.body || ''));
+
+  // 5b. Nudge-only opt-out replies (not a full STOP)
+  hClearSession(intPhone);
+  msgs = await sendAndCapture(intPhone, 'stop nudges');
+  check('stop nudges: sends 1 confirmation', msgs.length === 1);
+  check('stop nudges: confirms nudges are off', /no more nudges/i.test(msgs[0]?.body || ''));
 
   // 6. Bare number without session — now falls through to agent brain (Phase 4)
   hClearSession(intPhone);
@@ -128,6 +153,80 @@ module.exports.runAsync = async function() {
   msgs = await sendAndCapture(intPhone, 'more');
   check('more (with session): sends 1 message', msgs.length === 1);
 
+  // 15. Group plan: organizer invites a new number, invitee consents and votes, organizer gets tally.
+  // Plans run on a scratch DB so invite caps from earlier runs of this test don't carry over.
+  const Database = require('better-sqlite3');
+  const pulseDb = require('../../src/db');
+  pulseDb.setDb(new Database(':memory:'));
+  const friendPhone = '+10000000098';
+  hClearSession(intPhone);
+  hClearSession(friendPhone);
+  hSetSession(intPhone, {
+    lastNeighborhood: 'West Village',
+    lastPicks: [{ event_id: 'gp_evt1' }, { event_id: 'gp_evt2' }],
+    lastEvents: {
+      gp_evt1: { id: 'gp_evt1', name: 'Jazz Night', venue_name: 'Smalls' },
+      gp_evt2: { id: 'gp_evt2', name: 'Comedy Cellar Late Show', venue_name: 'Comedy Cellar' },
+    },
+  });
+  enableTestCapture(friendPhone);
+  msgs = await sendAndCapture(intPhone, 'plan with 000-000-0098');
+  let friendMsgs = disableTestCapture(friendPhone);
+  check('group plan: organizer gets 1 confirmation', msgs.length === 1);
+  check('group plan: new number asked for consent first', friendMsgs.length === 1 && /Reply YES/.test(friendMsgs[0].body));
+  check('group plan: consent invite has no picks', !/Jazz Night/.test(friendMsgs[0]?.body || ''));
+
+  msgs = await sendAndCapture(friendPhone, 'yes');
+  check('group plan: YES sends the picks', msgs.length === 1 && /1\. Jazz Night/.test(msgs[0].body));
+
+  enableTestCapture(intPhone);
+  msgs = await sendAndCapture(friendPhone, '2');
+  const organizerMsgs = disableTestCapture(intPhone);
+  check('group plan: vote confirmed to invitee', msgs.length === 1 && /Comedy Cellar Late Show/.test(msgs[0].body));
+  check('group plan: organizer gets tally', organizerMsgs.length === 1 && /Everyone's in — Comedy Cellar Late Show wins/.test(organizerMsgs[0].body));
+  check('group plan: organizer session untouched', hGetSession(intPhone)?.lastPicks?.length === 2);
+  hClearSession(friendPhone);
+  pulseDb.getDb().close();
+  pulseDb.setDb(null);
+
+  // 16. MMS: TEXT ONLY turns picture cards off; cards ride along as mediaUrl when on
+  const prevMms = [process.env.PULSE_MMS_ENABLED, process.env.PULSE_PUBLIC_URL];
+  process.env.PULSE_MMS_ENABLED = 'true';
+  process.env.PULSE_PUBLIC_URL = 'https://pulse.example.com';
+  const { buildCardUrl } = require('../../src/pick-cards');
+  const cardEvent = { name: 'Jazz Night', venue_name: 'Smalls' };
+  hClearSession(intPhone);
+  msgs = await sendAndCapture(intPhone, 'pics on');
+  check('mms: PICS ON confirmed', msgs.length === 1 && /cards are back on/i.test(msgs[0].body));
+  const cardUrl = buildCardUrl(intPhone, { event: cardEvent });
+  check('mms: card URL under /cards/', /^https:\/\/pulse\.example\.com\/cards\/[0-9a-f]+\.png$/.test(cardUrl || ''));
+  enableTestCapture(intPhone);
+  await rawSend(intPhone, 'Jazz Night at Smalls', { mediaUrl: cardUrl });
+  msgs = disableTestCapture(intPhone);
+  check('mms: capture records mediaUrl', msgs[0]?.mediaUrl === cardUrl);
+  msgs = await sendAndCapture(intPhone, 'TEXT ONLY');
+  check('mms: TEXT ONLY confirmed', msgs.length === 1 && /text only/i.test(msgs[0].body));
+  check('mms: no card after TEXT ONLY', buildCardUrl(intPhone, { event: cardEvent }) === null);
+  await sendAndCapture(intPhone, 'pics on');
+  process.env.PULSE_MMS_ENABLED = prevMms[0];
+  process.env.PULSE_PUBLIC_URL = prevMms[1];
+  if (prevMms[0] === undefined) delete process.env.PULSE_MMS_ENABLED;
+  if (prevMms[1] === undefined) delete process.env.PULSE_PUBLIC_URL;
+
+  // 17. Channels: web chat replies land in the outbox, WhatsApp goes through Twilio capture
+  const { CHANNELS, drainOutbox } = require('../../src/channels');
+  const webAddress = 'web:integration-test-01';
+  hClearSession(webAddress);
+  await _handleMessage(webAddress, 'help', { channel: CHANNELS.web });
+  let webMsgs = drainOutbox(webAddress);
+  check('web chat: help lands in outbox', webMsgs.length === 2 && webMsgs[1].body.includes('Bushwick'));
+  check('web chat: outbox drained', drainOutbox(webAddress).length === 0);
+  hClearSession(webAddress);
+  const waAddress = 'whatsapp:+10000000097';
+  msgs = await sendAndCapture(waAddress, 'help');
+  check('whatsapp: help sent to whatsapp address', msgs.length === 2 && msgs[0].to === waAddress);
+  hClearSession(waAddress);
+
   // Cleanup
   hClearSession(intPhone);
   clearSmsIntervals();
@@ -23,7 +23,26 @@ require('./unit/traces-latency.test');
 require('./unit/extraction-cache.test');
 require('./unit/venue-aliases.test');
 require('./unit/places.test');
+const reminders = require('./unit/reminders.test');
+require('./unit/nudges.test');
+const groupPlans = require('./unit/group-plans.test');
+require('./unit/pick-cards.test');
+require('./unit/sms-segments.test');
+require('./unit/calendar.test');
+require('./unit/pick-pages.test');
+require('./unit/date-resolver.test');
+require('./unit/transit.test');
+require('./unit/scrape-guard.test');
+require('./unit/source-health.test');
+require('./unit/source-registry.test');
+require('./unit/cron.test');
+require('./unit/event-dedup.test');
+const location = require('./unit/location.test');
+require('./unit/itinerary.test');
+const channels = require('./unit/channels.test');
+const queryRetrieval = require('./unit/query-retrieval.test');
 const misc = require('./unit/misc.test');
+const weather = require('./unit/weather.test');
 
 // Integration tests
 const smsFlow = require('./integration/sms-flow.test');
@@ -32,6 +51,12 @@ const smsFlow = require('./integration/sms-flow.test');
   // Async unit tests
   await venues.runAsync();
   await misc.runAsync();
+  await channels.runAsync();
+  await location.runAsync();
+  await queryRetrieval.runAsync();
+  await weather.runAsync();
+  await reminders.runAsync();
+  await groupPlans.runAsync();
 
   // Async integration tests
   await smsFlow.runAsync();
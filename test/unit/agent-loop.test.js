@@ -44,6 +44,8 @@ check('search discover -> welcome (no hood/types)', deriveIntent([{ name: 'searc
 check('search discover with hood -> events', deriveIntent([{ name: 'search', params: { intent: 'discover', neighborhood: 'bushwick' } }]) === 'events');
 check('search details -> details', deriveIntent([{ name: 'search', params: { intent: 'details' } }]) === 'details');
 check('search more -> more', deriveIntent([{ name: 'search', params: { intent: 'more' } }]) === 'more');
+check('search save -> save', deriveIntent([{ name: 'search', params: { intent: 'save', reference: '2' } }]) === 'save');
+check('itinerary -> itinerary', deriveIntent([{ name: 'itinerary', params: { reference: '2' } }]) === 'itinerary');
 check('search bars-only -> places', deriveIntent([{ name: 'search', params: { intent: 'discover', types: ['bars'] } }]) === 'places');
 check('search events+bars -> events', deriveIntent([{ name: 'search', params: { intent: 'discover', neighborhood: 'les', types: ['events', 'bars'] } }]) === 'events');
 check('multi-call: last search wins', deriveIntent([
@@ -69,6 +71,7 @@ check('search tool exists in BRAIN_TOOLS', !!searchTool);
 check('search tool has intent required', searchTool.parameters.required.includes('intent'));
 check('search tool has types param', !!searchTool.parameters.properties.types);
 check('search tool has filters param', !!searchTool.parameters.properties.filters);
+check('search tool supports save intent', searchTool.parameters.properties.intent.enum.includes('save'));
 check('no show_welcome tool', !BRAIN_TOOLS.find(t => t.name === 'show_welcome'));
 check('no search_events tool', !BRAIN_TOOLS.find(t => t.name === 'search_events'));
 check('no search_places tool', !BRAIN_TOOLS.find(t => t.name === 'search_places'));
@@ -80,7 +83,10 @@ const lookupTool = BRAIN_TOOLS.find(t => t.name === 'lookup_venue');
 check('lookup_venue tool exists in BRAIN_TOOLS', !!lookupTool);
 check('lookup_venue has venue_name required', lookupTool.parameters.required.includes('venue_name'));
 check('lookup_venue has neighborhood param', !!lookupTool.parameters.properties.neighborhood);
-check('BRAIN_TOOLS has exactly 3 tools', BRAIN_TOOLS.length === 3);
+const itineraryTool = BRAIN_TOOLS.find(t => t.name === 'itinerary');
+check('itinerary tool exists in BRAIN_TOOLS', !!itineraryTool);
+check('itinerary has reference required', itineraryTool.parameters.required.includes('reference'));
+check('BRAIN_TOOLS has exactly 4 tools', BRAIN_TOOLS.length === 4);
 
 // ---- clarify tool in BRAIN_TOOLS ----
 console.log('\nclarify tool:');
@@ -321,7 +327,7 @@ check('flow: "jazz in the east village" IS detected as new query', isNewQuery2);
 check('flow: BRAIN_TOOLS includes clarify normally', BRAIN_TOOLS.some(t => t.name === 'clarify'));
 const filteredTools = BRAIN_TOOLS.filter(t => t.name !== 'clarify');
 check('flow: filtered tools exclude clarify', !filteredTools.some(t => t.name === 'clarify'));
-check('flow: filtered tools still have search + lookup_venue', filteredTools.length === 2);
+check('flow: filtered tools still have search + lookup_venue + itinerary', filteredTools.length === 3);
 
 clearSession(flowPhone);
 
@@ -342,6 +348,12 @@ clearSession(flowPhone);
   const staleResult = await executeTool('search', { intent: 'details', reference: '1' }, staleSession2, '+1234', dummyTrace);
   check('details stale returns stale', staleResult.stale === true);
 
+  // An unreadable date_range goes back to the model instead of searching today
+  const dateTrace = { events: {}, composition: {} };
+  const badDate = await executeTool('search', { intent: 'discover', neighborhood: 'Bushwick', types: ['events'], filters: { date_range: 'when the moon is full' } }, {}, '+10000000000', dateTrace);
+  check('unresolved date_range → clarify result', badDate.unresolved_date === true && /when the moon is full/.test(badDate.message) && !badDate.items);
+  check('unresolved date_range traced', dateTrace.events.date_range_unresolved === 'when the moon is full');
+
   // ---- executeTool lookup_venue ----
   console.log('\nexecuteTool lookup_venue:');
 
@@ -349,6 +361,18 @@ clearSession(flowPhone);
   check('lookup_venue returns object', typeof lookupResult === 'object');
   check('lookup_venue without API key returns not_found', lookupResult.not_found === true);
   check('lookup_venue is not unknown tool', !lookupResult.error?.includes('Unknown tool'));
+
+  // ---- executeTool itinerary ----
+  console.log('\nexecuteTool itinerary:');
+
+  const itinTrace = { events: {}, composition: {} };
+  const itin = await executeTool('itinerary', { reference: 'jazz' }, detailsSession, '+1234', itinTrace);
+  check('itinerary anchors on the referenced pick', itin.anchor === 'Jazz Night' && itin.stops.some(s => s.slot === 'event' && s.start === '10:00pm'));
+  check('itinerary explains empty slots without places', itin.skipped?.some(s => s.slot === 'dinner' && /no restaurants/.test(s.reason)));
+  check('itinerary stops drop internal minutes', itin.stops.every(s => s.start_min === undefined));
+  check('itinerary traced', itinTrace.composition.itinerary?.event_id === 'e1');
+  const itinMissing = await executeTool('itinerary', { reference: 'the opera' }, detailsSession, '+1234', dummyTrace);
+  check('itinerary unknown pick → not_found', itinMissing.not_found === true);
 })();
 
 // ---- buildNativeHistory ----
@@ -469,6 +493,7 @@ check('search with only neighborhood', buildPreemptCopy('search', { intent: 'dis
 check('search with only category', buildPreemptCopy('search', { intent: 'discover', filters: { categories: ['jazz'] } }) === 'Looking at jazz tonight…');
 check('search humanizes underscored category', buildPreemptCopy('search', { intent: 'discover', neighborhood: 'williamsburg', filters: { categories: ['live_music'] } }) === 'Looking at live music in williamsburg tonight…');
 check('search with intent=more', buildPreemptCopy('search', { intent: 'more' }) === 'Finding more picks…');
+check('search with intent=save skips pre-empt', buildPreemptCopy('search', { intent: 'save', reference: '1' }) === null);
 
 // ---- resolveDetailUrl (single correct URL for details, 2026-05-26) ----
 // Regression: details URL was re-derived from SMS prose via venue match, which
@@ -1,5 +1,5 @@
 const { check } = require('../helpers');
-const { curatePool, computeNearbyHighlight } = require('../../src/brain-execute');
+const { curatePool, computeNearbyHighlight, queryNamesVenue } = require('../../src/brain-execute');
 
 console.log('\ncuratePool:');
 
@@ -85,3 +85,10 @@ const strongReq = [
 const weakNearby = [{ neighborhood: 'Williamsburg', interestingness: 2 }];
 check('no highlight when requested is stronger', computeNearbyHighlight(strongReq, weakNearby, 'Greenpoint') === null);
 check('no highlight with empty nearby', computeNearbyHighlight(reqEvents, [], 'Greenpoint') === null);
+
+console.log('\nqueryNamesVenue:');
+
+check('venue named in the query', queryNamesVenue("what's on at Baby's All Right tonight", "Baby's All Right"));
+check('leading "the" optional', queryNamesVenue('anything at sultan room', 'The Sultan Room'));
+check('partial word is not a mention', !queryNamesVenue('elsewhereville party', 'Elsewhere'));
+check('no query → no mention', !queryNamesVenue(undefined, 'Elsewhere'));
@@ -0,0 +1,77 @@
+const { check } = require('../helpers');
+const { buildEventIcs, calendarUrl, nycWallClock, formatWallClock, escapeText, foldLine, buildRrule } = require('../../src/calendar');
+
+// ---- wall-clock parsing ----
+console.log('\ncalendar wall-clock:');
+
+check('offset-less string read as NYC wall-clock', formatWallClock(nycWallClock('2026-01-15T21:00:00')) === '20260115T210000');
+check('winter (EST) offset converts to NYC', formatWallClock(nycWallClock('2026-01-16T02:00:00Z')) === '20260115T210000');
+check('summer (EDT) offset converts to NYC', formatWallClock(nycWallClock('2026-07-16T01:00:00Z')) === '20260715T210000');
+check('explicit -04:00 kept as 9pm', formatWallClock(nycWallClock('2026-07-15T21:00:00-04:00')) === '20260715T210000');
+check('missing seconds ok', formatWallClock(nycWallClock('2026-03-08T20:30')) === '20260308T203000');
+check('bad input -> NaN', isNaN(nycWallClock('tonight')));
+
+// ---- escaping + folding ----
+console.log('\ncalendar text:');
+
+check('commas/semicolons escaped', escapeText('Jazz, Late; Set') === 'Jazz\\, Late\\; Set');
+check('newlines escaped', escapeText('a\nb') === 'a\\nb');
+check('backslash escaped first', escapeText('a\\b') === 'a\\\\b');
+check('short line not folded', foldLine('SUMMARY:Jazz') === 'SUMMARY:Jazz');
+const folded = foldLine('DESCRIPTION:' + 'é'.repeat(60));
+check('folded lines within 75 octets', folded.split('\r\n').every(l => Buffer.byteLength(l) <= 75));
+check('continuation lines start with space', folded.split('\r\n').slice(1).every(l => l.startsWith(' ')));
+check('folding keeps content', folded.replace(/\r\n /g, '') === 'DESCRIPTION:' + 'é'.repeat(60));
+
+// ---- RRULE ----
+console.log('\ncalendar RRULE:');
+
+check('weekly on pattern weekday', buildRrule({ day_of_week: 2 }) === 'RRULE:FREQ=WEEKLY;BYDAY=TU');
+check('sunday is SU', buildRrule({ day_of_week: 0 }) === 'RRULE:FREQ=WEEKLY;BYDAY=SU');
+check('UNTIL covers end of active_until NYC day', buildRrule({ day_of_week: 4, active_until: '2026-04-09' }) === 'RRULE:FREQ=WEEKLY;BYDAY=TH;UNTIL=20260410T045959Z');
+
+// ---- buildEventIcs ----
+console.log('\nbuildEventIcs:');
+
+const event = {
+  id: 'evt_abc', name: 'Jazz Night', venue_name: 'Smalls', venue_address: '183 W 10th St',
+  start_time_local: '2026-11-03T21:00:00', end_time_local: '2026-11-03T23:30:00',
+  description_short: 'Two sets, late jam', price_display: '$20', ticket_url: 'https://example.com/jazz',
+};
+const ics = buildEventIcs(event, { nowMs: Date.UTC(2026, 9, 1) });
+const lines = ics.split('\r\n');
+check('CRLF line endings', ics.includes('\r\n') && !/[^\r]\n/.test(ics));
+check('VCALENDAR wrapper', lines[0] === 'BEGIN:VCALENDAR' && lines[lines.length - 2] === 'END:VCALENDAR');
+check('includes NYC VTIMEZONE', ics.includes('BEGIN:VTIMEZONE') && ics.includes('TZID:America/New_York'));
+check('DTSTART in NYC wall-clock after DST ends', lines.includes('DTSTART;TZID=America/New_York:20261103T210000'));
+check('DTEND from end_time_local', lines.includes('DTEND;TZID=America/New_York:20261103T233000'));
+check('UID from event id', lines.includes('UID:evt_abc@pulse-sms'));
+check('DTSTAMP in UTC', lines.includes('DTSTAMP:20261001T000000Z'));
+check('LOCATION has venue + address', lines.includes('LOCATION:Smalls\\, 183 W 10th St'));
+check('DESCRIPTION has source link', ics.replace(/\r\n /g, '').includes('https://example.com/jazz'));
+check('URL line', lines.includes('URL:https://example.com/jazz'));
+check('no RRULE for one-off', !ics.includes('RRULE:FREQ=WEEKLY'));
+
+const noEnd = buildEventIcs({ id: 'x', name: 'Show', start_time_local: '2026-03-08T01:30:00' });
+check('default 2h duration', noEnd.includes('DTEND;TZID=America/New_York:20260308T033000'));
+const allDay = buildEventIcs({ id: 'fair', name: 'Street Fair', date_local: '2026-06-30' });
+check('date-only event is all-day', allDay.includes('DTSTART;VALUE=DATE:20260630') && allDay.includes('DTEND;VALUE=DATE:20260701'));
+check('no date -> null', buildEventIcs({ id: 'x', name: 'Someday' }) === null);
+
+const pattern = { pattern_key: 'jazz night|smalls|2', day_of_week: 2, time_local: '21:00', active_until: '2026-12-01' };
+const recurring = buildEventIcs({ ...event, is_recurring: true, recurrence_label: 'every Tuesday' }, { pattern });
+check('recurring emits weekly RRULE', recurring.includes('RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20261202T045959Z'));
+check('recurring UID is stable per pattern', recurring.includes('UID:recurring-') && buildEventIcs({ ...event, id: 'other' }, { pattern }).match(/UID:(.*)/)[1] === recurring.match(/UID:(.*)/)[1]);
+const untimed = buildEventIcs({ id: 'u', name: 'Trivia', date_local: '2026-11-10' }, { pattern });
+check('untimed instance borrows pattern time', untimed.includes('DTSTART;TZID=America/New_York:20261110T210000'));
+
+// ---- calendarUrl ----
+console.log('\ncalendarUrl:');
+
+const prevUrl = process.env.PULSE_PUBLIC_URL;
+delete process.env.PULSE_PUBLIC_URL;
+check('no public URL -> null', calendarUrl(event) === null);
+process.env.PULSE_PUBLIC_URL = 'https://pulse.example.com/';
+check('link under /e/:id.ics', calendarUrl(event) === 'https://pulse.example.com/e/evt_abc.ics');
+check('undated event -> null', calendarUrl({ id: 'x' }) === null);
+if (prevUrl === undefined) delete process.env.PULSE_PUBLIC_URL; else process.env.PULSE_PUBLIC_URL = prevUrl;
@@ -0,0 +1,75 @@
+const { check } = require('../helpers');
+const { CHANNELS, SMS_CHAR_LIMIT, channelForAddress, sendMessage, drainOutbox, issueWebSession, verifyWebToken } = require('../../src/channels');
+const { enableTestCapture, disableTestCapture } = require('../../src/twilio');
+
+// ---- channelForAddress ----
+console.log('\nchannelForAddress:');
+
+check('E.164 number -> sms', channelForAddress('+19175551234').name === 'sms');
+check('whatsapp: prefix -> whatsapp', channelForAddress('whatsapp:+19175551234').name === 'whatsapp');
+check('web: prefix -> web', channelForAddress('web:abc12345').name === 'web');
+check('missing address -> sms', channelForAddress(undefined).name === 'sms');
+
+// ---- limits + capabilities ----
+console.log('\nchannel limits:');
+
+check('sms keeps the 480 cap', CHANNELS.sms.maxChars === 480 && SMS_CHAR_LIMIT === 480);
+check('whatsapp allows longer replies', CHANNELS.whatsapp.maxChars === 1600);
+check('web allows longer replies', CHANNELS.web.maxChars > CHANNELS.sms.maxChars);
+check('only sms is segment-billed', CHANNELS.sms.segmentBilled && !CHANNELS.whatsapp.segmentBilled && !CHANNELS.web.segmentBilled);
+check('web has no media', CHANNELS.web.supportsMedia === false);
+
+// ---- parseInbound ----
+console.log('\nparseInbound:');
+
+const sms = CHANNELS.sms.parseInbound({ Body: ' hey ', From: '+19175551234', MessageSid: 'SM1' });
+check('sms: Twilio fields mapped', sms?.address === '+19175551234' && sms.message === 'hey' && sms.messageId === 'SM1');
+check('sms: empty body rejected', CHANNELS.sms.parseInbound({ Body: '  ', From: '+19175551234' }) === null);
+const wa = CHANNELS.whatsapp.parseInbound({ Body: 'bushwick', From: 'whatsapp:+19175551234', MessageSid: 'SM2' });
+check('whatsapp: address keeps prefix', wa?.address === 'whatsapp:+19175551234');
+check('whatsapp: plain number rejected', CHANNELS.whatsapp.parseInbound({ Body: 'hi', From: '+19175551234' }) === null);
+const web = CHANNELS.web.parseInbound({ user_id: 'client_abc123', message: 'comedy tonight' });
+check('web: address namespaced', web?.address === 'web:client_abc123' && web.message === 'comedy tonight');
+check('web: short user_id rejected', CHANNELS.web.parseInbound({ user_id: 'abc', message: 'hi' }) === null);
+check('web: odd characters rejected', CHANNELS.web.parseInbound({ user_id: '../../etc/passwd', message: 'hi' }) === null);
+check('web: non-string message rejected', CHANNELS.web.parseInbound({ user_id: 'client_abc123', message: { x: 1 } }) === null);
+check('web: long message clipped', CHANNELS.web.parseInbound({ user_id: 'client_abc123', message: 'a'.repeat(5000) }).message.length === 1000);
+
+const pin = CHANNELS.whatsapp.parseInbound({ Body: '', From: 'whatsapp:+19175551234', Latitude: '40.7218', Longitude: '-73.98765', Label: "Katz's Delicatessen" });
+check('whatsapp: location pin becomes a message', pin?.message === "Shared location: 40.72180,-73.98765 (Katz's Delicatessen)");
+check('whatsapp: bad coordinates ignored', CHANNELS.whatsapp.parseInbound({ Body: '', From: 'whatsapp:+19175551234', Latitude: 'x', Longitude: '-73.9' }) === null);
+const webPin = CHANNELS.web.parseInbound({ user_id: 'client_abc123', message: 'whats good', location: { lat: 40.7218, lng: -73.9877 } });
+check('web: location appended to message', webPin?.message === 'whats good\nShared location: 40.72180,-73.98770');
+check('web: location alone is enough', CHANNELS.web.parseInbound({ user_id: 'client_abc123', location: { lat: 40.7, lng: -73.9 } })?.message.startsWith('Shared location'));
+
+// ---- web chat tokens ----
+console.log('\nweb chat tokens:');
+
+const webSession = issueWebSession();
+check('issued id is a valid client id', CHANNELS.web.parseInbound({ user_id: webSession.clientId, message: 'hi' }) !== null);
+check('fresh sessions get distinct ids', issueWebSession().clientId !== webSession.clientId);
+check('token verifies to its id', verifyWebToken(webSession.token) === webSession.clientId);
+check('token for another id rejected', verifyWebToken(webSession.token.replace(webSession.clientId, 'client_abc123')) === null);
+check('tampered signature rejected', verifyWebToken(webSession.token.slice(0, -2) + 'xx') === null);
+check('bare id rejected', verifyWebToken(webSession.clientId) === null && verifyWebToken(null) === null);
+
+// ---- sending ----
+module.exports.runAsync = async function() {
+  console.log('\nchannel send:');
+
+  await sendMessage('web:client_abc123', 'first');
+  await sendMessage('web:client_abc123', 'second', { mediaUrl: 'https://example.com/x.png' });
+  const queued = drainOutbox('web:client_abc123');
+  check('web: messages queued in order', queued.map(m => m.body).join(',') === 'first,second');
+  check('web: mediaUrl kept on queued message', queued[1].mediaUrl === 'https://example.com/x.png');
+  check('web: drain empties outbox', drainOutbox('web:client_abc123').length === 0);
+  for (let i = 0; i < 25; i++) await sendMessage('web:client_cap0001', `m${i}`);
+  const capped = drainOutbox('web:client_cap0001');
+  check('web: outbox keeps newest 20', capped.length === 20 && capped[0].body === 'm5');
+
+  const waAddress = 'whatsapp:+10000000096';
+  enableTestCapture(waAddress);
+  await sendMessage(waAddress, 'hello from whatsapp');
+  const captured = disableTestCapture(waAddress);
+  check('whatsapp: routed through Twilio send', captured.length === 1 && captured[0].to === waAddress);
+};
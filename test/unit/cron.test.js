@@ -0,0 +1,66 @@
+const { check } = require('../helpers');
+const { parseCron, nextCronRun, runsPerDay } = require('../../src/cron');
+const { SOURCE_SCHEDULES, VOLATILE_REFRESH_CRON, validateSources } = require('../../src/source-registry');
+const { getScheduleTable } = require('../../src/events');
+
+const iso = d => d && d.toISOString();
+
+// ---- parseCron ----
+console.log('\nparseCron:');
+
+const c = parseCron('0 8,13,15,21 * * *');
+check('list of hours', [...c.hour].join(',') === '8,13,15,21');
+check('single minute', [...c.minute].join(',') === '0');
+check('step', [...parseCron('*/15 * * * *').minute].join(',') === '0,15,30,45');
+check('range with step', [...parseCron('0 9-17/4 * * *').hour].join(',') === '9,13,17');
+check('7 is Sunday', parseCron('0 9 * * 7').dayOfWeek.has(0));
+const threw = expr => { try { parseCron(expr); return null; } catch (err) { return err.message; } };
+check('hour out of range', /hour "25" out of range/.test(threw('0 25 * * *')));
+check('too few fields', /needs 5 fields/.test(threw('0 8 * *')));
+check('garbage field', /bad minute/.test(threw('x 8 * * *')));
+
+// ---- nextCronRun (NYC time) ----
+console.log('\nnextCronRun:');
+
+// Monday 2026-10-19 12:30 EDT
+const monday = new Date('2026-10-19T16:30:00Z');
+check('next hour in the list', iso(nextCronRun('0 8,13,15,21 * * *', monday)) === '2026-10-19T17:00:00.000Z');
+check('strictly after now', iso(nextCronRun('30 12 * * *', monday)) === '2026-10-20T16:30:00.000Z');
+check('day-of-week', iso(nextCronRun('0 13 * * 5,6', monday)) === '2026-10-23T17:00:00.000Z');
+check('day-of-month or day-of-week when both set', iso(nextCronRun('0 9 20 * 5', monday)) === '2026-10-20T13:00:00.000Z');
+check('wraps past midnight', iso(nextCronRun('0 6 * * *', new Date('2026-10-20T03:00:00Z'))) === '2026-10-20T10:00:00.000Z');
+check('after DST ends uses EST', iso(nextCronRun('0 8 * * *', new Date('2026-11-01T12:00:00Z'))) === '2026-11-01T13:00:00.000Z');
+check('impossible date → null', nextCronRun('0 0 30 2 *', monday) === null);
+
+// ---- runsPerDay ----
+console.log('\nrunsPerDay:');
+
+check('four a day', runsPerDay('0 8,13,15,21 * * *') === 4);
+check('two weekdays averaged over the week', runsPerDay('0 13 * * 5,6') === 2 / 7);
+check('every 15 minutes', runsPerDay('*/15 * * * *') === 96);
+check('Sunday as 0 and 7 counted once', runsPerDay('0 9 * * 0,7') === 1 / 7);
+
+// ---- source schedules ----
+console.log('\nsource schedules:');
+
+check('volatile web source refreshes intraday', SOURCE_SCHEDULES.Skint === VOLATILE_REFRESH_CRON);
+check('manifest cron wins', SOURCE_SCHEDULES.BKMag === '0 13 * * 5,6');
+check('email sources left to the email poll', !('Yutori' in SOURCE_SCHEDULES));
+check('bad cron fails validation', (() => {
+  try {
+    validateSources([{ label: 'T', module: 'dice', fetch: 'fetchDiceEvents', enabled: false, channel: 'web', tier: 'structured', weight: 0.5, mergeRank: 99, cron: '0 99 * * *' }], {});
+    return false;
+  } catch (err) {
+    return /T: cron "0 99 \* \* \*": hour "99" out of range/.test(err.message);
+  }
+})());
+
+// ---- getScheduleTable ----
+console.log('\ngetScheduleTable:');
+
+const table = getScheduleTable(new Date('2026-10-23T16:30:00Z')); // Friday 12:30 EDT
+check('full scrape listed', table.some(r => r.job === 'full scrape' && r.next_run === '2026-10-23T22:00:00.000Z'));
+check('email poll listed', table.some(r => r.job === 'email poll' && r.sources.includes('Yutori')));
+check('per-source refreshes listed', table.filter(r => r.job === 'source refresh').map(r => r.sources[0]).sort().join(',') === 'BKMag,Skint');
+check('soonest first', table.every((r, i) => i === 0 || table[i - 1].next_run <= r.next_run));
+check('first run is Skint at 1pm', table[0].sources[0] === 'Skint' && table[0].next_run === '2026-10-23T17:00:00.000Z');
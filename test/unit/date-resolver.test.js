@@ -0,0 +1,132 @@
+const { check } = require('../helpers');
+const { resolveDateExpression, resolveTimeWindow, normalizeClockTime, nycToday, nthWeekday } = require('../../src/date-resolver');
+const { resolveDateRange } = require('../../src/brain-execute');
+
+// Monday 2026-10-19, noon NYC (EDT)
+const MON = Date.parse('2026-10-19T16:00:00Z');
+const r = (text, nowMs = MON) => resolveDateExpression(text, { nowMs });
+const span = (text, nowMs) => {
+  const res = r(text, nowMs);
+  return res ? `${res.start}..${res.end}` : null;
+};
+
+// ---- named buckets ----
+console.log('\ndate resolver buckets:');
+
+check('today', span('today') === '2026-10-19..2026-10-19');
+check('tomorrow', span('tomorrow') === '2026-10-20..2026-10-20');
+check('this_weekend from Monday → Sat-Sun', span('this_weekend') === '2026-10-24..2026-10-25');
+check('this_weekend from Friday includes tonight', span('this_weekend', Date.parse('2026-10-23T16:00:00Z')) === '2026-10-23..2026-10-25');
+check('this_weekend from Saturday → Sat-Sun', span('this_weekend', Date.parse('2026-10-24T16:00:00Z')) === '2026-10-24..2026-10-25');
+check('this_weekend from Sunday → Sunday only', span('this_weekend', Date.parse('2026-10-25T16:00:00Z')) === '2026-10-25..2026-10-25');
+check('this_week → through Sunday', span('this_week') === '2026-10-19..2026-10-25');
+check('next_week → Mon-Sun', span('next_week') === '2026-10-26..2026-11-01');
+check('next_week from Sunday → tomorrow', span('next_week', Date.parse('2026-10-25T16:00:00Z')) === '2026-10-26..2026-11-01');
+check('next weekend', span('next weekend') === '2026-10-31..2026-11-01');
+
+// ---- ISO dates and ranges ----
+console.log('\ndate resolver ISO:');
+
+check('ISO date', span('2026-10-24') === '2026-10-24..2026-10-24');
+check('ISO range with slash', span('2026-10-24/2026-10-26') === '2026-10-24..2026-10-26');
+check('ISO range with ..', span('2026-10-24..2026-10-26') === '2026-10-24..2026-10-26');
+check('reversed ISO range is ordered', span('2026-10-26/2026-10-24') === '2026-10-24..2026-10-26');
+check('long range capped at 31 days', span('2026-10-01/2027-03-01') === '2026-10-01..2026-10-31');
+check('ISO date whose month-day looks like a time range', span('2026-11-01') === '2026-11-01..2026-11-01'
+  && span('2026-10-23') === '2026-10-23..2026-10-23' && span('2026-12-12') === '2026-12-12..2026-12-12');
+check('ISO date carries no time window', r('2026-11-05').time_after === undefined && r('2026-11-05').time_before === undefined);
+check('ISO date with a time', r('2026-11-01 9pm').start === '2026-11-01' && r('2026-11-01 9pm').time_after === '21:00');
+check('invalid ISO date → null', r('2026-02-30') === null);
+check('invalid ISO range → null', r('2026-10-24/2026-13-01') === null);
+
+// ---- free text ----
+console.log('\ndate resolver free text:');
+
+check('tonight', span('tonight') === '2026-10-19..2026-10-19');
+check('weekday → upcoming', span('friday') === '2026-10-23..2026-10-23');
+check('abbreviated weekday', span('sat') === '2026-10-24..2026-10-24');
+check('same weekday → today', span('monday') === '2026-10-19..2026-10-19');
+check('next friday → next week', span('next friday') === '2026-10-30..2026-10-30');
+check('friday the 23rd', span('friday the 23rd') === '2026-10-23..2026-10-23');
+check('friday the 30th', span('fri the 30th') === '2026-10-30..2026-10-30');
+check('the 24th', span('the 24th') === '2026-10-24..2026-10-24');
+check('past day of month → next month', span('the 5th') === '2026-11-05..2026-11-05');
+check('month name', span('oct 24') === '2026-10-24..2026-10-24');
+check('month name, ordinal', span('october 24th') === '2026-10-24..2026-10-24');
+check('numeric m/d', span('10/24') === '2026-10-24..2026-10-24');
+check('past month/day → next year', span('jan 5') === '2027-01-05..2027-01-05');
+check('impossible date → null', r('feb 30') === null);
+check('halloween', span('halloween') === '2026-10-31..2026-10-31');
+check('thanksgiving is 4th Thursday', span('thanksgiving') === '2026-11-26..2026-11-26');
+check('past holiday rolls to next year', span('valentines day') === '2027-02-14..2027-02-14');
+check('in N days', span('in 3 days') === '2026-10-22..2026-10-22');
+check('weekday range', span('friday to sunday') === '2026-10-23..2026-10-25');
+check('date range through', span('oct 24 through oct 26') === '2026-10-24..2026-10-26');
+check('unparseable → null', r('whenever works') === null);
+check('empty → null', r('') === null && r(null) === null);
+
+// ---- time windows ----
+console.log('\ndate resolver time windows:');
+
+const sat = r('saturday afternoon');
+check('part of day: date', sat.start === '2026-10-24');
+check('part of day: afternoon window', sat.time_after === '12:00' && sat.time_before === '17:00');
+check('late night is open-ended', r('friday late night').time_after === '22:00' && !r('friday late night').time_before);
+const between = r('between 7 and 9');
+check('time-only → today', between.start === '2026-10-19');
+check('bare hours read as pm', between.time_after === '19:00' && between.time_before === '21:00');
+check('7-9pm', r('7-9pm').time_after === '19:00' && r('7-9pm').time_before === '21:00');
+check('10am-2pm', r('10am-2pm').time_after === '10:00' && r('10am-2pm').time_before === '14:00');
+check('from 9 to 11am stays morning', r('from 9 to 11am').time_after === '09:00');
+check('between 11 and 1 wraps past midnight', r('between 11 and 1').time_before === '01:00');
+check('after 10 → 22:00, no end', r('tonight after 10').time_after === '22:00' && !r('tonight after 10').time_before);
+check('before 9 → end bound only', r('before 9').time_before === '21:00' && !r('before 9').time_after);
+check('bare "11 to 1" is a time window, not Nov 11-Dec 1', span('11 to 1') === '2026-10-19..2026-10-19'
+  && r('11 to 1').time_after === '23:00' && r('11 to 1').time_before === '01:00');
+check('bare hours on a named day', span('friday 11 to 1') === '2026-10-23..2026-10-23' && r('friday 11 to 1').time_before === '01:00');
+check('month context keeps day ranges', span('oct 11 to 13') === '2027-10-11..2027-10-13' && !('time_after' in r('oct 11 to 13')));
+check('day word + clock time', span('friday 9pm') === '2026-10-23..2026-10-23' && r('friday 9pm').time_after === '21:00' && !r('friday 9pm').time_before);
+check('tomorrow + clock time', span('tomorrow 8pm') === '2026-10-20..2026-10-20' && r('tomorrow 8pm').time_after === '20:00');
+check('clock time with minutes', r('tomorrow 8:30').time_after === '20:30' && r('oct 24 9:30pm').start === '2026-10-24');
+check('day of month is not a clock time', span('fri 24') === '2026-10-24..2026-10-24' && !('time_after' in r('fri 24')));
+check('date + window', span('friday 8-11pm') === '2026-10-23..2026-10-23' && r('friday 8-11pm').time_before === '23:00');
+check('no time → no window keys', !('time_after' in r('friday')));
+check('resolveTimeWindow: none', resolveTimeWindow('friday') === null);
+
+console.log('\ndate resolver clock times:');
+
+check('HH:MM passes', normalizeClockTime('19:00') === '19:00');
+check('7pm → 19:00', normalizeClockTime('7pm') === '19:00');
+check('9:30pm', normalizeClockTime('9:30pm') === '21:30');
+check('12am → 00:00', normalizeClockTime('12am') === '00:00');
+check('midnight', normalizeClockTime('midnight') === '00:00');
+check('noon', normalizeClockTime('noon') === '12:00');
+check('bad time → null', normalizeClockTime('25:00') === null && normalizeClockTime('late') === null);
+
+// ---- DST boundaries ----
+console.log('\ndate resolver DST:');
+
+// Spring forward: 2026-03-08 2am EST → 3am EDT
+check('11:30pm EST Mar 7 is still Mar 7', nycToday(Date.parse('2026-03-08T04:30:00Z')) === '2026-03-07');
+check('tomorrow from Mar 7 late night → Mar 8', span('tomorrow', Date.parse('2026-03-08T04:30:00Z')) === '2026-03-08..2026-03-08');
+check('3:30am EDT Mar 8 is Mar 8', nycToday(Date.parse('2026-03-08T07:30:00Z')) === '2026-03-08');
+check('tomorrow on spring-forward day → Mar 9', span('tomorrow', Date.parse('2026-03-08T07:30:00Z')) === '2026-03-09..2026-03-09');
+check('next_week across spring forward', span('next_week', Date.parse('2026-03-06T17:00:00Z')) === '2026-03-09..2026-03-15');
+// Fall back: 2026-11-01 2am EDT → 1am EST
+check('11:59pm EDT Oct 31 is still Oct 31', nycToday(Date.parse('2026-11-01T03:59:00Z')) === '2026-10-31');
+check('tomorrow from Halloween night → Nov 1', span('tomorrow', Date.parse('2026-11-01T03:59:00Z')) === '2026-11-01..2026-11-01');
+check('1:30am EST (second pass) is Nov 1', nycToday(Date.parse('2026-11-01T06:30:00Z')) === '2026-11-01');
+check('11:30pm EST Nov 1 is still Nov 1', nycToday(Date.parse('2026-11-02T04:30:00Z')) === '2026-11-01');
+check('tomorrow late on fall-back day → Nov 2', span('tomorrow', Date.parse('2026-11-02T04:30:00Z')) === '2026-11-02..2026-11-02');
+check('weekend spanning fall back', span('this_weekend', Date.parse('2026-10-30T16:00:00Z')) === '2026-10-30..2026-11-01');
+check('UTC midnight is still the prior NYC day', span('today', Date.parse('2026-07-04T02:00:00Z')) === '2026-07-03..2026-07-03');
+check('memorial day = last Monday of May', nthWeekday(2026, 5, 1, -1) === '2026-05-25');
+check('labor day = first Monday of Sept', nthWeekday(2026, 9, 1, 1) === '2026-09-07');
+
+// ---- resolveDateRange (search tool) ----
+console.log('\nresolveDateRange:');
+
+check('delegates to resolver', resolveDateRange('friday the 23rd', { nowMs: MON }).start === '2026-10-23');
+check('enum still resolves', resolveDateRange('this_weekend', { nowMs: MON }).end === '2026-10-25');
+check('carries time window', resolveDateRange('saturday afternoon', { nowMs: MON }).time_before === '17:00');
+check('null for empty', resolveDateRange(null) === null);
@@ -737,4 +737,96 @@ function createTestDbWithHistory() {
   db.close();
 }
 
+// ============================================================
+// user_profiles tests
+// ============================================================
+
+// 27. applyProfileSignals: search + engagement folding
+{
+  console.log('\nUser profiles:');
+
+  const { applyProfileSignals, rowToProfile } = require('../../src/db');
+
+  const first = applyProfileSignals(null, {
+    neighborhood: 'Bushwick', categories: ['comedy'], free_only: true, time_after: '22:00', searched: true,
+  }, { today: '2026-03-01' });
+  check('profile: new row starts session_count at 1', first.session_count === 1);
+  check('profile: neighborhood counted', first.neighborhoods.Bushwick === 1);
+  check('profile: category counted', first.categories.comedy === 1);
+  check('profile: free search counted', first.free_session_count === 1);
+  check('profile: late time counted', first.late_time_count === 1 && first.timed_session_count === 1);
+  check('profile: last_active_date set', first.last_active_date === '2026-03-01');
+
+  const asRow = {
+    ...first,
+    neighborhoods_json: JSON.stringify(first.neighborhoods),
+    categories_json: JSON.stringify(first.categories),
+    subcategories_json: JSON.stringify(first.subcategories),
+  };
+  const sameDay = applyProfileSignals(asRow, { neighborhood: 'Bushwick', categories: ['art'], searched: true }, { today: '2026-03-01' });
+  check('profile: same NYC day does not bump session_count', sameDay.session_count === 1);
+  check('profile: repeat neighborhood accumulates', sameDay.neighborhoods.Bushwick === 2);
+
+  const nextDay = applyProfileSignals(asRow, { neighborhood: 'LES', categories: ['comedy'], subcategory: 'standup' }, { weight: 2, today: '2026-03-02' });
+  check('profile: new day bumps session_count', nextDay.session_count === 2);
+  check('profile: engagement weight applied', nextDay.categories.comedy === 3);
+  check('profile: subcategory counted', nextDay.subcategories.standup === 2);
+  check('profile: engagement does not count as a search', nextDay.total_picks_session_count === 1);
+
+  const citywide = applyProfileSignals(null, { neighborhood: 'citywide', searched: true }, { today: '2026-03-01' });
+  check('profile: citywide not stored as a neighborhood', Object.keys(citywide.neighborhoods).length === 0);
+
+  const corrupt = applyProfileSignals({ categories_json: 'not json', session_count: 4 }, { categories: ['film'] }, { today: '2026-03-01' });
+  check('profile: corrupt JSON recovers to empty map', corrupt.categories.film === 1 && corrupt.session_count === 5);
+
+  // Preferences need a few searches of evidence
+  let row = null;
+  for (let i = 0; i < 3; i++) {
+    const next = applyProfileSignals(row, { free_only: true, time_after: '21:30', searched: true }, { today: `2026-03-0${i + 1}` });
+    row = { ...next, neighborhoods_json: '{}', categories_json: '{}', subcategories_json: '{}' };
+  }
+  check('profile: mostly-free searches derive free price preference', row.price_preference === 'free');
+  check('profile: mostly-late searches derive late time preference', row.time_preference === 'late');
+
+  const profile = rowToProfile({ ...row, categories_json: '{"comedy":3}' });
+  check('rowToProfile: maps to scoreSurprise shape', profile.sessionCount === 3 && profile.categories.comedy === 3);
+  check('rowToProfile: null row returns null', rowToProfile(undefined) === null);
+}
+
+// 28. user_profiles: searches and engagements persist through the singleton (in-memory DB)
+{
+  const pulseDb = require('../../src/db');
+  pulseDb.setDb(new Database(':memory:'));
+  pulseDb.recordProfileSearch('hash_profile', { neighborhood: 'Bushwick', filters: { categories: ['comedy', 'live_music'], free_only: true, time_after: '22:00' } });
+  pulseDb.recordProfileSearch('hash_profile', { neighborhood: 'citywide', filters: { category: 'comedy' } });
+  pulseDb.recordProfileEngagement('hash_profile', { neighborhood: 'Bushwick', category: 'comedy', subcategory: 'standup' });
+  const profile = pulseDb.getUserProfile('hash_profile');
+  check('user_profiles: one row per phone_hash, same-day signals are one session', pulseDb.getDb().prepare('SELECT COUNT(*) AS n FROM user_profiles').get().n === 1
+    && profile.sessionCount === 1);
+  check('user_profiles: searches count once, engagement twice', profile.categories.comedy === 4 && profile.categories.live_music === 1);
+  check('user_profiles: citywide searches add no neighborhood', JSON.stringify(profile.neighborhoods) === '{"Bushwick":3}');
+  check('user_profiles: engagement records the subcategory', profile.subcategories.standup === 2);
+  check('user_profiles: two searches are too few for a price preference', profile.pricePreference === 'any');
+  check('user_profiles: unknown phone → null', pulseDb.getUserProfile('hash_nobody') === null);
+  pulseDb.getDb().close();
+  pulseDb.setDb(null);
+}
+
 module.exports = {};
+
+// ---- venue blocks (singleton on an in-memory DB) ----
+console.log('\nvenue blocks:');
+{
+  const pulseDb = require('../../src/db');
+  pulseDb.setDb(new Database(':memory:'));
+  const profileBlocks = () => pulseDb.getUserProfile('hash_blocks')?.blockedVenues || [];
+  pulseDb.addVenueBlocks('hash_blocks', ['Elsewhere', "Baby's All Right"]);
+  check('blocks remembered', profileBlocks().join(',') === "Elsewhere,Baby's All Right");
+  pulseDb.removeVenueBlocks('hash_blocks', ['elsewhere']);
+  check('unblock lifts just that venue', profileBlocks().join(',') === "Baby's All Right");
+  pulseDb.removeVenueBlocks('hash_blocks', ['Nowhere']);
+  pulseDb.removeVenueBlocks('hash_unknown', ['Elsewhere']);
+  check('unknown venue or user is a no-op', profileBlocks().length === 1 && !pulseDb.getUserProfile('hash_unknown'));
+  pulseDb.getDb().close();
+  pulseDb.setDb(null);
+}
@@ -0,0 +1,78 @@
+const { check } = require('../helpers');
+const { mergeDuplicateEvents, eventsMatch, nameTokens, venueKey, sourceLabel } = require('../../src/event-dedup');
+const { buildRecommendationReason } = require('../../src/brain-llm');
+
+const ev = overrides => ({
+  id: 'x', name: 'Show', venue_name: 'Littlefield', date_local: '2026-10-23',
+  start_time_local: '2026-10-23T20:00:00', source_name: 'theskint', source_weight: 0.9, ...overrides,
+});
+
+// ---- normalization ----
+console.log('\nevent-dedup normalization:');
+
+check('venue name stripped from title', [...nameTokens('Comedy at Littlefield', 'Littlefield')].join(',') === 'comedy');
+check('stopwords stripped', [...nameTokens('The Comedy Night Show', 'Littlefield')].join(',') === 'comedy');
+check('punctuation and accents ignored', [...nameTokens('Café  Comedy!', '')].join(',') === 'cafe,comedy');
+check('leading "the" ignored in venue key', venueKey('The Bell House') === venueKey('Bell House'));
+check('TBA venue never keyed', venueKey('TBA') === null && venueKey('') === null);
+check('source label from dbName', sourceLabel('theskint') === 'Skint' && sourceLabel('ra') === 'RA');
+check('unknown source name passes through', sourceLabel('mystery') === 'mystery');
+
+// ---- matching ----
+console.log('\nevent-dedup matching:');
+
+const skint = ev({ id: 's1', name: 'Comedy at Littlefield' });
+const ra = ev({ id: 'r1', name: 'Littlefield Comedy Night', start_time_local: '2026-10-23T20:30:00', source_name: 'ra', source_weight: 0.85 });
+check('reworded title, 30 min apart → match', eventsMatch(skint, ra));
+check('same source never matches', !eventsMatch(skint, { ...ra, source_name: 'theskint' }));
+check('over an hour apart → no match', !eventsMatch(skint, { ...ra, start_time_local: '2026-10-23T22:00:00' }));
+check('different show same slot → no match', !eventsMatch(skint, { ...ra, name: 'Jazz Trio at Littlefield' }));
+check('untimed needs close names', eventsMatch(skint, { ...ra, start_time_local: null })
+  && !eventsMatch(ev({ name: 'Comedy Hour with Friends' }), { ...ra, name: 'Comedy', start_time_local: null }));
+check('bare venue titles match on slot', eventsMatch(ev({ name: 'Live at Littlefield' }), { ...ra, name: 'Littlefield' }));
+
+// ---- merging ----
+console.log('\nevent-dedup merging:');
+
+const nonsense = ev({
+  id: 'n1', name: 'COMEDY @ Littlefield', source_name: 'nonsensenyc', source_weight: 0.9, start_time_local: null,
+  description_short: 'Stand-up showcase with surprise drop-ins from the late-night writers room',
+  ticket_url: 'https://littlefield.example/tix', editorial_signal: true, accessibility: ['step_free'],
+});
+const other = ev({ id: 'o1', name: 'Open Mic', venue_name: 'Pianos', source_name: 'ra' });
+const input = [skint, other, ra, nonsense];
+const before = JSON.stringify(input);
+const out = mergeDuplicateEvents(input);
+const merged = out.find(e => e.id === 's1');
+
+check('three copies become one', out.length === 2 && out[1] === other);
+check('canonical takes the merged slot in order', out[0] === merged);
+check('highest-weight, most complete copy wins', merged.name === 'Comedy at Littlefield');
+check('provenance lists every source, best first', merged.sources.map(s => s.label).join(',') === 'Skint,NonsenseNYC,RA');
+check('provenance keeps source ids', merged.sources.some(s => s.id === 'r1' && s.name === 'Littlefield Comedy Night'));
+check('missing field filled from another source', merged.ticket_url === 'https://littlefield.example/tix');
+check('longest description kept', /surprise drop-ins/.test(merged.description_short));
+check('editorial signal carried over', merged.editorial_signal === true);
+check('accessibility unioned', merged.accessibility.includes('step_free'));
+check('inputs not mutated', JSON.stringify(input) === before);
+check('no duplicates → same array back', mergeDuplicateEvents([skint, other]).length === 2);
+check('merging again is stable', mergeDuplicateEvents(out).length === 2 && mergeDuplicateEvents(out)[0].sources.length === 3);
+
+const prices = mergeDuplicateEvents([ev({ id: 'p1', name: 'Comedy' }), ev({ id: 'p2', name: 'Comedy', source_name: 'ra', source_weight: 0.5, price_display: 'free', is_free: true })])[0];
+check('prices filled as a unit', prices.price_display === 'free' && prices.is_free === true);
+check('different dates never merge', mergeDuplicateEvents([skint, { ...ra, date_local: '2026-10-24' }]).length === 2);
+check('no venue never merges', mergeDuplicateEvents([ev({ venue_name: 'TBA' }), { ...ra, venue_name: 'TBA' }]).length === 2);
+
+// A source's early and late shows stay separate even if another source matches both
+const early = ev({ id: 'e', name: 'Comedy', source_name: 'ra', start_time_local: '2026-10-23T19:00:00' });
+const late = ev({ id: 'l', name: 'Comedy', source_name: 'ra', start_time_local: '2026-10-23T19:45:00' });
+const listing = ev({ id: 'k', name: 'Comedy', start_time_local: '2026-10-23T19:30:00' });
+const shows = mergeDuplicateEvents([early, late, listing]);
+check('one source never merged with itself', shows.length === 2 && shows.every(e => !e.sources || e.sources.length === 2));
+
+// ---- model surface ----
+console.log('\nevent-dedup model surface:');
+
+check('reason names every source', buildRecommendationReason(merged).includes('picked by Skint, NonsenseNYC, RA'));
+check('two sources → "both"', buildRecommendationReason({ sources: [{ label: 'Skint' }, { label: 'NonsenseNYC' }] }) === 'picked by both Skint and NonsenseNYC');
+check('single source → no provenance note', buildRecommendationReason({ sources: [{ label: 'Skint' }] }) === undefined);
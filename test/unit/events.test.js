@@ -317,6 +317,15 @@ const noProfile = scoreSurprise({ source_vibe: 'discovery', category: 'art', nei
 const newUser = scoreSurprise({ source_vibe: 'discovery', category: 'art', neighborhood: 'les' }, { sessionCount: 1 });
 check('no profile and new user get same score', noProfile === newUser);
 
+// ---- computeProfileAffinity ----
+console.log('\ncomputeProfileAffinity:');
+const { computeProfileAffinity } = require('../../src/brain-execute');
+check('affinity: favorite category boosted', computeProfileAffinity({ category: 'jazz' }, profile) === 1);
+check('affinity: other category not boosted', computeProfileAffinity({ category: 'art' }, profile) === 0);
+check('affinity: new user gets no boost', computeProfileAffinity({ category: 'jazz' }, { sessionCount: 1, categories: { jazz: 5 } }) === 0);
+check('affinity: free preference boosts free events', computeProfileAffinity({ category: 'art', is_free: true }, { ...profile, pricePreference: 'free' }) === 1);
+check('affinity: no profile is neutral', computeProfileAffinity({ category: 'jazz' }, null) === 0);
+
 // ---- isGarbageName ----
 console.log('\nisGarbageName:');
 check('rejects "Day & Date: Friday, March 7, 2026"', isGarbageName('Day & Date: Friday, March 7, 2026'));
@@ -0,0 +1,138 @@
+const { check } = require('../helpers');
+const { parsePlanCommand, normalizeUsPhone, buildPlanPicks, buildPicksInvite, buildConsentInvite, parsePlanReply, tallyVotes, formatTally, startGroupPlan, matchPlanReply, applyPlanReply } = require('../../src/group-plans');
+
+// ---- normalizeUsPhone ----
+console.log('\nnormalizeUsPhone:');
+
+check('10 digits -> +1', normalizeUsPhone('917-555-1234') === '+19175551234');
+check('(718) 555 9876 -> +1', normalizeUsPhone('(718) 555 9876') === '+17185559876');
+check('+1 prefix kept', normalizeUsPhone('+1 917.555.1234') === '+19175551234');
+check('short number -> null', normalizeUsPhone('555-1234') === null);
+
+// ---- parsePlanCommand ----
+console.log('\nparsePlanCommand:');
+
+const p1 = parsePlanCommand('plan with +19175551234, 718-555-9876');
+check('two numbers parsed', p1?.phones.length === 2);
+check('numbers normalized', p1?.phones[1] === '+17185559876');
+check('duplicates collapsed', parsePlanCommand('plan with 9175551234 and 917-555-1234').phones.length === 1);
+check('"Plan With" is case-insensitive', parsePlanCommand('Plan With (917) 555-1234')?.phones[0] === '+19175551234');
+check('"plan with friends tonight" is not a command', parsePlanCommand('plan with friends tonight') === null);
+check('"what should I plan" is not a command', parsePlanCommand('what should I plan') === null);
+
+// ---- buildPlanPicks ----
+console.log('\nbuildPlanPicks:');
+
+const session = {
+  lastPicks: [{ event_id: 'e1' }, { event_id: 'missing' }, { event_id: 'e2' }],
+  lastEvents: {
+    e1: { id: 'e1', name: 'Jazz Night', venue_name: 'Smalls', start_time_local: '2026-03-14T21:00:00', price_display: '$20' },
+    e2: { id: 'e2', name: 'Open Mic', venue_name: 'TBA' },
+  },
+};
+const picks = buildPlanPicks(session);
+check('picks resolved from lastEvents', picks.length === 2);
+check('TBA venue dropped', picks[1].venue_name === null);
+check('only list fields kept', picks[0].price_display === undefined);
+check('no session -> empty', buildPlanPicks(null).length === 0);
+
+// ---- invite copy ----
+console.log('\ngroup plan copy:');
+
+const invite = buildPicksInvite('+19175551234', picks);
+check('invite shows organizer tail only', invite.includes('…1234') && !invite.includes('9175551234'));
+check('invite numbers the picks', invite.includes('1. Jazz Night — Smalls') && invite.includes('2. Open Mic'));
+check('invite explains voting', /Reply VOTE and a number/.test(invite));
+const consent = buildConsentInvite('+19175551234');
+check('consent invite asks for YES', consent.includes('Reply YES'));
+check('consent invite has STOP disclosure', consent.includes('Reply STOP'));
+check('consent invite has no picks', !consent.includes('Jazz Night'));
+
+// ---- parsePlanReply ----
+console.log('\nparsePlanReply:');
+
+const pending = { status: 'pending_consent', vote: null };
+const invited = { status: 'invited', vote: null };
+check('pending + YES -> join', parsePlanReply('yes', pending, 3)?.action === 'join');
+check('pending + nah -> decline', parsePlanReply('nah', pending, 3)?.action === 'decline');
+check('pending + number -> not handled', parsePlanReply('1', pending, 3) === null);
+check('invited + 2 -> vote 2', parsePlanReply('2', invited, 3)?.vote === 2);
+check('invited + #1 -> vote 1', parsePlanReply('#1', invited, 3)?.vote === 1);
+check('invited + 4 of 3 -> vote_invalid', parsePlanReply('4', invited, 3)?.action === 'vote_invalid');
+check('invited + free text -> not handled', parsePlanReply('what time is jazz', invited, 3) === null);
+check('already voted -> not handled', parsePlanReply('1', { status: 'invited', vote: 2 }, 3) === null);
+check('no member -> null', parsePlanReply('1', null, 3) === null);
+check('"VOTE 2" -> vote 2', parsePlanReply('VOTE 2', invited, 3)?.vote === 2);
+check('own picks: bare 2 left for details', parsePlanReply('2', invited, 3, { requirePrefix: true }) === null);
+check('own picks: "vote 2" still votes', parsePlanReply('vote 2', invited, 3, { requirePrefix: true })?.vote === 2);
+
+// ---- tallyVotes / formatTally ----
+console.log('\ntallyVotes:');
+
+const tally = tallyVotes(picks, [
+  { status: 'invited', vote: 1 },
+  { status: 'invited', vote: null },
+  { status: 'declined', vote: null },
+  { status: 'pending_consent', vote: null },
+]);
+check('declined and pending excluded from eligible', tally.eligible === 2);
+check('voted counts cast votes', tally.voted === 1);
+check('vote attributed to pick', tally.counts[0].votes === 1);
+check('partial tally has no verdict', !formatTally(tally).includes('Everyone'));
+
+const done = tallyVotes(picks, [{ status: 'invited', vote: 1 }, { status: 'invited', vote: 1 }]);
+check('full tally names the winner', formatTally(done).startsWith("Everyone's in — Jazz Night wins."));
+const tie = tallyVotes(picks, [{ status: 'invited', vote: 1 }, { status: 'invited', vote: 2 }]);
+check('tie is called out', formatTally(tie).includes('tie between Jazz Night and Open Mic'));
+
+// ---- invite limits (in-memory DB) ----
+
+async function runAsync() {
+  console.log('\ngroup plan invite limits:');
+  const Database = require('better-sqlite3');
+  const db = require('../../src/db');
+  db.setDb(new Database(':memory:'));
+
+  const nowMs = Date.parse('2026-03-14T20:00:00Z');
+  const friend = n => `+1555000${String(n).padStart(4, '0')}`;
+
+  const fromWeb = await startGroupPlan('web:client_abc123', session, [friend(9)], { nowMs });
+  check('web chat can\'t organize a plan', fromWeb.planId === null && /need a phone number/.test(fromWeb.reply));
+
+  // Recipient cap: two invites a day, from anyone
+  await startGroupPlan('+15559990001', session, [friend(1)], { nowMs });
+  await startGroupPlan('+15559990002', session, [friend(1)], { nowMs: nowMs + 1000 });
+  const third = await startGroupPlan('+15559990003', session, [friend(1)], { nowMs: nowMs + 2000 });
+  check('recipient capped per day', third.planId === null && /already got one today/.test(third.reply));
+
+  // Declined invitee isn't re-invited
+  const plan = await startGroupPlan('+15559990004', session, [friend(2)], { nowMs });
+  const route = matchPlanReply(friend(2), 'no', { nowMs });
+  await applyPlanReply(friend(2), route);
+  const again = await startGroupPlan('+15559990005', session, [friend(2)], { nowMs: nowMs + 60000 });
+  check('plan started for a fresh number', !!plan.planId);
+  check('declined number suppressed', again.planId === null && /passed on a recent invite/.test(again.reply));
+
+  // Unanswered consent invite suppresses once the plan lapses
+  await startGroupPlan('+15559990006', session, [friend(3)], { nowMs });
+  const afterExpiry = await startGroupPlan('+15559990007', session, [friend(3)], { nowMs: nowMs + 13 * 60 * 60 * 1000 });
+  check('ignored consent invite suppressed', afterExpiry.planId === null);
+  const monthLater = await startGroupPlan('+15559990007', session, [friend(3)], { nowMs: nowMs + 31 * 24 * 60 * 60 * 1000 });
+  check('suppression lapses after a month', !!monthLater.planId);
+
+  // Organizer cap: 10 invites a day
+  const organizer = '+15559990010';
+  await startGroupPlan(organizer, session, [10, 11, 12, 13, 14].map(friend), { nowMs });
+  await startGroupPlan(organizer, session, [15, 16, 17, 18].map(friend), { nowMs });
+  const capped = await startGroupPlan(organizer, session, [19, 20, 21].map(friend), { nowMs });
+  check('organizer allowance used up mid-plan', /Skipped 2 more/.test(capped.reply) && !!capped.planId);
+  const over = await startGroupPlan(organizer, session, [friend(22)], { nowMs });
+  check('organizer capped per day', over.planId === null && /daily max/.test(over.reply));
+  const tomorrow = await startGroupPlan(organizer, session, [friend(22)], { nowMs: nowMs + 25 * 60 * 60 * 1000 });
+  check('organizer cap resets', !!tomorrow.planId);
+
+  db.getDb().close();
+  db.setDb(null);
+}
+
+module.exports = { runAsync };
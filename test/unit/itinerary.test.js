@@ -0,0 +1,82 @@
+const { check } = require('../helpers');
+const { parseOpenHours, isOpenThrough } = require('../../src/places');
+const { planItinerary, formatClock } = require('../../src/itinerary');
+
+// ---- opening hours ----
+console.log('\nparseOpenHours:');
+
+const HOURS = [
+  'Monday: Closed',
+  'Tuesday: 5:00 PM – 2:00 AM',
+  'Wednesday: Open 24 hours',
+  'Friday: 11:30 AM – 3:00 PM, 5:00 – 11:00 PM',
+  'Saturday: 12:00 PM – 12:00 AM',
+];
+const week = parseOpenHours(HOURS);
+check('closed day → no ranges', week[1].length === 0);
+check('past midnight runs over 1440', JSON.stringify(week[2]) === '[[1020,1560]]');
+check('24 hours', JSON.stringify(week[3]) === '[[0,1440]]');
+check('split shift, open borrows close meridiem', JSON.stringify(week[5]) === '[[690,900],[1020,1380]]');
+check('noon to midnight', JSON.stringify(week[6]) === '[[720,1440]]');
+check('missing hours → null', parseOpenHours(null) === null && parseOpenHours(['gibberish']) === null);
+
+console.log('\nisOpenThrough:');
+
+const place = { open_hours_json: HOURS };
+check('open for dinner on a friday', isOpenThrough(place, '2026-10-23', 18 * 60, 19 * 60 + 15) === true);
+check('closed between shifts', isOpenThrough(place, '2026-10-23', 15 * 60 + 30, 16 * 60 + 30) === false);
+check('window straddling close fails', isOpenThrough(place, '2026-10-23', 22 * 60 + 30, 23 * 60 + 30) === false);
+check('tuesday late night counts', isOpenThrough(place, '2026-10-20', 23 * 60, 25 * 60 + 30) === true);
+check('closed monday', isOpenThrough(place, '2026-10-19', 19 * 60, 20 * 60) === false);
+check('no hours → null', isOpenThrough({}, '2026-10-23', 19 * 60, 20 * 60) === null);
+check('day not listed → null', isOpenThrough(place, '2026-10-22', 19 * 60, 20 * 60) === null);
+
+// ---- planning ----
+console.log('\nplanItinerary:');
+
+check('clock formatting', formatClock(1170) === '7:30pm' && formatClock(1470) === '12:30am' && formatClock(720) === '12:00pm');
+
+const FRIDAY_DINNER = ['Friday: 5:00 PM – 11:00 PM'];
+const FRIDAY_LATE = ['Friday: 6:00 PM – 2:00 AM'];
+const show = {
+  id: 'e1', name: 'Indie Show', venue_name: 'Mercury Lounge', neighborhood: 'Lower East Side',
+  category: 'live_music', start_time_local: '2026-10-23T20:00:00', date_local: '2026-10-23',
+};
+const restaurants = [
+  { place_id: 'near', name: 'Around The Corner', lat: 40.7207, lng: -73.9881, rating: 4.4, user_ratings_total: 400, open_hours_json: FRIDAY_DINNER },
+  { place_id: 'far', name: 'Famous In Bushwick', lat: 40.7013, lng: -73.9225, rating: 4.9, user_ratings_total: 9000, open_hours_json: FRIDAY_DINNER },
+  { place_id: 'lunch', name: 'Lunch Only', lat: 40.7219, lng: -73.9870, rating: 4.8, user_ratings_total: 2000, open_hours_json: ['Friday: 11:00 AM – 4:00 PM'] },
+];
+const bars = [
+  { place_id: 'early', name: 'Closes Early', lat: 40.7215, lng: -73.9880, rating: 4.9, user_ratings_total: 3000, open_hours_json: ['Friday: 4:00 PM – 10:00 PM'] },
+  { place_id: 'late', name: 'Night Owl', lat: 40.7229, lng: -73.9897, rating: 4.2, user_ratings_total: 300, open_hours_json: FRIDAY_LATE },
+];
+
+const plan = planItinerary(show, { restaurants, bars });
+check('three stops in order', plan.stops.map(s => s.slot).join(',') === 'dinner,event,drinks');
+check('dinner is the nearby open restaurant', plan.stops[0].place_id === 'near');
+check('dinner ends before the show', plan.stops[0].end_min <= 20 * 60 - 15);
+check('dinner carries the hop to the venue', /walk/.test(plan.stops[0].travel_to_next));
+check('times on 5-minute marks', plan.stops[0].start_min % 5 === 0 && plan.stops[2].start_min % 5 === 0);
+check('show end estimated from category', plan.stops[1].end === '10:30pm' && plan.stops[1].end_estimated === true);
+check('bar open after the show wins over a closed favorite', plan.stops[2].place_id === 'late');
+check('drinks start after the show ends', plan.stops[2].start_min >= plan.stops[1].end_min);
+check('nothing skipped', plan.skipped.length === 0);
+
+const withEnd = planItinerary({ ...show, end_time_local: '2026-10-23T21:30:00' }, { restaurants, bars });
+check('known end time used', withEnd.stops[1].end === '9:30pm' && !withEnd.stops[1].end_estimated);
+
+const unknownHours = planItinerary(show, { restaurants: [{ place_id: 'x', name: 'No Hours', lat: 40.7207, lng: -73.9881 }], bars: [] });
+check('unknown hours allowed but flagged', unknownHours.stops[0].place_id === 'x' && unknownHours.stops[0].hours_unverified === true);
+check('no bars → drinks skipped with reason', unknownHours.skipped.some(s => s.slot === 'drinks' && /no bars/.test(s.reason)));
+
+const matinee = planItinerary({ ...show, start_time_local: '2026-10-23T12:00:00' }, { restaurants, bars });
+check('matinee → no dinner first', matinee.skipped.some(s => s.slot === 'dinner' && /too early/.test(s.reason)));
+
+const rave = planItinerary({ ...show, category: 'dj', start_time_local: '2026-10-23T23:00:00' }, { restaurants, bars });
+check('late party → no drinks after', rave.skipped.some(s => s.slot === 'drinks' && /late night/.test(s.reason)));
+check('late party end wraps past midnight', rave.stops.find(s => s.slot === 'event').end === '3:00am');
+
+const drinksOnly = planItinerary(show, { bars, slots: ['drinks'] });
+check('slots respected', drinksOnly.stops.map(s => s.slot).join(',') === 'event,drinks');
+check('no start time → error', planItinerary({ ...show, start_time_local: '2026-10-23' }).error === 'no_start_time');
@@ -0,0 +1,124 @@
+const { check } = require('../helpers');
+const { resolveLocation, parseCoordinates, looksLikeAddress, stripLocationPrefix } = require('../../src/location');
+const { setGeocoder, geocodeVenue, geocodeAddress } = require('../../src/venues');
+const { rankEventsNearPoint } = require('../../src/geo');
+const { serializePoolForContinuation } = require('../../src/brain-llm');
+
+// ---- coordinates ----
+console.log('\nparseCoordinates:');
+
+check('plain pair', JSON.stringify(parseCoordinates('40.7218,-73.9877')) === '{"lat":40.7218,"lng":-73.9877}');
+check('space separated', parseCoordinates('near 40.72 -73.98')?.lng === -73.98);
+check('shared location text', parseCoordinates("Shared location: 40.72180,-73.98765 (Katz's)")?.lat === 40.7218);
+check('google maps @ link', parseCoordinates('https://www.google.com/maps/@40.7135,-73.9614,17z')?.lat === 40.7135);
+check('google maps q= link', parseCoordinates('https://maps.google.com/?q=40.6782%2C-73.9442')?.lng === -73.9442);
+check('outside NYC → null', parseCoordinates('34.0522,-118.2437') === null);
+check('swapped lat/lng → null', parseCoordinates('-73.98,40.72') === null);
+check('no coordinates → null', parseCoordinates('bushwick') === null);
+
+// ---- address heuristic ----
+console.log('\nlooksLikeAddress:');
+
+check('house number + street', looksLikeAddress('near 123 Ludlow St'));
+check('hyphenated queens number', looksLikeAddress('31-10 Ditmars Blvd'));
+check('intersection with &', looksLikeAddress('Bedford & N 7th'));
+check('intersection with and', looksLikeAddress('2nd ave and st marks'));
+check('neighborhood is not an address', !looksLikeAddress('bushwick'));
+check('time is not an address', !looksLikeAddress('drinks at 8'));
+check('prefix stripped', stripLocationPrefix("I'm near 123 Ludlow St?") === '123 Ludlow St');
+
+// ---- radius ranking ----
+console.log('\nrankEventsNearPoint:');
+
+const katz = { lat: 40.7223, lng: -73.9874 };
+const ranked = rankEventsNearPoint([
+  { id: 'rockwood', venue_name: 'Rockwood Music Hall', neighborhood: 'Lower East Side' },
+  { id: 'mercury', venue_name: 'Mercury Lounge', neighborhood: 'Lower East Side' },
+  { id: 'cellar', venue_name: 'Comedy Cellar', neighborhood: 'Greenwich Village' },
+  { id: 'elsewhere', venue_name: 'Elsewhere', neighborhood: 'Bushwick' },
+  { id: 'unplaced', venue_name: 'Some Basement', neighborhood: 'Lower East Side' },
+], katz);
+check('closest venue first', ranked[0].id === 'mercury');
+check('far venues dropped', !ranked.some(e => e.id === 'elsewhere' || e.id === 'cellar'));
+check('unplaced event counts by hood center', ranked.some(e => e.id === 'unplaced'));
+check('kept events stamped with distance', ranked[0].distance_km === 0.1);
+check('wider radius reaches the Village', rankEventsNearPoint([{ id: 'cellar', venue_name: 'Comedy Cellar' }], katz, { radiusKm: 3 }).length === 1);
+check('no point → unchanged', rankEventsNearPoint([{ id: 'x' }], null).length === 1);
+
+// ---- serialization ----
+console.log('\nnear in serialized pool:');
+
+const near = { label: '123 Ludlow St', neighborhood: 'Lower East Side', radius_km: 3 };
+const serialized = serializePoolForContinuation({
+  pool: [
+    { ...ranked[0], name: 'Close Show' },
+    { id: 'far', name: 'Far Show', neighborhood: 'East Village', distance_km: 2.4, _nearby: true },
+  ],
+  hood: 'Lower East Side', activeFilters: {}, matchCount: 2, near,
+});
+check('labelled by the point', serialized.neighborhood === 'near 123 Ludlow St (Lower East Side)');
+check('radius reported', serialized.near.radius_km === 3);
+check('in-radius pick is on-query', !serialized.events[0].off_query);
+check('widened pick explains the distance', serialized.events[1].off_query_reason === '2.4 km from 123 Ludlow St');
+check('picks carry distance', serialized.events[1].distance_km === 2.4);
+
+// ---- geocoder-backed resolution ----
+async function runAsync() {
+  console.log('\nresolveLocation:');
+
+  const queries = [];
+  setGeocoder({
+    name: 'stub',
+    async geocode(query) {
+      queries.push(query);
+      if (/ludlow/i.test(query)) return { lat: 40.7202, lng: -73.9887, locality: 'Lower East Side' };
+      if (/bedford/i.test(query)) return { lat: 40.7142, lng: -73.9613, locality: null };
+      if (/brooklyn museum/i.test(query)) return { lat: 40.6712, lng: -73.9636, locality: 'Crown Heights' };
+      if (/route 66/i.test(query)) return { lat: 35.0, lng: -106.0, locality: null };
+      if (/elsewhere/i.test(query)) return { lat: 40.7013, lng: -73.9225 };
+      if (/boom/i.test(query)) throw new Error('rate limited');
+      return null;
+    },
+  });
+
+  const ludlow = await resolveLocation('near 123 Ludlow St');
+  check('address geocoded', ludlow?.source === 'address' && ludlow.lat === 40.7202);
+  check('locality names the neighborhood', ludlow?.neighborhood === 'Lower East Side');
+  check('label is the address', ludlow?.label === '123 Ludlow St');
+  check('geocoder gets a NYC-qualified query', queries[0] === '123 Ludlow St, New York, NY');
+
+  const bedford = await resolveLocation('Bedford Ave & Grand St');
+  check('intersection beats the "bedford ave" landmark', bedford?.source === 'address');
+  check('no locality → nearest center', bedford?.neighborhood === 'Williamsburg');
+
+  const pin = await resolveLocation('Shared location: 40.70130,-73.92250');
+  check('coordinates skip the geocoder', pin?.source === 'coordinates' && !queries.some(q => /40\.7013/.test(q)));
+  check('pin gets a neighborhood', pin?.neighborhood === 'Bushwick');
+
+  const hood = await resolveLocation('somewhere in bushwick');
+  check('plain neighborhood stays a neighborhood', hood?.source === 'neighborhood' && hood.neighborhood === 'Bushwick');
+
+  check('named place falls back to the geocoder', (await resolveLocation('the Brooklyn Museum'))?.neighborhood === 'Crown Heights');
+  check('out-of-town hit rejected', await resolveLocation('100 Route 66 Rd') === null);
+  check('unknown → null', await resolveLocation('44 Nowhere Ln') === null);
+  check('geocoder errors → null', await resolveLocation('1 Boom St') === null);
+
+  const before = queries.length;
+  await geocodeAddress('123 ludlow st');
+  check('addresses cached', queries.length === before);
+  await geocodeAddress('44 nowhere ln');
+  check('definitive misses cached', queries.length === before);
+  await geocodeAddress('1 boom st');
+  await geocodeAddress('1 boom st');
+  check('failed lookups not cached', queries.length === before + 2);
+
+  const coords = await geocodeVenue('Elsewhere', null);
+  check('geocodeVenue uses the active geocoder', coords?.lat === 40.7013 && queries[queries.length - 1] === 'Elsewhere, New York, NY');
+
+  setGeocoder(null);
+  check('disabled geocoder → no address lookups', await resolveLocation('200 Ludlow St') === null);
+  check('disabled geocoder still parses coordinates', (await resolveLocation('40.7202,-73.9887'))?.neighborhood === 'Lower East Side');
+  setGeocoder(undefined);
+}
+
+module.exports = { runAsync };
@@ -146,4 +146,24 @@ module.exports.runAsync = async function() {
   check('"I want to cancel" does NOT match', !OPT_OUT_KEYWORDS.test("I want to cancel"));
   check('"east village" does NOT match', !OPT_OUT_KEYWORDS.test('east village'));
   check('"what\'s happening" does NOT match', !OPT_OUT_KEYWORDS.test("what's happening"));
+  check('STOPALL matches', OPT_OUT_KEYWORDS.test('STOPALL'));
+  check('"revoke" matches', OPT_OUT_KEYWORDS.test('revoke'));
+  check('"end" matches', OPT_OUT_KEYWORDS.test('end'));
+  check('"the end" does NOT match', !OPT_OUT_KEYWORDS.test('the end'));
+
+  console.log('\nTCPA opt-in regex:');
+  const { OPT_IN_KEYWORDS } = require('../../src/request-guard');
+  check('START matches', OPT_IN_KEYWORDS.test('START'));
+  check('"unstop" matches', OPT_IN_KEYWORDS.test(' unstop '));
+  check('"start over" does NOT match', !OPT_IN_KEYWORDS.test('start over'));
+  check('"stop" does NOT match opt-in', !OPT_IN_KEYWORDS.test('stop'));
+
+  console.log('\nOpt-out CSV export:');
+  const { optOutsToCsv } = require('../../src/opt-outs');
+  const csv = optOutsToCsv([{ phone_hash: 'abc123', phone_masked: '******1234', opted_out: 1, opt_out_keyword: 'STOP', opted_out_at: '2026-03-01T00:00:00Z', opt_out_count: 1 }]);
+  const csvLines = csv.trim().split('\n');
+  check('csv: header row first', csvLines[0].startsWith('phone_hash,phone_masked'));
+  check('csv: one data row', csvLines.length === 2);
+  check('csv: missing fields are empty', csvLines[1].includes('STOP,2026-03-01T00:00:00Z,,,1'));
+  check('csv: quotes cells with commas', optOutsToCsv([{ phone_hash: 'a,b' }]).includes('"a,b"'));
 };
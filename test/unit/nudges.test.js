@@ -0,0 +1,99 @@
+const { check } = require('../helpers');
+const { parseNudgeKeyword, buildConsentPrompt, buildNudgeMessage, formatPatternTime, getNycClock, selectNudgesToSend } = require('../../src/nudges');
+const { OPT_OUT_KEYWORDS } = require('../../src/request-guard');
+
+// ---- parseNudgeKeyword ----
+console.log('\nparseNudgeKeyword:');
+
+check('"NUDGE ME" -> opt_in', parseNudgeKeyword('NUDGE ME') === 'opt_in');
+check('"nudge me " -> opt_in', parseNudgeKeyword('nudge me ') === 'opt_in');
+check('"stop nudges" -> opt_out', parseNudgeKeyword('stop nudges') === 'opt_out');
+check('"STOP NUDGE" -> opt_out', parseNudgeKeyword('STOP NUDGE') === 'opt_out');
+check('"nudges off" -> opt_out', parseNudgeKeyword('nudges off') === 'opt_out');
+check('"no more nudges" -> opt_out', parseNudgeKeyword('no more nudges') === 'opt_out');
+check('"stop" is not a nudge keyword', parseNudgeKeyword('stop') === null);
+check('"remind me" is not a nudge keyword (save intent owns it)', parseNudgeKeyword('remind me') === null);
+check('"nudge me about comedy" is not exact', parseNudgeKeyword('nudge me about comedy') === null);
+check('"stop nudges" does NOT trigger full TCPA STOP', !OPT_OUT_KEYWORDS.test('stop nudges'));
+
+// ---- formatPatternTime ----
+console.log('\nformatPatternTime:');
+
+check('20:00 -> 8pm', formatPatternTime('20:00') === '8pm');
+check('21:30 -> 9:30pm', formatPatternTime('21:30') === '9:30pm');
+check('12:00 -> 12pm', formatPatternTime('12:00') === '12pm');
+check('00:15 -> 12:15am', formatPatternTime('00:15') === '12:15am');
+check('null -> null', formatPatternTime(null) === null);
+
+// ---- buildConsentPrompt / buildNudgeMessage ----
+console.log('\nnudge copy:');
+
+const prompt = buildConsentPrompt({ name: 'Trivia Night', venue_name: 'Black Rabbit' });
+check('consent prompt names event + venue', prompt.includes('Trivia Night at Black Rabbit'));
+check('consent prompt gives the keyword', prompt.includes('NUDGE ME'));
+
+const msg = buildNudgeMessage({ name: 'Trivia Night', venue_name: 'Black Rabbit', neighborhood: 'Greenpoint', time_local: '20:00' });
+check('nudge includes event, venue, time', msg.includes('Trivia Night at Black Rabbit is on tonight at 8pm'));
+check('nudge includes neighborhood hook', msg.includes('in Greenpoint'));
+check('nudge includes nudge-only opt-out', msg.includes('STOP NUDGES'));
+check('nudge under 320 chars', msg.length <= 320);
+const untimed = buildNudgeMessage({ name: 'Open Mic', venue_name: 'Pete\'s' });
+check('untimed nudge says today', untimed.includes('is on today'));
+
+// ---- getNycClock ----
+console.log('\ngetNycClock:');
+
+// 2026-03-10 (Tue) 14:00 EDT = 18:00Z
+const clock = getNycClock(Date.parse('2026-03-10T18:00:00Z'));
+check('NYC clock: Tuesday', clock.day === 2);
+check('NYC clock: 2pm EDT', clock.hour === 14);
+check('NYC clock: date', clock.date === '2026-03-10');
+// 2026-01-06 (Tue) 02:00Z is still Monday 9pm EST
+const lateMon = getNycClock(Date.parse('2026-01-06T02:00:00Z'));
+check('NYC clock: UTC Tuesday early = NYC Monday', lateMon.day === 1 && lateMon.hour === 21);
+
+// ---- selectNudgesToSend ----
+console.log('\nselectNudgesToSend:');
+
+const nowMs = Date.parse('2026-03-10T18:00:00Z');
+const candidates = [
+  { id: 1, phone_hash: 'a', time_local: '20:00', last_phone_nudge: null },
+  { id: 2, phone_hash: 'a', time_local: '19:00', last_phone_nudge: null },
+  { id: 3, phone_hash: 'b', time_local: '23:00', last_phone_nudge: null },
+  { id: 4, phone_hash: 'c', time_local: '20:00', last_phone_nudge: '2026-03-06T18:00:00.000Z' },
+  { id: 5, phone_hash: 'd', time_local: '20:00', last_phone_nudge: '2026-03-01T18:00:00.000Z' },
+  { id: 6, phone_hash: 'e', time_local: null, last_phone_nudge: null },
+];
+const picked = selectNudgesToSend(candidates, { hour: 14, nowMs }).map(c => c.id);
+check('6h-out event nudged', picked.includes(1));
+check('one nudge per phone per run', !picked.includes(2));
+check('9h-out event waits', !picked.includes(3));
+check('phone nudged 4 days ago is capped', !picked.includes(4));
+check('phone nudged 9 days ago is eligible', picked.includes(5));
+check('untimed pattern skipped outside noon', !picked.includes(6));
+const lateNight = { id: 7, phone_hash: 'f', time_local: '01:00', last_phone_nudge: null };
+check('after-midnight pattern nudged the evening before', selectNudgesToSend([lateNight], { hour: 20, nowMs }).length === 1);
+check('after-midnight pattern not nudged at midnight', selectNudgesToSend([lateNight], { hour: 0, nowMs }).length === 0);
+check('untimed pattern sent at noon', selectNudgesToSend([candidates[5]], { hour: 12, nowMs }).length === 1);
+
+// ---- per-phone opt-out (in-memory DB) ----
+console.log('\nnudge opt-out:');
+
+const Database = require('better-sqlite3');
+const db = require('../../src/db');
+const { captureConsent, trackRecurringDetail } = require('../../src/nudges');
+
+db.setDb(new Database(':memory:'));
+const recurring = { name: 'Trivia Night', venue_name: 'Black Rabbit', is_recurring: true, recurrence_pattern_key: 'trivia night|black rabbit|2' };
+
+check('STOP NUDGES with no subscriptions is handled', captureConsent('+19175550101', 'STOP NUDGES').intent === 'nudge_optout');
+trackRecurringDetail('+19175550101', recurring);
+check('opted-out phone is never asked later', trackRecurringDetail('+19175550101', recurring) === null);
+check('NUDGE ME after STOP NUDGES does not enrol', captureConsent('+19175550101', 'NUDGE ME').handled === false);
+
+trackRecurringDetail('+19175550102', recurring);
+check('other phones still get the prompt', /NUDGE ME/.test(trackRecurringDetail('+19175550102', recurring) || ''));
+check('and can opt in', captureConsent('+19175550102', 'NUDGE ME').intent === 'nudge_consent');
+
+db.getDb().close();
+db.setDb(null);
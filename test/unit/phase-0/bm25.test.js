@@ -1,6 +1,6 @@
 const test = require('node:test');
 const assert = require('node:assert');
-const { buildBm25 } = require('../../../scripts/phase-0/bm25.js');
+const { buildBm25 } = require('../../../src/bm25');
 
 const DOCS = [
   'trivia night at northern bell williamsburg free pub',  // doc 0
@@ -1,6 +1,6 @@
 const test = require('node:test');
 const assert = require('node:assert');
-const { cosine } = require('../../../scripts/phase-0/cosine.js');
+const { cosine } = require('../../../src/cosine');
 
 test('cosine: identical vectors return 1.0', () => {
   const a = [1, 2, 3];
@@ -1,6 +1,6 @@
 const test = require('node:test');
 const assert = require('node:assert');
-const { buildCard } = require('../../../scripts/phase-0/event-cards.js');
+const { buildCard } = require('../../../src/event-cards');
 
 test('buildCard: all six fields present and joined by ". "', () => {
   const event = {
@@ -1,6 +1,6 @@
 const test = require('node:test');
 const assert = require('node:assert');
-const { hybridRetrieve, buildIndex } = require('../../../scripts/phase-0/hybrid-retrieve.js');
+const { hybridRetrieve, buildIndex } = require('../../../src/hybrid-retrieve');
 
 const EVENTS = [
   { id: 'a', name: 'Trivia Night', venue_name: 'Bell', neighborhood: 'Williamsburg', category: 'trivia', short_detail: 'pub trivia' },
@@ -1,6 +1,6 @@
 const test = require('node:test');
 const assert = require('node:assert');
-const { rrfFuse } = require('../../../scripts/phase-0/rrf.js');
+const { rrfFuse } = require('../../../src/rrf');
 
 test('rrfFuse: doc at rank 1 in both rankings beats doc in only one', () => {
   // ranking is an array of doc IDs in descending score order
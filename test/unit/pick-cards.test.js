@@ -0,0 +1,69 @@
+const { check } = require('../helpers');
+const zlib = require('zlib');
+const { toCardText, wrapText, encodePng, renderDetailsCard, renderPicksCard, storeCard, getCard, canSendMms, buildCardUrl } = require('../../src/pick-cards');
+
+// ---- toCardText ----
+console.log('\ntoCardText:');
+
+check('accents stripped', toCardText('Café Erzulie') === 'Cafe Erzulie');
+check('dashes and quotes folded to ASCII', toCardText('“Late” — show') === '"Late" - show');
+check('emoji dropped', toCardText('Disco 🪩 Night') === 'Disco Night');
+check('null -> empty', toCardText(null) === '');
+
+// ---- wrapText ----
+console.log('\nwrapText:');
+
+check('short text is one line', wrapText('Jazz Night', 20).length === 1);
+const wrapped = wrapText('An evening of experimental jazz and poetry', 16);
+check('wraps on word boundaries', wrapped.every(l => l.length <= 16) && wrapped[0] === 'An evening of');
+check('maxLines truncates with ellipsis', wrapText('one two three four five six', 9, 2)[1].endsWith('...'));
+check('long word hard-split', wrapText('Supercalifragilistic', 8).length === 3);
+
+// ---- encodePng ----
+console.log('\nencodePng:');
+
+const png = encodePng({ width: 2, height: 1, pixels: Buffer.from([255, 0, 0, 0, 0, 255]) });
+check('PNG signature', png.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])));
+check('IHDR width', png.readUInt32BE(16) === 2);
+check('IHDR height', png.readUInt32BE(20) === 1);
+const idatLen = png.readUInt32BE(33);
+const raw = zlib.inflateSync(png.slice(41, 41 + idatLen));
+check('IDAT decodes to filter byte + RGB row', raw.length === 7 && raw[0] === 0 && raw[1] === 255 && raw[6] === 255);
+check('ends with IEND', png.slice(-8, -4).toString('ascii') === 'IEND');
+
+// ---- card rendering ----
+console.log('\npick card rendering:');
+
+const event = { name: 'Jazz Night at Smalls', venue_name: 'Smalls', start_time_local: '2026-03-14T21:00:00', price_display: '$20', neighborhood: 'West Village' };
+const details = renderDetailsCard(event);
+check('details card is a PNG', details.slice(1, 4).toString('ascii') === 'PNG');
+check('details card is 640px wide', details.readUInt32BE(16) === 640);
+const picks = renderPicksCard([event, { ...event, name: 'Comedy Late Show' }, { ...event, name: 'Trivia' }, { ...event, name: 'Fourth' }]);
+const two = renderPicksCard([event, { ...event, name: 'Comedy Late Show' }]);
+check('picks card grows with picks', picks.readUInt32BE(20) > two.readUInt32BE(20));
+check('picks card caps at 3 picks', picks.readUInt32BE(20) === renderPicksCard([event, { ...event, name: 'Comedy Late Show' }, { ...event, name: 'Trivia' }]).readUInt32BE(20));
+
+// ---- card store ----
+console.log('\npick card store:');
+
+const token = storeCard(details, { nowMs: 1000 });
+check('token is hex', /^[0-9a-f]{24}$/.test(token));
+check('card retrievable before expiry', getCard(token, { nowMs: 2000 }) === details);
+check('card gone after 30 min', getCard(token, { nowMs: 1000 + 30 * 60 * 1000 }) === null);
+check('unknown token -> null', getCard('nope') === null);
+
+// ---- MMS eligibility ----
+console.log('\nMMS eligibility:');
+
+const prevEnabled = process.env.PULSE_MMS_ENABLED;
+const prevUrl = process.env.PULSE_PUBLIC_URL;
+delete process.env.PULSE_MMS_ENABLED;
+check('MMS off by default', canSendMms('+19175551234') === false);
+check('no card URL when MMS off', buildCardUrl('+19175551234', { event }) === null);
+process.env.PULSE_MMS_ENABLED = 'true';
+delete process.env.PULSE_PUBLIC_URL;
+check('MMS needs a public URL', canSendMms('+19175551234') === false);
+process.env.PULSE_PUBLIC_URL = 'https://pulse.example.com';
+check('non-US number gets no MMS', canSendMms('+447700900123') === false);
+if (prevEnabled === undefined) delete process.env.PULSE_MMS_ENABLED; else process.env.PULSE_MMS_ENABLED = prevEnabled;
+if (prevUrl === undefined) delete process.env.PULSE_PUBLIC_URL; else process.env.PULSE_PUBLIC_URL = prevUrl;
@@ -0,0 +1,96 @@
+const { check } = require('../helpers');
+const { saveResponsePage, getResponsePage, pickPageUrl, renderPickPage, renderExpiredPage, snapshotPick, mapLink, escapeHtml, PAGE_TTL_HOURS } = require('../../src/pick-pages');
+
+const jazz = {
+  id: 'evt_jazz', name: 'Jazz <Night>', venue_name: 'Smalls', neighborhood: 'West Village',
+  date_local: '2026-11-03', start_time_local: '2026-11-03T21:00:00', price_display: '$20',
+  short_detail: 'Two sets and a late jam', editorial_signal: true, venue_size: 'intimate',
+  ticket_url: 'https://example.com/jazz', source_url: 'https://example.com/jazz',
+};
+const fair = { id: 'evt_fair', name: 'Street Fair', venue_name: 'TBA', neighborhood: 'Astoria', is_free: true, date_local: '2026-11-04' };
+
+// ---- snapshotPick / mapLink ----
+console.log('\nsnapshotPick:');
+
+const snap = snapshotPick({ ...jazz, phone: '+19175551234', source_name: 'skint' });
+check('keeps public fields', snap.name === 'Jazz <Night>' && snap.venue_name === 'Smalls' && snap.price_display === '$20');
+check('editorial why attached', snap.why === 'tastemaker pick, tiny room');
+check('ticket link kept', snap.ticket_url === 'https://example.com/jazz');
+check('no unknown fields copied', snap.phone === undefined && snap.source_name === undefined);
+check('TBA venue dropped', snapshotPick(fair).venue_name === null);
+check('map prefers map_url', mapLink({ map_url: 'https://maps.example.com/x' }) === 'https://maps.example.com/x');
+check('map from coordinates', mapLink({ venue_lat: 40.7, venue_lng: -73.9 }) === 'https://www.google.com/maps?q=40.7,-73.9');
+check('map from venue + hood', mapLink({ venue_name: 'Smalls', neighborhood: 'West Village' }).endsWith(encodeURIComponent('Smalls West Village NYC')));
+check('no venue -> no map', mapLink({ venue_name: 'TBA' }) === null);
+
+// ---- save / load / expiry ----
+console.log('\nresponse pages:');
+
+const nowMs = Date.now();
+const id = saveResponsePage({
+  picks: [{ rank: 1, event_id: 'evt_jazz' }, { rank: 2, event_id: 'missing' }, { rank: 3, event_id: 'evt_fair' }],
+  eventMap: { evt_jazz: jazz, evt_fair: fair },
+  neighborhood: 'West Village',
+  filtersLabel: 'live music',
+}, { nowMs });
+check('returns an opaque id', /^[A-Za-z0-9_-]{12}$/.test(id || ''));
+const page = getResponsePage(id, { nowMs });
+check('page loads', page?.picks.length === 2);
+check('unresolved picks skipped', page.picks.map(p => p.id).join(',') === 'evt_jazz,evt_fair');
+check('filter label stored', page.filters_label === 'live music');
+check('stored row has no phone data', !/\+1\d{10}|phone/.test(JSON.stringify(page)));
+check('expires after TTL', getResponsePage(id, { nowMs: nowMs + PAGE_TTL_HOURS * 3600 * 1000 + 1 }) === null);
+check('generic "events" label dropped', getResponsePage(saveResponsePage({ picks: [{ event_id: 'evt_fair' }], eventMap: { evt_fair: fair }, filtersLabel: 'events' }))?.filters_label === null);
+check('no resolvable picks -> no page', saveResponsePage({ picks: [{ event_id: 'missing' }], eventMap: {} }) === null);
+check('unknown id -> null', getResponsePage('doesNotExist123') === null);
+check('malformed id -> null', getResponsePage('../etc/passwd') === null);
+
+// ---- saveResponseFrame persists the page ----
+console.log('\nsaveResponseFrame pages:');
+
+const { saveResponseFrame } = require('../../src/pipeline');
+const { getSession, clearSession } = require('../../src/session');
+const framePhone = '+10000000077';
+const frameId = saveResponseFrame(framePhone, {
+  picks: [{ rank: 1, event_id: 'evt_jazz' }], eventMap: { evt_jazz: jazz },
+  neighborhood: 'West Village', filters: { categories: ['live_music'] },
+});
+check('frame returns responseId', !!frameId && getSession(framePhone)?.lastResponseId === frameId);
+const pageCount = () => require('../../src/db').getDb().prepare('SELECT COUNT(*) AS n FROM response_pages').get().n;
+const pagesBefore = pageCount();
+const resaved = saveResponseFrame(framePhone, {
+  picks: [{ rank: 1, event_id: 'evt_jazz' }], eventMap: { evt_jazz: jazz },
+  neighborhood: 'West Village', filters: { categories: ['live_music'] },
+});
+check('same picks re-saved → same page, no new row', resaved === frameId && pageCount() === pagesBefore);
+check('frame page outlives the session', (clearSession(framePhone), getResponsePage(frameId)?.filters_label === 'live music events'));
+check('no page for a pickless frame', saveResponseFrame(framePhone, { picks: [], eventMap: {} }) === null && getSession(framePhone).lastResponseId === null);
+check('no page when picks carried over without new ones', saveResponseFrame(framePhone, { picks: [{ event_id: 'evt_jazz' }], eventMap: { evt_jazz: jazz }, lastResponseHadPicks: false }) === null);
+clearSession(framePhone);
+
+// ---- rendering ----
+console.log('\nrenderPickPage:');
+
+const html = renderPickPage(page);
+check('title from filter + hood', html.includes('<h1>Live music in West Village</h1>'));
+check('names escaped', html.includes('Jazz &lt;Night&gt;') && !html.includes('<Night>'));
+check('why rendered', html.includes('tastemaker pick, tiny room'));
+check('ticket link', html.includes('href="https://example.com/jazz"'));
+check('.ics link per dated pick', html.includes('href="/e/evt_jazz.ics"') && html.includes('href="/e/evt_fair.ics"'));
+check('map link', html.includes('google.com/maps/search/'));
+check('free shown', html.includes('Free'));
+check('noindex', html.includes('name="robots" content="noindex"'));
+check('citywide title', renderPickPage({ ...page, neighborhood: 'citywide', filters_label: null }).includes('<h1>Picks in NYC</h1>'));
+check('expired page copy', renderExpiredPage().includes('expired'));
+check('escapeHtml quotes', escapeHtml('"a" & \'b\'') === '&quot;a&quot; &amp; &#39;b&#39;');
+
+// ---- pickPageUrl ----
+console.log('\npickPageUrl:');
+
+const prevUrl = process.env.PULSE_PUBLIC_URL;
+delete process.env.PULSE_PUBLIC_URL;
+check('no public URL -> null', pickPageUrl(id) === null);
+process.env.PULSE_PUBLIC_URL = 'https://pulse.example.com/';
+check('link under /p/', pickPageUrl(id) === `https://pulse.example.com/p/${id}`);
+check('no id -> null', pickPageUrl(null) === null);
+if (prevUrl === undefined) delete process.env.PULSE_PUBLIC_URL; else process.env.PULSE_PUBLIC_URL = prevUrl;
@@ -1,5 +1,5 @@
 const { check } = require('../helpers');
-const { mergeFilters, eventMatchesFilters, buildTaggedPool, normalizeFilters, failsTimeGate, describeFilters } = require('../../src/pipeline');
+const { mergeFilters, eventMatchesFilters, buildTaggedPool, normalizeFilters, failsTimeGate, describeFilters, isExcluded, matchesVenue, accessibilityStatus, admitsAge } = require('../../src/pipeline');
 
 // ---- mergeFilters ----
 console.log('\nmergeFilters:');
@@ -16,6 +16,8 @@ check('incoming only → uses incoming', mergeFilters(null, { category: 'comedy'
 const compounded = mergeFilters({ category: 'comedy' }, { time_after: '22:00' });
 check('compound: category persists', compounded.category === 'comedy');
 check('compound: time_after added', compounded.time_after === '22:00');
+check('compound: time_before persists', mergeFilters({ time_after: '19:00', time_before: '21:00' }, { category: 'jazz' }).time_before === '21:00');
+check('explicit null time_before clears', mergeFilters({ time_before: '21:00' }, { time_before: null }).time_before === null);
 
 // Override: incoming truthy value wins
 check('override: incoming category wins', mergeFilters({ category: 'comedy' }, { category: 'theater' }).category === 'theater');
@@ -99,6 +101,12 @@ check('free_only false → hard', eventMatchesFilters(comedyPaid, { free_only: f
 check('comedy+free match → hard', eventMatchesFilters(comedyFree, { category: 'comedy', free_only: true }) === 'hard');
 check('comedy+free mismatch (paid) → false', eventMatchesFilters(comedyPaid, { category: 'comedy', free_only: true }) === false);
 
+// Price ceiling — cheapest ticket must fit; unknown price → soft
+check('max_price: under budget → hard', eventMatchesFilters({ ...comedyPaid, price_min: 10, price_max: 20 }, { max_price: 15 }) === 'hard');
+check('max_price: over budget → false', eventMatchesFilters({ ...comedyPaid, price_min: 25, price_max: 25 }, { max_price: 15 }) === false);
+check('max_price: free always fits', eventMatchesFilters(comedyFree, { max_price: 5 }) === 'hard');
+check('max_price: unknown price → soft', eventMatchesFilters(comedyPaid, { max_price: 15 }) === 'soft');
+
 // Time filter — no longer checked in eventMatchesFilters (enforced upstream by failsTimeGate in buildTaggedPool)
 check('time_after ignored: early event → hard', eventMatchesFilters(musicEarly, { time_after: '22:00' }) === 'hard');
 check('time_after ignored: late event → hard', eventMatchesFilters(musicLate, { time_after: '22:00' }) === 'hard');
@@ -399,6 +407,8 @@ check('valid time_after', normalizeFilters({ time_after: '22:00' }).time_after =
 check('valid midnight', normalizeFilters({ time_after: '00:00' }).time_after === '00:00');
 check('invalid time_after → null', normalizeFilters({ time_after: '10pm' }).time_after === null);
 check('invalid format → null', normalizeFilters({ time_after: 'late' }).time_after === null);
+check('valid time_before passes', normalizeFilters({ time_before: '21:00' }).time_before === '21:00');
+check('invalid time_before → null', normalizeFilters({ time_before: '9pm' }).time_before === null);
 
 // Vibe passthrough
 check('vibe passes through', normalizeFilters({ vibe: 'chill' }).vibe === 'chill');
@@ -441,6 +451,15 @@ check('null start_time → passes', failsTimeGate({ start_time_local: null }, '2
 check('date-only → passes', failsTimeGate(
   { start_time_local: '2026-02-22' }, '22:00') === false);
 
+// End bound (time_before)
+check('time_before: 20:00 before 21:00 → passes', failsTimeGate({ start_time_local: '2026-02-22T20:00:00' }, null, '21:00') === false);
+check('time_before: 21:00 at bound → fails', failsTimeGate({ start_time_local: '2026-02-22T21:00:00' }, null, '21:00') === true);
+check('window 19-21: 18:30 → fails', failsTimeGate({ start_time_local: '2026-02-22T18:30:00' }, '19:00', '21:00') === true);
+check('window 19-21: 19:30 → passes', failsTimeGate({ start_time_local: '2026-02-22T19:30:00' }, '19:00', '21:00') === false);
+check('window 23-01 wraps: 00:30 → passes', failsTimeGate({ start_time_local: '2026-02-23T00:30:00' }, '23:00', '01:00') === false);
+check('window 23-01 wraps: 01:30 → fails', failsTimeGate({ start_time_local: '2026-02-23T01:30:00' }, '23:00', '01:00') === true);
+check('time_before: no start_time → passes', failsTimeGate({}, null, '21:00') === false);
+
 
 // ---- buildTaggedPool time gate ----
 console.log('\nbuildTaggedPool time gate:');
@@ -494,6 +513,73 @@ check('no time filter: all events in pool', noTimeFilterResult.pool.length === 5
 check('no time filter: all hard matched', noTimeFilterResult.pool.every(e => e.filter_match === 'hard'));
 
 
+// ---- exclusions ----
+console.log('\nexclusions:');
+
+const elsewhere = { id: 'x1', category: 'dj', venue_name: 'Elsewhere Rooftop', neighborhood: 'Bushwick' };
+const cellar = { id: 'x2', category: 'comedy', venue_name: 'Comedy Cellar', neighborhood: 'Greenwich Village' };
+const nowhere = { id: 'x3', category: 'live_music', venue_name: 'Some Loft' };
+check('excluded category', isExcluded(cellar, { exclude_categories: ['comedy'] }));
+check('venue prefix match', isExcluded(elsewhere, { exclude_venues: ['elsewhere'] }));
+check('venue match ignores leading "the"', isExcluded({ venue_name: 'The Sultan Room' }, { exclude_venues: ['Sultan Room'] }));
+check('partial word is not a venue match', !isExcluded({ venue_name: 'Elsewhereville' }, { exclude_venues: ['Elsewhere'] }));
+check('borough via neighborhood', isExcluded(cellar, { exclude_boroughs: ['manhattan'] }) && !isExcluded(elsewhere, { exclude_boroughs: ['manhattan'] }));
+check('no neighborhood → kept', !isExcluded(nowhere, { exclude_boroughs: ['manhattan', 'brooklyn'] }));
+check('excluded event never matches', eventMatchesFilters(cellar, { category: 'comedy', exclude_venues: ['comedy cellar'] }) === false);
+
+const excludedPool = buildTaggedPool([elsewhere, cellar, nowhere], { exclude_categories: ['comedy'] });
+check('exclusion-only pool drops the event', !excludedPool.pool.some(e => e.id === 'x2') && excludedPool.pool.length === 2);
+check('exclusion-only pool has no matches', excludedPool.matchCount === 0 && excludedPool.pool.every(e => e.filter_match === false));
+const excludedFiltered = buildTaggedPool([elsewhere, cellar, nowhere], { category: 'live_music', exclude_boroughs: ['brooklyn'] });
+check('excluded events are not padding', !excludedFiltered.pool.some(e => e.id === 'x1') && excludedFiltered.hardCount === 1);
+
+const refined = mergeFilters({ exclude_categories: ['comedy'] }, { exclude_categories: ['dj'] });
+check('refine accumulates exclusions', refined.exclude_categories.join(',') === 'comedy,dj');
+check('refine keeps exclusions it doesn\'t mention', mergeFilters({ exclude_venues: ['Elsewhere'] }, { free_only: true }).exclude_venues[0] === 'Elsewhere');
+check('empty list lifts an exclusion', !('exclude_categories' in mergeFilters({ exclude_categories: ['comedy'] }, { exclude_categories: [] })));
+const normalizedEx = normalizeFilters({ exclude_categories: ['Music'], exclude_boroughs: ['Manhattan', 'jersey'] });
+check('normalize maps excluded categories', normalizedEx.exclude_categories[0] === 'live_music');
+check('normalize drops unknown boroughs', normalizedEx.exclude_boroughs.join(',') === 'manhattan');
+check('matchesVenue covers longer names it starts', matchesVenue('Elsewhere Rooftop', ['elsewhere']) && !matchesVenue('Elsewhere', ['Elsewhere Rooftop']));
+check('matchesVenue ignores "the"', matchesVenue('The Sultan Room', ['sultan room']) && !matchesVenue('', ['x']));
+check('exclusions don\'t change the label', describeFilters({ exclude_categories: ['comedy'] }) === 'events');
+
+// ---- accessibility ----
+console.log('\naccessibility:');
+
+const aslShow = { id: 'a1', category: 'theater', venue_name: 'Some Theater', accessibility: ['asl', 'step_free'] };
+const plainShow = { id: 'a2', category: 'theater', venue_name: 'Mood Ring' };
+check('stated features → yes', JSON.stringify(accessibilityStatus(aslShow, ['asl', 'step_free'])) === '{"asl":"yes","step_free":"yes"}');
+check('unchecked venue → unknown', accessibilityStatus(plainShow, ['step_free']).step_free === 'unknown');
+check('profile-backed venue → step-free yes', accessibilityStatus({ id: 'a3', venue_name: 'Elsewhere' }, ['step_free']).step_free === 'yes');
+check('profile fallback only covers step-free', accessibilityStatus({ venue_name: 'Elsewhere' }, ['asl']).asl === 'unknown');
+check('unlisted venue → unknown', accessibilityStatus({ venue_name: 'Nowhere Loft' }, ['captioned']).captioned === 'unknown');
+check('all needs met → hard', eventMatchesFilters(aslShow, { accessibility: ['asl'] }) === 'hard');
+check('unknown need → soft, not dropped', eventMatchesFilters(plainShow, { accessibility: ['step_free'] }) === 'soft');
+check('label names the need', describeFilters({ accessibility: ['asl'], category: 'theater' }) === 'ASL-interpreted theater');
+check('bare need gets a noun', describeFilters({ accessibility: ['step_free'] }) === 'step-free events');
+check('normalize keeps known needs only', JSON.stringify(normalizeFilters({ accessibility: ['ASL', 'jetpack'] })) === '{"accessibility":["asl"]}');
+check('refine keeps access needs', mergeFilters({ accessibility: ['step_free'] }, { category: 'comedy' }).accessibility[0] === 'step_free');
+
+// ---- age policy ----
+console.log('\nage policy:');
+
+const club = { id: 'g1', category: 'nightlife', age_policy: '21+' };
+const venue18 = { id: 'g2', category: 'live_music', age_policy: '18+' };
+const matinee = { id: 'g3', category: 'theater', age_policy: 'all_ages' };
+const noPolicy = { id: 'g4', category: 'comedy' };
+check('21+ turns away a 19-year-old', admitsAge(club, 19) === false);
+check('18+ admits a 19-year-old', admitsAge(venue18, 19) === true);
+check('unknown policy → null', admitsAge(noPolicy, 19) === null);
+check('age filter drops 21+ events', eventMatchesFilters(club, { youngest_age: 19 }) === false);
+check('age filter keeps 18+ for 19', eventMatchesFilters(venue18, { youngest_age: 19 }) === 'hard');
+check('teen only gets all-ages', eventMatchesFilters(venue18, { youngest_age: 15 }) === false && eventMatchesFilters(matinee, { youngest_age: 15 }) === 'hard');
+check('unknown policy → soft', eventMatchesFilters(noPolicy, { youngest_age: 19 }) === 'soft');
+check('21 or older is no filter', eventMatchesFilters(club, { youngest_age: 25 }) === 'hard');
+check('label for a teen', describeFilters({ youngest_age: 15, category: 'comedy' }) === 'all-ages comedy');
+check('label for 18-20', describeFilters({ youngest_age: 19 }) === '18+ events');
+check('normalize drops adult ages', normalizeFilters({ youngest_age: 30 }) === null && normalizeFilters({ youngest_age: '17' }).youngest_age === 17);
+
 // ---- describeFilters ----
 console.log('\ndescribeFilters:');
 
@@ -527,6 +613,17 @@ check('time 21:00 → after 9pm', describeFilters({ time_after: '21:00' }) === '
 check('time 12:00 → after noon', describeFilters({ time_after: '12:00' }) === 'events after noon');
 check('time 13:30 → after 1:30pm', describeFilters({ time_after: '13:30' }) === 'events after 1:30pm');
 check('comedy after 9pm', describeFilters({ category: 'comedy', time_after: '21:00' }) === 'comedy after 9pm');
+check('window → between', describeFilters({ time_after: '19:00', time_before: '21:00' }) === 'events between 7pm and 9pm');
+check('end bound only → before', describeFilters({ category: 'comedy', time_before: '21:30' }) === 'comedy before 9:30pm');
+
+// Price ceiling
+check('comedy under $20', describeFilters({ category: 'comedy', max_price: 20 }) === 'comedy under $20');
+check('bare budget → events under', describeFilters({ max_price: 15 }) === 'events under $15');
+check('budget with time', describeFilters({ max_price: 12.5, time_after: '21:00' }) === 'events under $12.50 after 9pm');
+check('free wins over budget', describeFilters({ free_only: true, max_price: 10 }) === 'free events');
+check('mergeFilters keeps budget on refine', mergeFilters({ max_price: 20 }, { category: 'comedy' }).max_price === 20);
+check('mergeFilters clears budget', mergeFilters({ max_price: 20 }, { max_price: null }).max_price === null);
+check('normalizeFilters keeps positive budget', normalizeFilters({ max_price: '25' })?.max_price === 25);
 
 // Vibe
 check('chill → "chill"', describeFilters({ vibe: 'chill' }) === 'chill');
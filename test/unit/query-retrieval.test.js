@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check } = require('../helpers');
+const { hybridRetrieve, buildIndex } = require('../../src/hybrid-retrieve');
+const { hashFeatures, embedDocuments, setEmbedder, hashingEmbedder } = require('../../src/embeddings');
+const { cosine } = require('../../src/cosine');
+const { rankEventsByQuery, tagRetrievalRanks, computeRetrievalBoost, RETRIEVAL_TOP_K } = require('../../src/query-retrieval');
+const { curatePool } = require('../../src/brain-execute');
+
+const EVENTS = [
+  { id: 'q1', name: 'Puppetry Slam', venue_name: 'Brooklyn Arts Exchange', neighborhood: 'Park Slope', category: 'theater', short_detail: 'adult puppetry shorts and weird marionettes' },
+  { id: 'q2', name: 'Queer Disco Night', venue_name: 'Elsewhere', neighborhood: 'Bushwick', category: 'nightlife', short_detail: 'LGBTQ dance party with a live band and DJs' },
+  { id: 'q3', name: 'Jazz Trio', venue_name: 'Smalls', neighborhood: 'West Village', category: 'live_music', short_detail: 'intimate jazz cellar, late sets' },
+  { id: 'q4', name: 'Standup Showcase', venue_name: 'Comedy Cellar', neighborhood: 'Greenwich Village', category: 'comedy', short_detail: 'rotating standup lineup' },
+  { id: 'q5', name: 'Trivia Tuesday', venue_name: 'Union Hall', neighborhood: 'Park Slope', category: 'trivia', short_detail: 'pub quiz with prizes' },
+];
+
+// ---- hashing embedder ----
+console.log('\nhashing embedder:');
+
+const v1 = hashFeatures('adult puppetry shorts');
+check('unit length', Math.abs(Math.sqrt(v1.reduce((s, x) => s + x * x, 0)) - 1) < 1e-9);
+check('deterministic', cosine(v1, hashFeatures('adult puppetry shorts')) > 0.999999);
+check('morphology: puppets ~ puppetry', cosine(hashFeatures('puppets'), hashFeatures('puppetry')) > cosine(hashFeatures('puppets'), hashFeatures('trivia')));
+check('empty text → zero vector', hashFeatures('').every(x => x === 0));
+
+// ---- hybridRetrieve degrades without vectors ----
+console.log('\nhybridRetrieve options:');
+
+const index = buildIndex(EVENTS);
+const lexicalOnly = hybridRetrieve({ queryText: 'jazz', queryVector: null, index, vectors: {} });
+check('no query vector → BM25 only', lexicalOnly.length === 1 && lexicalOnly[0].id === 'q3' && lexicalOnly[0].vecRank === null);
+const floored = hybridRetrieve({
+  queryText: 'zzz', queryVector: [1, 0], index, vectors: { q1: [1, 0], q2: [0, 1] }, minSimilarity: 0.5,
+});
+check('minSimilarity drops weak dense matches', floored.length === 1 && floored[0].id === 'q1');
+
+// ---- curation boost ----
+console.log('\nretrieval boost:');
+
+check('no rank → 0', computeRetrievalBoost({}) === 0);
+check('rank 1 → 6', computeRetrievalBoost({ retrieval_rank: 1 }) === 6);
+check('tapers with rank', computeRetrievalBoost({ retrieval_rank: 5 }) < 6 && computeRetrievalBoost({ retrieval_rank: 5 }) > 0);
+check('rank 30 → 0', computeRetrievalBoost({ retrieval_rank: 30 }) === 0);
+const { curatedPool } = curatePool([
+  { id: 'plain', name: 'Plain', neighborhood: 'Bushwick', category: 'nightlife', editorial_signal: true },
+  { id: 'hit', name: 'Hit', neighborhood: 'Bushwick', category: 'nightlife', retrieval_rank: 1 },
+], 'Bushwick', { poolSize: 1 });
+check('top retrieval hit outranks editorial signal', curatedPool[0].id === 'hit');
+
+// Hits beyond the retriever's top K still reach the filters
+const many = Array.from({ length: RETRIEVAL_TOP_K + 10 }, (_, i) => ({ id: `m${i}`, name: `Show ${i}`, is_free: i === RETRIEVAL_TOP_K + 5 }));
+const tagged = tagRetrievalRanks(many, many.slice(0, RETRIEVAL_TOP_K).map((event, i) => ({ event, rank: i + 1 })));
+check('every candidate kept', tagged.length === many.length);
+check('hits stamped with their rank', tagged[0].retrieval_rank === 1 && tagged[RETRIEVAL_TOP_K - 1].retrieval_rank === RETRIEVAL_TOP_K);
+check('unranked free event still in the pool', tagged.some(e => e.is_free && !e.retrieval_rank));
+check('inputs not mutated', many[0].retrieval_rank === undefined);
+
+async function runAsync() {
+  console.log('\nrankEventsByQuery:');
+
+  setEmbedder(hashingEmbedder);
+  let res = await rankEventsByQuery(EVENTS, 'something with puppets');
+  check('puppets → puppetry slam first', res.ranked[0]?.event.id === 'q1');
+  check('dense leg ran', res.dense === true && res.embedder === hashingEmbedder.name);
+  check('ranks are 1-based', res.ranked[0].rank === 1);
+
+  res = await rankEventsByQuery(EVENTS, 'queer dance party with a live band');
+  check('queer dance party → disco night first', res.ranked[0]?.event.id === 'q2');
+  check('lexical + dense both ranked it', res.ranked[0].bm25Rank === 1 && res.ranked[0].vecRank === 1);
+
+  res = await rankEventsByQuery(EVENTS, '   ');
+  check('blank query → nothing', res.ranked.length === 0);
+
+  setEmbedder(null);
+  res = await rankEventsByQuery(EVENTS, 'jazz cellar');
+  check('embedder off → BM25 only', res.dense === false && res.ranked[0]?.event.id === 'q3');
+
+  setEmbedder({ name: 'broken', dim: 4, embed: async () => { throw new Error('model missing'); } });
+  res = await rankEventsByQuery(EVENTS, 'trivia');
+  check('failing embedder → BM25 fallback', res.dense === false && res.ranked[0]?.event.id === 'q5');
+  check('failure reported', res.error === 'model missing');
+
+  // Precomputed vectors: used when they match the embedder, skipped otherwise
+  console.log('\nprecomputed embeddings:');
+  const file = path.join(os.tmpdir(), `pulse-embeddings-${process.pid}.json`);
+  const prevFile = process.env.PULSE_EMBEDDINGS_FILE;
+  let embedCalls = 0;
+  const tiny = { name: 'tiny-2d', dim: 2, embed: async texts => { embedCalls += texts.length; return texts.map(() => [0, 1]); } };
+  try {
+    fs.writeFileSync(file, JSON.stringify({ model: 'tiny-2d', ids: ['q1'], vectors: [[1, 0]] }));
+    process.env.PULSE_EMBEDDINGS_FILE = file;
+    setEmbedder(tiny);
+    let vectors = await embedDocuments([{ id: 'q1', text: 'a' }, { id: 'q2', text: 'b' }], tiny);
+    check('file vector used', vectors.q1[0] === 1);
+    check('missing ids embedded', vectors.q2[1] === 1 && embedCalls === 1);
+    await embedDocuments([{ id: 'q2', text: 'b' }], tiny);
+    check('cached vector reused', embedCalls === 1);
+    await embedDocuments([{ id: 'q2', text: 'b changed' }], tiny);
+    check('changed card re-embedded', embedCalls === 2);
+
+    fs.writeFileSync(file, JSON.stringify({ model: 'other-model', ids: ['q1'], vectors: [[1, 0]] }));
+    setEmbedder(tiny);
+    vectors = await embedDocuments([{ id: 'q1', text: 'a' }], tiny);
+    check('mismatched model file ignored', vectors.q1[1] === 1);
+  } finally {
+    if (prevFile === undefined) delete process.env.PULSE_EMBEDDINGS_FILE;
+    else process.env.PULSE_EMBEDDINGS_FILE = prevFile;
+    fs.rmSync(file, { force: true });
+    setEmbedder(hashingEmbedder);
+  }
+}
+
+module.exports = { runAsync };
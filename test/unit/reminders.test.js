@@ -0,0 +1,64 @@
+const { check } = require('../helpers');
+const { computeRemindAt, formatReminderSms } = require('../../src/reminders');
+
+// ---- computeRemindAt ----
+console.log('\ncomputeRemindAt:');
+
+// 2026-03-10T18:00:00-04:00 (EDT) = 22:00Z
+const nowMs = Date.parse('2026-03-10T22:00:00Z');
+const later = computeRemindAt({ start_time_local: '2026-03-11T21:00:00-04:00' }, { leadMinutes: 60, nowMs });
+check('future event: remind lead minutes before start', later.remindAt === '2026-03-12T00:00:00.000Z');
+check('future event: not immediate', later.immediate === false);
+
+const soon = computeRemindAt({ start_time_local: '2026-03-10T18:30:00-04:00' }, { leadMinutes: 60, nowMs });
+check('inside lead window: remind now', soon.remindAt === new Date(nowMs).toISOString());
+check('inside lead window: immediate', soon.immediate === true);
+
+check('already started: error', computeRemindAt({ start_time_local: '2026-03-10T17:00:00-04:00' }, { nowMs }).error === 'already_started');
+check('date-only event: no_start_time', computeRemindAt({ start_time_local: '2026-03-11' }, { nowMs }).error === 'no_start_time');
+check('missing start: no_start_time', computeRemindAt({ name: 'x' }, { nowMs }).error === 'no_start_time');
+check('null event: no_start_time', computeRemindAt(null, { nowMs }).error === 'no_start_time');
+
+// ---- formatReminderSms ----
+console.log('\nformatReminderSms:');
+
+const sms = formatReminderSms({
+  event_name: 'Jazz Night', venue_name: 'Smalls', start_time_local: '2026-03-11T21:00:00-04:00', url: 'https://example.com/jazz',
+});
+check('reminder names event and venue', sms.startsWith('Heads up: Jazz Night at Smalls starts'));
+check('reminder includes the time', sms.includes('9:00 PM'));
+check('reminder includes link', sms.endsWith('\nhttps://example.com/jazz'));
+const noVenue = formatReminderSms({ event_name: 'Pop-up', venue_name: 'TBA', start_time_local: '2026-03-11T21:00:00-04:00' });
+check('TBA venue omitted', !noVenue.includes('TBA'));
+check('no link line without url', !noVenue.includes('\n'));
+
+// ---- sendDueReminders (in-memory DB) ----
+console.log('\nsendDueReminders:');
+
+async function runAsync() {
+  const Database = require('better-sqlite3');
+  const db = require('../../src/db');
+  const { sendDueReminders } = require('../../src/reminders');
+  const { optOutPhone } = require('../../src/opt-outs');
+  const { hashPhone } = require('../../src/session');
+  const { enableTestCapture, disableTestCapture } = require('../../src/twilio');
+
+  db.setDb(new Database(':memory:'));
+  const event = { id: 'ev1', name: 'Jazz Night', venue_name: 'Smalls', start_time_local: '2026-03-11T21:00:00-04:00' };
+  const remindAt = '2026-03-11T23:00:00.000Z';
+  const optedOut = db.saveReminder({ phoneHash: hashPhone('+15550000001'), phone: '+15550000001', event, remindAt });
+  const active = db.saveReminder({ phoneHash: hashPhone('+15550000002'), phone: '+15550000002', event, remindAt });
+  optOutPhone('+15550000001', 'STOP');
+  enableTestCapture('+15550000002');
+
+  const result = await sendDueReminders({ nowMs: Date.parse('2026-03-11T23:30:00Z') });
+  const status = id => db.getDb().prepare('SELECT status FROM event_reminders WHERE id = ?').get(id).status;
+  check('opted-out reminder not recorded as sent', status(optedOut.id) === 'blocked');
+  check('other reminder sent', status(active.id) === 'sent' && disableTestCapture('+15550000002').length === 1);
+  check('only delivered reminders counted', result.sent === 1);
+
+  db.getDb().close();
+  db.setDb(null);
+}
+
+module.exports = { runAsync };
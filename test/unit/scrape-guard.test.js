@@ -0,0 +1,141 @@
+const { check } = require('../helpers');
+const { checkBaseline, getBaselineStats } = require('../../src/scrape-guard');
+const { sourceHealth, updateSourceHealth, recordGuardVerdict, summarizeScrape } = require('../../src/source-health');
+const { SOURCE_EXPECTATIONS } = require('../../src/source-registry');
+
+// A healthy scrape: distinct names, 10 venues, 5 dates, every field filled
+function makeEvents(n, overrides = {}) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: `e${i}`, name: `Event ${i}`, venue_name: `Venue ${i % 10}`,
+    date_local: `2026-07-${String(10 + (i % 5)).padStart(2, '0')}`, start_time_local: '2026-07-10T20:00:00',
+    source_url: 'https://example.com', description_short: 'A thing', ...overrides,
+  }));
+}
+
+// Seed `runs` healthy scrapes of `n` events, then record and judge `events`
+function judge(label, events, { runs = 5, n = 40 } = {}) {
+  sourceHealth[label].history = [];
+  for (let i = 0; i < runs; i++) updateSourceHealth(label, { events: makeEvents(n), status: 'ok' });
+  updateSourceHealth(label, { events, status: 'ok' });
+  return checkBaseline(label, events);
+}
+
+// ---- summarizeScrape ----
+console.log('\nsummarizeScrape:');
+
+const shape = summarizeScrape(makeEvents(40));
+check('distinct venues', shape.venues === 10);
+check('distinct dates', shape.dates === 5);
+check('no duplicate names', shape.dupRatio === 0);
+check('full completeness', shape.completeness.time === 1 && shape.completeness.venue === 1);
+check('TBA venue counts as missing', summarizeScrape(makeEvents(4, { venue_name: 'TBA' })).completeness.venue === 0);
+check('empty scrape → null', summarizeScrape([]) === null);
+
+// ---- getBaselineStats ----
+console.log('\ngetBaselineStats:');
+
+sourceHealth.GuardTest.history = [];
+for (let i = 0; i < 2; i++) updateSourceHealth('GuardTest', { events: makeEvents(40), status: 'ok' });
+check('too little history → null', getBaselineStats('GuardTest') === null);
+check('too little history → not quarantined', checkBaseline('GuardTest', makeEvents(1)).quarantined === false);
+
+judge('GuardTest', makeEvents(40));
+const stats = getBaselineStats('GuardTest');
+check('baseline excludes the run being judged', stats.runs === 5);
+check('median count', stats.count === 40);
+check('venues per event', stats.venuesPerEvent === 0.25);
+
+sourceHealth.GuardTest.history = [
+  { count: 40, status: 'ok' }, { count: 0, status: 'empty' }, { count: 2, status: 'quarantined' },
+  { count: 44, status: 'ok' }, { count: 42, status: 'ok' }, { count: 40, status: 'ok' },
+];
+check('empty and quarantined runs are left out', getBaselineStats('GuardTest').runs === 3);
+check('legacy entries without shape still give a count median', getBaselineStats('GuardTest').count === 42);
+
+// ---- checkBaseline ----
+console.log('\ncheckBaseline:');
+
+const healthy = judge('GuardTest', makeEvents(38));
+check('healthy run passes', healthy.quarantined === false && healthy.reason === null);
+check('every check is explained', healthy.checks.map(c => c.check).join(',') === 'count,completeness,venues,dates,duplicates');
+
+const dropped = judge('GuardTest', makeEvents(8));
+check('count drop → quarantined', dropped.quarantined === true);
+check('count reason names the median', /8 events vs median 40/.test(dropped.reason));
+
+const spiked = judge('GuardTest', makeEvents(200));
+check('count spike → quarantined', spiked.quarantined === true && /over 4x/.test(spiked.reason));
+
+const noTimes = judge('GuardTest', makeEvents(40, { start_time_local: null }));
+check('completeness drop → quarantined', noTimes.quarantined === true);
+check('completeness reason names the field', /time filled on 0% of events vs usual 100%/.test(noTimes.reason));
+
+const oneVenue = judge('GuardTest', makeEvents(40, { venue_name: 'Same Place' }));
+check('venue collapse → quarantined', oneVenue.quarantined === true && /1 distinct venues across 40 events/.test(oneVenue.reason));
+
+const oneDay = judge('GuardTest', makeEvents(40, { date_local: '2026-07-10' }));
+check('date collapse → quarantined', oneDay.quarantined === true && oneDay.checks.find(c => c.check === 'dates').ok === false);
+
+const fewerDays = judge('GuardTest', makeEvents(40).map((e, i) => ({ ...e, date_local: `2026-07-1${i % 3}` })));
+check('three dates instead of five is fine', fewerDays.quarantined === false);
+
+const repeats = judge('GuardTest', makeEvents(40).map((e, i) => ({ ...e, name: `Event ${i % 5}` })));
+check('duplicate names → quarantined', repeats.quarantined === true && /88% repeated names/.test(repeats.reason));
+
+// ---- recordGuardVerdict ----
+console.log('\nrecordGuardVerdict:');
+
+recordGuardVerdict('GuardTest', dropped);
+const h = sourceHealth.GuardTest;
+check('status is quarantined', h.status === 'quarantined');
+check('reason shown on health', h.quarantine_reason === dropped.reason);
+check('history entry marked so it stays out of the baseline', h.history[h.history.length - 1].status === 'quarantined');
+updateSourceHealth('GuardTest', { events: makeEvents(40), status: 'ok' });
+check('next run clears the reason', h.quarantine_reason === null);
+
+// ---- new level ----
+console.log('\nnew level after repeated quarantines:');
+
+// Five healthy runs at 40, then a redesign that lists 12 fuller events every run
+function runAt(label, events) {
+  updateSourceHealth(label, { events, status: 'ok' });
+  const verdict = checkBaseline(label, events);
+  recordGuardVerdict(label, verdict);
+  return verdict;
+}
+judge('GuardTest', makeEvents(40));
+const first = runAt('GuardTest', makeEvents(12));
+const second = runAt('GuardTest', makeEvents(13));
+updateSourceHealth('GuardTest', { events: [], status: 'empty' });
+const third = runAt('GuardTest', makeEvents(12));
+check('first two drops are quarantined', first.quarantined && second.quarantined);
+check('third agreeing drop is accepted', third.quarantined === false && third.rebaseline?.runs === 3);
+check('rebaseline explained in checks', /3 runs in a row agree on ~12 events \(was 40\)/.test(third.checks.find(c => c.check === 'rebaseline').detail));
+const gh = sourceHealth.GuardTest.history;
+check('streak turned back into healthy runs', gh.slice(-4).map(e => e.status).join(',') === 'ok,ok,empty,ok');
+check('baseline restarts at the first run of the streak', gh[gh.length - 4].baseline_start === true);
+check('rebaseline stamped as a transition', gh[gh.length - 1].transition === 'rebaselined');
+updateSourceHealth('GuardTest', { events: makeEvents(12), status: 'ok' });
+check('next run judged against the new level', getBaselineStats('GuardTest').count === 12
+  && checkBaseline('GuardTest', makeEvents(12)).quarantined === false);
+
+// Quarantines that disagree with each other stay quarantined
+judge('GuardTest', makeEvents(40));
+runAt('GuardTest', makeEvents(2));
+runAt('GuardTest', makeEvents(14));
+const mixed = runAt('GuardTest', makeEvents(13));
+check('disagreeing counts → still quarantined', mixed.quarantined === true && !mixed.rebaseline);
+
+judge('GuardTest', makeEvents(40));
+runAt('GuardTest', makeEvents(12));
+runAt('GuardTest', makeEvents(12));
+const broken = runAt('GuardTest', makeEvents(12, { venue_name: 'Same Place' }));
+check('a run that breaks the streak\'s shape → still quarantined', broken.quarantined === true);
+
+// ---- thresholds ----
+console.log('\nguard thresholds:');
+
+check('volatile newsletter tolerates bigger drops', SOURCE_EXPECTATIONS.Skint.guard.minCountRatio < SOURCE_EXPECTATIONS.RA.guard.minCountRatio);
+check('volatile newsletter never flags a spike', SOURCE_EXPECTATIONS.Skint.guard.maxCountRatio === null);
+
+delete sourceHealth.GuardTest;
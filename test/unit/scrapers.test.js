@@ -51,3 +51,42 @@ const comedyEvent = normalizeExtractedEvent({ name: 'Stand Up', category: 'comed
 check('comedy category unchanged', comedyEvent.category === 'comedy');
 const noCategory = normalizeExtractedEvent({ name: 'Some Event', venue_name: 'Somewhere', date_local: '2026-03-05' }, 'TestSource', 'primary', 0.8);
 check('missing category defaults to other', noCategory.category === 'other');
+
+console.log('\nPrice range parsing:');
+const { parsePriceRange, backfillPrices } = require('../../src/sources/shared');
+const range = (display, free) => JSON.stringify(parsePriceRange(display, free));
+check('single price', range('$15') === '{"price_min":15,"price_max":15}');
+check('dollar range', range('$15–25') === '{"price_min":15,"price_max":25}');
+check('free to paid', range('Free–$10') === '{"price_min":0,"price_max":10}');
+check('pay what you can', range('PWYC') === '{"price_min":0,"price_max":null}');
+check('open-ended', range('$10+') === '{"price_min":10,"price_max":null}');
+check('free flag', range(null, true) === '{"price_min":0,"price_max":0}');
+check('unknown → nulls', range('TBA') === '{"price_min":null,"price_max":null}');
+check('thousands separator stripped', range('$1,200') === '{"price_min":1200,"price_max":1200}');
+check('"from $35" is open-ended', range('Tickets from $35') === '{"price_min":35,"price_max":null}');
+check('"from $20 to $30" stays a range', range('from $20 to $30') === '{"price_min":20,"price_max":30}');
+check('age "+" not read as open-ended price', range('$10, 21+') === '{"price_min":10,"price_max":10}');
+check('"and up" on an age not open-ended', range('$15, 18 and up') === '{"price_min":15,"price_max":15}');
+check('suggested donation → min 0', range('$5 suggested donation') === '{"price_min":0,"price_max":5}');
+const pricedEvent = normalizeExtractedEvent({ name: 'Late Set', venue_name: 'Cellar', date_local: '2026-03-05', price_display: '$20-$30' }, 'TestSource', 'primary', 0.8);
+check('normalize stamps price range', pricedEvent.price_min === 20 && pricedEvent.price_max === 30);
+const cached = [{ price_display: '$12' }, { price_display: '$99', price_min: 5, price_max: 5 }];
+backfillPrices(cached);
+check('backfill fills missing range', cached[0].price_min === 12);
+check('backfill keeps existing range', cached[1].price_min === 5);
+
+console.log('\nAccessibility features:');
+const { normalizeAccessibilityFeatures } = require('../../src/sources/shared');
+check('aliases collapse to known features', normalizeAccessibilityFeatures(['ASL interpreted', 'open captions', 'Sensory-friendly', 'wheelchair accessible']).join(',') === 'asl,captioned,relaxed,step_free');
+check('unknown features dropped, duplicates merged', normalizeAccessibilityFeatures(['asl', 'ASL', 'valet']).join(',') === 'asl');
+check('non-array → []', normalizeAccessibilityFeatures(null).length === 0);
+check('normalize stamps features', normalizeExtractedEvent({ name: 'Play', venue_name: 'Theater', date_local: '2026-03-05', accessibility: ['asl'] }, 'TestSource', 'primary', 0.8).accessibility[0] === 'asl');
+
+console.log('\nAge policy:');
+const { normalizeAgePolicy } = require('../../src/sources/shared');
+check('21 and over', normalizeAgePolicy('21 and over w/ ID') === '21+');
+check('18+', normalizeAgePolicy('18+') === '18+');
+check('all ages', normalizeAgePolicy('All Ages') === 'all_ages' && normalizeAgePolicy('all_ages') === 'all_ages');
+check('numeric minimum age', normalizeAgePolicy(21) === '21+' && normalizeAgePolicy(18) === '18+');
+check('zero or missing → null', normalizeAgePolicy(0) === null && normalizeAgePolicy(null) === null && normalizeAgePolicy('bar') === null);
+check('normalize stamps age policy', normalizeExtractedEvent({ name: 'Party', venue_name: 'Club', date_local: '2026-03-05', age_policy: '21+' }, 'TestSource', 'primary', 0.8).age_policy === '21+');
@@ -0,0 +1,81 @@
+const { check } = require('../helpers');
+const { detectEncoding, countSegments, encodedLength, splitIntoBlocks, packBlocks, planLongReply, summarizeMessages } = require('../../src/sms-segments');
+
+// ---- detectEncoding / countSegments ----
+console.log('\nSMS encoding:');
+
+check('plain ASCII is GSM-7', detectEncoding('Jazz at Smalls, 9pm, $20') === 'GSM-7');
+check('GSM accented chars stay GSM-7', detectEncoding('Café Ñ ü') === 'GSM-7');
+check('em dash forces UCS-2', detectEncoding('Jazz — Smalls') === 'UCS-2');
+check('emoji forces UCS-2', detectEncoding('tonight 🎷') === 'UCS-2');
+check('extension chars count 2 septets', encodedLength('[x]', 'GSM-7') === 5);
+check('160 GSM chars = 1 segment', countSegments('a'.repeat(160)).segments === 1);
+check('161 GSM chars = 2 segments', countSegments('a'.repeat(161)).segments === 2);
+check('306 GSM chars = 2 segments', countSegments('a'.repeat(306)).segments === 2);
+check('70 UCS-2 chars = 1 segment', countSegments('—'.repeat(70)).segments === 1);
+check('71 UCS-2 chars = 2 segments', countSegments('—'.repeat(71)).segments === 2);
+check('empty = 0 segments', countSegments('').segments === 0);
+
+// ---- splitIntoBlocks ----
+console.log('\nsplitIntoBlocks:');
+
+const reply = [
+  'Three good ones in Bushwick tonight:',
+  '',
+  '1) Union Pool standup (9 PM, free) - tiny back room, lineup tests new material.',
+  '2) Elsewhere rooftop DJ set (10 PM, $20) - big room energy',
+  'doors close at midnight.',
+  '3) Pine Box Rock Shop trivia (8 PM, free) - chill, good beer list.',
+  '',
+  'Reply a number for details.',
+].join('\n');
+const blocks = splitIntoBlocks(reply);
+check('intro + 3 picks + outro', blocks.length === 5);
+check('pick block keeps continuation line', blocks[2].includes('doors close at midnight'));
+check('outro is its own block', blocks[4] === 'Reply a number for details.');
+check('paragraphs split when no picks', splitIntoBlocks('First para.\n\nSecond para.').length === 2);
+
+// ---- packBlocks ----
+console.log('\npackBlocks:');
+
+const packed = packBlocks(blocks, 160);
+check('every message under cap', packed.every(m => m.length <= 160));
+check('no pick is cut across messages', packed.filter(m => /^\d\)|\n\d\)/.test(m)).length >= 2 && packed.join('\n\n').includes('3) Pine Box'));
+check('order preserved', packed[0].startsWith('Three good ones') && packed[packed.length - 1].endsWith('Reply a number for details.'));
+check('fits in one when cap allows', packBlocks(blocks, 1000).length === 1);
+
+// ---- planLongReply ----
+console.log('\nplanLongReply:');
+
+const pick = n => `${n}) ${'Event name with a one-line why and time and price. '.repeat(2).trim()}`;
+const justOver = ['Picks:', pick(1), pick(2), pick(3), 'Reply a number.'].join('\n');
+const plan = planLongReply(justOver, { maxChars: 240, segmentCost: 0.01, rewriteLlmCost: 0.002, rewritePenalty: 0 });
+check('split messages all under cap', plan.messages.every(m => m.length <= 240));
+check('split keeps all 3 picks', [1, 2, 3].every(n => plan.messages.join('\n').includes(`${n}) Event`)));
+check('split cost = segments x cost', plan.split.cost_usd === Math.round(plan.split.segments * 0.01 * 10000) / 10000);
+check('rewrite cost includes LLM call', plan.rewrite.cost_usd === Math.round((2 * 0.01 + 0.002) * 10000) / 10000);
+check('strategy follows cost', plan.strategy === (plan.split.cost_usd <= plan.rewrite.cost_usd ? 'split' : 'rewrite'));
+
+const cheapSplit = planLongReply(justOver, { maxChars: 240, segmentCost: 0.0001, rewriteLlmCost: 0.01 });
+check('split chosen when cheaper than rewrite', cheapSplit.strategy === 'split');
+const overBudget = planLongReply(justOver, { maxChars: 240, maxSegments: 1, segmentCost: 0.0001, rewriteLlmCost: 0.01 });
+check('rewrite when split exceeds segment budget', overBudget.strategy === 'rewrite');
+const oneBlock = planLongReply('x '.repeat(300), { maxChars: 240, segmentCost: 0.0001, rewriteLlmCost: 0.01 });
+check('unsplittable text falls back to rewrite', oneBlock.strategy === 'rewrite');
+
+// Default pricing: a reply two segments over the 480-char SMS cap splits rather than paying for a rewrite
+const smsReply = ['Six good ones tonight:', ...[1, 2, 3, 4, 5, 6].map(pick), 'Reply a number for details.'].join('\n');
+const realistic = planLongReply(smsReply, { maxChars: 480 });
+check('realistic reply is two segments over the cap', smsReply.length > 480 + 153 && smsReply.length <= 480 + 2 * 153);
+check('split wins a 2-segment overflow at default pricing', realistic.strategy === 'split'
+  && realistic.split.segments > realistic.rewrite.segments);
+check('no penalty → cheaper send wins', planLongReply(smsReply, { maxChars: 480, rewritePenalty: 0 }).strategy === 'rewrite');
+
+// ---- summarizeMessages ----
+console.log('\nsummarizeMessages:');
+
+const summary = summarizeMessages(['a'.repeat(200), 'Jazz — Smalls'], { segmentCost: 0.01 });
+check('messages counted', summary.messages === 2);
+check('segments summed across messages', summary.segments === 3);
+check('any UCS-2 part marks encoding', summary.encoding === 'UCS-2');
+check('cost rounded to 4 places', summary.cost_usd === 0.03);
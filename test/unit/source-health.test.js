@@ -0,0 +1,80 @@
+const { check } = require('../helpers');
+const { sourceHealth, updateSourceHealth, recordGuardVerdict, isSourceDisabled, shouldProbeDisabled, getHealthStatus } = require('../../src/source-health');
+const { SOURCE_EXPECTATIONS, SOURCE_RUNS_PER_DAY } = require('../../src/source-registry');
+
+const HOUR = 60 * 60 * 1000;
+const okRun = { events: [{ id: 'a', name: 'A', venue_name: 'V', date_local: '2026-07-10' }], status: 'ok' };
+const errorRun = { events: [], status: 'error', error: 'HTTP 503' };
+const lastEntry = label => sourceHealth[label].history[sourceHealth[label].history.length - 1];
+
+// ---- circuit breaker ----
+console.log('\ncircuit breaker:');
+
+updateSourceHealth('BreakerTest', okRun);
+updateSourceHealth('BreakerTest', errorRun);
+updateSourceHealth('BreakerTest', { events: [], status: 'ok' });
+check('two bad runs → still enabled', isSourceDisabled('BreakerTest') === false);
+
+updateSourceHealth('BreakerTest', errorRun);
+const h = sourceHealth.BreakerTest;
+check('third bad run → disabled', isSourceDisabled('BreakerTest') === true);
+check('disable reason counts the runs', /3 consecutive failed or empty runs \(last: HTTP 503\)/.test(h.disabled_reason));
+check('disable recorded in history', lastEntry('BreakerTest').transition === 'disabled');
+check('first probe 6h out', Date.parse(h.next_probe_at) - Date.parse(h.disabled_at) === 6 * HOUR);
+check('not due before the probe time', shouldProbeDisabled('BreakerTest') === false);
+check('due at the probe time', shouldProbeDisabled('BreakerTest', Date.parse(h.next_probe_at)) === true);
+
+updateSourceHealth('BreakerTest', errorRun);
+check('failed probe stays disabled', isSourceDisabled('BreakerTest') === true && h.failed_probes === 1);
+check('failed probe recorded in history', lastEntry('BreakerTest').transition === 'probe_failed');
+check('backoff doubles', Date.parse(h.next_probe_at) - Date.parse(lastEntry('BreakerTest').timestamp) === 12 * HOUR);
+
+updateSourceHealth('BreakerTest', { events: [], status: 'ok' });
+check('empty probe fails too', h.failed_probes === 2 && Date.parse(h.next_probe_at) - Date.parse(lastEntry('BreakerTest').timestamp) === 24 * HOUR);
+
+for (let i = 0; i < 6; i++) updateSourceHealth('BreakerTest', errorRun);
+check('backoff capped at 4 days', Date.parse(h.next_probe_at) - Date.parse(lastEntry('BreakerTest').timestamp) === 96 * HOUR);
+
+updateSourceHealth('BreakerTest', okRun);
+check('healthy probe → re-enabled', isSourceDisabled('BreakerTest') === false);
+check('re-enable recorded in history', lastEntry('BreakerTest').transition === 'enabled');
+check('probe state cleared', h.failed_probes === 0 && h.next_probe_at === null && h.disabled_reason === null);
+check('enabled source is never probed', shouldProbeDisabled('BreakerTest') === false);
+
+// A probe the scrape guard quarantines doesn't count as healthy
+for (let i = 0; i < 3; i++) updateSourceHealth('BreakerTest', errorRun);
+updateSourceHealth('BreakerTest', okRun);
+recordGuardVerdict('BreakerTest', { quarantined: true, reason: '1 events vs median 40 over 5 runs', checks: [] });
+check('quarantined probe → disabled again', isSourceDisabled('BreakerTest') === true);
+check('quarantined probe recorded as a failed probe', lastEntry('BreakerTest').transition === 'probe_failed' && /quarantined/.test(lastEntry('BreakerTest').reason));
+
+// ---- /health ----
+console.log('\nhealth status:');
+
+const status = getHealthStatus({ size: 100, timestamp: Date.now() });
+check('disabled sources counted', status.scrape.sourcesDisabled >= 1);
+check('disabled source degrades status', status.status === 'degraded');
+check('breaker state exposed per source', status.sources.BreakerTest.disabled === true && !!status.sources.BreakerTest.next_probe_at);
+
+// ---- thresholds ----
+console.log('\nbreaker thresholds:');
+
+check('structured source disables after 3', SOURCE_EXPECTATIONS.RA.disableAfter === 3);
+check('volatile newsletter gets more slack', SOURCE_EXPECTATIONS.Skint.disableAfter > SOURCE_EXPECTATIONS.RA.disableAfter);
+
+// ---- history window ----
+console.log('\nhistory window:');
+
+check('intraday refreshes count toward runs per day', SOURCE_RUNS_PER_DAY.Skint === 6 && SOURCE_RUNS_PER_DAY.RA === 2);
+check('email poll counts toward runs per day', SOURCE_RUNS_PER_DAY.Yutori === 5);
+for (const label of ['Skint', 'RA']) {
+  const saved = { ...sourceHealth[label] };
+  sourceHealth[label].history = [];
+  for (let i = 0; i < 100; i++) updateSourceHealth(label, okRun);
+  check(`${label} keeps two weeks of its runs`, sourceHealth[label].history.length === 14 * SOURCE_RUNS_PER_DAY[label]);
+  Object.assign(sourceHealth[label], saved);
+}
+for (let i = 0; i < 20; i++) updateSourceHealth('BreakerTest', okRun);
+check('unknown source keeps 14 runs', sourceHealth.BreakerTest.history.length === 14);
+
+delete sourceHealth.BreakerTest;
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check } = require('../helpers');
+const { SOURCES, SOURCE_MANIFESTS, SOURCE_TIERS, MERGE_ORDER, validateSources, loadManifests, applyToggles } = require('../../src/source-registry');
+
+const manifest = overrides => ({
+  label: 'Test', module: 'dice', fetch: 'fetchDiceEvents', enabled: false,
+  channel: 'web', tier: 'structured', weight: 0.7, mergeRank: 100, ...overrides,
+});
+
+function validationError(manifests, env = {}) {
+  try {
+    validateSources(manifests, env);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// ---- shipped manifests ----
+console.log('\nsource manifests:');
+
+check('every scraper has a manifest', SOURCE_MANIFESTS.length >= 20);
+check('shipped manifests are valid', validationError(SOURCE_MANIFESTS) === null);
+check('six editorial sources enabled', SOURCES.map(s => s.label).join(',') === 'Skint,NonsenseNYC,Yutori,ScreenSlate,BKMag,RA');
+check('listing scrapers ship disabled', SOURCE_MANIFESTS.find(m => m.label === 'Dice')?.enabled === false);
+check('enabled sources carry fetch functions', SOURCES.every(s => typeof s.fetch === 'function'));
+check('merge order: weight, then rank', MERGE_ORDER.join(',') === 'Skint,NonsenseNYC,Yutori,ScreenSlate,BKMag,RA');
+check('tiers known for disabled sources too', SOURCE_TIERS.Dice === 'structured' && SOURCE_TIERS.Skint === 'unstructured');
+check('cache file declared', SOURCES.find(s => s.label === 'NonsenseNYC')?.cacheFile === 'data/nonsense/cached-events.json');
+
+// ---- validateSources ----
+console.log('\nvalidateSources:');
+
+check('valid manifest passes', validationError([manifest()]) === null);
+check('missing field', /Test: missing tier/.test(validationError([manifest({ tier: undefined })])));
+check('unknown field (typo)', /Test: unknown field minExpcted/.test(validationError([manifest({ minExpcted: 5 })])));
+check('bad channel', /channel must be web or email/.test(validationError([manifest({ channel: 'rss' })])));
+check('bad tier', /tier must be structured or unstructured/.test(validationError([manifest({ tier: 'secondary' })])));
+check('weight out of range', /weight must be 0-1/.test(validationError([manifest({ weight: 1.5 })])));
+check('weight wrong type', /weight must be a number/.test(validationError([manifest({ weight: '0.5' })])));
+check('duplicate label', /Duplicate source label: Test/.test(validationError([manifest(), manifest({ mergeRank: 101 })])));
+check('duplicate mergeRank', /mergeRank 100 already used/.test(validationError([manifest(), manifest({ label: 'Other' })])));
+check('bad schedule day', /schedule.days/.test(validationError([manifest({ schedule: { days: ['friday'] } })])));
+check('cache file outside data/', /cacheFile must live under data/.test(validationError([manifest({ cacheFile: '/tmp/x.json' })])));
+check('missing module', /can't load module sources\/nope/.test(validationError([manifest({ module: 'nope' })])));
+check('missing fetch export', /has no function fetchNope/.test(validationError([manifest({ fetch: 'fetchNope' })])));
+check('unknown label in env toggle', /unknown source Nope/.test(validationError([manifest()], { PULSE_SOURCES_ENABLE: 'Nope' })));
+check('all problems reported together', validationError([manifest({ weight: 2, channel: 'rss' })]).split('\n').length === 3);
+
+// ---- applyToggles ----
+console.log('\napplyToggles:');
+
+const toggled = applyToggles([manifest({ label: 'A' }), manifest({ label: 'B', enabled: true }), manifest({ label: 'C' })],
+  { PULSE_SOURCES_ENABLE: 'A, C', PULSE_SOURCES_DISABLE: 'B,C' });
+check('env enables a disabled source', toggled[0].enabled === true);
+check('env disables an enabled source', toggled[1].enabled === false);
+check('disable wins over enable', toggled[2].enabled === false);
+check('no env → manifest value', applyToggles([manifest({ enabled: true })], {})[0].enabled === true);
+
+// ---- loadManifests ----
+console.log('\nloadManifests:');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-manifests-'));
+fs.writeFileSync(path.join(dir, 'dice.json'), JSON.stringify(manifest()));
+fs.writeFileSync(path.join(dir, 'README.txt'), 'not a manifest');
+const loaded = loadManifests(dir);
+check('discovers .json manifests only', loaded.length === 1 && loaded[0].file === 'dice.json');
+fs.writeFileSync(path.join(dir, 'broken.json'), '{ nope');
+let parseError = null;
+try { loadManifests(dir); } catch (err) { parseError = err.message; }
+check('broken JSON names the file', /broken\.json/.test(parseError || ''));
+fs.rmSync(dir, { recursive: true, force: true });
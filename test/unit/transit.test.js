@@ -0,0 +1,97 @@
+const { check } = require('../helpers');
+const { estimateTransit, transitToEvent, transitMinutesBetween, neighborhoodPoint, formatTransitLabel, loadGraph } = require('../../src/transit');
+const { rankEventsByProximity, getAdjacentNeighborhoods } = require('../../src/geo');
+const { curatePool, resolveTransitOrigin } = require('../../src/brain-execute');
+const { serializePoolForContinuation } = require('../../src/brain-llm');
+const { NEIGHBORHOODS } = require('../../src/neighborhoods');
+
+const between = (a, b) => estimateTransit(neighborhoodPoint(a), neighborhoodPoint(b));
+
+// ---- graph ----
+console.log('\ntransit graph:');
+
+const graph = loadGraph();
+check('graph loads', graph && graph.stations.length > 200 && graph.lines.length > 15);
+check('built from the GTFS feed', /^\d{4}-\d{2}-\d{2}$/.test(require('../../data/subway-graph.json')._feed_date || ''));
+check('B, W, Z and shuttles included', ['B', 'W', 'Z', 'S'].every(label => graph.lines.some(l => l.label === label)));
+// The Staten Island Ferry isn't in the subway feed, so St. George has no route to the rest of the city
+const unreachable = Object.keys(NEIGHBORHOODS).filter(h => h !== 'Midtown' && !between(h, 'Midtown'));
+check('every other neighborhood routes to Midtown', unreachable.join(',') === 'St. George');
+
+// ---- estimates ----
+console.log('\ntransit estimates:');
+
+const gpAstoria = between('Greenpoint', 'Astoria');
+const gpWburg = between('Greenpoint', 'Williamsburg');
+check('Greenpoint → Astoria needs a transfer', gpAstoria.lines.length >= 2);
+check('Greenpoint → Williamsburg is one line', gpWburg.lines.length === 1);
+check('Astoria is much farther than Williamsburg from Greenpoint', gpAstoria.minutes > gpWburg.minutes * 1.5);
+check('EV → Williamsburg under 35 min', between('East Village', 'Williamsburg').minutes <= 35);
+check('EV → NoHo is a walk', between('East Village', 'NoHo').lines.length === 0);
+check('no ferry in the subway feed → St. George unrouted', between('St. George', 'Financial District') === null);
+check('no point → null', estimateTransit(null, neighborhoodPoint('Bushwick')) === null);
+check('same hood → 0', transitMinutesBetween('Bushwick', 'Bushwick') === 0);
+check('unknown hood → null', transitMinutesBetween('Bushwick', 'Narnia') === null);
+
+console.log('\ntransit labels:');
+
+check('walk label', formatTransitLabel(8) === '~8 min walk');
+check('one line', formatTransitLabel(18, ['L']) === '~18 min on the L');
+check('transfer', formatTransitLabel(32, ['L', 'G']) === '~32 min, L → G');
+check('rough train time rounds to 5', formatTransitLabel(18, ['L'], { rough: true }) === '~20 min on the L (rough)');
+check('rough never rounds to 0', formatTransitLabel(2, ['L'], { rough: true }) === '~5 min on the L (rough)');
+check('walks stay exact when rough', formatTransitLabel(8, [], { rough: true }) === '~8 min walk');
+check('feed-built graph is not rough', graph.rough === false && gpWburg.rough === false);
+check('estimate carries its label', gpWburg.label === formatTransitLabel(gpWburg.minutes, ['G']));
+
+console.log('\ntransitToEvent:');
+
+const williamsburg = neighborhoodPoint('Williamsburg');
+const atVenue = transitToEvent(williamsburg, { venue_name: 'Elsewhere', neighborhood: 'Bushwick' });
+check('known venue → routed to the venue', atVenue && atVenue.minutes > 0 && /min/.test(atVenue.label));
+check('unplaced event in origin hood → null', transitToEvent(williamsburg, { venue_name: 'Somewhere Unknown', neighborhood: 'Williamsburg' }) === null);
+check('unplaced event elsewhere → hood center', transitToEvent(williamsburg, { venue_name: 'Somewhere Unknown', neighborhood: 'Astoria' })?.minutes > 20);
+
+// ---- geo uses transit time ----
+console.log('\ntransit-aware proximity:');
+
+const gpRanked = rankEventsByProximity([
+  { id: 'astoria', neighborhood: 'Astoria' },
+  { id: 'lic', neighborhood: 'Long Island City' },
+  { id: 'wburg', neighborhood: 'Williamsburg' },
+  { id: 'gp', neighborhood: 'Greenpoint' },
+], 'Greenpoint');
+check('Greenpoint: in-hood first', gpRanked[0].id === 'gp');
+// One G stop either way — the feed has them within a minute of each other
+check('Greenpoint: Williamsburg and LIC both nearby', ['wburg', 'lic'].every(id => gpRanked.some(e => e.id === id)));
+check('Greenpoint: Astoria is not nearby', !gpRanked.some(e => e.id === 'astoria'));
+const gpAdjacent = getAdjacentNeighborhoods('Greenpoint', 3);
+check('Greenpoint neighbors are Williamsburg and LIC', ['Williamsburg', 'Long Island City'].every(h => gpAdjacent.slice(0, 2).includes(h)));
+check('Greenpoint neighbors exclude Astoria', !gpAdjacent.includes('Astoria'));
+
+// ---- curation + serialization ----
+console.log('\ntransit in curation:');
+
+const origin = resolveTransitOrigin(null, 'Greenpoint', null);
+check('origin defaults to searched hood', origin.name === 'Greenpoint');
+check('stated origin wins', resolveTransitOrigin('coming from astoria', 'Greenpoint', null).name === 'Astoria');
+check('falls back to last neighborhood', resolveTransitOrigin(null, null, { lastNeighborhood: 'Bushwick' }).name === 'Bushwick');
+check('nothing known → null', resolveTransitOrigin(null, null, null) === null);
+
+const padding = [
+  { id: 'here', name: 'Here', neighborhood: 'Greenpoint', category: 'comedy' },
+  { id: 'far', name: 'Far', neighborhood: 'Astoria', category: 'comedy' },
+  { id: 'close', name: 'Close', neighborhood: 'Williamsburg', category: 'comedy' },
+];
+const { curatedPool } = curatePool(padding, 'Greenpoint', { poolSize: 2, origin });
+check('nearby padding prefers the shorter trip', curatedPool[1].id === 'close');
+check('picks stamped with transit label', /on the G/.test(curatedPool[1].transit_label));
+const { curatedPool: noOrigin } = curatePool(padding, 'Greenpoint', { poolSize: 2 });
+check('no origin → no transit fields', noOrigin[1].transit_minutes === null);
+
+const serialized = serializePoolForContinuation({
+  pool: curatedPool, hood: 'Greenpoint', activeFilters: {}, matchCount: 1, transitFrom: 'Greenpoint',
+});
+check('serialized pick exposes transit', serialized.events[1].transit === curatedPool[1].transit_label);
+check('serialized pool names the origin', serialized.transit_from === 'Greenpoint');
+check('in-hood unplaced pick has no transit', serialized.events[0].transit === undefined);
@@ -1,5 +1,5 @@
 const { check } = require('../helpers');
-const { lookupVenue, lookupVenueProfile, learnVenueCoords, batchGeocodeEvents } = require('../../src/venues');
+const { lookupVenue, lookupVenueProfile, normalizeVenueAccessibility, learnVenueCoords, batchGeocodeEvents } = require('../../src/venues');
 
 // ---- lookupVenue ----
 console.log('\nlookupVenue:');
@@ -36,6 +36,16 @@ check('returns full profile fields', (() => {
 check('null for unknown venue', lookupVenueProfile('Nonexistent Venue') === null);
 check('null for null input', lookupVenueProfile(null) === null);
 check('null for empty string', lookupVenueProfile('') === null);
+check('house door policy from profile', lookupVenueProfile('House of Yes')?.age_policy === '21+');
+check('no documented door policy → none', lookupVenueProfile('Mood Ring')?.age_policy === undefined);
+check('unchecked venue profile → accessibility unknown', lookupVenueProfile('Mood Ring')?.accessibility?.step_free === 'unknown');
+check('accessibility tri-state', JSON.stringify(normalizeVenueAccessibility({ step_free: true, accessible_restroom: 'no', notes: 'Elevator on Grand St' }))
+  === '{"step_free":"yes","accessible_restroom":"no","assistive_listening":"unknown","notes":"Elevator on Grand St"}');
+check('venue-published access → yes, the rest unknown', lookupVenueProfile('Pioneer Works')?.accessibility?.step_free === 'yes'
+  && lookupVenueProfile('Metrograph')?.accessibility?.accessible_restroom === 'unknown');
+check('every access claim cites its source', ['Elsewhere', 'National Sawdust', 'Pioneer Works', 'Metrograph']
+  .every(name => /^https:\/\//.test(lookupVenueProfile(name)?.accessibility?.source || '')));
+check('missing accessibility → all unknown', Object.values(normalizeVenueAccessibility(undefined)).every(v => v === 'unknown'));
 
 // ---- venue_vibe removed from pool serialization (cost optimization) ----
 console.log('\nvenue_vibe removed from pool serialization:');
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check } = require('../helpers');
+const { forecastAt, weatherWarning, weatherNoteTonight, refreshForecast, getForecast, setWeatherProvider, assessHour, setForecast } = require('../../src/weather');
+const { classifySetting } = require('../../src/events');
+const { curatePool, WEATHER_PENALTY } = require('../../src/brain-execute');
+
+const hour = (time, temp_f, precip_prob = 0, precip_in = 0) => ({ time, temp_f, precip_prob, precip_in });
+
+// ---- assessHour ----
+console.log('\nassessHour:');
+
+check('fine evening → null', assessHour(hour('2026-07-10T20:00', 75, 10)) === null);
+check('70% rain → rain', assessHour(hour('2026-07-10T20:00', 75, 70))?.reason === 'rain');
+check('rain note reads naturally', assessHour(hour('2026-07-10T20:00', 75, 70))?.note === '70% chance of rain around 8pm');
+check('heavy rain with low probability → rain', assessHour(hour('2026-07-10T20:00', 75, 20, 0.1))?.reason === 'rain');
+check('34°F → cold', assessHour(hour('2026-01-10T21:00', 34))?.note === '34°F around 9pm');
+check('95°F → heat', assessHour(hour('2026-07-10T15:00', 95))?.reason === 'heat');
+check('null hour → null', assessHour(null) === null);
+
+// ---- forecastAt ----
+console.log('\nforecastAt:');
+
+setForecast({ hours: [
+  hour('2026-07-10T18:00', 80),
+  hour('2026-07-10T20:00', 72, 80),
+  hour('2026-07-10T23:00', 68),
+] });
+check('exact hour', forecastAt('2026-07-10T20:00:00')?.precip_prob === 80);
+check('minutes ignored', forecastAt('2026-07-10T20:45:00')?.precip_prob === 80);
+check('nearest hour within 2h', forecastAt('2026-07-10T21:00:00')?.time === '2026-07-10T20:00');
+check('gap over 2h → null', forecastAt('2026-07-11T02:00:00') === null);
+check('missing day → null', forecastAt('2026-07-12T20:00:00') === null);
+check('date only → null', forecastAt('2026-07-10') === null);
+
+// ---- weatherWarning ----
+console.log('\nweatherWarning:');
+
+check('outdoor event in the rain → warning', weatherWarning({ setting: 'outdoor', start_time_local: '2026-07-10T20:00:00' })?.reason === 'rain');
+check('indoor event in the rain → null', weatherWarning({ setting: 'indoor', start_time_local: '2026-07-10T20:00:00' }) === null);
+check('untagged event → null', weatherWarning({ start_time_local: '2026-07-10T20:00:00' }) === null);
+check('outdoor event in fine weather → null', weatherWarning({ setting: 'outdoor', start_time_local: '2026-07-10T23:00:00' }) === null);
+
+// ---- weatherNoteTonight ----
+console.log('\nweatherNoteTonight:');
+
+// 2026-07-10 17:30 EDT
+check('first bad evening hour', weatherNoteTonight(new Date('2026-07-10T21:30:00Z')) === '80% chance of rain around 8pm');
+// 2026-07-10 21:30 EDT — the rain has passed
+check('after the rain → null', weatherNoteTonight(new Date('2026-07-11T01:30:00Z')) === null);
+
+// ---- classifySetting ----
+console.log('\nclassifySetting:');
+
+check('rooftop → outdoor', classifySetting({ name: 'Sunset DJ Set', venue_name: 'Brooklyn Rooftop' }) === 'outdoor');
+check('park → outdoor', classifySetting({ name: 'Shakespeare in the Park', venue_name: 'Delacorte' }) === 'outdoor');
+check('Madison Square Garden is not outdoor', classifySetting({ name: 'Knicks', venue_name: 'Madison Square Garden' }) !== 'outdoor');
+check('Park Slope is not outdoor', classifySetting({ name: 'Open mic', venue_name: 'Park Slope Ale House' }) !== 'outdoor');
+check('nyc_parks listing → outdoor', classifySetting({ name: 'Bird walk', venue_name: 'Prospect Lake', source_name: 'nyc_parks' }) === 'outdoor');
+check('nyc_parks rec center → indoor', classifySetting({ name: 'Pickup volleyball', venue_name: 'St. Johns Recreation Center', source_name: 'nyc_parks' }) === 'indoor');
+check('film → indoor', classifySetting({ name: 'Stalker', venue_name: 'Metrograph', category: 'film' }) === 'indoor');
+check('no signal → null', classifySetting({ name: 'Mystery night', venue_name: 'Somewhere' }) === null);
+
+// ---- curatePool weather demotion ----
+console.log('\ncuratePool weather:');
+
+const poolEvent = (id, setting) => ({
+  id, name: `Event ${id}`, venue_name: 'Venue', neighborhood: 'Greenpoint', category: 'live_music',
+  date_local: '2026-07-10', start_time_local: '2026-07-10T20:00:00', setting,
+});
+const { fullScoredPool } = curatePool([poolEvent('in', 'indoor'), poolEvent('out', 'outdoor')], 'Greenpoint');
+const scoredIn = fullScoredPool.find(e => e.id === 'in');
+const scoredOut = fullScoredPool.find(e => e.id === 'out');
+check('outdoor pick in the rain is demoted', scoredIn.interestingness - scoredOut.interestingness === WEATHER_PENALTY);
+check('outdoor pick carries weather_note', scoredOut.weather_note === '80% chance of rain around 8pm');
+check('indoor pick has no weather_note', scoredIn.weather_note === undefined);
+
+setForecast(null);
+
+// ---- file provider ----
+
+async function runAsync() {
+  console.log('\nweather file provider:');
+
+  const file = path.join(os.tmpdir(), `pulse-weather-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ hours: [hour('2026-07-11T21:00', 38)] }));
+  const saved = process.env.PULSE_WEATHER_FILE;
+  process.env.PULSE_WEATHER_FILE = file;
+  try {
+    setWeatherProvider(undefined);
+    const count = await refreshForecast();
+    check('loads hours from the file', count === 1);
+    check('forecast source is file', getForecast()?.source === 'file');
+    check('cold slot from the file', weatherWarning({ setting: 'outdoor', start_time_local: '2026-07-11T21:00:00' })?.reason === 'cold');
+
+    fs.writeFileSync(file, 'not json');
+    check('bad file keeps the previous forecast', (await refreshForecast()) === 0 && getForecast()?.hours.length === 1);
+
+    setWeatherProvider(null);
+    check('disabled provider → 0 hours', (await refreshForecast()) === 0);
+  } finally {
+    if (saved === undefined) delete process.env.PULSE_WEATHER_FILE;
+    else process.env.PULSE_WEATHER_FILE = saved;
+    setWeatherProvider(undefined);
+    fs.rmSync(file, { force: true });
+  }
+}
+
+module.exports = { runAsync };